@@ -15,8 +15,18 @@ import roomRoutes from './routes/roomRoutes.js';
 import imageRoutes from './routes/imageRoutes.js';
 import dashboardRoutes from './routes/dashboardRoutes.js';
 import analyticsRoutes from './routes/analyticsRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
+import invoiceRoutes from './routes/invoiceRoutes.js';
+import taxRateRoutes from './routes/taxRateRoutes.js';
+import promotionRoutes from './routes/promotionRoutes.js';
+import exchangeRateRoutes from './routes/exchangeRateRoutes.js';
+import reconciliationRoutes from './routes/reconciliationRoutes.js';
 import nodemailer from 'nodemailer';
 import cookieParser from 'cookie-parser';
+import { startSlotHoldSweeper } from './service/slotHold.service.js';
+import { startInstallmentSweeper } from './service/paymentPlan.service.js';
+import { startPaymentSyncJob } from './service/paymentSync.service.js';
+import { startIdempotencyKeySweeper } from './service/idempotency.service.js';
 dotenv.config();
 
 const app = express();
@@ -31,6 +41,11 @@ app.use(
   })
 );
 
+// Stripe signs the raw request body, so the webhook must not be JSON-parsed
+app.use(
+  '/api/payments/stripe/webhook',
+  express.raw({ type: 'application/json' })
+);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
@@ -55,6 +70,12 @@ app.use('/api/rooms', roomRoutes);
 app.use('/api/images', imageRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/tax-rates', taxRateRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -68,3 +89,15 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
+
+// Release slot holds whose checkout was never completed
+startSlotHoldSweeper();
+
+// Flag missed installments as overdue and remind customers of upcoming ones
+startInstallmentSweeper();
+
+// Settle checkout payments left PENDING with what their provider says
+startPaymentSyncJob();
+
+// Forget Idempotency-Key responses past their replay window
+startIdempotencyKeySweeper();
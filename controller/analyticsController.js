@@ -1,6 +1,7 @@
 import { getEventServiceStats } from '../service/event_service.service.js';
 import { getPaymentStats } from '../service/payment.service.js';
 import { getInvoiceStats } from '../service/invoice.service.js';
+import { getPromotionStats } from '../service/promotion.service.js';
 import { sendResponse } from '../utils/response.js';
 
 import {
@@ -14,15 +15,18 @@ import {
 
 export const getAnalytics = async (req, res) => {
   try {
-    const [eventServiceStats, paymentStats, invoiceStats] = await Promise.all([
-      getEventServiceStats(),
-      getPaymentStats(),
-      getInvoiceStats(),
-    ]);
+    const [eventServiceStats, paymentStats, invoiceStats, promotionStats] =
+      await Promise.all([
+        getEventServiceStats(),
+        getPaymentStats(),
+        getInvoiceStats(),
+        getPromotionStats(),
+      ]);
     return sendResponse(res, 200, 'Analytics fetched successfully', {
       eventServiceStats,
       paymentStats,
       invoiceStats,
+      promotionStats,
     });
   } catch (error) {
     return sendResponse(res, 500, 'Failed to fetch analytics');
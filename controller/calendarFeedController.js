@@ -0,0 +1,99 @@
+import { sendResponse } from '../utils/response.js';
+import {
+  createCalendarFeed,
+  getCalendarFeeds,
+  revokeCalendarFeed,
+  renderCalendarFeed,
+} from '../service/calendarFeed.service.js';
+
+const feedErrorStatus = (errors = []) => {
+  if (errors.some((e) => e.includes('not found'))) return 404;
+  if (errors.some((e) => e.startsWith('Only') || e.startsWith('You can only')))
+    return 403;
+  return 400;
+};
+
+// Subscription URL for a feed token on this server
+const buildFeedUrl = (req, token) =>
+  `${req.protocol}://${req.get('host')}${req.baseUrl}/feeds/${token}.ics`;
+
+// Create a tokenized calendar feed (room, account or single event)
+export const createCalendarFeedController = async (req, res) => {
+  try {
+    const result = await createCalendarFeed(req.user, req.body);
+
+    if (!result.isValid) {
+      return sendResponse(res, feedErrorStatus(result.errors), result.errors);
+    }
+
+    return sendResponse(res, 201, 'Calendar feed created successfully', {
+      ...result.data,
+      url: buildFeedUrl(req, result.data.token),
+    });
+  } catch (error) {
+    console.error('Error in createCalendarFeedController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// List the caller's active calendar feeds
+export const getCalendarFeedsController = async (req, res) => {
+  try {
+    const result = await getCalendarFeeds(req.user);
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Calendar feeds retrieved successfully',
+      result.data.map((feed) => ({
+        ...feed,
+        url: buildFeedUrl(req, feed.token),
+      }))
+    );
+  } catch (error) {
+    console.error('Error in getCalendarFeedsController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Revoke a calendar feed so its URL stops working
+export const revokeCalendarFeedController = async (req, res) => {
+  try {
+    const result = await revokeCalendarFeed(req.params.id, req.user);
+
+    if (!result.isValid) {
+      return sendResponse(res, feedErrorStatus(result.errors), result.errors);
+    }
+
+    return sendResponse(res, 200, 'Calendar feed revoked', result.data);
+  } catch (error) {
+    console.error('Error in revokeCalendarFeedController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Public .ics endpoint; the unguessable token is the only credential
+export const getCalendarFeedIcsController = async (req, res) => {
+  try {
+    const result = await renderCalendarFeed(req.params.token);
+
+    if (!result.isValid) {
+      return sendResponse(res, 404, result.errors);
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set(
+      'Content-Disposition',
+      `inline; filename="${result.data.filename}"`
+    );
+    res.set('Cache-Control', 'private, max-age=300');
+    return res.status(200).send(result.data.ics);
+  } catch (error) {
+    console.error('Error in getCalendarFeedIcsController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
@@ -0,0 +1,316 @@
+import { PrismaClient } from '@prisma/client';
+import {
+  getBalanceDue,
+  getNextInstallment,
+} from '../service/paymentPlan.service.js';
+import { resolveCheckoutProvider } from '../service/paymentProvider.service.js';
+import { sendResponse } from '../utils/response.js';
+import { validateToken } from '../middleware/authMiddleware.js';
+import { validateIdempotencyKey } from '../middleware/idempotencyMiddleware.js';
+import { checkRoomAvailability } from '../service/room.service.js';
+import { findExchangeRate } from '../service/exchangeRate.service.js';
+import {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  roundToCurrency,
+  validateCurrency,
+} from '../utils/currency.js';
+import { placeEventHolds } from '../service/slotHold.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Checkout handler for the event's invoice. The provider is the one asked for
+ * in `provider`, else `defaultProvider`, else the configured default (see
+ * resolveCheckoutProvider); the payment records which one it went through.
+ * @param {string|null} [defaultProvider] - Provider used when none is asked for
+ * @returns {Function} Express handler (after validateToken)
+ */
+export const createCheckoutHandler =
+  (defaultProvider = null) =>
+  async (req, res) => {
+    try {
+      const {
+        userId,
+        event_id,
+        currency: requestedCurrency,
+        provider: requestedProvider,
+      } = req.body;
+
+      if (!userId || !event_id) {
+        return sendResponse(
+          res,
+          400,
+          'Missing required parameters: userId, cartItems, or event_id'
+        );
+      }
+
+      if (Number(userId) !== req.user.account_id) {
+        return sendResponse(
+          res,
+          403,
+          'Unauthorized: User ID does not match authenticated user'
+        );
+      }
+
+      const providerResult = resolveCheckoutProvider(
+        requestedProvider || defaultProvider
+      );
+      if (!providerResult.isValid) {
+        return sendResponse(res, 400, providerResult.errors);
+      }
+      const provider = providerResult.data;
+
+      const event = await prisma.event.findUnique({
+        where: { event_id: Number(event_id) },
+        select: {
+          event_id: true,
+          account_id: true,
+          status: true,
+          start_time: true,
+          end_time: true,
+          room_id: true,
+        },
+      });
+
+      if (!event || event.status === 'CANCELLED') {
+        return sendResponse(res, 404, 'Event not found or cancelled');
+      }
+      if (event.account_id !== Number(userId)) {
+        return sendResponse(res, 403, 'Event does not belong to user');
+      }
+
+      // The event's own hold may have lapsed; make sure nobody took the slot
+      if (event.room_id && event.start_time && event.end_time) {
+        const availability = await checkRoomAvailability(
+          event.room_id,
+          event.start_time,
+          event.end_time,
+          null,
+          event.event_id
+        );
+        if (!availability.isValid || !availability.data.isAvailable) {
+          return sendResponse(
+            res,
+            409,
+            'Room is no longer available for this time slot'
+          );
+        }
+      }
+
+      const invoice = await prisma.invoice.findUnique({
+        where: { event_id: Number(event_id) },
+        select: {
+          invoice_id: true,
+          invoice_number: true,
+          total_amount: true,
+          amount_paid: true,
+          status: true,
+          account_id: true,
+          currency: true,
+          discount_amount: true,
+          details: {
+            select: { item_name: true, quantity: true, unit_price: true },
+            orderBy: { invoice_detail_id: 'asc' },
+          },
+          taxes: {
+            select: { name: true, rate: true, mode: true, tax_amount: true },
+          },
+          promotion_redemptions: {
+            where: { status: 'APPLIED' },
+            select: { promotion: { select: { code: true } } },
+          },
+        },
+      });
+      if (!invoice) {
+        return sendResponse(res, 404, 'Invoice not found');
+      }
+      if (invoice.status === 'PAID') {
+        return sendResponse(res, 400, 'Invoice already paid');
+      }
+      if (invoice.account_id !== Number(userId)) {
+        return sendResponse(res, 403, 'Invoice does not belong to user');
+      }
+
+      // Charged in the currency asked for, else the customer's preferred
+      // one, else CHECKOUT_CURRENCY; prices are converted from the invoice's
+      // currency at the rate in effect now, which is kept on the payment
+      const account = await prisma.account.findUnique({
+        where: { account_id: Number(userId) },
+        select: { currency: true },
+      });
+      const chargeCurrency =
+        requestedCurrency ||
+        account?.currency ||
+        process.env.CHECKOUT_CURRENCY ||
+        'USD';
+      const currencyErrors = validateCurrency(chargeCurrency);
+      if (currencyErrors.length > 0) {
+        return sendResponse(res, 400, currencyErrors);
+      }
+      const currency = normalizeCurrency(chargeCurrency);
+      const invoiceCurrency = invoice.currency || BASE_CURRENCY;
+      const rate = await findExchangeRate(invoiceCurrency, currency);
+      if (!rate) {
+        return sendResponse(
+          res,
+          400,
+          `No exchange rate from ${invoiceCurrency} to ${currency}`
+        );
+      }
+      const toChargeCurrency = (amount) =>
+        roundToCurrency(Number(amount) * rate.rate, currency);
+
+      // On a payment plan only the next due installment is charged; after a
+      // part payment without a plan, whatever is left on the invoice
+      const installment = await getNextInstallment(invoice.invoice_id);
+      const partAmount = installment
+        ? Number(installment.amount)
+        : Number(invoice.amount_paid) > 0
+          ? getBalanceDue(invoice)
+          : null;
+      const baseAmount = partAmount ?? Number(invoice.total_amount);
+      const totalAmount = toChargeCurrency(baseAmount);
+
+      // Lines are in the charge currency's major unit; the provider converts
+      // them to whatever it expects
+      const lines = [];
+      let discount = null;
+      if (partAmount !== null) {
+        lines.push({
+          name: `${installment ? installment.label : 'Balance'} - ${
+            invoice.invoice_number
+          }`,
+          unit_amount: totalAmount,
+          quantity: 1,
+        });
+      } else {
+        // The invoice's own lines, taxes and discount, so the checkout charges
+        // exactly what the invoice (and the payment below) says
+        for (const detail of invoice.details) {
+          lines.push({
+            name: detail.item_name,
+            unit_amount: toChargeCurrency(detail.unit_price),
+            quantity: detail.quantity,
+          });
+        }
+
+        // Exclusive taxes go on top of the prices as their own lines; inclusive
+        // ones are already part of the prices above
+        for (const tax of invoice.taxes) {
+          if (tax.mode !== 'EXCLUSIVE' || Number(tax.tax_amount) <= 0) continue;
+          lines.push({
+            name: `${tax.name} (${Number(tax.rate)}%)`,
+            unit_amount: toChargeCurrency(tax.tax_amount),
+            quantity: 1,
+          });
+        }
+
+        // Converting line by line can round a little away from the converted
+        // invoice total: the discount (promotion code) absorbs the difference,
+        // or a rounding line when the lines come out short
+        const linesTotal = lines.reduce(
+          (sum, line) => sum + line.unit_amount * line.quantity,
+          0
+        );
+        const discountAmount = roundToCurrency(
+          linesTotal - totalAmount,
+          currency
+        );
+        if (discountAmount > 0) {
+          const promoCode = invoice.promotion_redemptions[0]?.promotion.code;
+          discount = {
+            amount: discountAmount,
+            name: promoCode
+              ? `Promo ${promoCode}`
+              : Number(invoice.discount_amount) > 0
+                ? 'Discount'
+                : 'Rounding',
+            metadata: {
+              invoice_id: String(invoice.invoice_id),
+              ...(promoCode ? { promotion_code: promoCode } : {}),
+            },
+          };
+        } else if (discountAmount < 0) {
+          lines.push({
+            name: 'Rounding',
+            unit_amount: -discountAmount,
+            quantity: 1,
+          });
+        }
+      }
+
+      const checkout = await provider.createCheckout({
+        lines,
+        currency,
+        discount,
+        metadata: { userId: String(userId) },
+      });
+
+      // Create a pending payment record and hold the slot until it is paid;
+      // a confirmed event (deposit paid) already holds it by its status
+      const { payment, hold } = await prisma.$transaction(async (tx) => {
+        const newPayment = await tx.payment.create({
+          data: {
+            amount: totalAmount,
+            currency,
+            base_amount: baseAmount,
+            exchange_rate: rate.rate,
+            exchange_rate_id: rate.exchange_rate_id,
+            payment_method: provider.payment_method,
+            payment_status: 'PENDING',
+            provider: provider.name,
+            provider_reference: checkout.reference,
+            account_id: Number(userId),
+            invoice_id: Number(invoice.invoice_id),
+            installment_id: installment?.installment_id ?? null,
+            event_id: Number(event_id),
+            payment_date: new Date(),
+          },
+          include: {
+            account: { select: { account_id: true, account_name: true } },
+            invoice: { select: { invoice_id: true, invoice_number: true } },
+            event: { select: { event_id: true, event_name: true } },
+          },
+        });
+        const newHold =
+          event.status === 'CONFIRMED'
+            ? { expires_at: null }
+            : await placeEventHolds(tx, event_id, {
+                payment_id: newPayment.payment_id,
+              });
+        return { payment: newPayment, hold: newHold };
+      });
+
+      return sendResponse(res, 200, 'Checkout session created successfully', {
+        provider: provider.name,
+        reference: checkout.reference,
+        checkout_url: checkout.url,
+        // Stripe clients read the session itself
+        ...(provider.name === 'STRIPE'
+          ? { stripeSession: checkout.session }
+          : {}),
+        payment_id: payment.payment_id,
+        currency,
+        amount: totalAmount,
+        exchange_rate: rate.rate,
+        installment: installment && {
+          installment_id: installment.installment_id,
+          label: installment.label,
+          amount: installment.amount,
+          due_date: installment.due_date,
+        },
+        hold_expires_at: hold.expires_at,
+      });
+    } catch (error) {
+      console.error('Error in createCheckout:', error);
+      return sendResponse(res, 500, 'Error creating checkout session');
+    }
+  };
+
+// POST /api/payments/checkout
+export const createCheckout = [
+  validateToken,
+  validateIdempotencyKey,
+  createCheckoutHandler(),
+];
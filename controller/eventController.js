@@ -6,49 +6,50 @@ import {
   deleteEvent,
   toggleEventStatus,
   getEventsByEventTypeId,
+  quoteEvent,
 } from '../service/event.service.js';
-// Update event status to any allowed value (admin only)
+// Update event status through the lifecycle transition table (admin only)
 export const updateEventStatusController = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
     if (!status) {
       return sendResponse(res, 400, 'Status is required');
     }
 
-    // Only allow certain statuses
-    const allowedStatuses = [
-      'CONFIRMED',
-      'IN_PROGRESS',
-      'CANCELLED',
-      'COMPLETED',
-    ];
-    if (!allowedStatuses.includes(status)) {
-      return sendResponse(res, 400, 'Invalid status');
+    // Cancelling also refunds, reverses the invoice and frees the slot
+    if (status === 'CANCELLED') {
+      const cancellation = await cancelEvent(id, req.user, { reason });
+      if (!cancellation.isValid) {
+        return sendResponse(
+          res,
+          TRANSITION_STATUS_CODES[cancellation.data?.code] || 400,
+          cancellation.errors,
+          cancellation.data
+        );
+      }
+      return sendResponse(
+        res,
+        200,
+        'Event status updated',
+        cancellation.data.event
+      );
     }
 
-    // Find event
-    const event = await prisma.event.findUnique({
-      where: { event_id: Number(id) },
+    const result = await transitionEventStatus(id, status, req.user, {
+      reason,
     });
-    if (!event) {
-      return sendResponse(res, 404, 'Event not found');
-    }
 
-    // Only allow update from CONFIRMED to allowed statuses
-    if (event.status !== 'CONFIRMED') {
+    if (!result.isValid) {
       return sendResponse(
         res,
-        400,
-        'Event status can only be updated from CONFIRMED'
+        TRANSITION_STATUS_CODES[result.data?.code] || 400,
+        result.errors,
+        result.data
       );
     }
 
-    const updated = await prisma.event.update({
-      where: { event_id: Number(id) },
-      data: { status },
-    });
-    return sendResponse(res, 200, 'Event status updated', updated);
+    return sendResponse(res, 200, 'Event status updated', result.data.event);
   } catch (error) {
     console.error('Error in updateEventStatusController:', error);
     return sendResponse(res, 500, 'Internal server error');
@@ -58,7 +59,36 @@ import { sendResponse } from '../utils/response.js';
 import { createValidationResult } from '../utils/validation.js';
 import { validateToken } from '../middleware/authMiddleware.js';
 import { prisma } from '../prisma/prisma.js';
+import { runSerializable } from '../utils/transaction.js';
 import { checkVariationAvailability } from '../service/event_service.service.js';
+import {
+  transitionEventStatus,
+  getEventStatusHistory,
+  TRANSITION_ERRORS,
+} from '../service/eventStatus.service.js';
+import { cancelEvent } from '../service/eventCancellation.service.js';
+import { rescheduleEvent } from '../service/eventReschedule.service.js';
+import { refreshEventHolds } from '../service/slotHold.service.js';
+import { syncEventInvoice } from '../service/invoiceSync.service.js';
+import {
+  createEventSeries,
+  getEventSeries,
+  updateSeriesOccurrences,
+  cancelSeriesOccurrences,
+} from '../service/eventSeries.service.js';
+import {
+  applyPromotionToEvent,
+  removePromotionFromEvent,
+} from '../service/promotion.service.js';
+
+const TRANSITION_STATUS_CODES = {
+  [TRANSITION_ERRORS.EVENT_NOT_FOUND]: 404,
+  [TRANSITION_ERRORS.NOT_OWNER]: 403,
+  [TRANSITION_ERRORS.FORBIDDEN_TRANSITION]: 403,
+  [TRANSITION_ERRORS.INVALID_TRANSITION]: 409,
+  [TRANSITION_ERRORS.INVALID_STATUS]: 400,
+  [TRANSITION_ERRORS.SLOT_UNAVAILABLE]: 409,
+};
 
 // Create a new event
 export const createEventController = async (req, res) => {
@@ -70,18 +100,24 @@ export const createEventController = async (req, res) => {
   }
 
   try {
-    const result = await createEvent(eventData);
+    // The event, its services, invoice and holds are written together: a
+    // service that cannot be added leaves no event behind
+    let rejected = null;
+    const reject = (result) => {
+      rejected = result;
+      throw new Error(result.errors.join(', '));
+    };
 
-    if (!result.isValid) {
-      return sendResponse(res, 400, result.errors);
-    }
+    let result;
+    try {
+      result = await runSerializable(prisma, async (tx) => {
+        rejected = null;
+        const created = await createEvent(eventData, tx, req.user);
+        if (!created.isValid) reject(created);
 
-    const newEvent = result.data;
-    let createdServicesCount = 0;
+        const newEvent = created.data;
+        let createdServicesCount = 0;
 
-    // Create EventServices (with validation + invoice details)
-    if (eventServices.length > 0) {
-      await prisma.$transaction(async (tx) => {
         for (const { service_id, variant_id } of eventServices) {
           // Validate service
           const dbService = await tx.service.findUnique({
@@ -89,7 +125,11 @@ export const createEventController = async (req, res) => {
             select: { service_id: true, is_active: true },
           });
           if (!dbService || !dbService.is_active) {
-            throw new Error('Service is not valid or inactive');
+            reject(
+              createValidationResult(false, [
+                'Service is not valid or inactive',
+              ])
+            );
           }
 
           // Validate variant
@@ -109,8 +149,10 @@ export const createEventController = async (req, res) => {
             !variation.is_active ||
             variation.service_id !== Number(service_id)
           ) {
-            throw new Error(
-              'Variation is not valid or does not belong to service'
+            reject(
+              createValidationResult(false, [
+                'Variation is not valid or does not belong to service',
+              ])
             );
           }
 
@@ -120,10 +162,17 @@ export const createEventController = async (req, res) => {
               variant_id,
               newEvent.scheduled_time,
               newEvent.duration_hours,
-              tx
+              tx,
+              newEvent.event_id
             );
             if (!availabilityCheck.isValid) {
-              throw new Error('Variation is not available');
+              reject(
+                createValidationResult(
+                  false,
+                  ['Variation is not available', ...availabilityCheck.errors],
+                  availabilityCheck.data
+                )
+              );
             }
           }
 
@@ -141,59 +190,57 @@ export const createEventController = async (req, res) => {
             },
           });
 
-          // Create InvoiceDetail for service
-          await tx.invoiceDetail.create({
-            data: {
-              invoice_id: (
-                await tx.invoice.findFirst({
-                  where: { event_id: newEvent.event_id },
-                })
-              ).invoice_id,
-              item_name: variation.variation_name,
-              quantity: 1,
-              unit_price: variation.base_price || 0,
-              subtotal: variation.base_price || 0,
-              item_type: 'SERVICE',
-              service_id: Number(service_id),
-              variation_id: Number(variant_id),
-            },
-          });
-
           createdServicesCount++;
         }
 
-        // Update estimated cost with services
+        // Reprice the invoice and estimated cost with the services added
         if (createdServicesCount > 0) {
-          const totalServiceCost = await tx.invoiceDetail.aggregate({
-            where: {
-              item_type: 'SERVICE',
-              invoice: { event_id: newEvent.event_id },
-            },
-            _sum: { subtotal: true },
-          });
+          const invoiceSync = await syncEventInvoice(tx, newEvent.event_id);
+          newEvent.estimated_cost = invoiceSync?.estimated_cost;
+          newEvent.pricing = invoiceSync?.pricing;
 
-          await tx.event.update({
-            where: { event_id: newEvent.event_id },
-            data: {
-              estimated_cost:
-                Number(newEvent.estimated_cost) +
-                Number(totalServiceCost._sum.subtotal || 0),
-            },
-          });
+          // Extend the booking's slot hold to the variations just added
+          await refreshEventHolds(tx, newEvent.event_id);
         }
+
+        return { ...newEvent, eventServicesCount: createdServicesCount };
       });
+    } catch (error) {
+      if (!rejected) throw error;
     }
 
-    return sendResponse(res, 201, 'Event created successfully', {
-      ...newEvent,
-      eventServicesCount: createdServicesCount,
-    });
+    if (rejected) {
+      return sendResponse(
+        res,
+        TRANSITION_STATUS_CODES[rejected.data?.code] || 400,
+        rejected.errors,
+        rejected.data
+      );
+    }
+
+    return sendResponse(res, 201, 'Event created successfully', result);
   } catch (error) {
     console.error('Error in createEventController:', error);
     return sendResponse(res, 500, 'Internal server error');
   }
 };
 
+// Price an event before booking it; nothing is written
+export const quoteEventController = async (req, res) => {
+  try {
+    const result = await quoteEvent(req.body);
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, 'Event quote calculated', result.data);
+  } catch (error) {
+    console.error('Error in quoteEvent controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
 // Update an existing event
 export const updateEventController = async (req, res) => {
   try {
@@ -204,7 +251,12 @@ export const updateEventController = async (req, res) => {
     const result = await updateEvent(id, updateData, user);
 
     if (!result.isValid) {
-      return sendResponse(res, 400, result.errors);
+      return sendResponse(
+        res,
+        TRANSITION_STATUS_CODES[result.data?.code] || 400,
+        result.errors,
+        result.data
+      );
     }
 
     return sendResponse(res, 200, 'Event updated successfully', result.data);
@@ -303,10 +355,15 @@ export const deleteEventController = async (req, res) => {
 export const toggleEventStatusController = async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await toggleEventStatus(id);
+    const result = await toggleEventStatus(id, req.user);
 
     if (!result.isValid) {
-      return sendResponse(res, 404, result.errors);
+      return sendResponse(
+        res,
+        TRANSITION_STATUS_CODES[result.data?.code] || 404,
+        result.errors,
+        result.data
+      );
     }
 
     return sendResponse(res, 200, 'Event status toggled', result.data);
@@ -383,3 +440,255 @@ export const getEventDetails = [
     }
   },
 ];
+
+// Get event status history (only owner or admin/staff)
+export const getEventStatusHistoryController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await getEventStatusHistory(id);
+
+    if (!result.isValid) {
+      return sendResponse(res, 404, result.errors);
+    }
+
+    if (
+      result.data.account_id !== req.user.account_id &&
+      !['ADMIN', 'STAFF'].includes(req.user.role)
+    ) {
+      return sendResponse(
+        res,
+        403,
+        'Unauthorized: Cannot access this event history'
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Event status history retrieved successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in getEventStatusHistory controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Cancel an event with refund policy (owner or admin/staff)
+export const cancelEventController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, refund_percent } = req.body;
+
+    const result = await cancelEvent(id, req.user, { reason, refund_percent });
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        TRANSITION_STATUS_CODES[result.data?.code] || 400,
+        result.errors,
+        result.data
+      );
+    }
+
+    return sendResponse(res, 200, 'Event cancelled successfully', result.data);
+  } catch (error) {
+    console.error('Error in cancelEvent controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Reschedule an event to a new slot (owner or admin/staff)
+export const rescheduleEventController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { start_time, end_time, reason } = req.body;
+
+    const result = await rescheduleEvent(id, req.user, {
+      start_time,
+      end_time,
+      reason,
+    });
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        TRANSITION_STATUS_CODES[result.data?.code] || 400,
+        result.errors,
+        result.data
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Event rescheduled successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in rescheduleEvent controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Create a recurring event series; every occurrence is checked up front
+export const createEventSeriesController = async (req, res) => {
+  try {
+    const result = await createEventSeries(req.body, req.user);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        TRANSITION_STATUS_CODES[result.data?.code] || 400,
+        result.errors,
+        result.data
+      );
+    }
+
+    if (result.data.dry_run) {
+      return sendResponse(res, 200, 'Event series is available', result.data);
+    }
+    return sendResponse(
+      res,
+      201,
+      'Event series created successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in createEventSeries controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Get an event series with its occurrences (owner or admin/staff)
+export const getEventSeriesController = async (req, res) => {
+  try {
+    const result = await getEventSeries(req.params.seriesId, req.user);
+
+    if (!result.isValid) {
+      return sendResponse(res, 404, result.errors);
+    }
+
+    return sendResponse(res, 200, 'Event series fetched', result.data);
+  } catch (error) {
+    console.error('Error in getEventSeries controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Edit one occurrence or the rest of the series (scope: single | following)
+export const updateSeriesOccurrenceController = async (req, res) => {
+  try {
+    const { seriesId, eventId } = req.params;
+
+    const result = await updateSeriesOccurrences(
+      seriesId,
+      eventId,
+      req.body,
+      req.user
+    );
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        TRANSITION_STATUS_CODES[result.data?.code] || 400,
+        result.errors,
+        result.data
+      );
+    }
+
+    return sendResponse(res, 200, 'Event series updated', result.data);
+  } catch (error) {
+    console.error('Error in updateSeriesOccurrence controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Cancel one occurrence or the rest of the series (scope: single | following)
+export const cancelSeriesOccurrenceController = async (req, res) => {
+  try {
+    const { seriesId, eventId } = req.params;
+    const { scope, reason, refund_percent } = req.body;
+
+    const result = await cancelSeriesOccurrences(seriesId, eventId, req.user, {
+      scope,
+      reason,
+      refund_percent,
+    });
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        TRANSITION_STATUS_CODES[result.data?.code] || 400,
+        result.errors,
+        result.data
+      );
+    }
+
+    return sendResponse(res, 200, 'Event series cancelled', result.data);
+  } catch (error) {
+    console.error('Error in cancelSeriesOccurrence controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Promotion errors: unknown event or code 404, someone else's event 403
+const promotionErrorStatus = (errors = []) => {
+  if (errors.some((e) => e.includes('not found'))) return 404;
+  if (errors.some((e) => e.includes('your own events'))) return 403;
+  return 400;
+};
+
+// Apply a promotion code to an event (owner or admin/staff)
+export const applyEventPromotionController = async (req, res) => {
+  try {
+    const result = await applyPromotionToEvent(
+      req.params.id,
+      req.body.code,
+      req.user
+    );
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        promotionErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Promotion code applied successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in applyEventPromotion controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Remove the promotion code from an event (owner or admin/staff)
+export const removeEventPromotionController = async (req, res) => {
+  try {
+    const result = await removePromotionFromEvent(req.params.id, req.user);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        promotionErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Promotion code removed successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in removeEventPromotion controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
@@ -0,0 +1,145 @@
+import { sendResponse } from '../utils/response.js';
+import {
+  createExchangeRate,
+  getExchangeRates,
+  getExchangeRateById,
+  updateExchangeRate,
+  deleteExchangeRate,
+  quoteConversion,
+} from '../service/exchangeRate.service.js';
+
+const exchangeRateErrorStatus = (errors = []) =>
+  errors.some((e) => e.includes('not found')) ? 404 : 400;
+
+// Create an exchange rate (admin)
+export const createExchangeRateController = async (req, res) => {
+  try {
+    const result = await createExchangeRate(req.body);
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      201,
+      'Exchange rate created successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in createExchangeRateController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// List exchange rates; ?date= returns the rate in effect per pair
+export const getExchangeRatesController = async (req, res) => {
+  try {
+    const result = await getExchangeRates(req.query);
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Exchange rates retrieved successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in getExchangeRatesController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Convert an amount; ?amount=&from=&to=&date=
+export const convertAmountController = async (req, res) => {
+  try {
+    const result = await quoteConversion(req.query);
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, 'Amount converted successfully', result.data);
+  } catch (error) {
+    console.error('Error in convertAmountController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Get an exchange rate by ID
+export const getExchangeRateByIdController = async (req, res) => {
+  try {
+    const result = await getExchangeRateById(req.params.id);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        exchangeRateErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Exchange rate retrieved successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in getExchangeRateByIdController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Update an exchange rate (admin)
+export const updateExchangeRateController = async (req, res) => {
+  try {
+    const result = await updateExchangeRate(req.params.id, req.body);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        exchangeRateErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Exchange rate updated successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in updateExchangeRateController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Delete an exchange rate (admin); rates recorded on payments are kept
+export const deleteExchangeRateController = async (req, res) => {
+  try {
+    const result = await deleteExchangeRate(req.params.id);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        exchangeRateErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Exchange rate deleted successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in deleteExchangeRateController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
@@ -0,0 +1,241 @@
+import { sendResponse } from '../utils/response.js';
+import {
+  getAllInvoices,
+  getInvoiceById,
+  getInvoiceDocument,
+  getInvoiceStats,
+} from '../service/invoice.service.js';
+import {
+  createPaymentPlan,
+  getPaymentPlan,
+  deletePaymentPlan,
+} from '../service/paymentPlan.service.js';
+import { recordOfflinePayment } from '../service/offlinePayment.service.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+
+// Staff work invoices for any account (payment plans, offline payments)
+const isOperator = (user) => ['ADMIN', 'STAFF'].includes(user?.role);
+
+// Payment plan errors: unknown invoice 404, someone else's invoice 403
+const paymentPlanErrorStatus = (errors = []) => {
+  if (errors.some((e) => e.includes('not found'))) return 404;
+  if (errors.some((e) => e.includes('your own invoices'))) return 403;
+  return 400;
+};
+
+// Customers only ever see invoices billed to their own account
+const canAccessInvoice = (user, invoice) =>
+  isOperator(user) || invoice.account_id === user?.account_id;
+
+// List invoices (staff and admins: all, optionally by account; customers:
+// their own)
+export const getAllInvoicesController = async (req, res) => {
+  try {
+    const filters = {
+      account_id: isOperator(req.user)
+        ? req.query.account_id
+        : req.user.account_id,
+      event_id: req.query.event_id,
+      status: req.query.status,
+      invoice_type: req.query.invoice_type,
+      dateMin: req.query.dateMin,
+      dateMax: req.query.dateMax,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      sortBy: req.query.sortBy || 'issue_date',
+      sortOrder: req.query.sortOrder || 'desc',
+    };
+
+    const result = await getAllInvoices(filters);
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Invoices retrieved successfully',
+      result.data.invoices,
+      result.data.pagination
+    );
+  } catch (error) {
+    console.error('Error in getAllInvoicesController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Invoice totals by status, scoped like the list
+export const getInvoiceStatsController = async (req, res) => {
+  try {
+    const accountId = isOperator(req.user)
+      ? Number(req.query.account_id) || undefined
+      : req.user.account_id;
+    const stats = await getInvoiceStats({ account_id: accountId });
+    return sendResponse(
+      res,
+      200,
+      'Invoice stats retrieved successfully',
+      stats
+    );
+  } catch (error) {
+    console.error('Error in getInvoiceStatsController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Get one invoice with its line items
+export const getInvoiceByIdController = async (req, res) => {
+  try {
+    const result = await getInvoiceById(req.params.id);
+
+    if (!result.isValid) {
+      return sendResponse(res, 404, result.errors);
+    }
+    if (!canAccessInvoice(req.user, result.data)) {
+      return sendResponse(res, 403, 'You can only view your own invoices');
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Invoice retrieved successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in getInvoiceByIdController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Download an invoice as PDF
+export const getInvoicePdfController = async (req, res) => {
+  try {
+    const result = await getInvoiceDocument(req.params.id);
+
+    if (!result.isValid) {
+      return sendResponse(res, 404, result.errors);
+    }
+    const { invoice, summary } = result.data;
+    if (!canAccessInvoice(req.user, invoice)) {
+      return sendResponse(res, 403, 'You can only view your own invoices');
+    }
+
+    const pdf = await renderInvoicePdf(invoice, summary);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set(
+      'Content-Disposition',
+      `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${
+        invoice.invoice_number
+      }.pdf"`
+    );
+    res.set('Cache-Control', 'private, no-store');
+    return res.status(200).send(pdf);
+  } catch (error) {
+    console.error('Error in getInvoicePdfController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Get an invoice's installments and what is left to pay
+export const getPaymentPlanController = async (req, res) => {
+  try {
+    const result = await getPaymentPlan(req.params.id, req.user);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        paymentPlanErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Payment plan retrieved successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in getPaymentPlanController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Split an unpaid invoice into a deposit and balance (or a custom schedule
+// for admin/staff)
+export const createPaymentPlanController = async (req, res) => {
+  try {
+    const result = await createPaymentPlan(req.params.id, req.body, req.user);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        paymentPlanErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      201,
+      'Payment plan created successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in createPaymentPlanController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Go back to paying the invoice in one go (nothing paid yet)
+export const deletePaymentPlanController = async (req, res) => {
+  try {
+    const result = await deletePaymentPlan(req.params.id, req.user);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        paymentPlanErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Payment plan removed successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in deletePaymentPlanController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Record a cash or bank transfer payment with its reference and an optional
+// proof file (admin/staff)
+export const recordOfflinePaymentController = async (req, res) => {
+  try {
+    const result = await recordOfflinePayment(
+      req.params.id,
+      req.body,
+      req.file,
+      req.user
+    );
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        paymentPlanErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(res, 201, 'Payment recorded successfully', result.data);
+  } catch (error) {
+    console.error('Error in recordOfflinePaymentController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
@@ -3,13 +3,20 @@ import {
   updatePayment,
   getPaymentById,
   getAllPayments,
-  deletePayment
+  deletePayment,
+  syncPayment
 } from '../service/payment.service.js';
+import {
+  refundPayment,
+  getPaymentRefunds,
+  REFUND_ERRORS
+} from '../service/refund.service.js';
 import { sendResponse } from '../utils/response.js';
-import { validateToken } from '../middleware/authMiddleware.js';
+import { validateToken, validateStaffOrAdmin } from '../middleware/authMiddleware.js';
+import { validateIdempotencyKey } from '../middleware/idempotencyMiddleware.js';
 
 // Create Payment
-export const createPaymentController = [validateToken, async (req, res) => {
+export const createPaymentController = [validateToken, validateIdempotencyKey, async (req, res) => {
   try {
     const paymentData = req.body;
     paymentData.account_id = req.user.account_id;
@@ -96,4 +103,59 @@ export const deletePaymentController = [validateToken, async (req, res) => {
     console.error('Error in deletePayment:', error);
     return sendResponse(res, 500, "Error deleting payment");
   }
-}];
\ No newline at end of file
+}];
+
+const getRefundErrorStatus = (result) => {
+  if (result.data?.code === REFUND_ERRORS.PROVIDER_FAILED) return 502;
+  if (result.errors.some((e) => e.includes("not found"))) return 404;
+  if (result.errors.some((e) => e.includes("do not have access"))) return 403;
+  return 400;
+};
+
+// Refund Payment (full or partial, admin/staff)
+export const createPaymentRefundController = [validateToken, validateStaffOrAdmin, validateIdempotencyKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await refundPayment(id, req.body, req.user);
+
+    if (!result.isValid) {
+      return sendResponse(res, getRefundErrorStatus(result), result.errors, result.data);
+    }
+    return sendResponse(res, 201, "Refund issued successfully", result.data);
+  } catch (error) {
+    console.error('Error in refundPayment:', error);
+    return sendResponse(res, 500, "Error issuing refund");
+  }
+}];
+
+// Get Payment Refunds
+export const getPaymentRefundsController = [validateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await getPaymentRefunds(id, req.user);
+
+    if (!result.isValid) {
+      return sendResponse(res, getRefundErrorStatus(result), result.errors);
+    }
+    return sendResponse(res, 200, "Refunds retrieved successfully", result.data);
+  } catch (error) {
+    console.error('Error in getPaymentRefunds:', error);
+    return sendResponse(res, 500, "Error retrieving refunds");
+  }
+}];
+
+// Sync Payment with its provider
+export const syncPaymentController = [validateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await syncPayment(id, req.user);
+
+    if (!result.isValid) {
+      return sendResponse(res, getRefundErrorStatus(result), result.errors);
+    }
+    return sendResponse(res, 200, "Payment synced successfully", result.data);
+  } catch (error) {
+    console.error('Error in syncPayment:', error);
+    return sendResponse(res, 500, "Error syncing payment");
+  }
+}];
@@ -6,15 +6,16 @@ import {
   deletePricingTier,
   togglePricingTierStatus,
   getActivePricingTiers,
-  getPricingTiersByPriceRange
+  getPricingTiersByPriceRange,
+  getVariationPrice
 } from "../service/pricingTier.service.js";
 import { sendResponse } from "../utils/response.js";
 
 
 export const createPricingTierController = async (req, res) => {
   try {
-    const { name, description, price, isActive } = req.body;
-    const result = await createPricingTier({ name, description, price, isActive });
+    const { variation_id, price_modifier, valid_from, valid_to, is_active } = req.body;
+    const result = await createPricingTier({ variation_id, price_modifier, valid_from, valid_to, is_active });
     if (!result.isValid) {
       return sendResponse(res, 400, result.errors);
     }
@@ -58,8 +59,8 @@ export const getAllPricingTiersController = async (req, res) => {
 export const updatePricingTierController = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, price, isActive } = req.body;
-    const result = await updatePricingTier(id, { name, description, price, isActive });
+    const { variation_id, price_modifier, valid_from, valid_to, is_active } = req.body;
+    const result = await updatePricingTier(id, { variation_id, price_modifier, valid_from, valid_to, is_active });
     if (!result.isValid) {
       return sendResponse(res, 400, result.errors);
     }
@@ -129,4 +130,21 @@ export const getPricingTiersByPriceRangeController = async (req, res) => {
   }
 }
 
+// Effective price of a variation on ?date= (defaults to today)
+export const getVariationPriceController = async (req, res) => {
+  try {
+    const { variationId } = req.params;
+    const { date } = req.query;
+    const result = await getVariationPrice(variationId, date);
+    if (!result.isValid) {
+      const status = result.errors.includes("Variation not found") ? 404 : 400;
+      return sendResponse(res, status, result.errors);
+    }
+    return sendResponse(res, 200, "Variation price retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error retrieving variation price:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+}
+
 
@@ -0,0 +1,180 @@
+import { sendResponse } from '../utils/response.js';
+import {
+  createPromotion,
+  getPromotions,
+  getPromotionById,
+  updatePromotion,
+  deletePromotion,
+  getPromotionRedemptions,
+  getPromotionStats,
+} from '../service/promotion.service.js';
+
+const promotionErrorStatus = (errors = []) =>
+  errors.some((e) => e.includes('not found')) ? 404 : 400;
+
+// Create a promotion code (admin)
+export const createPromotionController = async (req, res) => {
+  try {
+    const result = await createPromotion(req.body);
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      201,
+      'Promotion created successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in createPromotionController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// List promotions (admin); ?current=true returns the codes usable now
+export const getPromotionsController = async (req, res) => {
+  try {
+    const result = await getPromotions(req.query);
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Promotions retrieved successfully',
+      result.data.promotions,
+      result.data.pagination
+    );
+  } catch (error) {
+    console.error('Error in getPromotionsController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Redemption analytics per promotion (admin); ?dateMin=&dateMax=
+export const getPromotionStatsController = async (req, res) => {
+  try {
+    const result = await getPromotionStats(req.query);
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Promotion analytics retrieved successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in getPromotionStatsController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Get a promotion by ID (admin)
+export const getPromotionByIdController = async (req, res) => {
+  try {
+    const result = await getPromotionById(req.params.id);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        promotionErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Promotion retrieved successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in getPromotionByIdController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Redemptions of a promotion (admin)
+export const getPromotionRedemptionsController = async (req, res) => {
+  try {
+    const result = await getPromotionRedemptions(req.params.id, req.query);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        promotionErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Promotion redemptions retrieved successfully',
+      result.data.redemptions,
+      result.data.pagination
+    );
+  } catch (error) {
+    console.error('Error in getPromotionRedemptionsController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Update a promotion (admin)
+export const updatePromotionController = async (req, res) => {
+  try {
+    const result = await updatePromotion(req.params.id, req.body);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        promotionErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Promotion updated successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in updatePromotionController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Delete a promotion (admin); redeemed promotions are deactivated
+export const deletePromotionController = async (req, res) => {
+  try {
+    const result = await deletePromotion(req.params.id);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        promotionErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      result.data.deactivated
+        ? 'Promotion has been redeemed and was deactivated'
+        : 'Promotion deleted successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in deletePromotionController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
@@ -0,0 +1,208 @@
+import { sendResponse } from '../utils/response.js';
+import {
+  importBankStatement,
+  getReconciliation,
+  matchStatementLine,
+  ignoreStatementLine,
+  autoMatchStatementLines,
+} from '../service/reconciliation.service.js';
+import {
+  syncStalePayments,
+  getPaymentSyncRuns,
+  getPaymentSyncRun,
+} from '../service/paymentSync.service.js';
+
+const reconciliationErrorStatus = (errors = []) =>
+  errors.some((e) => e.includes('not found')) ? 404 : 400;
+
+// Import a bank statement CSV (multipart "statement"; ?currency= for files
+// without a currency column)
+export const importBankStatementController = async (req, res) => {
+  try {
+    const result = await importBankStatement(
+      req.file,
+      { currency: req.body?.currency || req.query.currency },
+      req.user
+    );
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      201,
+      'Bank statement imported successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in importBankStatementController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Statement lines with suggested invoices for the unmatched ones
+export const getReconciliationController = async (req, res) => {
+  try {
+    const result = await getReconciliation(req.query);
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Reconciliation retrieved successfully',
+      { lines: result.data.lines, summary: result.data.summary },
+      result.data.pagination
+    );
+  } catch (error) {
+    console.error('Error in getReconciliationController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Book a statement line as a payment on an invoice
+export const matchStatementLineController = async (req, res) => {
+  try {
+    const result = await matchStatementLine(req.params.id, req.body, req.user);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        reconciliationErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Statement line matched successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in matchStatementLineController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Mark a statement line as not an invoice payment
+export const ignoreStatementLineController = async (req, res) => {
+  try {
+    const result = await ignoreStatementLine(req.params.id, req.body, req.user);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        reconciliationErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Statement line ignored successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in ignoreStatementLineController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Book every line that has exactly one exact match
+export const autoMatchStatementLinesController = async (req, res) => {
+  try {
+    const result = await autoMatchStatementLines(req.body, req.user);
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Statement lines matched successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in autoMatchStatementLinesController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Run the stale payment sync now (body.stale_after_minutes overrides the
+// configured threshold)
+export const syncStalePaymentsController = async (req, res) => {
+  try {
+    const result = await syncStalePayments({
+      stale_after_minutes: req.body?.stale_after_minutes,
+      trigger: 'MANUAL',
+      user: req.user,
+    });
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      201,
+      'Stale payments synced successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in syncStalePaymentsController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Reports of past stale payment syncs
+export const getPaymentSyncRunsController = async (req, res) => {
+  try {
+    const result = await getPaymentSyncRuns(req.query);
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Payment sync runs retrieved successfully',
+      result.data.runs,
+      result.data.pagination
+    );
+  } catch (error) {
+    console.error('Error in getPaymentSyncRunsController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// One stale payment sync report with its per-payment results
+export const getPaymentSyncRunController = async (req, res) => {
+  try {
+    const result = await getPaymentSyncRun(req.params.id);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        reconciliationErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Payment sync run retrieved successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in getPaymentSyncRunController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
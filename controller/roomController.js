@@ -6,7 +6,21 @@ import {
   deleteRoom,
   checkRoomAvailability,
   restoreRoom,
+  getRoomCalendar,
+  findAvailableRooms,
 } from "../service/room.service.js";
+import {
+  getRoomBlackouts,
+  createRoomBlackout,
+  updateRoomBlackout,
+  deleteRoomBlackout,
+} from "../service/roomBlackout.service.js";
+import {
+  joinWaitlist,
+  getRoomWaitlist,
+  cancelWaitlistEntry,
+  processRoomWaitlist,
+} from "../service/roomWaitlist.service.js";
 
 // Create a new room
 export const createRoomController = async (req, res) => {
@@ -219,6 +233,65 @@ export const checkRoomAvailabilityController = async (req, res) => {
   }
 };
 
+// Busy blocks and free windows for one room over a date range
+export const getRoomCalendarController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, granularity } = req.query;
+
+    const result = await getRoomCalendar(id, { from, to, granularity });
+
+    if (!result.isValid) {
+      const notFound = result.errors.includes("Room not found");
+      return res.status(notFound ? 404 : 400).json({
+        success: false,
+        errors: result.errors,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result.data,
+      errors: [],
+    });
+  } catch (error) {
+    console.error("Error in getRoomCalendar controller:", error);
+    return res.status(500).json({
+      success: false,
+      errors: ["Internal server error"],
+    });
+  }
+};
+
+// Rooms free for a whole window with enough capacity, cheapest first
+// (?currency= compares the prices in that currency)
+export const findAvailableRoomsController = async (req, res) => {
+  try {
+    const { from, to, guests, currency } = req.query;
+
+    const result = await findAvailableRooms({ from, to, guests, currency });
+
+    if (!result.isValid) {
+      return res.status(400).json({
+        success: false,
+        errors: result.errors,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result.data,
+      errors: [],
+    });
+  } catch (error) {
+    console.error("Error in findAvailableRooms controller:", error);
+    return res.status(500).json({
+      success: false,
+      errors: ["Internal server error"],
+    });
+  }
+};
+
 export const restoreRoomController = async (req, res) => {
   try {
     const { id } = req.params;
@@ -244,3 +317,252 @@ export const restoreRoomController = async (req, res) => {
     });
   }
 };
+
+const blackoutErrorStatus = (result) => {
+  if (result.data?.code === "BLACKOUT_CONFLICT") return 409;
+  if (
+    result.errors.includes("Room not found") ||
+    result.errors.includes("Blackout not found")
+  ) {
+    return 404;
+  }
+  return 400;
+};
+
+// List maintenance / blackout windows of a room
+export const getRoomBlackoutsController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+    const result = await getRoomBlackouts(id, { from, to });
+
+    if (!result.isValid) {
+      return res.status(blackoutErrorStatus(result)).json({
+        success: false,
+        errors: result.errors,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result.data,
+      errors: [],
+    });
+  } catch (error) {
+    console.error("Error in getRoomBlackouts controller:", error);
+    return res.status(500).json({
+      success: false,
+      errors: ["Internal server error"],
+    });
+  }
+};
+
+// Schedule a maintenance / blackout window (force=true to override bookings)
+export const createRoomBlackoutController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await createRoomBlackout(id, req.body, req.user);
+
+    if (!result.isValid) {
+      return res.status(blackoutErrorStatus(result)).json({
+        success: false,
+        errors: result.errors,
+        data: result.data,
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: result.data,
+      errors: [],
+    });
+  } catch (error) {
+    console.error("Error in createRoomBlackout controller:", error);
+    return res.status(500).json({
+      success: false,
+      errors: ["Internal server error"],
+    });
+  }
+};
+
+// Update a maintenance / blackout window
+export const updateRoomBlackoutController = async (req, res) => {
+  try {
+    const { id, blackoutId } = req.params;
+    const result = await updateRoomBlackout(id, blackoutId, req.body);
+
+    if (!result.isValid) {
+      return res.status(blackoutErrorStatus(result)).json({
+        success: false,
+        errors: result.errors,
+        data: result.data,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result.data,
+      errors: [],
+    });
+  } catch (error) {
+    console.error("Error in updateRoomBlackout controller:", error);
+    return res.status(500).json({
+      success: false,
+      errors: ["Internal server error"],
+    });
+  }
+};
+
+// Remove a maintenance / blackout window
+export const deleteRoomBlackoutController = async (req, res) => {
+  try {
+    const { id, blackoutId } = req.params;
+    const result = await deleteRoomBlackout(id, blackoutId);
+
+    if (!result.isValid) {
+      return res.status(blackoutErrorStatus(result)).json({
+        success: false,
+        errors: result.errors,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: null,
+      errors: [],
+    });
+  } catch (error) {
+    console.error("Error in deleteRoomBlackout controller:", error);
+    return res.status(500).json({
+      success: false,
+      errors: ["Internal server error"],
+    });
+  }
+};
+
+const waitlistErrorStatus = (result) => {
+  if (
+    result.data?.code === "SLOT_AVAILABLE" ||
+    result.data?.code === "ALREADY_WAITLISTED"
+  ) {
+    return 409;
+  }
+  if (
+    result.errors.includes("Room not found") ||
+    result.errors.includes("Waitlist entry not found")
+  ) {
+    return 404;
+  }
+  if (result.errors.some((e) => e.startsWith("You can only"))) return 403;
+  return 400;
+};
+
+// Join the waitlist for an unavailable window of a room
+export const joinWaitlistController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await joinWaitlist(id, req.body, req.user);
+
+    if (!result.isValid) {
+      return res.status(waitlistErrorStatus(result)).json({
+        success: false,
+        errors: result.errors,
+        data: result.data,
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: result.data,
+      errors: [],
+    });
+  } catch (error) {
+    console.error("Error in joinWaitlist controller:", error);
+    return res.status(500).json({
+      success: false,
+      errors: ["Internal server error"],
+    });
+  }
+};
+
+// List a room's waitlist (whole queue for admin/staff, own entries otherwise)
+export const getRoomWaitlistController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+    const result = await getRoomWaitlist(id, { status }, req.user);
+
+    if (!result.isValid) {
+      return res.status(waitlistErrorStatus(result)).json({
+        success: false,
+        errors: result.errors,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result.data,
+      errors: [],
+    });
+  } catch (error) {
+    console.error("Error in getRoomWaitlist controller:", error);
+    return res.status(500).json({
+      success: false,
+      errors: ["Internal server error"],
+    });
+  }
+};
+
+// Leave the waitlist (owner) or remove an entry from the queue (admin/staff)
+export const cancelWaitlistEntryController = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const result = await cancelWaitlistEntry(id, entryId, req.user);
+
+    if (!result.isValid) {
+      return res.status(waitlistErrorStatus(result)).json({
+        success: false,
+        errors: result.errors,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result.data,
+      errors: [],
+    });
+  } catch (error) {
+    console.error("Error in cancelWaitlistEntry controller:", error);
+    return res.status(500).json({
+      success: false,
+      errors: ["Internal server error"],
+    });
+  }
+};
+
+// Re-evaluate a room's waitlist now instead of waiting for the sweeper
+export const processRoomWaitlistController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await processRoomWaitlist(id);
+
+    if (!result.isValid) {
+      return res.status(400).json({
+        success: false,
+        errors: result.errors,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result.data,
+      errors: [],
+    });
+  } catch (error) {
+    console.error("Error in processRoomWaitlist controller:", error);
+    return res.status(500).json({
+      success: false,
+      errors: ["Internal server error"],
+    });
+  }
+};
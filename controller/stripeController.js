@@ -1,177 +1,23 @@
 import { PrismaClient } from '@prisma/client';
-import Stripe from 'stripe';
-import {
-  createStripeCheckoutSession,
-  stripeCallbackHandler,
-} from '../service/payment.service.js';
-import { updateInvoice } from '../service/invoice.service.js';
-import { createValidationResult } from '../utils/validation.js';
+import { syncCheckoutPayment } from '../service/payment.service.js';
 import { sendResponse } from '../utils/response.js';
 import { validateToken } from '../middleware/authMiddleware.js';
-import { createNotification } from '../utils/notification.js';
+import { validateIdempotencyKey } from '../middleware/idempotencyMiddleware.js';
+import { createCheckoutHandler } from './checkoutController.js';
+import {
+  handleStripeWebhook,
+  WEBHOOK_ERRORS,
+} from '../service/stripeWebhook.service.js';
 
 const prisma = new PrismaClient();
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || undefined);
 
-// Create Stripe Checkout Session
+const PROVIDER = 'STRIPE';
+
+// Create Stripe Checkout Session (STRIPE unless another provider is asked for)
 export const createCheckoutSession = [
   validateToken,
-  async (req, res) => {
-    try {
-      const { userId, event_id } = req.body;
-
-      if (!userId || !event_id) {
-        return sendResponse(
-          res,
-          400,
-          'Missing required parameters: userId, cartItems, or event_id'
-        );
-      }
-
-      if (Number(userId) !== req.user.account_id) {
-        return sendResponse(
-          res,
-          403,
-          'Unauthorized: User ID does not match authenticated user'
-        );
-      }
-
-      const event = await prisma.event.findUnique({
-        where: { event_id: Number(event_id) },
-        select: {
-          event_id: true,
-          account_id: true,
-          status: true,
-          estimated_cost: true,
-          room: {
-            select: { room_id: true, room_name: true, base_price: true },
-          },
-          event_services: {
-            select: {
-              service_id: true,
-              variation_id: true,
-              service: {
-                select: {
-                  service_name: true,
-                },
-              },
-              variation: {
-                select: {
-                  variation_name: true,
-                  base_price: true,
-                },
-              },
-            },
-          },
-        },
-      });
-
-      if (!event || event.status === 'CANCELLED') {
-        return sendResponse(res, 404, 'Event not found or cancelled');
-      }
-      if (event.account_id !== Number(userId)) {
-        return sendResponse(res, 403, 'Event does not belong to user');
-      }
-
-      const totalAmount = convertCurrency(Number(event.estimated_cost));
-
-      const invoice = await prisma.invoice.findUnique({
-        where: { event_id: Number(event_id) },
-        select: {
-          invoice_id: true,
-          total_amount: true,
-          status: true,
-          account_id: true,
-        },
-      });
-      if (!invoice) {
-        return sendResponse(res, 404, 'Invoice not found');
-      }
-      if (invoice.status === 'PAID') {
-        return sendResponse(res, 400, 'Invoice already paid');
-      }
-      if (invoice.account_id !== Number(userId)) {
-        return sendResponse(res, 403, 'Invoice does not belong to user');
-      }
-
-      if (totalAmount > Number(invoice.total_amount)) {
-        return sendResponse(res, 400, 'Cart total exceeds invoice total');
-      }
-
-      const currency = 'usd';
-
-      const serviceItems = event.event_services.map((service) => {
-        return {
-          price_data: {
-            currency,
-            product_data: {
-              name: `${service.service.service_name} - ${service.variation.variation_name}`,
-            },
-            unit_amount: Math.round(
-              convertCurrency(Number(service.variation.base_price)) * 100
-            ),
-          },
-          quantity: 1,
-        };
-      });
-
-      const roomItem = {
-        price_data: {
-          currency,
-          product_data: {
-            name: `${event.room.room_name}`,
-          },
-          unit_amount: Math.round(
-            convertCurrency(Number(event.room.base_price)) * 100
-          ),
-        },
-        quantity: 1,
-      };
-
-      const lineItems = [roomItem, ...serviceItems];
-
-      // Use your payment service to create the Stripe session
-      const stripeResponse = await createStripeCheckoutSession(
-        userId,
-        lineItems
-      );
-
-      // Create a pending payment record
-      const payment = await prisma.$transaction(async (tx) => {
-        const newPayment = await tx.payment.create({
-          data: {
-            amount: totalAmount,
-            payment_method: 'STRIPE',
-            payment_status: 'PENDING',
-            stripe_payment_id: stripeResponse.id,
-            account_id: Number(userId),
-            invoice_id: Number(invoice.invoice_id),
-            event_id: Number(event_id),
-            payment_date: new Date(),
-          },
-          include: {
-            account: { select: { account_id: true, account_name: true } },
-            invoice: { select: { invoice_id: true, invoice_number: true } },
-            event: { select: { event_id: true, event_name: true } },
-          },
-        });
-        return newPayment;
-      });
-
-      return sendResponse(
-        res,
-        200,
-        'Stripe checkout session created successfully',
-        {
-          stripeSession: stripeResponse,
-          payment_id: payment.payment_id,
-        }
-      );
-    } catch (error) {
-      console.error('Error in createCheckoutSession:', error);
-      return sendResponse(res, 500, 'Error creating Stripe checkout session');
-    }
-  },
+  validateIdempotencyKey,
+  createCheckoutHandler(PROVIDER),
 ];
 
 // Stripe Callback (for Stripe redirect)
@@ -187,7 +33,11 @@ export const stripeCallback = async (req, res) => {
 
     if (status === 'canceled') {
       await prisma.payment.updateMany({
-        where: { stripe_payment_id: session_id },
+        where: {
+          provider: PROVIDER,
+          provider_reference: session_id,
+          payment_status: 'PENDING',
+        },
         data: { payment_status: 'CANCELLED' },
       });
       return res.redirect(
@@ -195,74 +45,10 @@ export const stripeCallback = async (req, res) => {
       );
     }
 
-    // Use your payment service to handle the callback
-    const paymentData = await stripeCallbackHandler(session_id);
-
-    const result = await prisma.$transaction(async (tx) => {
-      const payment = await tx.payment.findFirst({
-        where: { stripe_payment_id: session_id },
-        select: {
-          payment_id: true,
-          invoice_id: true,
-          account_id: true,
-          event_id: true,
-        },
-      });
-
-      if (!payment) {
-        return createValidationResult(false, [
-          'Payment not found for this session',
-        ]);
-      }
-
-      await tx.payment.update({
-        where: { payment_id: payment.payment_id },
-        data: {
-          payment_status: 'COMPLETED',
-          transaction_id: paymentData.paymentIntentId,
-          amount: Number(paymentData.amount),
-        },
-      });
-
-      if (payment.invoice_id) {
-        const invoiceUpdate = await updateInvoice(
-          payment.invoice_id,
-          { status: 'PAID', paid_at: new Date() },
-          tx
-        );
-        if (!invoiceUpdate.isValid) {
-          return createValidationResult(false, [
-            'Failed to update invoice status',
-            ...invoiceUpdate.errors,
-          ]);
-        }
-      }
-
-      if (payment.event_id) {
-        const eventUpdate = await tx.event.update({
-          where: { event_id: payment.event_id },
-          data: { status: 'CONFIRMED' },
-        });
-
-        const notification = await createNotification(
-          {
-            account_id: payment.account_id,
-            title: 'Payment Successful',
-            message: `Your payment of ${paymentData.amount} for event "${eventUpdate.event_name}" has been processed successfully.`,
-            type: 'PAYMENT_SUCCESS',
-          },
-          tx
-        );
-
-        if (!notification.isValid) {
-          console.warn(
-            'Failed to send payment success notification:',
-            notification.errors
-          );
-        }
-      }
-
-      return createValidationResult(true, [], { paymentData });
+    // Stripe's word on the session counts, not the redirect's status
+    const result = await syncCheckoutPayment({
+      provider: PROVIDER,
+      reference: session_id,
     });
 
     if (!result.isValid) {
@@ -273,8 +59,19 @@ export const stripeCallback = async (req, res) => {
       );
     }
 
+    const checkout = result.data;
+    if (checkout.status !== 'PAID') {
+      return res.redirect(
+        `http://localhost:5173/payment/stripe-pay-callback?status=${
+          checkout.status === 'PENDING' ? 'pending' : 'failed'
+        }`
+      );
+    }
+
+    // Paid, but the booking could not be confirmed; staff follow up
+    const unbooked = checkout.unbooked ? `&unbooked=${checkout.unbooked}` : '';
     return res.redirect(
-      `http://localhost:5173/payment/stripe-pay-callback?status=success&payment_id=${paymentData.orderId}&paymentIntentId=${paymentData.paymentIntentId}&amount=${paymentData.amount}`
+      `http://localhost:5173/payment/stripe-pay-callback?status=success&payment_id=${session_id}&paymentIntentId=${checkout.transaction_id}&amount=${checkout.amount}${unbooked}`
     );
   } catch (error) {
     console.error('Error in stripeCallback:', error);
@@ -295,64 +92,25 @@ export const checkSession = async (req, res) => {
       return sendResponse(res, 400, 'Missing required parameter: session_id');
     }
 
-    const session = await stripe.checkout.sessions.retrieve(session_id);
-
-    if (session.status === 'complete') {
-      const paymentData = await stripeCallbackHandler(session_id);
-
-      // Update Payment and Invoice
-      const result = await prisma.$transaction(async (tx) => {
-        const payment = await tx.payment.findFirst({
-          where: { stripe_payment_id: session_id },
-          select: { payment_id: true, invoice_id: true },
-        });
-
-        if (!payment) {
-          return createValidationResult(false, [
-            'Payment not found for this session',
-          ]);
-        }
-
-        await tx.payment.update({
-          where: { payment_id: payment.payment_id },
-          data: {
-            payment_status: 'COMPLETED',
-            transaction_id: paymentData.paymentIntentId,
-            amount: Number(paymentData.amount),
-          },
-        });
-
-        if (payment.invoice_id) {
-          const invoiceUpdate = await updateInvoice(
-            payment.invoice_id,
-            { status: 'PAID', paid_at: new Date() },
-            tx
-          );
-          if (!invoiceUpdate.isValid) {
-            return createValidationResult(false, [
-              'Failed to update invoice status',
-              ...invoiceUpdate.errors,
-            ]);
-          }
-        }
-
-        return createValidationResult(true, [], {
-          status: 'success',
-          orderId: paymentData.orderId,
-          paymentIntentId: paymentData.paymentIntentId,
-          amount: paymentData.amount,
-        });
-      });
+    // Update Payment and Invoice
+    const result = await syncCheckoutPayment({
+      provider: PROVIDER,
+      reference: session_id,
+    });
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
 
-      if (!result.isValid) {
-        return sendResponse(res, 400, result.errors);
-      }
-      return sendResponse(res, 200, 'Stripe session completed', result.data);
-    } else if (session.status === 'expired') {
-      await prisma.payment.updateMany({
-        where: { stripe_payment_id: session_id },
-        data: { payment_status: 'CANCELLED' },
+    const checkout = result.data;
+    if (checkout.status === 'PAID') {
+      return sendResponse(res, 200, 'Stripe session completed', {
+        status: 'success',
+        orderId: session_id,
+        paymentIntentId: checkout.transaction_id,
+        amount: checkout.amount,
+        unbooked: checkout.unbooked ?? null,
       });
+    } else if (checkout.status === 'EXPIRED') {
       return sendResponse(res, 200, 'Payment session expired', {
         status: 'canceled',
         message: 'Payment session expired',
@@ -369,6 +127,30 @@ export const checkSession = async (req, res) => {
   }
 };
 
-const convertCurrency = (amount) => {
-  return Math.round(amount / 23000);
+// Stripe Webhook (called by Stripe)
+// Answers 2xx once an event is applied or known to be a redelivery; a
+// failure answers 5xx so Stripe retries the delivery later
+export const stripeWebhook = async (req, res) => {
+  try {
+    const result = await handleStripeWebhook(
+      req.body,
+      req.headers['stripe-signature']
+    );
+
+    if (!result.isValid) {
+      const status =
+        result.data?.code === WEBHOOK_ERRORS.INVALID_SIGNATURE ? 400 : 500;
+      return sendResponse(res, status, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      200,
+      result.data.duplicate ? 'Event already processed' : 'Webhook processed',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in stripeWebhook:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
 };
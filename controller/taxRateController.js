@@ -0,0 +1,120 @@
+import { sendResponse } from '../utils/response.js';
+import {
+  createTaxRate,
+  getTaxRates,
+  getTaxRateById,
+  updateTaxRate,
+  deleteTaxRate,
+} from '../service/tax.service.js';
+
+const taxRateErrorStatus = (errors = []) =>
+  errors.some((e) => e.includes('not found')) ? 404 : 400;
+
+// Create a tax rate (admin)
+export const createTaxRateController = async (req, res) => {
+  try {
+    const result = await createTaxRate(req.body);
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 201, 'Tax rate created successfully', result.data);
+  } catch (error) {
+    console.error('Error in createTaxRateController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// List tax rates; ?date= returns the rates in effect that day
+export const getTaxRatesController = async (req, res) => {
+  try {
+    const result = await getTaxRates(req.query);
+
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Tax rates retrieved successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in getTaxRatesController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Get a tax rate by ID
+export const getTaxRateByIdController = async (req, res) => {
+  try {
+    const result = await getTaxRateById(req.params.id);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        taxRateErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      'Tax rate retrieved successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in getTaxRateByIdController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Update a tax rate (admin)
+export const updateTaxRateController = async (req, res) => {
+  try {
+    const result = await updateTaxRate(req.params.id, req.body);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        taxRateErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(res, 200, 'Tax rate updated successfully', result.data);
+  } catch (error) {
+    console.error('Error in updateTaxRateController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Delete a tax rate (admin); rates already on invoices are deactivated
+export const deleteTaxRateController = async (req, res) => {
+  try {
+    const result = await deleteTaxRate(req.params.id);
+
+    if (!result.isValid) {
+      return sendResponse(
+        res,
+        taxRateErrorStatus(result.errors),
+        result.errors
+      );
+    }
+
+    return sendResponse(
+      res,
+      200,
+      result.data.deactivated
+        ? 'Tax rate is used on invoices and was deactivated'
+        : 'Tax rate deleted successfully',
+      result.data
+    );
+  } catch (error) {
+    console.error('Error in deleteTaxRateController:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
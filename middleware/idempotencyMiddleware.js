@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import { sendResponse } from '../utils/response.js';
+import {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+  IDEMPOTENCY_ERRORS,
+} from '../service/idempotency.service.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// Same value for the same JSON whatever order its keys were sent in
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, canonicalize(value[key])])
+    );
+  }
+  return value;
+};
+
+const hash = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const fingerprintRequest = (req) => {
+  const path = `${req.baseUrl}${req.path}`;
+  return {
+    method: req.method,
+    path: path.slice(0, 255),
+    request_hash: hash(
+      JSON.stringify({
+        method: req.method,
+        path,
+        body: canonicalize(req.body ?? null),
+        // multipart uploads (e.g. a payment proof) count with their content
+        file: req.file ? hash(req.file.buffer) : null,
+      })
+    ),
+  };
+};
+
+// Honors an Idempotency-Key header on a mutation: the first request with a
+// key runs and its 2xx/3xx JSON response is stored; repeats of it within
+// IDEMPOTENCY_KEY_TTL_HOURS get that response again (Idempotent-Replayed:
+// true) instead of running twice. Reusing a key for a different request is
+// a 422 and a repeat while the first is still running a 409. A request that
+// fails releases its key so it can be retried. Goes after validateToken (and
+// any upload middleware); requests without the header are not affected.
+export const validateIdempotencyKey = async (req, res, next) => {
+  const key = req.get('Idempotency-Key')?.trim();
+  if (!key || !req.user) return next();
+  if (key.length > MAX_KEY_LENGTH) {
+    return sendResponse(
+      res,
+      400,
+      `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    );
+  }
+
+  const result = await beginIdempotentRequest(
+    req.user.account_id,
+    key,
+    fingerprintRequest(req)
+  );
+  if (!result.isValid) {
+    const status = {
+      [IDEMPOTENCY_ERRORS.KEY_REUSED]: 422,
+      [IDEMPOTENCY_ERRORS.IN_PROGRESS]: 409,
+    }[result.data?.code];
+    return sendResponse(res, status || 500, result.errors);
+  }
+
+  const { record, replay } = result.data;
+  if (replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.response_status).json(record.response_body);
+  }
+
+  // Store the response before it goes out, so a repeat right after it
+  // replays it rather than finding the key still IN_PROGRESS
+  let settled = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.json = json;
+    settled = true;
+    const save =
+      res.statusCode < 400
+        ? completeIdempotentRequest(record.idempotency_id, res.statusCode, body)
+        : releaseIdempotentRequest(record.idempotency_id);
+    save
+      .catch((error) =>
+        console.error(
+          `Failed to save Idempotency-Key ${record.idempotency_id}:`,
+          error
+        )
+      )
+      .finally(() => json(body));
+    return res;
+  };
+  // Responses that are not JSON (or none at all) are not replayed
+  res.on('close', () => {
+    if (settled) return;
+    releaseIdempotentRequest(record.idempotency_id).catch((error) =>
+      console.error(
+        `Failed to release Idempotency-Key ${record.idempotency_id}:`,
+        error
+      )
+    );
+  });
+
+  next();
+};
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "original_payment_id" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "payments_original_payment_id_idx" ON "payments"("original_payment_id");
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_original_payment_id_fkey" FOREIGN KEY ("original_payment_id") REFERENCES "payments"("payment_id") ON DELETE SET NULL ON UPDATE CASCADE;
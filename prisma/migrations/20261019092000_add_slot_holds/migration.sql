@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "HoldStatus" AS ENUM ('ACTIVE', 'RELEASED', 'EXPIRED', 'CONVERTED');
+
+-- CreateTable
+CREATE TABLE "slot_holds" (
+    "hold_id" SERIAL NOT NULL,
+    "start_time" TIMESTAMP(6) NOT NULL,
+    "end_time" TIMESTAMP(6) NOT NULL,
+    "status" "HoldStatus" NOT NULL DEFAULT 'ACTIVE',
+    "expires_at" TIMESTAMP(6) NOT NULL,
+    "released_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "event_id" INTEGER NOT NULL,
+    "room_id" INTEGER,
+    "variation_id" INTEGER,
+    "payment_id" INTEGER,
+
+    CONSTRAINT "slot_holds_pkey" PRIMARY KEY ("hold_id")
+);
+
+-- CreateIndex
+CREATE INDEX "slot_holds_event_id_idx" ON "slot_holds"("event_id");
+
+-- CreateIndex
+CREATE INDEX "slot_holds_room_id_status_idx" ON "slot_holds"("room_id", "status");
+
+-- CreateIndex
+CREATE INDEX "slot_holds_variation_id_status_idx" ON "slot_holds"("variation_id", "status");
+
+-- CreateIndex
+CREATE INDEX "slot_holds_payment_id_idx" ON "slot_holds"("payment_id");
+
+-- CreateIndex
+CREATE INDEX "slot_holds_status_expires_at_idx" ON "slot_holds"("status", "expires_at");
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "events"("event_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "rooms"("room_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_variation_id_fkey" FOREIGN KEY ("variation_id") REFERENCES "variations"("variation_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_payment_id_fkey" FOREIGN KEY ("payment_id") REFERENCES "payments"("payment_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "BlackoutType" AS ENUM ('MAINTENANCE', 'BLACKOUT');
+
+-- CreateTable
+CREATE TABLE "room_blackouts" (
+    "blackout_id" SERIAL NOT NULL,
+    "start_time" TIMESTAMP(6) NOT NULL,
+    "end_time" TIMESTAMP(6) NOT NULL,
+    "type" "BlackoutType" NOT NULL DEFAULT 'MAINTENANCE',
+    "reason" TEXT,
+    "forced" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "room_id" INTEGER NOT NULL,
+    "created_by" INTEGER,
+
+    CONSTRAINT "room_blackouts_pkey" PRIMARY KEY ("blackout_id")
+);
+
+-- CreateIndex
+CREATE INDEX "room_blackouts_room_id_start_time_end_time_idx" ON "room_blackouts"("room_id", "start_time", "end_time");
+
+-- CreateIndex
+CREATE INDEX "room_blackouts_created_by_idx" ON "room_blackouts"("created_by");
+
+-- AddForeignKey
+ALTER TABLE "room_blackouts" ADD CONSTRAINT "room_blackouts_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "rooms"("room_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "room_blackouts" ADD CONSTRAINT "room_blackouts_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
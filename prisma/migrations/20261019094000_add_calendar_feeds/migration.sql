@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "CalendarScope" AS ENUM ('ROOM', 'ACCOUNT', 'EVENT');
+
+-- CreateTable
+CREATE TABLE "calendar_feeds" (
+    "feed_id" SERIAL NOT NULL,
+    "token" VARCHAR(64) NOT NULL,
+    "scope" "CalendarScope" NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_accessed_at" TIMESTAMP(6),
+    "revoked_at" TIMESTAMP(6),
+    "owner_id" INTEGER NOT NULL,
+    "room_id" INTEGER,
+    "account_id" INTEGER,
+    "event_id" INTEGER,
+
+    CONSTRAINT "calendar_feeds_pkey" PRIMARY KEY ("feed_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "calendar_feeds_token_key" ON "calendar_feeds"("token");
+
+-- CreateIndex
+CREATE INDEX "calendar_feeds_owner_id_idx" ON "calendar_feeds"("owner_id");
+
+-- CreateIndex
+CREATE INDEX "calendar_feeds_room_id_idx" ON "calendar_feeds"("room_id");
+
+-- CreateIndex
+CREATE INDEX "calendar_feeds_account_id_idx" ON "calendar_feeds"("account_id");
+
+-- CreateIndex
+CREATE INDEX "calendar_feeds_event_id_idx" ON "calendar_feeds"("event_id");
+
+-- AddForeignKey
+ALTER TABLE "calendar_feeds" ADD CONSTRAINT "calendar_feeds_owner_id_fkey" FOREIGN KEY ("owner_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "calendar_feeds" ADD CONSTRAINT "calendar_feeds_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "rooms"("room_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "calendar_feeds" ADD CONSTRAINT "calendar_feeds_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "calendar_feeds" ADD CONSTRAINT "calendar_feeds_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "events"("event_id") ON DELETE CASCADE ON UPDATE CASCADE;
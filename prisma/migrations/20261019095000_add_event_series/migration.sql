@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "events" ADD COLUMN     "occurrence_index" INTEGER,
+ADD COLUMN     "series_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "event_series" (
+    "series_id" SERIAL NOT NULL,
+    "series_name" VARCHAR(1024) NOT NULL,
+    "rrule" VARCHAR(500) NOT NULL,
+    "exceptions" JSONB,
+    "first_start" TIMESTAMP(6) NOT NULL,
+    "first_end" TIMESTAMP(6) NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "account_id" INTEGER,
+    "room_id" INTEGER,
+    "event_type_id" INTEGER,
+
+    CONSTRAINT "event_series_pkey" PRIMARY KEY ("series_id")
+);
+
+-- CreateIndex
+CREATE INDEX "event_series_account_id_idx" ON "event_series"("account_id");
+
+-- CreateIndex
+CREATE INDEX "event_series_room_id_idx" ON "event_series"("room_id");
+
+-- CreateIndex
+CREATE INDEX "events_series_id_idx" ON "events"("series_id");
+
+-- AddForeignKey
+ALTER TABLE "events" ADD CONSTRAINT "events_series_id_fkey" FOREIGN KEY ("series_id") REFERENCES "event_series"("series_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_series" ADD CONSTRAINT "event_series_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_series" ADD CONSTRAINT "event_series_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "rooms"("room_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "WaitlistStatus" AS ENUM ('WAITING', 'OFFERED', 'FULFILLED', 'EXPIRED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "slot_holds" ALTER COLUMN "event_id" DROP NOT NULL,
+ADD COLUMN     "waitlist_entry_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "waitlist_entries" (
+    "entry_id" SERIAL NOT NULL,
+    "start_time" TIMESTAMP(6) NOT NULL,
+    "end_time" TIMESTAMP(6) NOT NULL,
+    "guests" INTEGER,
+    "notes" TEXT,
+    "status" "WaitlistStatus" NOT NULL DEFAULT 'WAITING',
+    "offered_at" TIMESTAMP(6),
+    "offer_expires_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "room_id" INTEGER NOT NULL,
+    "account_id" INTEGER NOT NULL,
+    "event_id" INTEGER,
+
+    CONSTRAINT "waitlist_entries_pkey" PRIMARY KEY ("entry_id")
+);
+
+-- CreateIndex
+CREATE INDEX "slot_holds_waitlist_entry_id_idx" ON "slot_holds"("waitlist_entry_id");
+
+-- CreateIndex
+CREATE INDEX "waitlist_entries_room_id_status_start_time_end_time_idx" ON "waitlist_entries"("room_id", "status", "start_time", "end_time");
+
+-- CreateIndex
+CREATE INDEX "waitlist_entries_account_id_idx" ON "waitlist_entries"("account_id");
+
+-- CreateIndex
+CREATE INDEX "waitlist_entries_event_id_idx" ON "waitlist_entries"("event_id");
+
+-- AddForeignKey
+ALTER TABLE "slot_holds" ADD CONSTRAINT "slot_holds_waitlist_entry_id_fkey" FOREIGN KEY ("waitlist_entry_id") REFERENCES "waitlist_entries"("entry_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "waitlist_entries" ADD CONSTRAINT "waitlist_entries_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "rooms"("room_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "waitlist_entries" ADD CONSTRAINT "waitlist_entries_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "waitlist_entries" ADD CONSTRAINT "waitlist_entries_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "events"("event_id") ON DELETE SET NULL ON UPDATE CASCADE;
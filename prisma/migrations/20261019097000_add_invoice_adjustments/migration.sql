@@ -0,0 +1,13 @@
+-- CreateEnum
+CREATE TYPE "InvoiceType" AS ENUM ('STANDARD', 'SUPPLEMENTARY', 'CREDIT_NOTE');
+
+-- AlterTable
+ALTER TABLE "invoices" ALTER COLUMN "event_id" DROP NOT NULL,
+ADD COLUMN     "invoice_type" "InvoiceType" NOT NULL DEFAULT 'STANDARD',
+ADD COLUMN     "parent_invoice_id" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "invoices_parent_invoice_id_idx" ON "invoices"("parent_invoice_id");
+
+-- AddForeignKey
+ALTER TABLE "invoices" ADD CONSTRAINT "invoices_parent_invoice_id_fkey" FOREIGN KEY ("parent_invoice_id") REFERENCES "invoices"("invoice_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "invoice_sequences" (
+    "series" VARCHAR(20) NOT NULL,
+    "year" INTEGER NOT NULL,
+    "last_number" INTEGER NOT NULL DEFAULT 0,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "invoice_sequences_pkey" PRIMARY KEY ("series","year")
+);
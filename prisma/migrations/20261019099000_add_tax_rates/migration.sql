@@ -0,0 +1,53 @@
+-- CreateEnum
+CREATE TYPE "TaxMode" AS ENUM ('INCLUSIVE', 'EXCLUSIVE');
+
+-- CreateTable
+CREATE TABLE "tax_rates" (
+    "tax_rate_id" SERIAL NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "rate" DECIMAL(5,2) NOT NULL,
+    "item_type" VARCHAR(20),
+    "mode" "TaxMode" NOT NULL DEFAULT 'EXCLUSIVE',
+    "valid_from" DATE NOT NULL,
+    "valid_to" DATE,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "tax_rates_pkey" PRIMARY KEY ("tax_rate_id")
+);
+
+-- CreateTable
+CREATE TABLE "invoice_taxes" (
+    "invoice_tax_id" SERIAL NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "rate" DECIMAL(5,2) NOT NULL,
+    "mode" "TaxMode" NOT NULL,
+    "taxable_amount" DECIMAL(10,2) NOT NULL,
+    "tax_amount" DECIMAL(10,2) NOT NULL,
+    "invoice_id" INTEGER NOT NULL,
+    "tax_rate_id" INTEGER,
+
+    CONSTRAINT "invoice_taxes_pkey" PRIMARY KEY ("invoice_tax_id")
+);
+
+-- CreateIndex
+CREATE INDEX "tax_rates_item_type_idx" ON "tax_rates"("item_type");
+
+-- CreateIndex
+CREATE INDEX "tax_rates_valid_from_valid_to_idx" ON "tax_rates"("valid_from", "valid_to");
+
+-- CreateIndex
+CREATE INDEX "tax_rates_is_active_idx" ON "tax_rates"("is_active");
+
+-- CreateIndex
+CREATE INDEX "invoice_taxes_invoice_id_idx" ON "invoice_taxes"("invoice_id");
+
+-- CreateIndex
+CREATE INDEX "invoice_taxes_tax_rate_id_idx" ON "invoice_taxes"("tax_rate_id");
+
+-- AddForeignKey
+ALTER TABLE "invoice_taxes" ADD CONSTRAINT "invoice_taxes_invoice_id_fkey" FOREIGN KEY ("invoice_id") REFERENCES "invoices"("invoice_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoice_taxes" ADD CONSTRAINT "invoice_taxes_tax_rate_id_fkey" FOREIGN KEY ("tax_rate_id") REFERENCES "tax_rates"("tax_rate_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,72 @@
+-- CreateEnum
+CREATE TYPE "DiscountType" AS ENUM ('PERCENTAGE', 'FIXED');
+
+-- CreateEnum
+CREATE TYPE "RedemptionStatus" AS ENUM ('APPLIED', 'VOID');
+
+-- CreateTable
+CREATE TABLE "promotions" (
+    "promotion_id" SERIAL NOT NULL,
+    "code" VARCHAR(50) NOT NULL,
+    "description" TEXT,
+    "discount_type" "DiscountType" NOT NULL,
+    "discount_value" DECIMAL(10,2) NOT NULL,
+    "max_discount" DECIMAL(10,2),
+    "min_spend" DECIMAL(10,2),
+    "valid_from" TIMESTAMP(6) NOT NULL,
+    "valid_to" TIMESTAMP(6),
+    "max_redemptions" INTEGER,
+    "max_redemptions_per_account" INTEGER,
+    "service_type_ids" INTEGER[],
+    "event_type_ids" INTEGER[],
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "promotions_pkey" PRIMARY KEY ("promotion_id")
+);
+
+-- CreateTable
+CREATE TABLE "promotion_redemptions" (
+    "redemption_id" SERIAL NOT NULL,
+    "discount_amount" DECIMAL(10,2) NOT NULL,
+    "status" "RedemptionStatus" NOT NULL DEFAULT 'APPLIED',
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "voided_at" TIMESTAMP(6),
+    "promotion_id" INTEGER NOT NULL,
+    "event_id" INTEGER NOT NULL,
+    "account_id" INTEGER,
+    "invoice_id" INTEGER,
+
+    CONSTRAINT "promotion_redemptions_pkey" PRIMARY KEY ("redemption_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promotions_code_key" ON "promotions"("code");
+
+-- CreateIndex
+CREATE INDEX "promotions_is_active_idx" ON "promotions"("is_active");
+
+-- CreateIndex
+CREATE INDEX "promotions_valid_from_valid_to_idx" ON "promotions"("valid_from", "valid_to");
+
+-- CreateIndex
+CREATE INDEX "promotion_redemptions_promotion_id_status_idx" ON "promotion_redemptions"("promotion_id", "status");
+
+-- CreateIndex
+CREATE INDEX "promotion_redemptions_event_id_idx" ON "promotion_redemptions"("event_id");
+
+-- CreateIndex
+CREATE INDEX "promotion_redemptions_account_id_idx" ON "promotion_redemptions"("account_id");
+
+-- AddForeignKey
+ALTER TABLE "promotion_redemptions" ADD CONSTRAINT "promotion_redemptions_promotion_id_fkey" FOREIGN KEY ("promotion_id") REFERENCES "promotions"("promotion_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion_redemptions" ADD CONSTRAINT "promotion_redemptions_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "events"("event_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion_redemptions" ADD CONSTRAINT "promotion_redemptions_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion_redemptions" ADD CONSTRAINT "promotion_redemptions_invoice_id_fkey" FOREIGN KEY ("invoice_id") REFERENCES "invoices"("invoice_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,52 @@
+-- AlterEnum
+ALTER TYPE "InvoiceStatus" ADD VALUE 'PARTIALLY_PAID';
+
+-- CreateEnum
+CREATE TYPE "InstallmentStatus" AS ENUM ('PENDING', 'PAID', 'OVERDUE', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "invoices" ADD COLUMN     "amount_paid" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "balance_due" DECIMAL(10,2);
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "installment_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "invoice_installments" (
+    "installment_id" SERIAL NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "label" VARCHAR(100) NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "due_date" TIMESTAMP(6) NOT NULL,
+    "status" "InstallmentStatus" NOT NULL DEFAULT 'PENDING',
+    "paid_at" TIMESTAMP(6),
+    "reminder_sent_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "invoice_id" INTEGER NOT NULL,
+
+    CONSTRAINT "invoice_installments_pkey" PRIMARY KEY ("installment_id")
+);
+
+-- CreateIndex
+CREATE INDEX "invoice_installments_status_due_date_idx" ON "invoice_installments"("status", "due_date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoice_installments_invoice_id_sequence_key" ON "invoice_installments"("invoice_id", "sequence");
+
+-- CreateIndex
+CREATE INDEX "payments_installment_id_idx" ON "payments"("installment_id");
+
+-- AddForeignKey
+ALTER TABLE "invoice_installments" ADD CONSTRAINT "invoice_installments_invoice_id_fkey" FOREIGN KEY ("invoice_id") REFERENCES "invoices"("invoice_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_installment_id_fkey" FOREIGN KEY ("installment_id") REFERENCES "invoice_installments"("installment_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: paid invoices were paid in full, open ones owe their total
+UPDATE "invoices" SET "amount_paid" = "total_amount" WHERE "status" = 'PAID';
+UPDATE "invoices"
+SET "balance_due" = CASE
+    WHEN "status" IN ('PENDING', 'OVERDUE') THEN "total_amount" - "amount_paid"
+    ELSE 0
+END;
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "stripe_webhook_events" (
+    "event_id" VARCHAR(255) NOT NULL,
+    "type" VARCHAR(100) NOT NULL,
+    "livemode" BOOLEAN NOT NULL DEFAULT false,
+    "result" JSONB,
+    "stripe_created_at" TIMESTAMP(6),
+    "processed_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stripe_webhook_events_pkey" PRIMARY KEY ("event_id")
+);
+
+-- CreateIndex
+CREATE INDEX "stripe_webhook_events_type_idx" ON "stripe_webhook_events"("type");
@@ -0,0 +1,53 @@
+-- AlterTable
+ALTER TABLE "accounts" ADD COLUMN     "currency" VARCHAR(3);
+
+-- AlterTable
+ALTER TABLE "variations" ADD COLUMN     "currency" VARCHAR(3) NOT NULL DEFAULT 'VND';
+
+-- AlterTable
+ALTER TABLE "rooms" ADD COLUMN     "currency" VARCHAR(3) NOT NULL DEFAULT 'VND';
+
+-- AlterTable
+ALTER TABLE "invoices" ADD COLUMN     "currency" VARCHAR(3) NOT NULL DEFAULT 'VND';
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "currency" VARCHAR(3) NOT NULL DEFAULT 'VND',
+ADD COLUMN     "base_amount" DECIMAL(10,2),
+ADD COLUMN     "exchange_rate" DECIMAL(20,10),
+ADD COLUMN     "exchange_rate_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "exchange_rates" (
+    "exchange_rate_id" SERIAL NOT NULL,
+    "base_currency" VARCHAR(3) NOT NULL,
+    "quote_currency" VARCHAR(3) NOT NULL,
+    "rate" DECIMAL(20,10) NOT NULL,
+    "effective_from" TIMESTAMP(6) NOT NULL,
+    "source" VARCHAR(100),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "exchange_rates_pkey" PRIMARY KEY ("exchange_rate_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "exchange_rates_base_currency_quote_currency_effective_from_key" ON "exchange_rates"("base_currency", "quote_currency", "effective_from");
+
+-- CreateIndex
+CREATE INDEX "payments_exchange_rate_id_idx" ON "payments"("exchange_rate_id");
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_exchange_rate_id_fkey" FOREIGN KEY ("exchange_rate_id") REFERENCES "exchange_rates"("exchange_rate_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: Stripe checkouts were charged in USD at a fixed 23000 VND per
+-- dollar; everything else was recorded in VND
+UPDATE "payments"
+SET "currency" = 'USD',
+    "exchange_rate" = 1.0 / 23000,
+    "base_amount" = ROUND("amount" * 23000, 2)
+WHERE "payment_method" = 'STRIPE';
+
+UPDATE "payments"
+SET "base_amount" = "amount",
+    "exchange_rate" = 1
+WHERE "payment_method" <> 'STRIPE';
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "amount_refunded" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "refund_reason" TEXT,
+ADD COLUMN     "processed_by" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "payments_processed_by_idx" ON "payments"("processed_by");
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_processed_by_fkey" FOREIGN KEY ("processed_by") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill refunded-to-date from the refund rows recorded so far
+UPDATE "payments" AS p
+SET "amount_refunded" = r."total"
+FROM (
+    SELECT "original_payment_id", SUM("amount") AS "total"
+    FROM "payments"
+    WHERE "payment_status" = 'REFUNDED' AND "original_payment_id" IS NOT NULL
+    GROUP BY "original_payment_id"
+) AS r
+WHERE p."payment_id" = r."original_payment_id";
@@ -0,0 +1,59 @@
+-- CreateEnum
+CREATE TYPE "StatementLineStatus" AS ENUM ('UNMATCHED', 'MATCHED', 'IGNORED');
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "reference_number" VARCHAR(100),
+ADD COLUMN     "proof_url" VARCHAR(500),
+ADD COLUMN     "proof_public_id" VARCHAR(255);
+
+-- CreateTable
+CREATE TABLE "bank_statement_lines" (
+    "line_id" SERIAL NOT NULL,
+    "import_id" VARCHAR(36) NOT NULL,
+    "file_name" VARCHAR(255),
+    "row_number" INTEGER NOT NULL,
+    "transaction_date" DATE NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "currency" VARCHAR(3) NOT NULL DEFAULT 'VND',
+    "reference" VARCHAR(255),
+    "description" TEXT,
+    "fingerprint" VARCHAR(64) NOT NULL,
+    "status" "StatementLineStatus" NOT NULL DEFAULT 'UNMATCHED',
+    "payment_id" INTEGER,
+    "imported_by" INTEGER,
+    "matched_by" INTEGER,
+    "matched_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bank_statement_lines_pkey" PRIMARY KEY ("line_id")
+);
+
+-- CreateIndex
+CREATE INDEX "payments_reference_number_idx" ON "payments"("reference_number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bank_statement_lines_fingerprint_key" ON "bank_statement_lines"("fingerprint");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bank_statement_lines_payment_id_key" ON "bank_statement_lines"("payment_id");
+
+-- CreateIndex
+CREATE INDEX "bank_statement_lines_import_id_idx" ON "bank_statement_lines"("import_id");
+
+-- CreateIndex
+CREATE INDEX "bank_statement_lines_status_idx" ON "bank_statement_lines"("status");
+
+-- CreateIndex
+CREATE INDEX "bank_statement_lines_imported_by_idx" ON "bank_statement_lines"("imported_by");
+
+-- CreateIndex
+CREATE INDEX "bank_statement_lines_matched_by_idx" ON "bank_statement_lines"("matched_by");
+
+-- AddForeignKey
+ALTER TABLE "bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_payment_id_fkey" FOREIGN KEY ("payment_id") REFERENCES "payments"("payment_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_imported_by_fkey" FOREIGN KEY ("imported_by") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_matched_by_fkey" FOREIGN KEY ("matched_by") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
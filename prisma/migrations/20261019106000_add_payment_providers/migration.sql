@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "provider" VARCHAR(30),
+ADD COLUMN     "provider_reference" VARCHAR(255);
+
+-- Stripe was the only gateway: its Checkout session ids move over
+UPDATE "payments"
+SET "provider" = 'STRIPE',
+    "provider_reference" = "stripe_payment_id"
+WHERE "stripe_payment_id" IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "payments" DROP COLUMN "stripe_payment_id";
+
+-- CreateIndex
+CREATE INDEX "payments_provider_provider_reference_idx" ON "payments"("provider", "provider_reference");
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "PaymentSyncTrigger" AS ENUM ('SCHEDULED', 'MANUAL');
+
+-- CreateTable
+CREATE TABLE "payment_sync_runs" (
+    "run_id" SERIAL NOT NULL,
+    "trigger" "PaymentSyncTrigger" NOT NULL DEFAULT 'SCHEDULED',
+    "stale_after_minutes" INTEGER NOT NULL,
+    "checked" INTEGER NOT NULL DEFAULT 0,
+    "completed" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "cancelled" INTEGER NOT NULL DEFAULT 0,
+    "still_pending" INTEGER NOT NULL DEFAULT 0,
+    "errored" INTEGER NOT NULL DEFAULT 0,
+    "results" JSONB,
+    "triggered_by" INTEGER,
+    "started_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finished_at" TIMESTAMP(6),
+
+    CONSTRAINT "payment_sync_runs_pkey" PRIMARY KEY ("run_id")
+);
+
+-- CreateIndex
+CREATE INDEX "payment_sync_runs_started_at_idx" ON "payment_sync_runs"("started_at");
+
+-- CreateIndex
+CREATE INDEX "payment_sync_runs_triggered_by_idx" ON "payment_sync_runs"("triggered_by");
+
+-- AddForeignKey
+ALTER TABLE "payment_sync_runs" ADD CONSTRAINT "payment_sync_runs_triggered_by_fkey" FOREIGN KEY ("triggered_by") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
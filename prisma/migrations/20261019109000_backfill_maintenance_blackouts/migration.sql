@@ -0,0 +1,9 @@
+-- Rooms flagged MAINTENANCE stay blocked, now by an open-ended blackout
+-- (ending 9999-12-31) that can be ended or removed per room
+INSERT INTO "room_blackouts" ("start_time", "end_time", "type", "reason", "forced", "created_at", "updated_at", "room_id")
+SELECT CURRENT_TIMESTAMP, TIMESTAMP '9999-12-31 00:00:00', 'MAINTENANCE', 'Room was in maintenance when blackouts were introduced', false, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, "room_id"
+FROM "rooms"
+WHERE "status" = 'MAINTENANCE';
+
+-- Maintenance is only scheduled through blackouts from now on
+UPDATE "rooms" SET "status" = 'AVAILABLE' WHERE "status" = 'MAINTENANCE';
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  createCalendarFeedController,
+  getCalendarFeedsController,
+  revokeCalendarFeedController,
+  getCalendarFeedIcsController,
+} from '../controller/calendarFeedController.js';
+import { validateToken } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Subscribe URL for calendar apps (token in the path, no bearer header)
+router.get('/feeds/:token.ics', getCalendarFeedIcsController);
+
+// Manage the caller's calendar feeds (authenticated users)
+router.post('/feeds', validateToken, createCalendarFeedController);
+router.get('/feeds', validateToken, getCalendarFeedsController);
+router.delete('/feeds/:id', validateToken, revokeCalendarFeedController);
+
+export default router;
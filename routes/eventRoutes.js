@@ -9,17 +9,50 @@ import {
   toggleEventStatusController,
   getEventDetails,
   updateEventStatusController,
+  getEventStatusHistoryController,
+  cancelEventController,
+  rescheduleEventController,
+  quoteEventController,
+  createEventSeriesController,
+  getEventSeriesController,
+  updateSeriesOccurrenceController,
+  cancelSeriesOccurrenceController,
+  applyEventPromotionController,
+  removeEventPromotionController,
 } from '../controller/eventController.js';
 import { validateAdmin, validateToken } from '../middleware/authMiddleware.js';
+import { validateIdempotencyKey } from '../middleware/idempotencyMiddleware.js';
 
 const router = express.Router();
 
-// Create a new event (authenticated users)
-router.post('/', validateToken, createEventController);
+// Create a new event (authenticated users); honors Idempotency-Key
+router.post('/', validateToken, validateIdempotencyKey, createEventController);
+
+// Price an event before booking it (public, read-only)
+router.post('/quote', quoteEventController);
 
 // Update an event (authenticated users)
 router.put('/:id', validateToken, updateEventController);
 
+// Recurring event series (owner or admin/staff)
+router.post(
+  '/series',
+  validateToken,
+  validateIdempotencyKey,
+  createEventSeriesController
+);
+router.get('/series/:seriesId', validateToken, getEventSeriesController);
+router.put(
+  '/series/:seriesId/occurrences/:eventId',
+  validateToken,
+  updateSeriesOccurrenceController
+);
+router.post(
+  '/series/:seriesId/occurrences/:eventId/cancel',
+  validateToken,
+  cancelSeriesOccurrenceController
+);
+
 // Get all events with filters (public or authenticated)
 router.get('/', getAllEventsController);
 
@@ -29,6 +62,19 @@ router.get('/event-types/:eventTypeId', getEventsByEventTypeIdController);
 // Get event details (authenticated users only, with role check)
 router.get('/:id/details', validateToken, getEventDetails);
 
+// Cancel an event and apply the refund policy (owner or admin/staff)
+router.post('/:id/cancel', validateToken, cancelEventController);
+
+// Move an event to a new slot, rechecking availability and repricing
+router.post('/:id/reschedule', validateToken, rescheduleEventController);
+
+// Apply or remove a promotion code while the invoice is unpaid (owner or admin/staff)
+router.post('/:id/promo', validateToken, applyEventPromotionController);
+router.delete('/:id/promo', validateToken, removeEventPromotionController);
+
+// Get event status history (owner or admin/staff)
+router.get('/:id/history', validateToken, getEventStatusHistoryController);
+
 // Get event by ID (public or authenticated)
 router.get('/:id', getEventByIdController);
 
@@ -43,7 +89,7 @@ router.patch(
   toggleEventStatusController
 );
 
-// Update event status to any allowed value (admin only)
+// Update event status through the lifecycle transition table (admin only)
 router.patch(
   '/:id/status',
   validateToken,
@@ -13,13 +13,14 @@ import {
   getUserEventServicesController
 } from "../controller/event_serviceController.js";
 import { validateToken, validateStaffOrAdmin, validateUser } from "../middleware/authMiddleware.js";
+import { validateIdempotencyKey } from "../middleware/idempotencyMiddleware.js";
 
 const router = express.Router();
 
 // ===== Event Service Routes =====
 
-// POST /api/event-services - Create a new event service (customers can book services)
-router.post("/", validateToken, createEventServiceController);
+// POST /api/event-services - Create a new event service (customers can book services); honors Idempotency-Key
+router.post("/", validateToken, validateIdempotencyKey, createEventServiceController);
 
 // GET /api/event-services - Get all event services with optional filters (staff/admin can see all)
 router.get("/", validateToken, getAllEventServicesController);
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  createExchangeRateController,
+  getExchangeRatesController,
+  getExchangeRateByIdController,
+  updateExchangeRateController,
+  deleteExchangeRateController,
+  convertAmountController,
+} from '../controller/exchangeRateController.js';
+import { validateToken, validateAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getExchangeRatesController);
+router.get('/convert', convertAmountController);
+router.get('/:id', getExchangeRateByIdController);
+
+// Admin routes
+router.post('/', validateToken, validateAdmin, createExchangeRateController);
+router.put('/:id', validateToken, validateAdmin, updateExchangeRateController);
+router.delete(
+  '/:id',
+  validateToken,
+  validateAdmin,
+  deleteExchangeRateController
+);
+
+export default router;
@@ -0,0 +1,68 @@
+import express from 'express';
+import multer from 'multer';
+import {
+  getAllInvoicesController,
+  getInvoiceStatsController,
+  getInvoiceByIdController,
+  getInvoicePdfController,
+  getPaymentPlanController,
+  createPaymentPlanController,
+  deletePaymentPlanController,
+  recordOfflinePaymentController,
+} from '../controller/invoiceController.js';
+import {
+  validateToken,
+  validateStaffOrAdmin,
+} from '../middleware/authMiddleware.js';
+import { validateIdempotencyKey } from '../middleware/idempotencyMiddleware.js';
+import { sendResponse } from '../utils/response.js';
+
+const router = express.Router();
+
+// Payment proofs: a photo of the receipt or a PDF transfer slip
+const proofUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf'
+      ? cb(null, true)
+      : cb(
+          new Error('Invalid file type. Proof must be an image or PDF.'),
+          false
+        );
+  },
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 },
+});
+
+const handleMulterError = (error, req, res, next) => {
+  if (
+    error instanceof multer.MulterError ||
+    error.message.includes('Invalid file type')
+  )
+    return sendResponse(res, 400, error.message);
+  next(error);
+};
+
+// Invoices are generated from bookings; these routes read them and manage
+// how they are paid. Customers see their own invoices, admins see all.
+router.get('/', validateToken, getAllInvoicesController);
+router.get('/stats', validateToken, getInvoiceStatsController);
+router.get('/:id', validateToken, getInvoiceByIdController);
+router.get('/:id/pdf', validateToken, getInvoicePdfController);
+
+// Deposit and installment plans (invoice owner or admin/staff)
+router.get('/:id/payment-plan', validateToken, getPaymentPlanController);
+router.post('/:id/payment-plan', validateToken, createPaymentPlanController);
+router.delete('/:id/payment-plan', validateToken, deletePaymentPlanController);
+
+// Cash and bank transfer payments (admin/staff), proof as multipart "proof"
+router.post(
+  '/:id/payments',
+  validateToken,
+  validateStaffOrAdmin,
+  proofUpload.single('proof'),
+  handleMulterError,
+  validateIdempotencyKey,
+  recordOfflinePaymentController
+);
+
+export default router;
@@ -4,20 +4,30 @@ import {
   updatePaymentController,
   getPaymentByIdController,
   getAllPaymentsController,
-  deletePaymentController
+  deletePaymentController,
+  createPaymentRefundController,
+  getPaymentRefundsController,
+  syncPaymentController
 } from "../controller/paymentController.js";
+import { createCheckout } from "../controller/checkoutController.js";
 import {
   createCheckoutSession,
   stripeCallback,
-  checkSession
+  checkSession,
+  stripeWebhook
 } from "../controller/stripeController.js";
 
 const router = express.Router();
 
+// Checkout through any enabled payment provider (body.provider picks one)
+router.post("/checkout", ...createCheckout);
+
 // Stripe payment endpoints (use controller, not inline handler)
 router.post("/stripe/checkout-session", ...createCheckoutSession);
 router.get("/stripe/check-session", checkSession);
 router.get("/stripe/callback", stripeCallback);
+// Called by Stripe; authenticated by the Stripe-Signature header
+router.post("/stripe/webhook", stripeWebhook);
 
 // Payment CRUD endpoints
 router.post("/", ...createPaymentController);
@@ -26,4 +36,11 @@ router.get("/", ...getAllPaymentsController);
 router.get("/:id", ...getPaymentByIdController);
 router.delete("/:id", ...deletePaymentController);
 
+// Refunds (issuing is admin/staff only)
+router.post("/:id/refunds", ...createPaymentRefundController);
+router.get("/:id/refunds", ...getPaymentRefundsController);
+
+// Refresh a provider payment from its provider
+router.post("/:id/sync", ...syncPaymentController);
+
 export default router;
\ No newline at end of file
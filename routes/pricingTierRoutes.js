@@ -7,7 +7,8 @@ import {
   deletePricingTierController,
   togglePricingTierStatusController,
   getActivePricingTiersController,
-  getPricingTiersByPriceRangeController
+  getPricingTiersByPriceRangeController,
+  getVariationPriceController
 } from "../controller/pricingTierController.js";
 import { validateToken, validateAdmin } from "../middleware/authMiddleware.js";
 
@@ -17,6 +18,7 @@ const router = express.Router();
 router.get("/", getAllPricingTiersController);
 router.get("/active", getActivePricingTiersController);
 router.get("/range", getPricingTiersByPriceRangeController);
+router.get("/variations/:variationId/price", getVariationPriceController);
 router.get("/:id", getPricingTierByIdController);
 
 // Admin/protected routes
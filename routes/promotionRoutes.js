@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  createPromotionController,
+  getPromotionsController,
+  getPromotionStatsController,
+  getPromotionByIdController,
+  getPromotionRedemptionsController,
+  updatePromotionController,
+  deletePromotionController,
+} from '../controller/promotionController.js';
+import { validateToken, validateAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Admin routes; customers apply codes through /api/events/:id/promo
+router.get('/', validateToken, validateAdmin, getPromotionsController);
+router.get(
+  '/analytics',
+  validateToken,
+  validateAdmin,
+  getPromotionStatsController
+);
+router.get('/:id', validateToken, validateAdmin, getPromotionByIdController);
+router.get(
+  '/:id/redemptions',
+  validateToken,
+  validateAdmin,
+  getPromotionRedemptionsController
+);
+router.post('/', validateToken, validateAdmin, createPromotionController);
+router.put('/:id', validateToken, validateAdmin, updatePromotionController);
+router.delete('/:id', validateToken, validateAdmin, deletePromotionController);
+
+export default router;
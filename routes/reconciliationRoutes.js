@@ -0,0 +1,100 @@
+import express from 'express';
+import multer from 'multer';
+import {
+  importBankStatementController,
+  getReconciliationController,
+  matchStatementLineController,
+  ignoreStatementLineController,
+  autoMatchStatementLinesController,
+  syncStalePaymentsController,
+  getPaymentSyncRunsController,
+  getPaymentSyncRunController,
+} from '../controller/reconciliationController.js';
+import {
+  validateToken,
+  validateAdmin,
+  validateStaffOrAdmin,
+} from '../middleware/authMiddleware.js';
+import { sendResponse } from '../utils/response.js';
+
+const router = express.Router();
+
+// Bank statements; browsers send CSV as text/csv, text/plain or
+// application/vnd.ms-excel, so the extension decides
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    file.originalname.toLowerCase().endsWith('.csv')
+      ? cb(null, true)
+      : cb(
+          new Error('Invalid file type. Statement must be a CSV file.'),
+          false
+        );
+  },
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+});
+
+const handleMulterError = (error, req, res, next) => {
+  if (
+    error instanceof multer.MulterError ||
+    error.message.includes('Invalid file type')
+  )
+    return sendResponse(res, 400, error.message);
+  next(error);
+};
+
+// Matching bank statements to invoices (admin/staff)
+router.get(
+  '/',
+  validateToken,
+  validateStaffOrAdmin,
+  getReconciliationController
+);
+router.post(
+  '/statements',
+  validateToken,
+  validateStaffOrAdmin,
+  statementUpload.single('statement'),
+  handleMulterError,
+  importBankStatementController
+);
+router.post(
+  '/auto-match',
+  validateToken,
+  validateStaffOrAdmin,
+  autoMatchStatementLinesController
+);
+router.post(
+  '/lines/:id/match',
+  validateToken,
+  validateStaffOrAdmin,
+  matchStatementLineController
+);
+router.post(
+  '/lines/:id/ignore',
+  validateToken,
+  validateStaffOrAdmin,
+  ignoreStatementLineController
+);
+
+// Stale PENDING payments checked with their provider (admin)
+router.get(
+  '/payment-syncs',
+  validateToken,
+  validateAdmin,
+  getPaymentSyncRunsController
+);
+router.post(
+  '/payment-syncs',
+  validateToken,
+  validateAdmin,
+  syncStalePaymentsController
+);
+router.get(
+  '/payment-syncs/:id',
+  validateToken,
+  validateAdmin,
+  getPaymentSyncRunController
+);
+
+export default router;
@@ -6,6 +6,16 @@ import {
   deleteRoomController,
   checkRoomAvailabilityController,
   restoreRoomController,
+  getRoomCalendarController,
+  findAvailableRoomsController,
+  getRoomBlackoutsController,
+  createRoomBlackoutController,
+  updateRoomBlackoutController,
+  deleteRoomBlackoutController,
+  joinWaitlistController,
+  getRoomWaitlistController,
+  cancelWaitlistEntryController,
+  processRoomWaitlistController,
 } from "../controller/roomController.js";
 import express from "express";
 import { validateToken, validateAdmin } from "../middleware/authMiddleware.js";
@@ -17,8 +27,20 @@ const router = express.Router();
 
 //Public routes
 router.get("/", getAllRoomsController);
+router.get("/availability", findAvailableRoomsController);
 router.get("/:id", getRoomByIdController);
 router.get("/:id/availability", checkRoomAvailabilityController);
+router.get("/:id/calendar", getRoomCalendarController);
+router.get("/:id/blackouts", getRoomBlackoutsController);
+
+//Waitlist routes (authenticated users; admin/staff see the whole queue)
+router.post("/:id/waitlist", validateToken, joinWaitlistController);
+router.get("/:id/waitlist", validateToken, getRoomWaitlistController);
+router.delete(
+  "/:id/waitlist/:entryId",
+  validateToken,
+  cancelWaitlistEntryController
+);
 
 //Admin routes
 router.post(
@@ -42,5 +64,29 @@ router.patch(
   validateAdmin,
   restoreRoomController
 );
+router.post(
+  "/:id/blackouts",
+  validateToken,
+  validateAdmin,
+  createRoomBlackoutController
+);
+router.put(
+  "/:id/blackouts/:blackoutId",
+  validateToken,
+  validateAdmin,
+  updateRoomBlackoutController
+);
+router.delete(
+  "/:id/blackouts/:blackoutId",
+  validateToken,
+  validateAdmin,
+  deleteRoomBlackoutController
+);
+router.post(
+  "/:id/waitlist/process",
+  validateToken,
+  validateAdmin,
+  processRoomWaitlistController
+);
 
 export default router;
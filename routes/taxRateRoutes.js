@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  createTaxRateController,
+  getTaxRatesController,
+  getTaxRateByIdController,
+  updateTaxRateController,
+  deleteTaxRateController,
+} from '../controller/taxRateController.js';
+import { validateToken, validateAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getTaxRatesController);
+router.get('/:id', getTaxRateByIdController);
+
+// Admin routes
+router.post('/', validateToken, validateAdmin, createTaxRateController);
+router.put('/:id', validateToken, validateAdmin, updateTaxRateController);
+router.delete('/:id', validateToken, validateAdmin, deleteTaxRateController);
+
+export default router;
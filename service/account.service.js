@@ -3,6 +3,7 @@ import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import { parseAndValidateId } from '../utils/validation.js'; 
 import { createNotification } from "../utils/notification.js";
+import { normalizeCurrency } from "../utils/currency.js";
 
 const prisma = new PrismaClient();
 const SALT_ROUNDS = 10;
@@ -27,6 +28,8 @@ const pickAccountFields = (data) => {
     avatar_url: data.avatar_url ?? null,
     phone: data.phone ?? null,
     gender: data.gender ?? null,
+    // Preferred checkout currency; unsupported codes fall back to the base one
+    currency: normalizeCurrency(data.currency),
     dateOfBirth,
   };
 };
@@ -198,6 +201,7 @@ export const getAccountById = async (accountId) => {
         is_active: true,
         created_at: true,
         avatar_url: true,
+        currency: true,
       }
     });
     if (!account) return { isValid: false, errors: ["Account not found."] };
@@ -222,7 +226,8 @@ export const returnAccountInformation = async (accountId) => {
         phone: true,
         is_active: true,
         created_at: true,
-        avatar_url: true
+        avatar_url: true,
+        currency: true
       }
     });
 
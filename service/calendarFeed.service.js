@@ -0,0 +1,288 @@
+import crypto from 'crypto';
+import { prisma } from '../prisma/prisma.js';
+import {
+  parseAndValidateId,
+  validateEnum,
+  createValidationResult,
+} from '../utils/validation.js';
+import { buildCalendar } from '../utils/ical.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+export const CALENDAR_SCOPES = ['ROOM', 'ACCOUNT', 'EVENT'];
+
+// Feeds only carry recent history so subscriptions stay small
+const FEED_HISTORY_DAYS = 90;
+const HOUR_MS = 60 * 60 * 1000;
+
+const isOperator = (user) => ['ADMIN', 'STAFF'].includes(user?.role);
+
+const generateFeedToken = () => crypto.randomBytes(32).toString('hex');
+
+const ICS_STATUS = {
+  PENDING: 'TENTATIVE',
+  RESCHEDULED: 'TENTATIVE',
+  CANCELLED: 'CANCELLED',
+};
+
+const EVENT_FEED_INCLUDE = {
+  room: { select: { room_id: true, room_name: true } },
+  event_services: {
+    where: { scheduled_time: { not: null } },
+    include: {
+      service: { select: { service_name: true } },
+      variation: { select: { variation_name: true } },
+    },
+  },
+};
+
+// One VEVENT for the event plus one per scheduled EventService
+const eventToVEvents = (event) => {
+  if (!event.start_time) return [];
+  const uid = `event-${event.event_id}@eventplanner`;
+  const end = event.end_time || new Date(event.start_time.getTime() + HOUR_MS);
+  const status = ICS_STATUS[event.status] || 'CONFIRMED';
+
+  const vevents = [
+    {
+      uid,
+      start: event.start_time,
+      end,
+      summary: event.event_name,
+      description: [event.description, `Status: ${event.status}`]
+        .filter(Boolean)
+        .join('\n'),
+      location: event.room?.room_name,
+      status,
+      lastModified: event.updated_at,
+    },
+  ];
+
+  for (const eventService of event.event_services || []) {
+    const start = new Date(eventService.scheduled_time);
+    const serviceEnd = eventService.duration_hours
+      ? new Date(start.getTime() + eventService.duration_hours * HOUR_MS)
+      : end;
+    const name = [
+      eventService.service?.service_name,
+      eventService.variation?.variation_name,
+    ]
+      .filter(Boolean)
+      .join(' - ');
+    vevents.push({
+      uid: `event-service-${eventService.event_service_id}@eventplanner`,
+      start,
+      end: serviceEnd,
+      summary: `${name || 'Service'} (${event.event_name})`,
+      description: [`Quantity: ${eventService.quantity}`, eventService.notes]
+        .filter(Boolean)
+        .join('\n'),
+      location: event.room?.room_name,
+      status:
+        event.status === 'CANCELLED' || eventService.status === 'CANCELLED'
+          ? 'CANCELLED'
+          : status,
+      relatedTo: uid,
+      lastModified: eventService.updated_at,
+    });
+  }
+
+  return vevents;
+};
+
+// ===== Create Calendar Feed =====
+// ROOM feeds are for staff/admin; ACCOUNT feeds cover the caller's own events
+// (admins may pass account_id); EVENT feeds need ownership or staff/admin.
+export const createCalendarFeed = async (user, feedData = {}) => {
+  try {
+    const { scope } = feedData;
+    const scopeValidation = validateEnum(scope, 'Scope', CALENDAR_SCOPES, true);
+    if (!scopeValidation.isValid) {
+      return createValidationResult(false, scopeValidation.errors);
+    }
+
+    const data = {
+      scope,
+      owner_id: user.account_id,
+      token: generateFeedToken(),
+    };
+
+    if (scope === 'ROOM') {
+      if (!isOperator(user)) {
+        return createValidationResult(false, [
+          'Only staff or admin can subscribe to room calendars',
+        ]);
+      }
+      const roomId = parseAndValidateId(feedData.room_id, 'Room ID');
+      if (!roomId) {
+        return createValidationResult(false, ['Invalid room ID']);
+      }
+      const room = await prisma.room.findUnique({
+        where: { room_id: roomId },
+        select: { room_id: true },
+      });
+      if (!room) {
+        return createValidationResult(false, ['Room not found']);
+      }
+      data.room_id = roomId;
+    } else if (scope === 'ACCOUNT') {
+      const accountId = feedData.account_id
+        ? parseAndValidateId(feedData.account_id, 'Account ID')
+        : user.account_id;
+      if (!accountId) {
+        return createValidationResult(false, ['Invalid account ID']);
+      }
+      if (accountId !== user.account_id && user.role !== 'ADMIN') {
+        return createValidationResult(false, [
+          'You can only subscribe to your own calendar',
+        ]);
+      }
+      data.account_id = accountId;
+    } else {
+      const eventId = parseAndValidateId(feedData.event_id, 'Event ID');
+      if (!eventId) {
+        return createValidationResult(false, ['Invalid event ID']);
+      }
+      const event = await prisma.event.findUnique({
+        where: { event_id: eventId },
+        select: { event_id: true, account_id: true },
+      });
+      if (!event) {
+        return createValidationResult(false, ['Event not found']);
+      }
+      if (!isOperator(user) && event.account_id !== user.account_id) {
+        return createValidationResult(false, [
+          'You can only export your own events',
+        ]);
+      }
+      data.event_id = eventId;
+    }
+
+    const feed = await prisma.calendarFeed.create({ data });
+    return createValidationResult(true, [], feed);
+  } catch (error) {
+    return handleError('createCalendarFeed', error);
+  }
+};
+
+// ===== List Calendar Feeds =====
+export const getCalendarFeeds = async (user) => {
+  try {
+    const feeds = await prisma.calendarFeed.findMany({
+      where: { owner_id: user.account_id, revoked_at: null },
+      include: {
+        room: { select: { room_id: true, room_name: true } },
+        event: { select: { event_id: true, event_name: true } },
+      },
+      orderBy: { created_at: 'desc' },
+    });
+    return createValidationResult(true, [], feeds);
+  } catch (error) {
+    return handleError('getCalendarFeeds', error);
+  }
+};
+
+// ===== Revoke Calendar Feed =====
+export const revokeCalendarFeed = async (feedId, user) => {
+  try {
+    const validFeedId = parseAndValidateId(feedId, 'Feed ID');
+    if (!validFeedId) {
+      return createValidationResult(false, ['Invalid feed ID']);
+    }
+    const feed = await prisma.calendarFeed.findUnique({
+      where: { feed_id: validFeedId },
+    });
+    if (!feed || feed.revoked_at) {
+      return createValidationResult(false, ['Calendar feed not found']);
+    }
+    if (feed.owner_id !== user.account_id && user.role !== 'ADMIN') {
+      return createValidationResult(false, [
+        'You can only revoke your own calendar feeds',
+      ]);
+    }
+
+    const revoked = await prisma.calendarFeed.update({
+      where: { feed_id: validFeedId },
+      data: { revoked_at: new Date() },
+    });
+    return createValidationResult(true, [], revoked);
+  } catch (error) {
+    return handleError('revokeCalendarFeed', error);
+  }
+};
+
+// ===== Render Calendar Feed =====
+// Resolves a feed token to iCalendar text. Revoked tokens and tokens whose
+// owner has been deactivated return "not found".
+export const renderCalendarFeed = async (token) => {
+  try {
+    if (!token || !/^[a-f0-9]{64}$/.test(token)) {
+      return createValidationResult(false, ['Calendar feed not found']);
+    }
+
+    const feed = await prisma.calendarFeed.findUnique({
+      where: { token },
+      include: {
+        owner: { select: { is_active: true } },
+        room: { select: { room_id: true, room_name: true } },
+        account: { select: { account_id: true, account_name: true } },
+      },
+    });
+    if (!feed || feed.revoked_at || !feed.owner?.is_active) {
+      return createValidationResult(false, ['Calendar feed not found']);
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * HOUR_MS);
+    let name;
+    let filename;
+    let events;
+
+    if (feed.scope === 'ROOM') {
+      name = feed.room?.room_name || `Room ${feed.room_id}`;
+      filename = `room-${feed.room_id}.ics`;
+      events = await prisma.event.findMany({
+        where: {
+          room_id: feed.room_id,
+          status: { not: 'CANCELLED' },
+          start_time: { not: null },
+          end_time: { gte: since },
+        },
+        include: EVENT_FEED_INCLUDE,
+        orderBy: { start_time: 'asc' },
+      });
+    } else if (feed.scope === 'ACCOUNT') {
+      name = `${feed.account?.account_name || 'My'} events`;
+      filename = `account-${feed.account_id}.ics`;
+      events = await prisma.event.findMany({
+        where: {
+          account_id: feed.account_id,
+          start_time: { not: null },
+          end_time: { gte: since },
+        },
+        include: EVENT_FEED_INCLUDE,
+        orderBy: { start_time: 'asc' },
+      });
+    } else {
+      events = await prisma.event.findMany({
+        where: { event_id: feed.event_id },
+        include: EVENT_FEED_INCLUDE,
+      });
+      name = events[0]?.event_name || `Event ${feed.event_id}`;
+      filename = `event-${feed.event_id}.ics`;
+    }
+
+    await prisma.calendarFeed.update({
+      where: { feed_id: feed.feed_id },
+      data: { last_accessed_at: new Date() },
+    });
+
+    const ics = buildCalendar({ name, events: events.flatMap(eventToVEvents) });
+    return createValidationResult(true, [], { filename, ics });
+  } catch (error) {
+    return handleError('renderCalendarFeed', error);
+  }
+};
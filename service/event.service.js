@@ -53,6 +53,23 @@ import {
 import { checkRoomAvailability } from './room.service.js';
 import { checkVariationAvailability } from './event_service.service.js';
 import { createNotification } from '../utils/notification.js';
+import {
+  EVENT_STATUSES,
+  checkTransition,
+  recordStatusChange,
+  transitionEventStatus,
+  TRANSITION_ERRORS,
+} from './eventStatus.service.js';
+import { runSerializable } from '../utils/transaction.js';
+import { calculateRoomCharge, priceEventLines } from './pricing.service.js';
+import { syncEventInvoice } from './invoiceSync.service.js';
+import { calculateTaxes } from './tax.service.js';
+import { placeEventHolds } from './slotHold.service.js';
+import {
+  findWaitlistOffer,
+  isHeldOnlyByOffer,
+  fulfillWaitlistOffer,
+} from './roomWaitlist.service.js';
 
 const prisma = new PrismaClient();
 
@@ -62,22 +79,13 @@ const handleError = (context, error) => {
   return createValidationResult(false, [error.message]);
 };
 
-const EVENT_STATUSES = [
-  'PENDING',
-  'ACCEPTED',
-  'CONFIRMED',
-  'IN_PROGRESS',
-  'COMPLETED',
-  'CANCELLED',
-  'RESCHEDULED',
-];
-
-const validateEventData = (eventData) => {
+// options.requireName=false for quotes, which may not be named yet
+const validateEventData = (eventData, options = {}) => {
   const errors = [];
 
   // Required fields validation
   const nameValidation = validateString(eventData.event_name, 'Event name', {
-    required: true,
+    required: options.requireName !== false,
     minLength: VALIDATION_CONFIG.VARIATION_NAME.MIN_LENGTH || 3,
     maxLength: VALIDATION_CONFIG.VARIATION_NAME.MAX_LENGTH || 1024,
     sanitize: true,
@@ -191,36 +199,36 @@ const buildSortOrder = (sortBy, sortOrder) => {
 };
 
 // ===== Create Event =====
-export const createEvent = async (eventData, prismaTx = null) => {
+// Inside a caller's transaction database errors are not caught: they abort
+// that transaction, and the caller's runSerializable must see a serialization
+// failure to retry it.
+export const createEvent = async (eventData, prismaTx = null, actor = null) => {
+  if (prismaTx) {
+    return innerCreateEvent(prismaTx, eventData, actor);
+  }
   try {
-    if (prismaTx) {
-      // Use the passed transaction client
-      return await innerCreateEvent(prismaTx, eventData);
-    } else {
-      // Create a new transaction
-      return await prisma.$transaction(async (tx) => {
-        return await innerCreateEvent(tx, eventData);
-      });
-    }
+    // Serializable so two concurrent bookings of the same slot cannot both
+    // pass the availability check; the loser is retried and then rejected
+    return await runSerializable(prisma, async (tx) => {
+      return await innerCreateEvent(tx, eventData, actor);
+    });
   } catch (error) {
     return handleError('createEvent', error);
   }
 };
 
-async function innerCreateEvent(tx, eventData) {
+async function innerCreateEvent(tx, eventData, actor = null) {
   const {
     event_name,
     description,
     start_time,
     end_time,
     event_date,
-    estimated_cost,
     final_cost,
     room_service_fee,
     account_id,
     room_id,
     event_type_id,
-    status = 'PENDING',
   } = eventData;
 
   // Validate event data
@@ -229,6 +237,13 @@ async function innerCreateEvent(tx, eventData) {
     return createValidationResult(false, validationErrors);
   }
 
+  // Every event starts PENDING; later statuses go through transitionEventStatus
+  if (eventData.status && eventData.status !== 'PENDING') {
+    return createValidationResult(false, [
+      'New events must start in PENDING status',
+    ]);
+  }
+
   if (!room_id) {
     return createValidationResult(false, ['Room ID is required']);
   }
@@ -268,15 +283,18 @@ async function innerCreateEvent(tx, eventData) {
       status: true,
       base_price: true,
       hourly_rate: true,
+      currency: true,
     },
   });
-  if (!room || !room.is_active || room.status !== 'AVAILABLE') {
-    return createValidationResult(false, [
-      'Room not found, inactive, or unavailable',
-    ]);
+  // Maintenance is scheduled through dated room blackouts, which the
+  // availability check below enforces for the requested slot
+  if (!room || !room.is_active) {
+    return createValidationResult(false, ['Room not found or inactive']);
   }
 
-  // Check room availability
+  // Check room availability. A slot offered to this customer from the
+  // waitlist is held for them, so their own offer hold does not block it.
+  let waitlistOffer = null;
   if (start_time && durationHours) {
     const availability = await checkRoomAvailability(
       room_id,
@@ -286,10 +304,24 @@ async function innerCreateEvent(tx, eventData) {
       null,
       tx
     );
-    if (!availability.isValid || !availability.data.isAvailable) {
-      return createValidationResult(false, [
-        availability?.data?.reason || 'Room is not available',
-      ]);
+    if (availability.isValid && !availability.data.isAvailable) {
+      const offer = await findWaitlistOffer(
+        { account_id, room_id, start_time, end_time },
+        tx
+      );
+      if (isHeldOnlyByOffer(availability, offer)) {
+        waitlistOffer = offer;
+      }
+    }
+    if (
+      !waitlistOffer &&
+      (!availability.isValid || !availability.data.isAvailable)
+    ) {
+      return createValidationResult(
+        false,
+        [availability?.data?.reason || 'Room is not available'],
+        { code: TRANSITION_ERRORS.SLOT_UNAVAILABLE, room_id: Number(room_id) }
+      );
     }
   }
 
@@ -306,12 +338,13 @@ async function innerCreateEvent(tx, eventData) {
     }
   }
 
-  // Calculate initial cost (room only)
-  let calculatedEstimatedCost = estimated_cost || 0;
-  calculatedEstimatedCost += Number(room.base_price || 0);
-  if (durationHours && room.hourly_rate) {
-    calculatedEstimatedCost += Number(room.hourly_rate) * Number(durationHours);
-  }
+  // Initial cost is the room charge; services are priced as they are added
+  const pricingDate = event_date || start_time;
+  const pricing = await priceEventLines(
+    { room, durationHours, eventDate: pricingDate },
+    tx
+  );
+  const calculatedEstimatedCost = pricing.total;
 
   // Create Event
   const newEvent = await tx.event.create({
@@ -326,46 +359,218 @@ async function innerCreateEvent(tx, eventData) {
       estimated_cost: Number(calculatedEstimatedCost),
       final_cost: final_cost ? Number(final_cost) : null,
       room_service_fee: room_service_fee ? Number(room_service_fee) : null,
-      status,
+      status: 'PENDING',
       account_id: account_id ? Number(account_id) : null,
       room_id: Number(room_id),
       event_type_id: event_type_id ? Number(event_type_id) : null,
     },
   });
 
-  // Create Invoice for room
-  if (calculatedEstimatedCost > 0) {
-    const invoice = await tx.invoice.create({
-      data: {
-        invoice_number: `INV-${Date.now()}`,
-        total_amount: Number(calculatedEstimatedCost),
-        event_id: newEvent.event_id,
-        account_id: newEvent.account_id,
-        status: 'PENDING',
-        issue_date: new Date(),
-        due_date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-      },
-    });
+  await recordStatusChange(tx, {
+    event_id: newEvent.event_id,
+    from_status: null,
+    to_status: 'PENDING',
+    actor,
+    reason: 'Event created',
+  });
 
-    await tx.invoiceDetail.create({
-      data: {
-        invoice_id: invoice.invoice_id,
-        item_name: room.room_name,
-        quantity: 1,
-        unit_price: room.base_price,
-        subtotal: room.base_price,
-        item_type: 'ROOM',
-      },
-    });
+  if (waitlistOffer) {
+    await fulfillWaitlistOffer(tx, waitlistOffer, newEvent.event_id);
+  }
+
+  // Keep the slot while the customer goes through checkout
+  if (newEvent.start_time && newEvent.end_time) {
+    await placeEventHolds(tx, newEvent.event_id);
   }
 
+  // Invoice for the room, taxed at the rates for the event day
+  const invoiceSync = await syncEventInvoice(tx, newEvent.event_id);
+
   return createValidationResult(true, [], {
     ...newEvent,
+    estimated_cost: invoiceSync?.estimated_cost ?? newEvent.estimated_cost,
     duration_hours: durationHours,
     scheduled_time: scheduledTime,
+    pricing,
+    taxes: invoiceSync?.totals.taxes ?? [],
   });
 }
 
+// ===== Quote Event =====
+// Prices a prospective event without writing anything: room base price and
+// hourly charge, each item at its pricing tier for the event day, taxes in
+// effect that day, plus room and variation availability. items: [{ service_id, variation_id, quantity }]
+export const quoteEvent = async (quoteData = {}) => {
+  try {
+    const { room_id, start_time, end_time, event_type_id } = quoteData;
+    const items = quoteData.items || [];
+
+    const errors = validateEventData(quoteData, { requireName: false });
+    if (!room_id) errors.push('Room ID is required');
+    if (!start_time || !end_time) {
+      errors.push('start_time and end_time are required');
+    }
+    if (!Array.isArray(items)) {
+      errors.push('Items must be an array');
+    } else {
+      items.forEach((item, index) => {
+        if (!parseAndValidateId(item?.service_id, 'Service ID')) {
+          errors.push(`Item ${index + 1}: service_id is required`);
+        }
+        if (!parseAndValidateId(item?.variation_id, 'Variation ID')) {
+          errors.push(`Item ${index + 1}: variation_id is required`);
+        }
+        errors.push(
+          ...validateNumber(item?.quantity ?? 1, `Item ${index + 1} quantity`, {
+            min: 1,
+            integer: true,
+          }).errors
+        );
+      });
+    }
+    if (errors.length > 0) {
+      return createValidationResult(false, errors);
+    }
+
+    const start = new Date(start_time);
+    const end = new Date(end_time);
+    const durationHours = (end - start) / (1000 * 60 * 60);
+    if (durationHours <= 0) {
+      return createValidationResult(false, [
+        'End time must be after start time',
+      ]);
+    }
+
+    const room = await prisma.room.findUnique({
+      where: { room_id: Number(room_id) },
+      select: {
+        room_id: true,
+        room_name: true,
+        is_active: true,
+        guest_capacity: true,
+        base_price: true,
+        hourly_rate: true,
+        currency: true,
+      },
+    });
+    if (!room || !room.is_active) {
+      return createValidationResult(false, ['Room not found or inactive']);
+    }
+
+    if (event_type_id) {
+      const eventType = await prisma.eventType.findUnique({
+        where: { type_id: Number(event_type_id) },
+        select: { type_id: true, is_active: true },
+      });
+      if (!eventType || !eventType.is_active) {
+        return createValidationResult(false, [
+          'Event type not found or inactive',
+        ]);
+      }
+    }
+
+    const eventServices = [];
+    const itemAvailability = [];
+    for (const item of items) {
+      const variation = await prisma.variation.findUnique({
+        where: { variation_id: Number(item.variation_id) },
+        select: {
+          variation_id: true,
+          variation_name: true,
+          base_price: true,
+          currency: true,
+          is_active: true,
+          service_id: true,
+          service: {
+            select: { service_id: true, service_name: true, is_active: true },
+          },
+        },
+      });
+      if (
+        !variation ||
+        !variation.is_active ||
+        !variation.service?.is_active ||
+        variation.service_id !== Number(item.service_id)
+      ) {
+        return createValidationResult(false, [
+          `Variation ${item.variation_id} not found, inactive, or does not belong to service ${item.service_id}`,
+        ]);
+      }
+      eventServices.push({
+        service_id: variation.service_id,
+        variation_id: variation.variation_id,
+        quantity: Number(item.quantity ?? 1),
+        variation,
+        service: variation.service,
+      });
+
+      const variationCheck = await checkVariationAvailability(
+        variation.variation_id,
+        start,
+        durationHours
+      );
+      itemAvailability.push({
+        variation_id: variation.variation_id,
+        is_available: variationCheck.isValid,
+        reason: variationCheck.isValid ? null : variationCheck.errors[0],
+      });
+    }
+
+    const roomAvailability = await checkRoomAvailability(
+      room.room_id,
+      start,
+      end,
+      durationHours
+    );
+    const roomAvailable =
+      roomAvailability.isValid && roomAvailability.data.isAvailable;
+
+    const eventDate = new Date(new Date(start).setHours(0, 0, 0, 0));
+    const pricing = await priceEventLines({
+      room,
+      eventServices,
+      durationHours,
+      eventDate,
+    });
+    const totals = await calculateTaxes(pricing.lines, { date: eventDate });
+
+    const guests = quoteData.guests ? Number(quoteData.guests) : null;
+    const warnings = [];
+    if (guests && room.guest_capacity && guests > room.guest_capacity) {
+      warnings.push(`Room capacity is ${room.guest_capacity} guests`);
+    }
+
+    return createValidationResult(true, [], {
+      room_id: room.room_id,
+      start_time: start,
+      end_time: end,
+      duration_hours: durationHours,
+      event_date: eventDate,
+      lines: pricing.lines,
+      subtotal: totals.subtotal,
+      discount_amount: 0,
+      discounts: [],
+      tax_amount: totals.tax_amount,
+      taxes: totals.taxes,
+      total: totals.total_amount,
+      availability: {
+        is_available:
+          roomAvailable && itemAvailability.every((i) => i.is_available),
+        room: {
+          is_available: roomAvailable,
+          reason: roomAvailable
+            ? null
+            : roomAvailability.data?.reason || roomAvailability.errors[0],
+        },
+        items: itemAvailability,
+      },
+      warnings,
+    });
+  } catch (error) {
+    return handleError('quoteEvent', error);
+  }
+};
+
 // ===== Update Event =====
 export const updateEvent = async (eventId, updateData, user = null) => {
   try {
@@ -405,6 +610,30 @@ export const updateEvent = async (eventId, updateData, user = null) => {
       return createValidationResult(false, validationErrors);
     }
 
+    // Status changes must follow the lifecycle transition table
+    const statusChanged =
+      updateData.status !== undefined &&
+      updateData.status !== existingEvent.status;
+    if (statusChanged && updateData.status === 'CANCELLED') {
+      // Skipping cancelEvent would skip its refunds and invoice reversal
+      return createValidationResult(false, [
+        'Use POST /api/events/:id/cancel to cancel an event',
+      ]);
+    }
+    if (statusChanged) {
+      const transitionError = checkTransition(
+        existingEvent.status,
+        updateData.status,
+        user
+      );
+      if (transitionError) {
+        return createValidationResult(false, [transitionError.message], {
+          ...transitionError,
+          event_id: validEventId,
+        });
+      }
+    }
+
     const {
       event_name,
       description,
@@ -443,7 +672,7 @@ export const updateEvent = async (eventId, updateData, user = null) => {
     }
 
     // Validate references
-    return await prisma.$transaction(async (tx) => {
+    return await runSerializable(prisma, async (tx) => {
       if (account_id) {
         const account = await tx.account.findUnique({
           where: { account_id: Number(account_id) },
@@ -467,10 +696,8 @@ export const updateEvent = async (eventId, updateData, user = null) => {
             hourly_rate: true,
           },
         });
-        if (!room || !room.is_active || room.status !== 'AVAILABLE') {
-          return createValidationResult(false, [
-            'Room not found, inactive, or unavailable',
-          ]);
+        if (!room || !room.is_active) {
+          return createValidationResult(false, ['Room not found or inactive']);
         }
         if (start_time && durationHours) {
           const availability = await checkRoomAvailability(
@@ -482,22 +709,20 @@ export const updateEvent = async (eventId, updateData, user = null) => {
             tx
           );
           if (!availability.isValid || !availability.data.isAvailable) {
-            return createValidationResult(false, [
-              availability.data.reason || 'Room is not available',
-            ]);
+            return createValidationResult(
+              false,
+              [availability.data?.reason || 'Room is not available'],
+              { code: TRANSITION_ERRORS.SLOT_UNAVAILABLE }
+            );
           }
         }
-        calculatedEstimatedCost = Number(room.base_price || 0);
-        if (durationHours && room.hourly_rate) {
-          calculatedEstimatedCost +=
-            Number(room.hourly_rate) * Number(durationHours);
-        }
+        calculatedEstimatedCost = calculateRoomCharge(room, durationHours);
       } else if ((start_time || end_time) && existingEvent.room_id) {
         const room = await tx.room.findUnique({
           where: { room_id: existingEvent.room_id },
           select: { room_id: true, is_active: true, status: true },
         });
-        if (!room || !room.is_active || room.status !== 'AVAILABLE') {
+        if (!room || !room.is_active) {
           return createValidationResult(false, [
             'Current room is not available',
           ]);
@@ -512,9 +737,11 @@ export const updateEvent = async (eventId, updateData, user = null) => {
             tx
           );
           if (!availability.isValid || !availability.data.isAvailable) {
-            return createValidationResult(false, [
-              availability.data.reason || 'Room is not available',
-            ]);
+            return createValidationResult(
+              false,
+              [availability.data?.reason || 'Room is not available'],
+              { code: TRANSITION_ERRORS.SLOT_UNAVAILABLE }
+            );
           }
         }
       }
@@ -545,7 +772,12 @@ export const updateEvent = async (eventId, updateData, user = null) => {
 
         const variation = await tx.variation.findUnique({
           where: { variation_id: Number(variation_id) },
-          select: { variation_id: true, is_active: true, service_id: true },
+          select: {
+            variation_id: true,
+            is_active: true,
+            service_id: true,
+            base_price: true,
+          },
         });
         if (
           !variation ||
@@ -562,16 +794,14 @@ export const updateEvent = async (eventId, updateData, user = null) => {
             variation_id,
             scheduledTime,
             durationHours,
-            tx
+            tx,
+            validEventId
           );
           if (!availabilityCheck.isValid) {
             return availabilityCheck;
           }
         }
 
-        const variationBasePrice = variation.base_price || 0;
-        calculatedEstimatedCost += Number(variationBasePrice);
-
         // Delete existing EventService and create new one
         await tx.eventService.deleteMany({ where: { event_id: validEventId } });
         await tx.eventService.create({
@@ -589,6 +819,19 @@ export const updateEvent = async (eventId, updateData, user = null) => {
         });
       }
 
+      if (statusChanged) {
+        const transition = await transitionEventStatus(
+          validEventId,
+          status,
+          user,
+          { tx, reason: 'Status changed via event update' }
+        );
+        if (!transition.isValid) {
+          // Roll back the service changes made above
+          throw new Error(transition.errors.join(', '));
+        }
+      }
+
       const updatedEvent = await tx.event.update({
         where: { event_id: validEventId },
         data: {
@@ -609,7 +852,6 @@ export const updateEvent = async (eventId, updateData, user = null) => {
             room_service_fee !== undefined
               ? Number(room_service_fee)
               : undefined,
-          status,
           account_id:
             account_id !== undefined
               ? account_id
@@ -639,62 +881,15 @@ export const updateEvent = async (eventId, updateData, user = null) => {
         },
       });
 
-      // Update Invoice
-      if (calculatedEstimatedCost !== existingEvent.estimated_cost) {
-        const existingInvoice = await tx.invoice.findFirst({
-          where: { event_id: validEventId },
-        });
-
-        if (existingInvoice) {
-          await tx.invoice.update({
-            where: { invoice_id: existingInvoice.invoice_id },
-            data: { total_amount: Number(calculatedEstimatedCost) },
-          });
-
-          await tx.invoiceDetail.deleteMany({
-            where: { invoice_id: existingInvoice.invoice_id },
-          });
-
-          if (room_id || existingEvent.room_id) {
-            const room = await tx.room.findUnique({
-              where: { room_id: Number(room_id || existingEvent.room_id) },
-              select: { room_name: true, base_price: true },
-            });
-            await tx.invoiceDetail.create({
-              data: {
-                invoice_id: existingInvoice.invoice_id,
-                item_name: room.room_name,
-                quantity: 1,
-                unit_price: room.base_price,
-                subtotal: room.base_price,
-                item_type: 'ROOM',
-              },
-            });
-          }
-
-          if (service_id && variation_id) {
-            const variation = await tx.variation.findUnique({
-              where: { variation_id: Number(variation_id) },
-              select: { variation_name: true, base_price: true },
-            });
-            await tx.invoiceDetail.create({
-              data: {
-                invoice_id: existingInvoice.invoice_id,
-                item_name: variation?.variation_name || 'Service',
-                quantity: 1,
-                unit_price: variation?.base_price || 0,
-                subtotal: variation?.base_price || 0,
-                item_type: 'SERVICE',
-                service_id: Number(service_id),
-                variation_id: Number(variation_id),
-              },
-            });
-          }
-        }
-      }
+      // Reprice the invoice from the room and services as they now stand
+      const invoiceSync = await syncEventInvoice(tx, validEventId);
 
       return createValidationResult(true, [], {
         ...updatedEvent,
+        estimated_cost:
+          invoiceSync?.estimated_cost ?? updatedEvent.estimated_cost,
+        invoice: invoiceSync?.invoice ?? null,
+        invoice_adjustment: invoiceSync?.adjustment ?? null,
         eventServicesCount: updatedEvent.event_services.length,
       });
     });
@@ -998,20 +1193,12 @@ export const deleteEvent = async (eventId, options = {}) => {
 };
 
 // ===== Toggle Event Status =====
-export const toggleEventStatus = async (eventId) => {
+export const toggleEventStatus = async (eventId, actor = null) => {
   try {
     const validEventId = parseAndValidateId(eventId, 'Event ID');
-    // Fetch event with account info for email
     const event = await prisma.event.findUnique({
       where: { event_id: validEventId },
-      select: {
-        status: true,
-        event_name: true,
-        start_time: true,
-        account: {
-          select: { account_id: true, account_name: true, email: true },
-        },
-      },
+      select: { status: true },
     });
 
     if (!event) {
@@ -1020,9 +1207,19 @@ export const toggleEventStatus = async (eventId) => {
 
     const newStatus = event.status === 'PENDING' ? 'CONFIRMED' : 'PENDING';
 
-    const updatedEvent = await prisma.event.update({
+    const transition = await transitionEventStatus(
+      validEventId,
+      newStatus,
+      actor,
+      { reason: 'Status toggled' }
+    );
+    if (!transition.isValid) {
+      return transition;
+    }
+
+    // Fetch event with account info for email
+    const updatedEvent = await prisma.event.findUnique({
       where: { event_id: validEventId },
-      data: { status: newStatus },
       include: {
         account: {
           select: { account_id: true, account_name: true, email: true },
@@ -0,0 +1,452 @@
+import { prisma } from '../prisma/prisma.js';
+import {
+  parseAndValidateId,
+  validateNumber,
+  validateString,
+  createValidationResult,
+} from '../utils/validation.js';
+import { createNotification } from '../utils/notification.js';
+import { roundToCurrency } from '../utils/currency.js';
+import { runSerializable } from '../utils/transaction.js';
+import {
+  checkTransition,
+  transitionEventStatus,
+} from './eventStatus.service.js';
+import { releaseEventHolds } from './slotHold.service.js';
+import { notifyWaitlistSlotFreed } from './roomWaitlist.service.js';
+import { voidEventRedemptions } from './promotion.service.js';
+import { getPaymentProvider } from './paymentProvider.service.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+// Refund percentage by notice given before start_time. The first rule whose
+// min_hours_before is met applies, so keep the rules sorted descending.
+export const DEFAULT_REFUND_POLICY = [
+  { min_hours_before: 168, refund_percent: 100 },
+  { min_hours_before: 72, refund_percent: 50 },
+  { min_hours_before: 24, refund_percent: 25 },
+  { min_hours_before: 0, refund_percent: 0 },
+];
+
+// Overridable with a JSON array in CANCELLATION_REFUND_POLICY using the same
+// shape as DEFAULT_REFUND_POLICY.
+export const getRefundPolicy = () => {
+  if (!process.env.CANCELLATION_REFUND_POLICY) {
+    return DEFAULT_REFUND_POLICY;
+  }
+  try {
+    const policy = JSON.parse(process.env.CANCELLATION_REFUND_POLICY);
+    if (!Array.isArray(policy) || policy.length === 0) {
+      throw new Error('policy must be a non-empty array');
+    }
+    return [...policy]
+      .map((rule) => ({
+        min_hours_before: Number(rule.min_hours_before),
+        refund_percent: Number(rule.refund_percent),
+      }))
+      .sort((a, b) => b.min_hours_before - a.min_hours_before);
+  } catch (error) {
+    console.error('Invalid CANCELLATION_REFUND_POLICY, using default:', error);
+    return DEFAULT_REFUND_POLICY;
+  }
+};
+
+export const resolveRefundPercent = (
+  startTime,
+  cancelledAt = new Date(),
+  policy = getRefundPolicy()
+) => {
+  if (!startTime) {
+    return { hours_before_start: null, refund_percent: 100 };
+  }
+  const hoursBeforeStart =
+    (new Date(startTime) - new Date(cancelledAt)) / (1000 * 60 * 60);
+  const rule = policy.find((r) => hoursBeforeStart >= r.min_hours_before);
+  return {
+    hours_before_start: Math.round(hoursBeforeStart * 100) / 100,
+    refund_percent: rule ? rule.refund_percent : 0,
+  };
+};
+
+const roundAmount = (amount) => Math.round(Number(amount) * 100) / 100;
+
+const paymentSelect = {
+  payment_id: true,
+  amount: true,
+  amount_refunded: true,
+  currency: true,
+  base_amount: true,
+  exchange_rate: true,
+  exchange_rate_id: true,
+  payment_method: true,
+  payment_status: true,
+  transaction_id: true,
+  provider: true,
+  provider_reference: true,
+  account_id: true,
+};
+
+// ===== Cancel Event =====
+// Cancels an event on behalf of `user`: applies the refund policy to completed
+// payments (staff/admin may override it with options.refund_percent), records
+// refund payments, closes the invoice and cancels the booked services, then
+// issues the provider refunds. The invoice is marked REFUNDED and the owner
+// notified only once the provider calls are done, for the refunds that went
+// through; refunds the provider rejects are returned in failed_refunds.
+export const cancelEvent = async (eventId, user = null, options = {}) => {
+  try {
+    const validEventId = parseAndValidateId(eventId, 'Event ID');
+    if (!validEventId) {
+      return createValidationResult(false, ['Invalid event ID']);
+    }
+
+    const { reason } = options;
+    const errors = [];
+    if (reason) {
+      errors.push(
+        ...validateString(reason, 'Reason', { maxLength: 1000, sanitize: true })
+          .errors
+      );
+    }
+    const isOperator = ['ADMIN', 'STAFF'].includes(user?.role);
+    if (options.refund_percent !== undefined) {
+      if (!isOperator) {
+        errors.push('Only staff or admin can override the refund percentage');
+      } else {
+        errors.push(
+          ...validateNumber(options.refund_percent, 'Refund percent', {
+            min: 0,
+            max: 100,
+          }).errors
+        );
+      }
+    }
+    if (errors.length > 0) {
+      return createValidationResult(false, errors);
+    }
+
+    const cancelledAt = new Date();
+    const inInvoiceCurrency = (p) => Number(p.base_amount ?? p.amount);
+
+    // Cancel and reserve every refund in one serializable transaction: the
+    // refund rows and amount_refunded are written before any money moves,
+    // so a second cancel (or the charge.refunded webhook) sees them. Provider
+    // refunds are PENDING until the provider has accepted them.
+    const reservation = await runSerializable(prisma, async (tx) => {
+      const event = await tx.event.findUnique({
+        where: { event_id: validEventId },
+        include: {
+          account: { select: { account_id: true, account_name: true } },
+          invoice: { select: { invoice_id: true, status: true } },
+          payments: {
+            where: { original_payment_id: null },
+            select: paymentSelect,
+          },
+        },
+      });
+      if (!event) {
+        return createValidationResult(false, ['Event not found']);
+      }
+
+      if (user?.role === 'CUSTOMER' && event.account_id !== user.account_id) {
+        return createValidationResult(false, [
+          'You can only cancel your own events.',
+        ]);
+      }
+
+      // Validate the lifecycle move before any money leaves the account
+      const transitionError = checkTransition(event.status, 'CANCELLED', user);
+      if (transitionError) {
+        return createValidationResult(false, [transitionError.message], {
+          ...transitionError,
+          event_id: validEventId,
+        });
+      }
+
+      const policy = resolveRefundPercent(event.start_time, cancelledAt);
+      const refundPercent =
+        options.refund_percent !== undefined
+          ? Number(options.refund_percent)
+          : policy.refund_percent;
+
+      const completedPayments = event.payments.filter(
+        (p) => p.payment_status === 'COMPLETED'
+      );
+      const pendingPayments = event.payments.filter(
+        (p) => p.payment_status === 'PENDING'
+      );
+
+      // Each refund is in the currency the payment was charged in; totals
+      // are in the invoice's (base_amount)
+      const refunds = [];
+      for (const payment of completedPayments) {
+        // Never more than what earlier refunds left on the payment
+        const amount = roundToCurrency(
+          Math.min(
+            (Number(payment.amount) * refundPercent) / 100,
+            Number(payment.amount) - Number(payment.amount_refunded)
+          ),
+          payment.currency
+        );
+        if (amount <= 0) continue;
+        refunds.push({
+          payment,
+          amount,
+          baseAmount: roundAmount(
+            (inInvoiceCurrency(payment) * amount) / Number(payment.amount)
+          ),
+        });
+      }
+
+      const totalPaid = roundAmount(
+        completedPayments.reduce((sum, p) => sum + inInvoiceCurrency(p), 0)
+      );
+      const totalRefunded = roundAmount(
+        refunds.reduce((sum, r) => sum + r.baseAmount, 0)
+      );
+
+      const transition = await transitionEventStatus(
+        validEventId,
+        'CANCELLED',
+        user,
+        {
+          tx,
+          reason: reason || 'Event cancelled',
+          metadata: {
+            hours_before_start: policy.hours_before_start,
+            refund_percent: refundPercent,
+            total_paid: totalPaid,
+            total_refunded: totalRefunded,
+          },
+        }
+      );
+      if (!transition.isValid) {
+        throw new Error(transition.errors.join(', '));
+      }
+
+      const refundPayments = [];
+      for (const { payment, amount, baseAmount } of refunds) {
+        await tx.payment.update({
+          where: { payment_id: payment.payment_id },
+          data: { amount_refunded: { increment: amount } },
+        });
+        refundPayments.push(
+          await tx.payment.create({
+            data: {
+              amount,
+              currency: payment.currency,
+              base_amount: baseAmount,
+              exchange_rate: payment.exchange_rate,
+              exchange_rate_id: payment.exchange_rate_id,
+              payment_method: payment.payment_method,
+              payment_status: payment.provider ? 'PENDING' : 'REFUNDED',
+              provider: payment.provider,
+              provider_reference: payment.provider_reference,
+              payment_date: cancelledAt,
+              notes: `Refund (${refundPercent}%) for payment #${payment.payment_id} on cancellation`,
+              refund_reason: reason?.trim() || 'Event cancelled',
+              processed_by: user?.account_id ?? null,
+              account_id: payment.account_id,
+              invoice_id: event.invoice?.invoice_id || null,
+              event_id: validEventId,
+              original_payment_id: payment.payment_id,
+            },
+          })
+        );
+      }
+
+      // Checkout sessions that were never completed can no longer be paid
+      if (pendingPayments.length > 0) {
+        await tx.payment.updateMany({
+          where: {
+            payment_id: { in: pendingPayments.map((p) => p.payment_id) },
+          },
+          data: { payment_status: 'CANCELLED' },
+        });
+      }
+
+      // CANCELLED until the refunds have actually been issued (see below)
+      let invoice = null;
+      if (event.invoice) {
+        invoice = await tx.invoice.update({
+          where: { invoice_id: event.invoice.invoice_id },
+          data: {
+            status: 'CANCELLED',
+            balance_due: 0,
+            notes: `Cancelled on ${cancelledAt.toISOString()}${
+              reason ? `: ${reason.trim()}` : ''
+            }`,
+          },
+        });
+        // Nothing more is owed on a cancelled booking
+        await tx.invoiceInstallment.updateMany({
+          where: {
+            invoice_id: event.invoice.invoice_id,
+            status: { in: ['PENDING', 'OVERDUE'] },
+          },
+          data: { status: 'CANCELLED' },
+        });
+      }
+
+      await releaseEventHolds(tx, validEventId);
+      // A cancelled booking gives its promotion use back
+      await voidEventRedemptions(tx, validEventId);
+
+      const { count: cancelledServices } = await tx.eventService.updateMany({
+        where: { event_id: validEventId, status: { not: 'CANCELLED' } },
+        data: { status: 'CANCELLED' },
+      });
+
+      return createValidationResult(true, [], {
+        event,
+        policy,
+        refundPercent,
+        totalPaid,
+        totalRefunded,
+        refunds: refundPayments.map((refund, i) => ({
+          refund,
+          payment: refunds[i].payment,
+        })),
+        result: {
+          event: transition.data.event,
+          invoice,
+          cancelledPayments: pendingPayments.length,
+          cancelledServices,
+        },
+      });
+    });
+    if (!reservation.isValid) return reservation;
+
+    const { event, policy, refundPercent, totalPaid, totalRefunded, refunds } =
+      reservation.data;
+
+    // Now send the reserved refunds to their providers. A refund the provider
+    // rejects gives its reservation back and is marked FAILED; the event
+    // stays cancelled and staff can retry it with POST /payments/:id/refunds.
+    const refundPayments = [];
+    const failedRefunds = [];
+    for (const { refund, payment } of refunds) {
+      if (!payment.provider) {
+        refundPayments.push(refund);
+        continue;
+      }
+      try {
+        const providerRefund = await getPaymentProvider(
+          payment.provider
+        ).refund({
+          reference: payment.provider_reference,
+          transaction_id: payment.transaction_id,
+          amount: Number(refund.amount),
+          currency: payment.currency,
+          metadata: {
+            event_id: String(validEventId),
+            payment_id: String(payment.payment_id),
+            refund_payment_id: String(refund.payment_id),
+          },
+        });
+        refundPayments.push(
+          await prisma.payment.update({
+            where: { payment_id: refund.payment_id },
+            data: {
+              payment_status: 'REFUNDED',
+              transaction_id: providerRefund.id,
+            },
+          })
+        );
+      } catch (error) {
+        console.error(
+          `${payment.provider} refund for payment ${payment.payment_id} failed:`,
+          error
+        );
+        const [, failed] = await prisma.$transaction([
+          prisma.payment.update({
+            where: { payment_id: payment.payment_id },
+            data: { amount_refunded: { decrement: Number(refund.amount) } },
+          }),
+          prisma.payment.update({
+            where: { payment_id: refund.payment_id },
+            data: {
+              payment_status: 'FAILED',
+              notes: `${payment.provider} refund failed: ${error.message}`,
+            },
+          }),
+        ]);
+        failedRefunds.push({
+          payment_id: payment.payment_id,
+          refund_payment_id: failed.payment_id,
+          amount: failed.amount,
+          base_amount: failed.base_amount,
+          error: error.message,
+        });
+      }
+    }
+    const refundedTotal = roundAmount(
+      failedRefunds.reduce(
+        (sum, f) => sum - Number(f.base_amount ?? 0),
+        totalRefunded
+      )
+    );
+    const failedTotal = roundAmount(totalRefunded - refundedTotal);
+
+    let { invoice } = reservation.data.result;
+    if (invoice && refundedTotal > 0) {
+      invoice = await prisma.invoice.update({
+        where: { invoice_id: invoice.invoice_id },
+        data: { status: 'REFUNDED' },
+      });
+    }
+
+    if (event.account_id) {
+      let message = `Your event "${event.event_name}" has been cancelled.`;
+      if (refundedTotal > 0) {
+        message += ` A refund of ${refundedTotal} (${refundPercent}%) has been issued.`;
+      }
+      if (failedTotal > 0) {
+        message += ` A refund of ${failedTotal} could not be issued yet; our staff will follow up.`;
+      }
+      const notification = await createNotification({
+        account_id: event.account_id,
+        title: 'Event Cancelled',
+        message,
+        type: 'CONFIRMATION',
+      });
+      if (!notification.isValid) {
+        console.warn(
+          'Failed to send cancellation notification:',
+          notification.errors
+        );
+      }
+    }
+
+    const result = {
+      ...reservation.data.result,
+      invoice,
+      refunds: refundPayments,
+      failed_refunds: failedRefunds,
+    };
+
+    // The slot is free again; offer it to the room's waitlist
+    await notifyWaitlistSlotFreed(
+      event.room_id,
+      event.start_time,
+      event.end_time
+    );
+
+    return createValidationResult(true, [], {
+      ...result,
+      refund_policy: {
+        hours_before_start: policy.hours_before_start,
+        policy_percent: policy.refund_percent,
+        refund_percent: refundPercent,
+      },
+      total_paid: totalPaid,
+      total_refunded: refundedTotal,
+    });
+  } catch (error) {
+    return handleError('cancelEvent', error);
+  }
+};
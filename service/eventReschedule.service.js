@@ -0,0 +1,327 @@
+import { prisma } from '../prisma/prisma.js';
+import {
+  parseAndValidateId,
+  validateDate,
+  validateString,
+  createValidationResult,
+} from '../utils/validation.js';
+import { createNotification } from '../utils/notification.js';
+import { checkRoomAvailability } from './room.service.js';
+import { checkVariationAvailability } from './event_service.service.js';
+import {
+  checkTransition,
+  transitionEventStatus,
+  TRANSITION_ERRORS,
+} from './eventStatus.service.js';
+import { runSerializable } from '../utils/transaction.js';
+import { syncEventInvoice } from './invoiceSync.service.js';
+import { releaseEventHolds } from './slotHold.service.js';
+import { notifyWaitlistSlotFreed } from './roomWaitlist.service.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const toEventDate = (date) => new Date(new Date(date).setHours(0, 0, 0, 0));
+
+// ===== Reschedule Event =====
+// Moves an event to a new slot inside one transaction: rechecks the room and
+// every scheduled variation, shifts EventService.scheduled_time by the same
+// offset, resyncs the invoice and stores the previous slot in the status
+// history metadata. With options.tx it runs inside the caller's transaction
+// instead; the caller then rolls back on failure and offers the freed slot to
+// the waitlist once it commits.
+export const rescheduleEvent = async (eventId, user = null, options = {}) => {
+  try {
+    const validEventId = parseAndValidateId(eventId, 'Event ID');
+    if (!validEventId) {
+      return createValidationResult(false, ['Invalid event ID']);
+    }
+
+    const { start_time, end_time, reason, tx: outerTx } = options;
+    const errors = [
+      ...validateDate(start_time, 'Start time', {
+        required: true,
+        notPast: true,
+      }).errors,
+      ...validateDate(end_time, 'End time', { required: true }).errors,
+    ];
+    if (reason) {
+      errors.push(
+        ...validateString(reason, 'Reason', { maxLength: 1000, sanitize: true })
+          .errors
+      );
+    }
+    if (errors.length > 0) {
+      return createValidationResult(false, errors);
+    }
+
+    const newStart = new Date(start_time);
+    const newEnd = new Date(end_time);
+    const durationHours = (newEnd - newStart) / HOUR_MS;
+    if (durationHours <= 0) {
+      return createValidationResult(false, [
+        'End time must be after start time',
+      ]);
+    }
+
+    const runInTransaction = (fn) =>
+      outerTx ? fn(outerTx) : runSerializable(prisma, fn);
+
+    let previousEvent = null;
+    const result = await runInTransaction(async (tx) => {
+      // Read inside the transaction so the move, offset and lifecycle check
+      // are based on the event as it is when the slot is taken
+      const event = await tx.event.findUnique({
+        where: { event_id: validEventId },
+        select: {
+          event_id: true,
+          event_name: true,
+          status: true,
+          start_time: true,
+          end_time: true,
+          event_date: true,
+          estimated_cost: true,
+          account_id: true,
+          room_id: true,
+        },
+      });
+      if (!event) {
+        return createValidationResult(false, ['Event not found']);
+      }
+
+      if (user?.role === 'CUSTOMER') {
+        if (event.account_id !== user.account_id) {
+          return createValidationResult(false, [
+            'You can only reschedule your own events.',
+          ]);
+        }
+        if (
+          event.start_time &&
+          (new Date(event.start_time) - new Date()) / HOUR_MS < 24
+        ) {
+          return createValidationResult(false, [
+            'You can only reschedule events at least 24 hours in advance.',
+          ]);
+        }
+      }
+
+      const transitionError = checkTransition(
+        event.status,
+        'RESCHEDULED',
+        user
+      );
+      if (transitionError) {
+        return createValidationResult(false, [transitionError.message], {
+          ...transitionError,
+          event_id: validEventId,
+        });
+      }
+
+      if (!event.room_id) {
+        return createValidationResult(false, [
+          'Event has no room to reschedule',
+        ]);
+      }
+
+      const offsetMs = event.start_time
+        ? newStart.getTime() - new Date(event.start_time).getTime()
+        : null;
+
+      previousEvent = event;
+
+      const room = await tx.room.findUnique({
+        where: { room_id: event.room_id },
+        select: {
+          room_id: true,
+          room_name: true,
+          is_active: true,
+        },
+      });
+      if (!room || !room.is_active) {
+        return createValidationResult(false, ['Room not found or inactive']);
+      }
+
+      const availability = await checkRoomAvailability(
+        event.room_id,
+        newStart,
+        newEnd,
+        durationHours,
+        validEventId,
+        tx
+      );
+      if (!availability.isValid || !availability.data.isAvailable) {
+        return createValidationResult(
+          false,
+          [
+            availability.data?.reason ||
+              availability.errors?.[0] ||
+              'Room is not available for the requested time slot',
+          ],
+          { code: TRANSITION_ERRORS.SLOT_UNAVAILABLE, room_id: room.room_id }
+        );
+      }
+
+      const eventServices = await tx.eventService.findMany({
+        where: { event_id: validEventId },
+        include: { variation: { select: { variation_name: true } } },
+      });
+
+      // Work out every service's new slot and check it before writing
+      const shiftedServices = [];
+      for (const eventService of eventServices) {
+        if (
+          !eventService.scheduled_time ||
+          eventService.status === 'CANCELLED'
+        ) {
+          continue;
+        }
+        const newScheduledTime =
+          offsetMs !== null
+            ? new Date(
+                new Date(eventService.scheduled_time).getTime() + offsetMs
+              )
+            : newStart;
+        const serviceDuration = eventService.duration_hours || durationHours;
+
+        if (eventService.variation_id) {
+          const variationCheck = await checkVariationAvailability(
+            eventService.variation_id,
+            newScheduledTime,
+            serviceDuration,
+            tx,
+            validEventId
+          );
+          if (!variationCheck.isValid) {
+            return createValidationResult(
+              false,
+              [
+                `${
+                  eventService.variation?.variation_name || 'Service'
+                } is not available for the new time slot`,
+                ...variationCheck.errors,
+              ],
+              variationCheck.data
+            );
+          }
+        }
+
+        shiftedServices.push({
+          event_service_id: eventService.event_service_id,
+          previous_scheduled_time: eventService.scheduled_time,
+          scheduled_time: newScheduledTime,
+        });
+      }
+
+      for (const shifted of shiftedServices) {
+        await tx.eventService.update({
+          where: { event_service_id: shifted.event_service_id },
+          data: { scheduled_time: shifted.scheduled_time },
+        });
+      }
+
+      const eventDate = toEventDate(newStart);
+      const slot = {
+        start_time: newStart,
+        end_time: newEnd,
+        event_date: eventDate,
+      };
+      await tx.event.update({ where: { event_id: validEventId }, data: slot });
+
+      // Open invoices are repriced for the new slot with taxes, discount and
+      // balance; a paid one gets a supplementary invoice or credit note
+      const previousInvoice = await tx.invoice.findUnique({
+        where: { event_id: validEventId },
+        select: { status: true },
+      });
+      const invoiceSync = await syncEventInvoice(tx, validEventId);
+      const newEstimatedCost =
+        invoiceSync?.estimated_cost ?? Number(event.estimated_cost || 0);
+
+      const transition = await transitionEventStatus(
+        validEventId,
+        'RESCHEDULED',
+        user,
+        {
+          tx,
+          reason: reason || 'Event rescheduled',
+          metadata: {
+            previous_slot: {
+              start_time: event.start_time,
+              end_time: event.end_time,
+              event_date: event.event_date,
+            },
+            new_slot: slot,
+            offset_hours: offsetMs !== null ? offsetMs / HOUR_MS : null,
+            previous_estimated_cost: event.estimated_cost,
+            new_estimated_cost: newEstimatedCost,
+            shifted_services: shiftedServices,
+          },
+        }
+      );
+      if (!transition.isValid) {
+        throw new Error(transition.errors.join(', '));
+      }
+
+      // Holds cover the old slot; a RESCHEDULED event holds the new one itself
+      await releaseEventHolds(tx, validEventId);
+
+      if (event.account_id) {
+        const notification = await createNotification(
+          {
+            account_id: event.account_id,
+            title: 'Event Rescheduled',
+            message: `Your event "${
+              event.event_name
+            }" has been moved to ${newStart.toLocaleString('vi-VN')}.`,
+            type: 'CONFIRMATION',
+          },
+          tx
+        );
+        if (!notification.isValid) {
+          console.warn(
+            'Failed to send reschedule notification:',
+            notification.errors
+          );
+        }
+      }
+
+      return createValidationResult(true, [], {
+        event: transition.data.event,
+        previous_slot: {
+          start_time: event.start_time,
+          end_time: event.end_time,
+        },
+        shifted_services: shiftedServices,
+        invoice: invoiceSync?.invoice ?? null,
+        invoice_adjustment: invoiceSync?.adjustment ?? null,
+        invoice_repriced: Boolean(
+          previousInvoice &&
+          ['PENDING', 'PARTIALLY_PAID', 'OVERDUE'].includes(
+            previousInvoice.status
+          )
+        ),
+        price_difference:
+          Math.round(
+            (newEstimatedCost - Number(event.estimated_cost || 0)) * 100
+          ) / 100,
+      });
+    });
+
+    // Offer the vacated slot to the room's waitlist
+    if (result.isValid && !outerTx) {
+      await notifyWaitlistSlotFreed(
+        previousEvent.room_id,
+        previousEvent.start_time,
+        previousEvent.end_time
+      );
+    }
+    return result;
+  } catch (error) {
+    return handleError('rescheduleEvent', error);
+  }
+};
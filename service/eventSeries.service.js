@@ -0,0 +1,624 @@
+import { prisma } from '../prisma/prisma.js';
+import {
+  parseAndValidateId,
+  validateDate,
+  validateString,
+  createValidationResult,
+} from '../utils/validation.js';
+import {
+  parseRecurrence,
+  toRRule,
+  expandOccurrences,
+  MAX_OCCURRENCES,
+} from '../utils/recurrence.js';
+import { runSerializable } from '../utils/transaction.js';
+import { checkRoomAvailability } from './room.service.js';
+import { createEvent } from './event.service.js';
+import { rescheduleEvent } from './eventReschedule.service.js';
+import { cancelEvent } from './eventCancellation.service.js';
+import { notifyWaitlistSlotFreed } from './roomWaitlist.service.js';
+import { TRANSITION_ERRORS } from './eventStatus.service.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+// Booking up to MAX_OCCURRENCES events runs well past Prisma's 5s default
+const SERIES_TX_TIMEOUT_MS = 60 * 1000;
+
+export const SERIES_SCOPES = ['single', 'following'];
+
+// Occurrences in these statuses can no longer be edited or cancelled
+const CLOSED_STATUSES = ['COMPLETED', 'CANCELLED'];
+
+const isTrue = (value) => value === true || value === 'true';
+
+const isOperator = (user) => ['ADMIN', 'STAFF'].includes(user?.role);
+
+const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+const OCCURRENCE_SELECT = {
+  event_id: true,
+  event_name: true,
+  status: true,
+  start_time: true,
+  end_time: true,
+  occurrence_index: true,
+  account_id: true,
+  room_id: true,
+};
+
+// Check the room for every occurrence and collect the ones that cannot be
+// booked; exclude_event_id is used when an existing occurrence is moved.
+const findOccurrenceConflicts = async (room_id, occurrences, tx = prisma) => {
+  const conflicts = [];
+  for (const occurrence of occurrences) {
+    const durationHours =
+      (occurrence.end_time - occurrence.start_time) / HOUR_MS;
+    const availability = await checkRoomAvailability(
+      room_id,
+      occurrence.start_time,
+      occurrence.end_time,
+      durationHours,
+      occurrence.event_id || null,
+      tx
+    );
+    if (!availability.isValid || !availability.data.isAvailable) {
+      conflicts.push({
+        index: occurrence.index,
+        event_id: occurrence.event_id,
+        start_time: occurrence.start_time,
+        end_time: occurrence.end_time,
+        reason:
+          availability.data?.reason ||
+          availability.errors?.[0] ||
+          'Room is not available',
+        conflicting_event_id: availability.data?.conflicting_event_id || null,
+      });
+    }
+  }
+  return conflicts;
+};
+
+const loadSeriesOccurrence = async (seriesId, eventId, user) => {
+  const validSeriesId = parseAndValidateId(seriesId, 'Series ID');
+  const validEventId = parseAndValidateId(eventId, 'Event ID');
+  if (!validSeriesId || !validEventId) {
+    return createValidationResult(false, ['Invalid series or event ID']);
+  }
+
+  const series = await prisma.eventSeries.findUnique({
+    where: { series_id: validSeriesId },
+    include: {
+      events: {
+        select: OCCURRENCE_SELECT,
+        orderBy: { occurrence_index: 'asc' },
+      },
+    },
+  });
+  if (!series) {
+    return createValidationResult(false, ['Event series not found']);
+  }
+  if (!isOperator(user) && series.account_id !== user?.account_id) {
+    return createValidationResult(false, [
+      'You can only manage your own event series',
+    ]);
+  }
+
+  const occurrence = series.events.find((e) => e.event_id === validEventId);
+  if (!occurrence) {
+    return createValidationResult(false, [
+      'Event is not an occurrence of this series',
+    ]);
+  }
+
+  return createValidationResult(true, [], { series, occurrence });
+};
+
+// The selected occurrence alone, or it and every later open occurrence
+const selectOccurrences = (series, occurrence, scope) =>
+  scope === 'following'
+    ? series.events.filter(
+        (e) =>
+          e.occurrence_index >= occurrence.occurrence_index &&
+          !CLOSED_STATUSES.includes(e.status)
+      )
+    : [occurrence];
+
+const validateScope = (scope) =>
+  SERIES_SCOPES.includes(scope)
+    ? []
+    : [`Scope must be one of: ${SERIES_SCOPES.join(', ')}`];
+
+// ===== Create Event Series =====
+// Expands the recurrence and checks the room for every occurrence before
+// anything is written. Any conflict rejects the whole series with the list of
+// conflicting occurrences, unless skip_conflicts is set, in which case those
+// dates are stored as exceptions. dry_run returns the plan without booking.
+export const createEventSeries = async (seriesData, user = null) => {
+  try {
+    const {
+      recurrence,
+      exceptions = [],
+      start_time,
+      end_time,
+      room_id,
+      ...eventData
+    } = seriesData;
+    const dryRun = isTrue(seriesData.dry_run);
+    const skipConflicts = isTrue(seriesData.skip_conflicts);
+
+    const errors = [
+      ...validateDate(start_time, 'Start time', {
+        required: true,
+        notPast: true,
+      }).errors,
+      ...validateDate(end_time, 'End time', { required: true }).errors,
+      ...validateString(eventData.event_name, 'Event name', { required: true })
+        .errors,
+    ];
+    if (!room_id) {
+      errors.push('Room ID is required');
+    }
+    if (!Array.isArray(exceptions)) {
+      errors.push('Exceptions must be an array of dates');
+    }
+    const { errors: recurrenceErrors, rule } = parseRecurrence(
+      recurrence,
+      Array.isArray(exceptions) ? exceptions : []
+    );
+    errors.push(...recurrenceErrors);
+    if (errors.length > 0) {
+      return createValidationResult(false, errors);
+    }
+
+    if (new Date(end_time) <= new Date(start_time)) {
+      return createValidationResult(false, [
+        'End time must be after start time',
+      ]);
+    }
+    if (new Date(end_time) - new Date(start_time) > 24 * HOUR_MS) {
+      return createValidationResult(false, [
+        'A recurring occurrence cannot last longer than 24 hours',
+      ]);
+    }
+
+    const { occurrences, truncated } = expandOccurrences(
+      start_time,
+      end_time,
+      rule
+    );
+    if (truncated) {
+      return createValidationResult(false, [
+        `Recurrence produces more than ${MAX_OCCURRENCES} occurrences`,
+      ]);
+    }
+    if (occurrences.length === 0) {
+      return createValidationResult(false, [
+        'Recurrence does not produce any occurrences',
+      ]);
+    }
+
+    const accountId =
+      isOperator(user) && eventData.account_id
+        ? Number(eventData.account_id)
+        : user?.account_id || null;
+
+    return await runSerializable(
+      prisma,
+      async (tx) => {
+        const room = await tx.room.findUnique({
+          where: { room_id: Number(room_id) },
+          select: { room_id: true, is_active: true },
+        });
+        if (!room || !room.is_active) {
+          return createValidationResult(false, ['Room not found or inactive']);
+        }
+
+        const conflicts = await findOccurrenceConflicts(
+          room_id,
+          occurrences,
+          tx
+        );
+        const conflictIndexes = new Set(conflicts.map((c) => c.index));
+        const bookable = occurrences.filter(
+          (o) => !conflictIndexes.has(o.index)
+        );
+
+        if (conflicts.length > 0 && !skipConflicts) {
+          return createValidationResult(
+            false,
+            [
+              `${conflicts.length} of ${occurrences.length} occurrence(s) conflict with existing bookings`,
+            ],
+            { code: TRANSITION_ERRORS.SLOT_UNAVAILABLE, conflicts }
+          );
+        }
+        if (bookable.length === 0) {
+          return createValidationResult(
+            false,
+            ['None of the occurrences can be booked'],
+            { code: TRANSITION_ERRORS.SLOT_UNAVAILABLE, conflicts }
+          );
+        }
+
+        // Skipped dates become exceptions so the stored rule matches the events
+        const seriesRule = {
+          ...rule,
+          exceptions: [
+            ...new Set([
+              ...rule.exceptions,
+              ...conflicts.map((c) => toDateKey(c.start_time)),
+            ]),
+          ].sort(),
+        };
+
+        if (dryRun) {
+          return createValidationResult(true, [], {
+            dry_run: true,
+            rrule: toRRule(seriesRule),
+            exceptions: seriesRule.exceptions,
+            occurrences: bookable,
+            conflicts,
+          });
+        }
+
+        const series = await tx.eventSeries.create({
+          data: {
+            series_name: eventData.event_name.trim(),
+            rrule: toRRule(seriesRule),
+            exceptions: seriesRule.exceptions,
+            first_start: new Date(start_time),
+            first_end: new Date(end_time),
+            account_id: accountId,
+            room_id: Number(room_id),
+            event_type_id: eventData.event_type_id
+              ? Number(eventData.event_type_id)
+              : null,
+          },
+        });
+
+        const events = [];
+        for (const occurrence of bookable) {
+          const result = await createEvent(
+            {
+              event_name: eventData.event_name,
+              description: eventData.description,
+              event_type_id: eventData.event_type_id,
+              account_id: accountId,
+              room_id,
+              start_time: occurrence.start_time,
+              end_time: occurrence.end_time,
+            },
+            tx,
+            user
+          );
+          if (!result.isValid) {
+            // Roll back the occurrences created so far
+            throw new Error(
+              `Occurrence ${occurrence.index + 1}: ${result.errors.join(', ')}`
+            );
+          }
+          const event = await tx.event.update({
+            where: { event_id: result.data.event_id },
+            data: {
+              series_id: series.series_id,
+              occurrence_index: occurrence.index,
+            },
+            select: OCCURRENCE_SELECT,
+          });
+          events.push(event);
+        }
+
+        return createValidationResult(true, [], {
+          ...series,
+          events,
+          skipped: conflicts,
+        });
+      },
+      { timeout: SERIES_TX_TIMEOUT_MS }
+    );
+  } catch (error) {
+    return handleError('createEventSeries', error);
+  }
+};
+
+// ===== Get Event Series =====
+export const getEventSeries = async (seriesId, user = null) => {
+  try {
+    const validSeriesId = parseAndValidateId(seriesId, 'Series ID');
+    if (!validSeriesId) {
+      return createValidationResult(false, ['Invalid series ID']);
+    }
+
+    const series = await prisma.eventSeries.findUnique({
+      where: { series_id: validSeriesId },
+      include: {
+        room: { select: { room_id: true, room_name: true } },
+        account: { select: { account_id: true, account_name: true } },
+        events: {
+          select: OCCURRENCE_SELECT,
+          orderBy: { occurrence_index: 'asc' },
+        },
+      },
+    });
+    if (!series) {
+      return createValidationResult(false, ['Event series not found']);
+    }
+    if (!isOperator(user) && series.account_id !== user?.account_id) {
+      return createValidationResult(false, [
+        'You can only view your own event series',
+      ]);
+    }
+
+    return createValidationResult(true, [], series);
+  } catch (error) {
+    return handleError('getEventSeries', error);
+  }
+};
+
+// ===== Update Series Occurrences =====
+// scope "single" edits one occurrence, "following" edits it and every later
+// open occurrence. event_name/description are copied as given; a new
+// start_time/end_time on the selected occurrence is applied to the others as
+// the same offset and duration. Moves are checked for every occurrence first
+// and then go through rescheduleEvent, so services and invoices follow. The
+// edit applies to every selected occurrence or, if one cannot be moved, to
+// none of them.
+export const updateSeriesOccurrences = async (
+  seriesId,
+  eventId,
+  updateData = {},
+  user = null
+) => {
+  try {
+    const {
+      scope = 'single',
+      event_name,
+      description,
+      start_time,
+      end_time,
+      reason,
+    } = updateData;
+
+    const errors = validateScope(scope);
+    if (event_name !== undefined) {
+      errors.push(
+        ...validateString(event_name, 'Event name', { required: true }).errors
+      );
+    }
+    const moving = start_time !== undefined || end_time !== undefined;
+    if (moving) {
+      errors.push(
+        ...validateDate(start_time, 'Start time', {
+          required: true,
+          notPast: true,
+        }).errors,
+        ...validateDate(end_time, 'End time', { required: true }).errors
+      );
+    }
+    if (!moving && event_name === undefined && description === undefined) {
+      errors.push('Nothing to update');
+    }
+    if (errors.length > 0) {
+      return createValidationResult(false, errors);
+    }
+
+    const loaded = await loadSeriesOccurrence(seriesId, eventId, user);
+    if (!loaded.isValid) return loaded;
+    const { series, occurrence } = loaded.data;
+
+    if (CLOSED_STATUSES.includes(occurrence.status)) {
+      return createValidationResult(false, [
+        `Cannot edit a ${occurrence.status.toLowerCase()} occurrence`,
+      ]);
+    }
+
+    const targets = selectOccurrences(series, occurrence, scope);
+
+    let moves = [];
+    if (moving) {
+      const newStart = new Date(start_time);
+      const newEnd = new Date(end_time);
+      if (newEnd <= newStart) {
+        return createValidationResult(false, [
+          'End time must be after start time',
+        ]);
+      }
+      const offsetMs = newStart - new Date(occurrence.start_time);
+      const durationMs = newEnd - newStart;
+      moves = targets.map((target) => {
+        const start = new Date(
+          new Date(target.start_time).getTime() + offsetMs
+        );
+        return {
+          index: target.occurrence_index,
+          event_id: target.event_id,
+          start_time: start,
+          end_time: new Date(start.getTime() + durationMs),
+        };
+      });
+
+      const conflicts = await findOccurrenceConflicts(
+        occurrence.room_id,
+        moves
+      );
+      if (conflicts.length > 0) {
+        return createValidationResult(
+          false,
+          [
+            `${conflicts.length} of ${moves.length} occurrence(s) conflict with existing bookings`,
+          ],
+          { code: TRANSITION_ERRORS.SLOT_UNAVAILABLE, conflicts }
+        );
+      }
+    }
+
+    // Names and moves are applied in one transaction: an occurrence whose slot
+    // was taken since the check above rolls the whole edit back
+    let failedMove = null;
+    let results;
+    try {
+      results = await runSerializable(
+        prisma,
+        async (tx) => {
+          failedMove = null;
+          if (event_name !== undefined || description !== undefined) {
+            await tx.event.updateMany({
+              where: { event_id: { in: targets.map((t) => t.event_id) } },
+              data: {
+                ...(event_name !== undefined
+                  ? { event_name: event_name.trim() }
+                  : {}),
+                ...(description !== undefined
+                  ? { description: description?.trim() || null }
+                  : {}),
+              },
+            });
+          }
+
+          const applied = [];
+          for (const move of moves) {
+            const result = await rescheduleEvent(move.event_id, user, {
+              start_time: move.start_time,
+              end_time: move.end_time,
+              reason: reason || `Series ${scope} edit`,
+              tx,
+            });
+            if (!result.isValid) {
+              failedMove = { move, result };
+              throw new Error(result.errors.join(', '));
+            }
+            applied.push({
+              event_id: move.event_id,
+              index: move.index,
+              start_time: move.start_time,
+              end_time: move.end_time,
+              previous_slot: result.data.previous_slot,
+            });
+          }
+          return applied;
+        },
+        { timeout: SERIES_TX_TIMEOUT_MS }
+      );
+    } catch (error) {
+      if (!failedMove) throw error;
+    }
+
+    if (failedMove) {
+      const { move, result } = failedMove;
+      return createValidationResult(
+        false,
+        [
+          `Occurrence ${move.index} could not be moved; no occurrence was changed`,
+          ...result.errors,
+        ],
+        {
+          ...result.data,
+          conflicts: [
+            {
+              index: move.index,
+              event_id: move.event_id,
+              start_time: move.start_time,
+              end_time: move.end_time,
+              reason: result.errors[0] || 'Room is not available',
+            },
+          ],
+        }
+      );
+    }
+
+    // Offer the vacated slots to the room's waitlist
+    for (const move of results) {
+      await notifyWaitlistSlotFreed(
+        occurrence.room_id,
+        move.previous_slot.start_time,
+        move.previous_slot.end_time
+      );
+    }
+    const moveResults = results.map(({ previous_slot, ...move }) => move);
+
+    const updated = await prisma.event.findMany({
+      where: { event_id: { in: targets.map((t) => t.event_id) } },
+      select: OCCURRENCE_SELECT,
+      orderBy: { occurrence_index: 'asc' },
+    });
+
+    return createValidationResult(true, [], {
+      series_id: series.series_id,
+      scope,
+      events: updated,
+      moves: moveResults,
+    });
+  } catch (error) {
+    return handleError('updateSeriesOccurrences', error);
+  }
+};
+
+// ===== Cancel Series Occurrences =====
+// Cancels one occurrence or it and every later open occurrence through
+// cancelEvent, so each keeps its own refund calculation.
+export const cancelSeriesOccurrences = async (
+  seriesId,
+  eventId,
+  user = null,
+  options = {}
+) => {
+  try {
+    const { scope = 'single', reason, refund_percent } = options;
+    const errors = validateScope(scope);
+    if (errors.length > 0) {
+      return createValidationResult(false, errors);
+    }
+
+    const loaded = await loadSeriesOccurrence(seriesId, eventId, user);
+    if (!loaded.isValid) return loaded;
+    const { series, occurrence } = loaded.data;
+
+    if (CLOSED_STATUSES.includes(occurrence.status)) {
+      return createValidationResult(false, [
+        `Occurrence is already ${occurrence.status.toLowerCase()}`,
+      ]);
+    }
+
+    const results = [];
+    for (const target of selectOccurrences(series, occurrence, scope)) {
+      const result = await cancelEvent(target.event_id, user, {
+        reason: reason || `Series ${scope} cancellation`,
+        refund_percent,
+      });
+      results.push({
+        event_id: target.event_id,
+        index: target.occurrence_index,
+        success: result.isValid,
+        errors: result.errors,
+        total_refunded: result.isValid ? result.data.total_refunded : 0,
+      });
+    }
+
+    const cancelled = results.filter((r) => r.success).length;
+    if (cancelled === 0) {
+      return createValidationResult(false, results[0]?.errors || [], {
+        occurrences: results,
+      });
+    }
+
+    return createValidationResult(true, [], {
+      series_id: series.series_id,
+      scope,
+      cancelled,
+      failed: results.length - cancelled,
+      occurrences: results,
+    });
+  } catch (error) {
+    return handleError('cancelSeriesOccurrences', error);
+  }
+};
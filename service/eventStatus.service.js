@@ -0,0 +1,343 @@
+import { prisma } from '../prisma/prisma.js';
+import {
+  parseAndValidateId,
+  createValidationResult,
+} from '../utils/validation.js';
+import {
+  checkRoomAvailability,
+  getSlotHoldingStatuses,
+} from './room.service.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+// Automatic transitions (payment callbacks, background jobs) have no user
+// attached and are recorded with the SYSTEM actor.
+export const SYSTEM_ACTOR = 'SYSTEM';
+
+export const EVENT_STATUSES = [
+  'PENDING',
+  'CONFIRMED',
+  'IN_PROGRESS',
+  'COMPLETED',
+  'CANCELLED',
+  'RESCHEDULED',
+];
+
+const ALL_ROLES = ['CUSTOMER', 'STAFF', 'ADMIN', SYSTEM_ACTOR];
+const OPERATOR_ROLES = ['STAFF', 'ADMIN', SYSTEM_ACTOR];
+
+// from status -> { to status: roles allowed to make the move }
+// COMPLETED and CANCELLED are terminal.
+export const EVENT_STATUS_TRANSITIONS = {
+  PENDING: {
+    CONFIRMED: OPERATOR_ROLES,
+    CANCELLED: ALL_ROLES,
+    RESCHEDULED: ALL_ROLES,
+  },
+  CONFIRMED: {
+    PENDING: ['ADMIN'],
+    IN_PROGRESS: OPERATOR_ROLES,
+    CANCELLED: ALL_ROLES,
+    RESCHEDULED: ALL_ROLES,
+  },
+  IN_PROGRESS: {
+    COMPLETED: OPERATOR_ROLES,
+    CANCELLED: ['ADMIN', SYSTEM_ACTOR],
+  },
+  RESCHEDULED: {
+    PENDING: OPERATOR_ROLES,
+    CONFIRMED: OPERATOR_ROLES,
+    CANCELLED: ALL_ROLES,
+    RESCHEDULED: ALL_ROLES,
+  },
+  COMPLETED: {},
+  CANCELLED: {},
+};
+
+export const TRANSITION_ERRORS = {
+  INVALID_STATUS: 'INVALID_STATUS',
+  INVALID_TRANSITION: 'INVALID_TRANSITION',
+  FORBIDDEN_TRANSITION: 'FORBIDDEN_TRANSITION',
+  NOT_OWNER: 'NOT_OWNER',
+  EVENT_NOT_FOUND: 'EVENT_NOT_FOUND',
+  SLOT_UNAVAILABLE: 'SLOT_UNAVAILABLE',
+};
+
+const resolveActorRole = (actor) =>
+  actor?.role ? String(actor.role).toUpperCase() : SYSTEM_ACTOR;
+
+export const getAllowedTransitions = (fromStatus, actor = null) => {
+  const role = resolveActorRole(actor);
+  const targets = EVENT_STATUS_TRANSITIONS[fromStatus] || {};
+  return Object.keys(targets).filter((to) => targets[to].includes(role));
+};
+
+// Pure check of a single move against the transition table. Returns null when
+// the move is allowed, otherwise a structured error payload.
+export const checkTransition = (fromStatus, toStatus, actor = null) => {
+  const role = resolveActorRole(actor);
+
+  if (!EVENT_STATUSES.includes(toStatus)) {
+    return {
+      code: TRANSITION_ERRORS.INVALID_STATUS,
+      message: `Invalid event status: ${toStatus}`,
+      from: fromStatus,
+      to: toStatus,
+      allowed: getAllowedTransitions(fromStatus, actor),
+    };
+  }
+
+  const targets = EVENT_STATUS_TRANSITIONS[fromStatus] || {};
+  if (!targets[toStatus]) {
+    return {
+      code: TRANSITION_ERRORS.INVALID_TRANSITION,
+      message: `Cannot change event status from ${fromStatus} to ${toStatus}`,
+      from: fromStatus,
+      to: toStatus,
+      allowed: getAllowedTransitions(fromStatus, actor),
+    };
+  }
+
+  if (!targets[toStatus].includes(role)) {
+    return {
+      code: TRANSITION_ERRORS.FORBIDDEN_TRANSITION,
+      message: `Role ${role} cannot change event status from ${fromStatus} to ${toStatus}`,
+      from: fromStatus,
+      to: toStatus,
+      allowed: getAllowedTransitions(fromStatus, actor),
+    };
+  }
+
+  return null;
+};
+
+// ===== Record Status Change =====
+// Writes a history row only; callers that already changed Event.status
+// themselves (e.g. event creation) use this directly.
+export const recordStatusChange = async (
+  tx,
+  { event_id, from_status = null, to_status, actor = null, reason, metadata }
+) => {
+  return tx.eventStatusHistory.create({
+    data: {
+      event_id: Number(event_id),
+      from_status,
+      to_status,
+      changed_by: actor?.account_id ? Number(actor.account_id) : null,
+      actor_role: resolveActorRole(actor),
+      reason: reason?.trim() || null,
+      metadata: metadata ?? undefined,
+    },
+  });
+};
+
+async function innerTransitionEventStatus(
+  tx,
+  eventId,
+  toStatus,
+  actor,
+  options
+) {
+  const { reason, metadata, data = {} } = options;
+
+  const event = await tx.event.findUnique({
+    where: { event_id: eventId },
+    select: {
+      event_id: true,
+      status: true,
+      account_id: true,
+      room_id: true,
+      start_time: true,
+      end_time: true,
+    },
+  });
+
+  if (!event) {
+    return createValidationResult(false, ['Event not found'], {
+      code: TRANSITION_ERRORS.EVENT_NOT_FOUND,
+      event_id: eventId,
+    });
+  }
+
+  if (
+    resolveActorRole(actor) === 'CUSTOMER' &&
+    event.account_id !== actor.account_id
+  ) {
+    return createValidationResult(
+      false,
+      ['You can only change the status of your own events.'],
+      { code: TRANSITION_ERRORS.NOT_OWNER, event_id: eventId }
+    );
+  }
+
+  // Re-applying the current status is a no-op unless the table explicitly
+  // allows a self-transition (RESCHEDULED -> RESCHEDULED).
+  if (
+    event.status === toStatus &&
+    !EVENT_STATUS_TRANSITIONS[event.status]?.[toStatus]
+  ) {
+    const current = await tx.event.findUnique({ where: { event_id: eventId } });
+    return createValidationResult(true, [], {
+      event: current,
+      history: null,
+      changed: false,
+    });
+  }
+
+  const transitionError = checkTransition(event.status, toStatus, actor);
+  if (transitionError) {
+    return createValidationResult(false, [transitionError.message], {
+      ...transitionError,
+      event_id: eventId,
+    });
+  }
+
+  // An event moving into a slot-holding status (e.g. PENDING -> CONFIRMED,
+  // whose hold may have lapsed) must not overlap a booking that already
+  // holds the room.
+  const holdingStatuses = getSlotHoldingStatuses();
+  const startTime = data.start_time ?? event.start_time;
+  const endTime = data.end_time ?? event.end_time;
+  if (
+    event.room_id &&
+    startTime &&
+    endTime &&
+    holdingStatuses.includes(toStatus) &&
+    !holdingStatuses.includes(event.status)
+  ) {
+    const availability = await checkRoomAvailability(
+      event.room_id,
+      startTime,
+      endTime,
+      null,
+      eventId,
+      tx
+    );
+    if (!availability.isValid || !availability.data.isAvailable) {
+      return createValidationResult(
+        false,
+        ['Room is already booked for this time slot'],
+        {
+          code: TRANSITION_ERRORS.SLOT_UNAVAILABLE,
+          event_id: eventId,
+          from: event.status,
+          to: toStatus,
+        }
+      );
+    }
+  }
+
+  // Guard against a concurrent transition having moved the event since it
+  // was read: only update while it is still in the status we validated.
+  const { count } = await tx.event.updateMany({
+    where: { event_id: eventId, status: event.status },
+    data: { ...data, status: toStatus },
+  });
+  if (count === 0) {
+    return createValidationResult(
+      false,
+      ['Event status was changed by another request, please retry'],
+      {
+        code: TRANSITION_ERRORS.INVALID_TRANSITION,
+        event_id: eventId,
+        from: event.status,
+        to: toStatus,
+      }
+    );
+  }
+
+  const history = await recordStatusChange(tx, {
+    event_id: eventId,
+    from_status: event.status,
+    to_status: toStatus,
+    actor,
+    reason,
+    metadata,
+  });
+
+  const updatedEvent = await tx.event.findUnique({
+    where: { event_id: eventId },
+  });
+
+  return createValidationResult(true, [], {
+    event: updatedEvent,
+    history,
+    changed: true,
+  });
+}
+
+// ===== Transition Event Status =====
+// Single entry point for every Event.status change. `actor` is the
+// authenticated user ({ account_id, role }) or null for system transitions.
+// Options: reason, metadata (stored on the history row), data (extra event
+// fields written together with the status) and tx (an outer transaction).
+export const transitionEventStatus = async (
+  eventId,
+  toStatus,
+  actor = null,
+  options = {}
+) => {
+  try {
+    const validEventId = parseAndValidateId(eventId, 'Event ID');
+    if (!validEventId) {
+      return createValidationResult(false, ['Invalid event ID']);
+    }
+
+    if (options.tx) {
+      return await innerTransitionEventStatus(
+        options.tx,
+        validEventId,
+        toStatus,
+        actor,
+        options
+      );
+    }
+
+    return await prisma.$transaction((tx) =>
+      innerTransitionEventStatus(tx, validEventId, toStatus, actor, options)
+    );
+  } catch (error) {
+    return handleError('transitionEventStatus', error);
+  }
+};
+
+// ===== Get Event Status History =====
+export const getEventStatusHistory = async (eventId) => {
+  try {
+    const validEventId = parseAndValidateId(eventId, 'Event ID');
+    if (!validEventId) {
+      return createValidationResult(false, ['Invalid event ID']);
+    }
+
+    const event = await prisma.event.findUnique({
+      where: { event_id: validEventId },
+      select: { event_id: true, status: true, account_id: true },
+    });
+    if (!event) {
+      return createValidationResult(false, ['Event not found']);
+    }
+
+    const history = await prisma.eventStatusHistory.findMany({
+      where: { event_id: validEventId },
+      include: {
+        account: {
+          select: { account_id: true, account_name: true, role: true },
+        },
+      },
+      orderBy: [{ changed_at: 'asc' }, { history_id: 'asc' }],
+    });
+
+    return createValidationResult(true, [], {
+      event_id: event.event_id,
+      account_id: event.account_id,
+      current_status: event.status,
+      history,
+    });
+  } catch (error) {
+    return handleError('getEventStatusHistory', error);
+  }
+};
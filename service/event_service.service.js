@@ -7,6 +7,10 @@ import {
   validatePagination,
 } from '../utils/validation.js';
 import { createNotification } from '../utils/notification.js';
+import { findConflictingHolds, refreshEventHolds } from './slotHold.service.js';
+import { priceEventLines } from './pricing.service.js';
+import { syncEventInvoice } from './invoiceSync.service.js';
+import { isSerializationFailure } from '../utils/transaction.js';
 
 const prisma = new PrismaClient();
 
@@ -88,7 +92,8 @@ export const checkVariationAvailability = async (
   variation_id,
   scheduled_time,
   duration_hours,
-  tx = prisma
+  tx = prisma,
+  exclude_event_id = null
 ) => {
   try {
     // Validate inputs
@@ -149,8 +154,28 @@ export const checkVariationAvailability = async (
     //   );
     // }
 
+    // Slots held by other bookings that are still in checkout
+    const holds = await findConflictingHolds(
+      {
+        variation_id,
+        start_time: requestedStart,
+        end_time: requestedEnd,
+        exclude_event_id,
+      },
+      tx
+    );
+    if (holds.length > 0) {
+      return createValidationResult(
+        false,
+        ['Variation is temporarily held by another booking'],
+        { holds }
+      );
+    }
+
     return createValidationResult(true, [], { variation_id });
   } catch (error) {
+    // Left to the caller's runSerializable to retry
+    if (isSerializationFailure(error)) throw error;
     console.error('Error in checkVariationAvailability:', error);
     return createValidationResult(false, [error.message]);
   }
@@ -180,7 +205,13 @@ export const createEventService = async (serviceData, user = null) => {
     // Validate references
     const event = await prisma.event.findUnique({
       where: { event_id: Number(event_id) },
-      select: { event_id: true, status: true, account_id: true },
+      select: {
+        event_id: true,
+        status: true,
+        account_id: true,
+        event_date: true,
+        start_time: true,
+      },
     });
     if (!event || event.status === 'CANCELLED') {
       return createValidationResult(false, ['Event not found or cancelled']);
@@ -214,7 +245,9 @@ export const createEventService = async (serviceData, user = null) => {
         const availabilityCheck = await checkVariationAvailability(
           variation_id,
           scheduled_time,
-          duration_hours
+          duration_hours,
+          prisma,
+          event_id
         );
         if (!availabilityCheck.isValid) {
           return availabilityCheck;
@@ -222,27 +255,56 @@ export const createEventService = async (serviceData, user = null) => {
       }
     }
 
-    const newEventService = await prisma.eventService.create({
-      data: {
-        event_id: Number(event_id),
-        service_id: Number(service_id),
-        variation_id: variation_id ? Number(variation_id) : null,
-        quantity: Number(quantity),
-        custom_price: custom_price ? Number(custom_price) : null,
-        notes: notes?.trim() || null,
-        status,
-        scheduled_time: scheduled_time ? new Date(scheduled_time) : null,
-        duration_hours: duration_hours ? Number(duration_hours) : null,
-      },
-      include: {
-        event: {
-          select: { event_id: true, event_name: true, account_id: true },
-        },
-        service: { select: { service_id: true, service_name: true } },
-        variation: { select: { variation_id: true, variation_name: true } },
-      },
+    // Create the line and bring the event's invoice in line with it
+    const { newEventService, invoiceSync } = await prisma.$transaction(
+      async (tx) => {
+        const created = await tx.eventService.create({
+          data: {
+            event_id: Number(event_id),
+            service_id: Number(service_id),
+            variation_id: variation_id ? Number(variation_id) : null,
+            quantity: Number(quantity),
+            custom_price: custom_price ? Number(custom_price) : null,
+            notes: notes?.trim() || null,
+            status,
+            scheduled_time: scheduled_time ? new Date(scheduled_time) : null,
+            duration_hours: duration_hours ? Number(duration_hours) : null,
+          },
+          include: {
+            event: {
+              select: { event_id: true, event_name: true, account_id: true },
+            },
+            service: { select: { service_id: true, service_name: true } },
+            variation: {
+              select: {
+                variation_id: true,
+                variation_name: true,
+                base_price: true,
+                currency: true,
+              },
+            },
+          },
+        });
+        return {
+          newEventService: created,
+          invoiceSync: await syncEventInvoice(tx, created.event_id),
+        };
+      }
+    );
+
+    // Price the line for the event's date so the caller sees the tier applied
+    const {
+      lines: [pricing],
+    } = await priceEventLines({
+      eventServices: [newEventService],
+      eventDate: event.event_date || event.start_time,
     });
 
+    // Cover the new variation with the event's slot hold, if it still has one
+    if (newEventService.variation_id && newEventService.scheduled_time) {
+      await refreshEventHolds(prisma, newEventService.event_id);
+    }
+
     // Notification logic: send notification to user if booking is successful
     if (user && user.account_id) {
       await createNotification({
@@ -253,7 +315,14 @@ export const createEventService = async (serviceData, user = null) => {
       });
     }
 
-    return createValidationResult(true, [], newEventService);
+    return createValidationResult(true, [], {
+      ...newEventService,
+      unit_price: pricing?.unit_price ?? null,
+      subtotal: pricing?.subtotal ?? null,
+      pricing: pricing?.breakdown ?? null,
+      invoice: invoiceSync?.invoice ?? null,
+      invoice_adjustment: invoiceSync?.adjustment ?? null,
+    });
   } catch (error) {
     return handleError('createEventService', error);
   }
@@ -336,7 +405,9 @@ export const updateEventService = async (eventServiceId, updateData) => {
         const availabilityCheck = await checkVariationAvailability(
           variation_id,
           scheduled_time,
-          duration_hours
+          duration_hours,
+          prisma,
+          event_id || existingEventService.event_id
         );
         if (!availabilityCheck.isValid) {
           return availabilityCheck;
@@ -352,7 +423,9 @@ export const updateEventService = async (eventServiceId, updateData) => {
         const availabilityCheck = await checkVariationAvailability(
           variation_id,
           effectiveScheduledTime,
-          effectiveDurationHours
+          effectiveDurationHours,
+          prisma,
+          existingEventService.event_id
         );
         if (!availabilityCheck.isValid) {
           return availabilityCheck;
@@ -380,17 +453,35 @@ export const updateEventService = async (eventServiceId, updateData) => {
         ? Number(duration_hours)
         : null;
 
-    const updatedEventService = await prisma.eventService.update({
-      where: { event_service_id: validEventServiceId },
-      data: updateFields,
-      include: {
-        event: { select: { event_id: true, event_name: true } },
-        service: { select: { service_id: true, service_name: true } },
-        variation: { select: { variation_id: true, variation_name: true } },
-      },
-    });
+    const { updatedEventService, invoiceSync } = await prisma.$transaction(
+      async (tx) => {
+        const updated = await tx.eventService.update({
+          where: { event_service_id: validEventServiceId },
+          data: updateFields,
+          include: {
+            event: { select: { event_id: true, event_name: true } },
+            service: { select: { service_id: true, service_name: true } },
+            variation: {
+              select: { variation_id: true, variation_name: true },
+            },
+          },
+        });
+        // A line moved to another event changes both invoices
+        if (updated.event_id !== existingEventService.event_id) {
+          await syncEventInvoice(tx, existingEventService.event_id);
+        }
+        return {
+          updatedEventService: updated,
+          invoiceSync: await syncEventInvoice(tx, updated.event_id),
+        };
+      }
+    );
 
-    return createValidationResult(true, [], updatedEventService);
+    return createValidationResult(true, [], {
+      ...updatedEventService,
+      invoice: invoiceSync?.invoice ?? null,
+      invoice_adjustment: invoiceSync?.adjustment ?? null,
+    });
   } catch (error) {
     return handleError('updateEventService', error);
   }
@@ -507,12 +598,17 @@ export const deleteEventService = async (eventServiceId) => {
       return createValidationResult(false, ['Event service not found']);
     }
 
-    await prisma.eventService.delete({
-      where: { event_service_id: validEventServiceId },
+    const invoiceSync = await prisma.$transaction(async (tx) => {
+      await tx.eventService.delete({
+        where: { event_service_id: validEventServiceId },
+      });
+      return syncEventInvoice(tx, existingEventService.event_id);
     });
 
     return createValidationResult(true, [], {
       event_service_id: validEventServiceId,
+      invoice: invoiceSync?.invoice ?? null,
+      invoice_adjustment: invoiceSync?.adjustment ?? null,
     });
   } catch (error) {
     return handleError('deleteEventService', error);
@@ -0,0 +1,369 @@
+import { prisma } from '../prisma/prisma.js';
+import {
+  validateNumber,
+  validateString,
+  validateDate,
+  parseAndValidateId,
+  createValidationResult,
+} from '../utils/validation.js';
+import {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  validateCurrency,
+  roundToCurrency,
+} from '../utils/currency.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+// partial=true validates only the fields present (updates)
+const validateExchangeRateData = (data, partial = false) => {
+  const errors = [];
+
+  if (!partial) {
+    errors.push(...validateCurrency(data.base_currency, 'Base currency'));
+    errors.push(...validateCurrency(data.quote_currency, 'Quote currency'));
+    if (
+      normalizeCurrency(data.base_currency) &&
+      normalizeCurrency(data.base_currency) ===
+        normalizeCurrency(data.quote_currency)
+    ) {
+      errors.push('Base and quote currency must differ');
+    }
+  }
+  if (!partial || data.rate !== undefined) {
+    const rateValidation = validateNumber(data.rate, 'Rate', {
+      required: true,
+    });
+    errors.push(...rateValidation.errors);
+    if (rateValidation.isValid && Number(data.rate) <= 0) {
+      errors.push('Rate must be greater than 0');
+    }
+  }
+  if (data.effective_from) {
+    errors.push(...validateDate(data.effective_from, 'Effective from').errors);
+  }
+  if (data.source !== undefined && data.source !== null) {
+    errors.push(
+      ...validateString(data.source, 'Source', {
+        maxLength: 100,
+        sanitize: true,
+      }).errors
+    );
+  }
+
+  return errors;
+};
+
+const toExchangeRateFields = (data) => {
+  const fields = {};
+  if (data.base_currency !== undefined) {
+    fields.base_currency = normalizeCurrency(data.base_currency);
+  }
+  if (data.quote_currency !== undefined) {
+    fields.quote_currency = normalizeCurrency(data.quote_currency);
+  }
+  if (data.rate !== undefined) fields.rate = Number(data.rate);
+  if (data.effective_from)
+    fields.effective_from = new Date(data.effective_from);
+  if (data.source !== undefined) fields.source = data.source?.trim() || null;
+  return fields;
+};
+
+const isUniqueViolation = (error) => error?.code === 'P2002';
+
+const DUPLICATE_RATE_ERROR =
+  'A rate for this currency pair already starts at that time';
+
+// ===== Rate Providers =====
+// Used when no admin rate covers a pair. A provider is
+// { name, getRate(from, to, at) } resolving to the price of 1 `from` in `to`,
+// or null when it has none. The local stub prices every currency in VND from
+// LOCAL_EXCHANGE_RATES ("USD:23000,EUR:25000"); plug a live feed in with
+// setExchangeRateProvider.
+const DEFAULT_LOCAL_RATES = 'USD:23000';
+
+const parseLocalRates = () => {
+  const rates = { VND: 1 };
+  for (const entry of (
+    process.env.LOCAL_EXCHANGE_RATES || DEFAULT_LOCAL_RATES
+  ).split(',')) {
+    const [code, value] = entry.split(':').map((part) => part?.trim());
+    const currency = normalizeCurrency(code);
+    if (currency && Number(value) > 0) rates[currency] = Number(value);
+  }
+  return rates;
+};
+
+export const localRateProvider = {
+  name: 'local',
+  getRate: async (from, to) => {
+    const vndPer = parseLocalRates();
+    if (!vndPer[from] || !vndPer[to]) return null;
+    return vndPer[from] / vndPer[to];
+  },
+};
+
+let rateProvider = localRateProvider;
+
+/**
+ * Replace the fallback rate provider (null restores the local stub)
+ * @param {{name: string, getRate: Function}|null} provider
+ */
+export const setExchangeRateProvider = (provider) => {
+  rateProvider = provider || localRateProvider;
+};
+
+// ===== Create Exchange Rate =====
+// 1 base_currency = rate quote_currency from effective_from (default now)
+export const createExchangeRate = async (data) => {
+  try {
+    const errors = validateExchangeRateData(data);
+    if (errors.length > 0) return createValidationResult(false, errors);
+
+    const fields = toExchangeRateFields(data);
+    const exchangeRate = await prisma.exchangeRate.create({
+      data: { effective_from: new Date(), ...fields },
+    });
+    return createValidationResult(true, [], exchangeRate);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return createValidationResult(false, [DUPLICATE_RATE_ERROR]);
+    }
+    return handleError('createExchangeRate', error);
+  }
+};
+
+// ===== Get Exchange Rates =====
+// Filters: base_currency, quote_currency, date (latest rate per pair in
+// effect at that time)
+export const getExchangeRates = async (filters = {}) => {
+  try {
+    const where = {};
+    for (const field of ['base_currency', 'quote_currency']) {
+      if (!filters[field]) continue;
+      const currency = normalizeCurrency(filters[field]);
+      if (!currency) {
+        return createValidationResult(false, validateCurrency(filters[field]));
+      }
+      where[field] = currency;
+    }
+    if (filters.date) {
+      const dateValidation = validateDate(filters.date, 'Date');
+      if (!dateValidation.isValid) {
+        return createValidationResult(false, dateValidation.errors);
+      }
+      where.effective_from = { lte: new Date(filters.date) };
+    }
+
+    const exchangeRates = await prisma.exchangeRate.findMany({
+      where,
+      orderBy: [
+        { base_currency: 'asc' },
+        { quote_currency: 'asc' },
+        { effective_from: 'desc' },
+      ],
+    });
+    if (!filters.date) return createValidationResult(true, [], exchangeRates);
+
+    const seen = new Set();
+    return createValidationResult(
+      true,
+      [],
+      exchangeRates.filter((rate) => {
+        const pair = `${rate.base_currency}:${rate.quote_currency}`;
+        if (seen.has(pair)) return false;
+        seen.add(pair);
+        return true;
+      })
+    );
+  } catch (error) {
+    return handleError('getExchangeRates', error);
+  }
+};
+
+// ===== Get Exchange Rate by ID =====
+export const getExchangeRateById = async (exchangeRateId) => {
+  try {
+    const validId = parseAndValidateId(exchangeRateId, 'Exchange rate ID');
+    if (!validId) {
+      return createValidationResult(false, ['Invalid exchange rate ID']);
+    }
+
+    const exchangeRate = await prisma.exchangeRate.findUnique({
+      where: { exchange_rate_id: validId },
+    });
+    if (!exchangeRate) {
+      return createValidationResult(false, ['Exchange rate not found']);
+    }
+    return createValidationResult(true, [], exchangeRate);
+  } catch (error) {
+    return handleError('getExchangeRateById', error);
+  }
+};
+
+// ===== Update Exchange Rate =====
+// The pair cannot change. Payments keep the rate they were charged at, so
+// edits only affect conversions from now on.
+export const updateExchangeRate = async (exchangeRateId, data) => {
+  try {
+    const existing = await getExchangeRateById(exchangeRateId);
+    if (!existing.isValid) return existing;
+
+    const errors = validateExchangeRateData(data, true);
+    if (errors.length > 0) return createValidationResult(false, errors);
+
+    const { rate, effective_from, source } = toExchangeRateFields(data);
+    const exchangeRate = await prisma.exchangeRate.update({
+      where: { exchange_rate_id: existing.data.exchange_rate_id },
+      data: { rate, effective_from, source },
+    });
+    return createValidationResult(true, [], exchangeRate);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return createValidationResult(false, [DUPLICATE_RATE_ERROR]);
+    }
+    return handleError('updateExchangeRate', error);
+  }
+};
+
+// ===== Delete Exchange Rate =====
+// Rates recorded on payments are kept for the audit trail
+export const deleteExchangeRate = async (exchangeRateId) => {
+  try {
+    const existing = await getExchangeRateById(exchangeRateId);
+    if (!existing.isValid) return existing;
+
+    const where = { exchange_rate_id: existing.data.exchange_rate_id };
+    const usage = await prisma.payment.count({ where });
+    if (usage > 0) {
+      return createValidationResult(false, [
+        'Exchange rate is recorded on payments and cannot be deleted; add a newer rate instead',
+      ]);
+    }
+
+    await prisma.exchangeRate.delete({ where });
+    return createValidationResult(true, [], {
+      exchange_rate_id: existing.data.exchange_rate_id,
+      deleted: true,
+    });
+  } catch (error) {
+    return handleError('deleteExchangeRate', error);
+  }
+};
+
+// ===== Rate Lookup =====
+// Price of 1 `from` in `to` at a time: the latest admin rate for the pair,
+// else the inverse of the latest rate for the reverse pair, else the rate
+// provider. Resolves to null when nobody has a rate.
+export const findExchangeRate = async (
+  from,
+  to,
+  at = new Date(),
+  tx = prisma
+) => {
+  const base = normalizeCurrency(from);
+  const quote = normalizeCurrency(to);
+  if (!base || !quote) return null;
+  if (base === quote) {
+    return { rate: 1, exchange_rate_id: null, source: 'identity' };
+  }
+
+  const latest = (base_currency, quote_currency) =>
+    tx.exchangeRate.findFirst({
+      where: { base_currency, quote_currency, effective_from: { lte: at } },
+      orderBy: { effective_from: 'desc' },
+    });
+
+  const direct = await latest(base, quote);
+  if (direct) {
+    return {
+      rate: Number(direct.rate),
+      exchange_rate_id: direct.exchange_rate_id,
+      source: direct.source || 'admin',
+    };
+  }
+  const inverse = await latest(quote, base);
+  if (inverse) {
+    return {
+      rate: 1 / Number(inverse.rate),
+      exchange_rate_id: inverse.exchange_rate_id,
+      source: inverse.source || 'admin',
+    };
+  }
+
+  const provided = await rateProvider.getRate(base, quote, at);
+  return provided
+    ? {
+        rate: Number(provided),
+        exchange_rate_id: null,
+        source: rateProvider.name,
+      }
+    : null;
+};
+
+// ===== Quote Conversion =====
+// For GET /convert: ?amount=&from=&to=&date=
+export const quoteConversion = async (query = {}) => {
+  try {
+    const errors = [
+      ...validateNumber(query.amount, 'Amount', { required: true, min: 0 })
+        .errors,
+      ...validateCurrency(query.from || BASE_CURRENCY, 'From currency'),
+      ...validateCurrency(query.to, 'To currency'),
+      ...validateDate(query.date, 'Date').errors,
+    ];
+    if (errors.length > 0) return createValidationResult(false, errors);
+
+    const from = normalizeCurrency(query.from || BASE_CURRENCY);
+    const to = normalizeCurrency(query.to);
+    const rate = await findExchangeRate(
+      from,
+      to,
+      query.date ? new Date(query.date) : new Date()
+    );
+    if (!rate) {
+      return createValidationResult(false, [
+        `No exchange rate from ${from} to ${to}`,
+      ]);
+    }
+
+    return createValidationResult(true, [], {
+      from,
+      to,
+      amount: roundToCurrency(query.amount, from),
+      converted_amount: roundToCurrency(Number(query.amount) * rate.rate, to),
+      ...rate,
+    });
+  } catch (error) {
+    return handleError('quoteConversion', error);
+  }
+};
+
+// ===== Payment Amounts =====
+// Fields recording a payment of `amount` in `currency` against an invoice in
+// `invoiceCurrency`: the rate invoice -> payment currency and the amount in
+// the invoice's currency. Throws when there is no rate for the pair.
+export const getPaymentCurrencyFields = async (
+  amount,
+  currency = BASE_CURRENCY,
+  invoiceCurrency = BASE_CURRENCY,
+  { at, tx } = {}
+) => {
+  const rate = await findExchangeRate(invoiceCurrency, currency, at, tx);
+  if (!rate) {
+    throw new Error(`No exchange rate from ${invoiceCurrency} to ${currency}`);
+  }
+  return {
+    currency: normalizeCurrency(currency),
+    exchange_rate: rate.rate,
+    exchange_rate_id: rate.exchange_rate_id,
+    base_amount: roundToCurrency(
+      Number(amount || 0) / rate.rate,
+      invoiceCurrency
+    ),
+  };
+};
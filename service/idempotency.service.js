@@ -0,0 +1,169 @@
+import { prisma } from '../prisma/prisma.js';
+import { createValidationResult } from '../utils/validation.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+export const IDEMPOTENCY_ERRORS = {
+  KEY_REUSED: 'KEY_REUSED',
+  IN_PROGRESS: 'IN_PROGRESS',
+};
+
+const DEFAULT_KEY_TTL_HOURS = 24;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// A request still IN_PROGRESS after this long died with its server and no
+// longer blocks retries
+const IN_PROGRESS_TIMEOUT_MS = 5 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// IDEMPOTENCY_KEY_TTL_HOURS: how long a key replays its response
+const getKeyTtlHours = () =>
+  Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || DEFAULT_KEY_TTL_HOURS;
+
+const isUniqueViolation = (error) => error?.code === 'P2002';
+
+// ===== Begin Idempotent Request =====
+// Claims `key` for the account's request. A new key is stored IN_PROGRESS and
+// the request runs; a completed one with the same request_hash returns its
+// stored response to replay. The same key with a different request, or while
+// the first request is still running, is rejected. Expired keys are reused.
+export const beginIdempotentRequest = async (
+  accountId,
+  key,
+  { request_hash, method, path },
+  now = new Date()
+) => {
+  try {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const record = await prisma.idempotencyKey.create({
+          data: {
+            account_id: accountId,
+            key,
+            request_hash,
+            method,
+            path,
+            expires_at: new Date(now.getTime() + getKeyTtlHours() * HOUR_MS),
+          },
+        });
+        return createValidationResult(true, [], { record, replay: false });
+      } catch (error) {
+        if (!isUniqueViolation(error)) throw error;
+      }
+
+      const existing = await prisma.idempotencyKey.findUnique({
+        where: { account_id_key: { account_id: accountId, key } },
+      });
+      // Released between the insert and the read; claim it again
+      if (!existing) continue;
+
+      const abandoned =
+        existing.status === 'IN_PROGRESS' &&
+        now - existing.created_at > IN_PROGRESS_TIMEOUT_MS;
+      if (existing.expires_at <= now || abandoned) {
+        await prisma.idempotencyKey.deleteMany({
+          where: {
+            idempotency_id: existing.idempotency_id,
+            status: existing.status,
+          },
+        });
+        continue;
+      }
+
+      if (existing.request_hash !== request_hash) {
+        return createValidationResult(
+          false,
+          [
+            `Idempotency-Key was already used for a different request (${existing.method} ${existing.path})`,
+          ],
+          { code: IDEMPOTENCY_ERRORS.KEY_REUSED }
+        );
+      }
+      if (existing.status === 'IN_PROGRESS') {
+        return createValidationResult(
+          false,
+          ['A request with this Idempotency-Key is still being processed'],
+          { code: IDEMPOTENCY_ERRORS.IN_PROGRESS }
+        );
+      }
+      return createValidationResult(true, [], {
+        record: existing,
+        replay: true,
+      });
+    }
+
+    return createValidationResult(
+      false,
+      ['A request with this Idempotency-Key is still being processed'],
+      { code: IDEMPOTENCY_ERRORS.IN_PROGRESS }
+    );
+  } catch (error) {
+    return handleError('beginIdempotentRequest', error);
+  }
+};
+
+// ===== Complete Idempotent Request =====
+// Stores the response that repeats of the request get back
+export const completeIdempotentRequest = async (
+  idempotencyId,
+  responseStatus,
+  responseBody
+) =>
+  prisma.idempotencyKey.update({
+    where: { idempotency_id: idempotencyId },
+    data: {
+      status: 'COMPLETED',
+      response_status: responseStatus,
+      // Plain JSON, as the client received it (Decimals become strings)
+      response_body: JSON.parse(JSON.stringify(responseBody ?? null)),
+      completed_at: new Date(),
+    },
+  });
+
+// ===== Release Idempotent Request =====
+// Forgets a key whose request did not succeed so it can be retried as is
+export const releaseIdempotentRequest = async (idempotencyId) =>
+  prisma.idempotencyKey.deleteMany({
+    where: { idempotency_id: idempotencyId, status: 'IN_PROGRESS' },
+  });
+
+// ===== Purge Expired Idempotency Keys =====
+export const purgeExpiredIdempotencyKeys = async (now = new Date()) => {
+  try {
+    const { count } = await prisma.idempotencyKey.deleteMany({
+      where: { expires_at: { lte: now } },
+    });
+    return createValidationResult(true, [], { purged: count });
+  } catch (error) {
+    return handleError('purgeExpiredIdempotencyKeys', error);
+  }
+};
+
+// ===== Idempotency Key Sweeper =====
+// Runs purgeExpiredIdempotencyKeys on an interval
+// (IDEMPOTENCY_SWEEP_INTERVAL_MS, hourly by default). Returns the timer; it
+// does not keep the process up.
+export const startIdempotencyKeySweeper = (
+  intervalMs = Number(process.env.IDEMPOTENCY_SWEEP_INTERVAL_MS) ||
+    DEFAULT_SWEEP_INTERVAL_MS
+) => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await purgeExpiredIdempotencyKeys();
+      if (!result.isValid) {
+        console.error('Failed to purge idempotency keys:', result.errors);
+      }
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+  return timer;
+};
@@ -5,7 +5,11 @@ import {
   validateDateRange,
   parseAndValidateId,
   createValidationResult,
+  validatePagination,
 } from "../utils/validation.js";
+import { nextInvoiceNumber } from "./invoiceNumber.service.js";
+import { calculateTaxes, saveInvoiceTaxes } from "./tax.service.js";
+import { BASE_CURRENCY, normalizeCurrency, validateCurrency } from "../utils/currency.js";
 
 const prisma = new PrismaClient();
 
@@ -47,6 +51,10 @@ const validateInvoiceData = (invoiceData) => {
     errors.push(...discountValidation.errors);
   }
 
+  if (invoiceData.currency) {
+    errors.push(...validateCurrency(invoiceData.currency));
+  }
+
   if (invoiceData.notes) {
     const notesValidation = validateString(invoiceData.notes, "Notes", {
       maxLength: 1000,
@@ -110,7 +118,7 @@ const validateInvoiceDetailData = (detailData) => {
 // ===== Create Invoice =====
 export const createInvoice = async (invoiceData, details = [], tx = prisma) => {
   try {
-    const { event_id, account_id, total_amount, tax_amount, discount_amount, status = 'PENDING', notes } = invoiceData;
+    const { event_id, account_id, total_amount, tax_amount, discount_amount, status = 'PENDING', notes, currency } = invoiceData;
 
     // Validate invoice data
     const validationErrors = validateInvoiceData(invoiceData);
@@ -121,7 +129,7 @@ export const createInvoice = async (invoiceData, details = [], tx = prisma) => {
     // Validate event
     const event = await tx.event.findUnique({
       where: { event_id: Number(event_id) },
-      select: { event_id: true, status: true },
+      select: { event_id: true, status: true, event_date: true, start_time: true },
     });
     if (!event || event.status === 'CANCELLED') {
       return createValidationResult(false, ["Event not found or cancelled"]);
@@ -147,15 +155,29 @@ export const createInvoice = async (invoiceData, details = [], tx = prisma) => {
     }
 
     const newInvoice = await tx.$transaction(async (tx) => {
+      // With line items, tax and total are worked out from the tax rates for
+      // the event day; otherwise the amounts given are stored as they are
+      const totals = details.length > 0
+        ? await calculateTaxes(
+            details.map((detail) => ({ item_type: detail.item_type || 'SERVICE', subtotal: Number(detail.subtotal) })),
+            { date: event.event_date || event.start_time, discount_amount },
+            tx
+          )
+        : null;
+
+      const invoiceTotal = totals ? totals.total_amount : Number(total_amount);
       const invoice = await tx.invoice.create({
         data: {
-          invoice_number: `INV-${Date.now()}`,
-          total_amount: Number(total_amount),
-          tax_amount: tax_amount ? Number(tax_amount) : 0,
-          discount_amount: discount_amount ? Number(discount_amount) : 0,
+          invoice_number: await nextInvoiceNumber(tx),
+          total_amount: invoiceTotal,
+          tax_amount: totals ? totals.tax_amount : tax_amount ? Number(tax_amount) : 0,
+          discount_amount: totals ? totals.discount_amount : discount_amount ? Number(discount_amount) : 0,
           status,
+          amount_paid: status === "PAID" ? invoiceTotal : 0,
+          balance_due: status === "PAID" ? 0 : invoiceTotal,
           event_id: Number(event_id),
           account_id: account_id ? Number(account_id) : null,
+          currency: normalizeCurrency(currency) || BASE_CURRENCY,
           notes: notes?.trim() || null,
           issue_date: new Date(),
           due_date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // Due in 7 days
@@ -180,9 +202,10 @@ export const createInvoice = async (invoiceData, details = [], tx = prisma) => {
             variation_id: detail.variation_id ? Number(detail.variation_id) : null,
           })),
         });
+        await saveInvoiceTaxes(tx, invoice.invoice_id, totals.taxes);
       }
 
-      return invoice;
+      return { ...invoice, taxes: totals?.taxes || [] };
     });
 
     return createValidationResult(true, [], {
@@ -197,7 +220,7 @@ export const createInvoice = async (invoiceData, details = [], tx = prisma) => {
 // ===== Get All Invoices =====
 export const getAllInvoices = async (filters = {}) => {
   try {
-    const { event_id, account_id, status, page = 1, limit = 20, sortBy = 'issue_date', sortOrder = 'asc' } = filters;
+    const { event_id, account_id, status, invoice_type, dateMin, dateMax, page = 1, limit = 20, sortBy = 'issue_date', sortOrder = 'asc' } = filters;
 
     // Validate pagination
     const { page: validPage, limit: validLimit, errors: paginationErrors } = validatePagination(page, limit);
@@ -210,6 +233,16 @@ export const getAllInvoices = async (filters = {}) => {
     if (event_id) where.event_id = parseAndValidateId(event_id, "Event ID");
     if (account_id) where.account_id = parseAndValidateId(account_id, "Account ID");
     if (status) where.status = status;
+    if (invoice_type) where.invoice_type = invoice_type;
+    if (dateMin || dateMax) {
+      const dateRange = validateDateRange(dateMin, dateMax, "Issue ");
+      if (!dateRange.isValid) {
+        return createValidationResult(false, dateRange.errors);
+      }
+      where.issue_date = {};
+      if (dateMin) where.issue_date.gte = new Date(dateMin);
+      if (dateMax) where.issue_date.lte = new Date(dateMax);
+    }
 
     const skip = (validPage - 1) * validLimit;
     const orderBy = { [sortBy]: sortOrder?.toLowerCase() || 'asc' };
@@ -220,7 +253,8 @@ export const getAllInvoices = async (filters = {}) => {
         include: {
           event: { select: { event_id: true, event_name: true } },
           account: { select: { account_id: true, account_name: true } },
-          details: { select: { invoice_detail_id: true, item_name: true, quantity: true, unit_price: true, subtotal: true } },
+          details: { select: { invoice_detail_id: true, item_name: true, item_type: true, quantity: true, unit_price: true, subtotal: true } },
+          taxes: { select: { tax_rate_id: true, name: true, rate: true, mode: true, taxable_amount: true, tax_amount: true } },
         },
         skip,
         take: validLimit,
@@ -260,7 +294,9 @@ export const getInvoiceById = async (invoiceId) => {
       include: {
         event: { select: { event_id: true, event_name: true } },
         account: { select: { account_id: true, account_name: true } },
-        details: { select: { invoice_detail_id: true, item_name: true, quantity: true, unit_price: true, subtotal: true } },
+        details: { select: { invoice_detail_id: true, item_name: true, item_type: true, quantity: true, unit_price: true, subtotal: true } },
+        taxes: { select: { tax_rate_id: true, name: true, rate: true, mode: true, taxable_amount: true, tax_amount: true } },
+        installments: { where: { status: { not: "CANCELLED" } }, orderBy: { sequence: "asc" } },
       },
     });
 
@@ -277,6 +313,63 @@ export const getInvoiceById = async (invoiceId) => {
   }
 };
 
+// ===== Get Invoice Document =====
+// Everything the invoice PDF needs, plus a payment summary. Amount paid and
+// balance due are the ones stored on the invoice (kept up to date as payments,
+// refunds, credit notes and plans change it), so the PDF matches the API.
+export const getInvoiceDocument = async (invoiceId) => {
+  try {
+    const validInvoiceId = parseAndValidateId(invoiceId, "Invoice ID");
+
+    const eventSelect = {
+      event_id: true,
+      event_name: true,
+      event_date: true,
+      start_time: true,
+      room: { select: { room_name: true } },
+    };
+    const invoice = await prisma.invoice.findUnique({
+      where: { invoice_id: validInvoiceId },
+      include: {
+        event: { select: eventSelect },
+        account: { select: { account_id: true, account_name: true, email: true, phone: true } },
+        details: { orderBy: { invoice_detail_id: "asc" } },
+        taxes: { orderBy: { invoice_tax_id: "asc" } },
+        payments: { orderBy: { payment_date: "asc" } },
+        installments: { where: { status: { not: "CANCELLED" } }, orderBy: { sequence: "asc" } },
+        parent_invoice: {
+          select: { invoice_id: true, invoice_number: true, event: { select: eventSelect } },
+        },
+        adjustments: {
+          select: { invoice_id: true, invoice_number: true, invoice_type: true, status: true, total_amount: true },
+        },
+      },
+    });
+
+    if (!invoice) {
+      return createValidationResult(false, ["Invoice not found"]);
+    }
+
+    const sum = (items) => Math.round(items.reduce((total, item) => total + Number(item), 0) * 100) / 100;
+    // Payments may be in another currency; base_amount is in the invoice's
+    const inInvoiceCurrency = (p) => p.base_amount ?? p.amount;
+    const amountRefunded = sum(invoice.payments.filter((p) => p.payment_status === "REFUNDED").map(inInvoiceCurrency));
+    const balanceDue = invoice.balance_due ?? Math.max(0, sum([invoice.total_amount, -invoice.amount_paid]));
+
+    return createValidationResult(true, [], {
+      invoice,
+      summary: {
+        subtotal: sum(invoice.details.map((d) => d.subtotal)),
+        amount_paid: Number(invoice.amount_paid),
+        amount_refunded: amountRefunded,
+        balance_due: Number(balanceDue),
+      },
+    });
+  } catch (error) {
+    return handleError("getInvoiceDocument", error);
+  }
+};
+
 // ===== Update Invoice =====
 export const updateInvoice = async (invoiceId, updateData, tx = prisma) => {
   try {
@@ -324,12 +417,15 @@ export const updateInvoice = async (invoiceId, updateData, tx = prisma) => {
     const updateFields = {};
     if (event_id !== undefined) updateFields.event_id = Number(event_id);
     if (account_id !== undefined) updateFields.account_id = account_id ? Number(account_id) : null;
-    if (total_amount !== undefined) updateFields.total_amount = Number(total_amount);
+    if (total_amount !== undefined) {
+      updateFields.total_amount = Number(total_amount);
+      updateFields.balance_due = Math.max(0, Number(total_amount) - Number(existingInvoice.amount_paid));
+    }
     if (tax_amount !== undefined) updateFields.tax_amount = Number(tax_amount);
     if (discount_amount !== undefined) updateFields.discount_amount = Number(discount_amount);
     if (status !== undefined) updateFields.status = status;
     if (notes !== undefined) updateFields.notes = notes?.trim() || null;
-    if (paid_at !== undefined) updateFields.paid_at = paid_at ? new Date(paid_at) : null;
+    if (paid_at !== undefined) updateFields.paid_date = paid_at ? new Date(paid_at) : null;
 
     const updatedInvoice = await tx.invoice.update({
       where: { invoice_id: validInvoiceId },
@@ -337,7 +433,8 @@ export const updateInvoice = async (invoiceId, updateData, tx = prisma) => {
       include: {
         event: { select: { event_id: true, event_name: true } },
         account: { select: { account_id: true, account_name: true } },
-        details: { select: { invoice_detail_id: true, item_name: true, quantity: true, unit_price: true, subtotal: true } },
+        details: { select: { invoice_detail_id: true, item_name: true, item_type: true, quantity: true, unit_price: true, subtotal: true } },
+        taxes: { select: { tax_rate_id: true, name: true, rate: true, mode: true, taxable_amount: true, tax_amount: true } },
       },
     });
 
@@ -400,21 +497,28 @@ export const getInvoiceStats = async (filter = {}) => {
       totalAmount,
       paidInvoices,
       pendingInvoices,
+      partiallyPaidInvoices,
       cancelledInvoices,
       overdueInvoices,
       refundedInvoices,
       totalPaidAmount,
-      totalOverdueAmount
+      totalOverdueAmount,
+      totalOutstanding
     ] = await Promise.all([
       prisma.invoice.count({ where }),
       prisma.invoice.aggregate({ _sum: { total_amount: true }, where }),
       prisma.invoice.count({ where: { ...where, status: "PAID" } }),
       prisma.invoice.count({ where: { ...where, status: "PENDING" } }),
+      prisma.invoice.count({ where: { ...where, status: "PARTIALLY_PAID" } }),
       prisma.invoice.count({ where: { ...where, status: "CANCELLED" } }),
       prisma.invoice.count({ where: { ...where, status: "OVERDUE" } }),
       prisma.invoice.count({ where: { ...where, status: "REFUNDED" } }),
       prisma.invoice.aggregate({ _sum: { total_amount: true }, where: { ...where, status: "PAID" } }),
       prisma.invoice.aggregate({ _sum: { total_amount: true }, where: { ...where, status: "OVERDUE" } }),
+      prisma.invoice.aggregate({
+        _sum: { balance_due: true },
+        where: { ...where, status: { in: ["PENDING", "PARTIALLY_PAID", "OVERDUE"] } },
+      }),
     ]);
 
     return {
@@ -422,11 +526,13 @@ export const getInvoiceStats = async (filter = {}) => {
       totalAmount: totalAmount._sum.total_amount || 0,
       paidInvoices,
       pendingInvoices,
+      partiallyPaidInvoices,
       cancelledInvoices,
       overdueInvoices,
       refundedInvoices,
       totalPaidAmount: totalPaidAmount._sum.total_amount || 0,
       totalOverdueAmount: totalOverdueAmount._sum.total_amount || 0,
+      totalOutstanding: totalOutstanding._sum.balance_due || 0,
     };
   } catch (error) {
     console.error("Error in getInvoiceStats:", error);
@@ -0,0 +1,74 @@
+// Supplementary invoices share the invoice series; credit notes have their own
+export const INVOICE_SERIES = {
+  INVOICE: 'INVOICE',
+  CREDIT_NOTE: 'CREDIT_NOTE',
+};
+
+const DEFAULT_TEMPLATE = '{prefix}-{year}-{number}';
+const DEFAULT_PADDING = 6;
+const DEFAULT_PREFIXES = {
+  [INVOICE_SERIES.INVOICE]: 'INV',
+  [INVOICE_SERIES.CREDIT_NOTE]: 'CN',
+};
+
+/**
+ * Numbering settings for a series, from INVOICE_NUMBER_TEMPLATE,
+ * INVOICE_NUMBER_PADDING, INVOICE_NUMBER_PREFIX and CREDIT_NOTE_NUMBER_PREFIX.
+ * The template understands {prefix}, {year} and {number}.
+ * @param {string} series - One of INVOICE_SERIES
+ * @returns {{ template: string, prefix: string, padding: number }}
+ */
+export const getNumberingConfig = (series) => {
+  const padding = Number(process.env.INVOICE_NUMBER_PADDING);
+  const prefix =
+    series === INVOICE_SERIES.CREDIT_NOTE
+      ? process.env.CREDIT_NOTE_NUMBER_PREFIX
+      : process.env.INVOICE_NUMBER_PREFIX;
+  return {
+    template: process.env.INVOICE_NUMBER_TEMPLATE || DEFAULT_TEMPLATE,
+    prefix: prefix ?? DEFAULT_PREFIXES[series],
+    padding:
+      Number.isInteger(padding) && padding >= 0 && padding <= 12
+        ? padding
+        : DEFAULT_PADDING,
+  };
+};
+
+export const seriesForInvoiceType = (invoiceType) =>
+  invoiceType === 'CREDIT_NOTE'
+    ? INVOICE_SERIES.CREDIT_NOTE
+    : INVOICE_SERIES.INVOICE;
+
+export const formatInvoiceNumber = (series, year, number) => {
+  const { template, prefix, padding } = getNumberingConfig(series);
+  return template
+    .replace(/\{prefix\}/g, prefix)
+    .replace(/\{year\}/g, String(year))
+    .replace(/\{number\}/g, String(number).padStart(padding, '0'));
+};
+
+// ===== Next Invoice Number =====
+// Bumps the (series, year) counter and formats the result. Must run on the
+// transaction that creates the invoice: the counter row stays locked until
+// commit, so concurrent invoices queue up and a rollback leaves no gap.
+export const nextInvoiceNumber = async (
+  tx,
+  { invoice_type = 'STANDARD', date = new Date() } = {}
+) => {
+  // Interactive transaction clients have no $transaction of their own
+  if (!tx || typeof tx.$transaction === 'function') {
+    throw new Error('Invoice numbers must be issued inside a transaction');
+  }
+  const series = seriesForInvoiceType(invoice_type);
+  const year = new Date(date).getFullYear();
+
+  const [{ last_number }] = await tx.$queryRaw`
+    INSERT INTO "invoice_sequences" ("series", "year", "last_number", "updated_at")
+    VALUES (${series}, ${year}, 1, CURRENT_TIMESTAMP)
+    ON CONFLICT ("series", "year")
+    DO UPDATE SET "last_number" = "invoice_sequences"."last_number" + 1,
+                  "updated_at" = CURRENT_TIMESTAMP
+    RETURNING "last_number"`;
+
+  return formatInvoiceNumber(series, year, last_number);
+};
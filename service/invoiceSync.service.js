@@ -0,0 +1,301 @@
+import {
+  calculatePromotionDiscount,
+  priceEventLines,
+  roundAmount,
+  toInvoiceDetailData,
+} from './pricing.service.js';
+import { nextInvoiceNumber } from './invoiceNumber.service.js';
+import { calculateTaxes, saveInvoiceTaxes } from './tax.service.js';
+import { refreshInvoiceBalance } from './paymentPlan.service.js';
+import { BASE_CURRENCY } from '../utils/currency.js';
+
+export const INVOICE_TYPES = ['STANDARD', 'SUPPLEMENTARY', 'CREDIT_NOTE'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const INVOICE_DUE_MS = 7 * 24 * HOUR_MS;
+
+// Invoices that can still be rewritten in place; a payment plan's unpaid
+// installments absorb the change
+const OPEN_INVOICE_STATUSES = ['PENDING', 'PARTIALLY_PAID', 'OVERDUE'];
+
+// Same line on the event invoice and on its adjustments
+const lineKey = (line) =>
+  [line.item_type, line.service_id ?? '', line.variation_id ?? ''].join(':');
+
+// Sum of subtotals per line; sign -1 for credit notes
+const addLines = (totals, lines, sign = 1) => {
+  for (const line of lines) {
+    const key = lineKey(line);
+    const entry = totals.get(key) || { ...line, amount: 0 };
+    entry.amount = roundAmount(entry.amount + sign * Number(line.subtotal));
+    totals.set(key, entry);
+  }
+  return totals;
+};
+
+// Per-line difference between what is booked now and what was already
+// billed on the paid invoice and its live adjustments
+const diffLines = (lines, invoice, adjustments) => {
+  const billed = addLines(new Map(), invoice.details);
+  for (const adjustment of adjustments) {
+    const sign = adjustment.invoice_type === 'CREDIT_NOTE' ? -1 : 1;
+    addLines(billed, adjustment.details, sign);
+  }
+  const booked = addLines(new Map(), lines);
+
+  const diff = [];
+  for (const key of new Set([...booked.keys(), ...billed.keys()])) {
+    const line = booked.get(key) || billed.get(key);
+    const delta = roundAmount(
+      (booked.get(key)?.amount || 0) - (billed.get(key)?.amount || 0)
+    );
+    if (delta === 0) continue;
+    diff.push({
+      item_name: line.item_name,
+      quantity: 1,
+      subtotal: delta,
+      item_type: line.item_type,
+      service_id: line.service_id,
+      variation_id: line.variation_id,
+    });
+  }
+  return diff;
+};
+
+// Invoice with its detail lines and the tax lines from calculateTaxes
+const createInvoiceWithLines = async (tx, data, lines, totals) => {
+  const invoice = await tx.invoice.create({
+    data: {
+      invoice_number: await nextInvoiceNumber(tx, {
+        invoice_type: data.invoice_type,
+      }),
+      issue_date: new Date(),
+      due_date: new Date(Date.now() + INVOICE_DUE_MS),
+      status: 'PENDING',
+      total_amount: totals.total_amount,
+      tax_amount: totals.tax_amount,
+      discount_amount: totals.discount_amount,
+      balance_due: totals.total_amount,
+      ...data,
+    },
+  });
+  if (lines.length > 0) {
+    await tx.invoiceDetail.createMany({
+      data: lines.map((line) => toInvoiceDetailData(line, invoice.invoice_id)),
+    });
+  }
+  await saveInvoiceTaxes(tx, invoice.invoice_id, totals.taxes);
+  return invoice;
+};
+
+// A supplementary invoice when the booking grew, a credit note when it
+// shrank. Credit note lines are stored as positive amounts; tax is worked
+// out on the changed lines at the event's rates.
+const issueAdjustment = async (tx, event, invoice, diff, taxDate) => {
+  const amount = roundAmount(
+    diff.reduce((sum, line) => sum + line.subtotal, 0)
+  );
+  if (amount === 0) return null;
+
+  const isCredit = amount < 0;
+  const sign = isCredit ? -1 : 1;
+  const lines = diff.map((line) => {
+    const subtotal = roundAmount(sign * line.subtotal);
+    return { ...line, unit_price: subtotal, subtotal };
+  });
+
+  return createInvoiceWithLines(
+    tx,
+    {
+      invoice_type: isCredit ? 'CREDIT_NOTE' : 'SUPPLEMENTARY',
+      parent_invoice_id: invoice.invoice_id,
+      account_id: invoice.account_id ?? event.account_id,
+      currency: invoice.currency,
+      notes: `${isCredit ? 'Credit' : 'Supplementary charge'} for changes to paid invoice ${invoice.invoice_number}`,
+    },
+    lines,
+    await calculateTaxes(lines, { date: taxDate }, tx)
+  );
+};
+
+// ===== Sync Event Invoice =====
+// Reprices an event from its room and non-cancelled EventServices, applies
+// the tax rates in effect on the event day and brings Event.estimated_cost
+// and the invoice in line. Open invoices are rewritten;
+// a PAID invoice is never touched, the difference goes on a supplementary
+// invoice or credit note instead. An unpaid supplementary invoice is
+// replaced rather than stacked. An applied promotion code is re-evaluated
+// against the current lines while the invoice is open. Runs inside the
+// caller's transaction.
+export const syncEventInvoice = async (tx, eventId) => {
+  const event = await tx.event.findUnique({
+    where: { event_id: Number(eventId) },
+    select: {
+      event_id: true,
+      status: true,
+      account_id: true,
+      start_time: true,
+      end_time: true,
+      event_date: true,
+      room: {
+        select: {
+          room_id: true,
+          room_name: true,
+          base_price: true,
+          hourly_rate: true,
+          currency: true,
+        },
+      },
+      event_services: {
+        where: { status: { not: 'CANCELLED' } },
+        include: {
+          service: { select: { service_name: true, service_type_id: true } },
+          variation: {
+            select: {
+              variation_id: true,
+              variation_name: true,
+              base_price: true,
+              currency: true,
+            },
+          },
+        },
+      },
+      promotion_redemptions: {
+        where: { status: 'APPLIED' },
+        include: { promotion: true },
+        take: 1,
+      },
+      invoice: {
+        include: {
+          details: true,
+          adjustments: {
+            where: { status: { not: 'CANCELLED' } },
+            include: { details: true },
+          },
+        },
+      },
+    },
+  });
+  // Cancelled events are settled by the cancellation flow
+  if (!event || event.status === 'CANCELLED') return null;
+
+  const durationHours =
+    event.start_time && event.end_time
+      ? (new Date(event.end_time) - new Date(event.start_time)) / HOUR_MS
+      : null;
+  // An invoice keeps the currency it was issued in
+  const pricing = await priceEventLines(
+    {
+      room: event.room,
+      eventServices: event.event_services,
+      durationHours,
+      eventDate: event.event_date || event.start_time,
+      currency: event.invoice?.currency || BASE_CURRENCY,
+    },
+    tx
+  );
+
+  let invoice = event.invoice;
+  let adjustment = null;
+  const isOpen = !invoice || OPEN_INVOICE_STATUSES.includes(invoice.status);
+
+  // The promotion decides the discount until the invoice is paid; otherwise
+  // a discount set on the invoice is kept. Either is spread over the lines.
+  const [redemption] = event.promotion_redemptions;
+  const promotion =
+    redemption && isOpen
+      ? calculatePromotionDiscount(redemption.promotion, pricing.lines)
+      : null;
+  const taxDate = event.event_date || event.start_time;
+  const totals = await calculateTaxes(
+    pricing.lines,
+    {
+      date: taxDate,
+      discount_amount: promotion
+        ? promotion.discount_amount
+        : invoice?.discount_amount,
+    },
+    tx
+  );
+
+  if (!invoice) {
+    if (pricing.total > 0) {
+      invoice = await createInvoiceWithLines(
+        tx,
+        {
+          event_id: event.event_id,
+          account_id: event.account_id,
+          currency: BASE_CURRENCY,
+        },
+        pricing.lines,
+        totals
+      );
+    }
+  } else if (isOpen) {
+    await tx.invoiceDetail.deleteMany({
+      where: { invoice_id: invoice.invoice_id },
+    });
+    await tx.invoiceDetail.createMany({
+      data: pricing.lines.map((line) =>
+        toInvoiceDetailData(line, invoice.invoice_id)
+      ),
+    });
+    await tx.invoice.update({
+      where: { invoice_id: invoice.invoice_id },
+      data: {
+        total_amount: totals.total_amount,
+        tax_amount: totals.tax_amount,
+        discount_amount: totals.discount_amount,
+      },
+    });
+    await saveInvoiceTaxes(tx, invoice.invoice_id, totals.taxes);
+    invoice = await refreshInvoiceBalance(tx, invoice.invoice_id);
+  } else if (invoice.status === 'PAID') {
+    const unpaidSupplements = invoice.adjustments.filter(
+      (a) => a.invoice_type === 'SUPPLEMENTARY' && a.status !== 'PAID'
+    );
+    if (unpaidSupplements.length > 0) {
+      await tx.invoice.updateMany({
+        where: {
+          invoice_id: { in: unpaidSupplements.map((a) => a.invoice_id) },
+        },
+        data: { status: 'CANCELLED' },
+      });
+    }
+    const diff = diffLines(
+      pricing.lines,
+      invoice,
+      invoice.adjustments.filter((a) => !unpaidSupplements.includes(a))
+    );
+    adjustment = await issueAdjustment(tx, event, invoice, diff, taxDate);
+  }
+
+  if (promotion) {
+    await tx.promotionRedemption.update({
+      where: { redemption_id: redemption.redemption_id },
+      data: {
+        discount_amount: totals.discount_amount,
+        invoice_id: invoice?.invoice_id ?? null,
+      },
+    });
+  }
+
+  await tx.event.update({
+    where: { event_id: event.event_id },
+    data: { estimated_cost: totals.total_amount },
+  });
+
+  return {
+    pricing,
+    totals,
+    invoice,
+    adjustment,
+    promotion: promotion && {
+      ...promotion,
+      discount_amount: totals.discount_amount,
+      redemption_id: redemption.redemption_id,
+      code: redemption.promotion.code,
+    },
+    estimated_cost: totals.total_amount,
+  };
+};
@@ -0,0 +1,278 @@
+import { prisma } from '../prisma/prisma.js';
+import {
+  validateNumber,
+  validateString,
+  validateDate,
+  parseAndValidateId,
+  createValidationResult,
+} from '../utils/validation.js';
+import { uploadDocument, deleteImageFromCloud } from '../utils/cloudinary.js';
+import {
+  formatCurrency,
+  normalizeCurrency,
+  validateCurrency,
+  roundToCurrency,
+} from '../utils/currency.js';
+import { runSerializable } from '../utils/transaction.js';
+import { roundAmount } from './pricing.service.js';
+import { getPaymentCurrencyFields } from './exchangeRate.service.js';
+import { confirmEventPayment } from './payment.service.js';
+import {
+  OUTSTANDING_INVOICE_STATUSES,
+  PAYABLE_INSTALLMENT_STATUSES,
+  getBalanceDue,
+  recordInvoicePayment,
+} from './paymentPlan.service.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+export const OFFLINE_PAYMENT_METHODS = ['CASH', 'BANK_TRANSFER'];
+
+const PROOF_FOLDER = 'payment-proofs';
+
+const validateOfflinePaymentData = (data) => {
+  const errors = [];
+
+  if (!OFFLINE_PAYMENT_METHODS.includes(data.payment_method)) {
+    errors.push(
+      `Payment method must be one of: ${OFFLINE_PAYMENT_METHODS.join(', ')}`
+    );
+  }
+  if (data.amount !== undefined && data.amount !== null && data.amount !== '') {
+    const amountValidation = validateNumber(data.amount, 'Amount');
+    errors.push(...amountValidation.errors);
+    if (amountValidation.isValid && Number(data.amount) <= 0) {
+      errors.push('Amount must be greater than 0');
+    }
+  }
+  if (data.currency) {
+    errors.push(...validateCurrency(data.currency));
+  }
+  // A transfer is only traceable by its bank reference
+  errors.push(
+    ...validateString(data.reference_number, 'Reference number', {
+      required: data.payment_method === 'BANK_TRANSFER',
+      maxLength: 100,
+      sanitize: true,
+    }).errors
+  );
+  errors.push(
+    ...validateDate(data.paid_at, 'Paid at', { maxDate: new Date() }).errors
+  );
+  if (data.installment_id) {
+    if (!parseAndValidateId(data.installment_id, 'Installment ID')) {
+      errors.push('Invalid installment ID');
+    }
+  }
+  errors.push(
+    ...validateString(data.notes, 'Notes', {
+      maxLength: 1000,
+      sanitize: true,
+    }).errors
+  );
+
+  return errors;
+};
+
+// ===== Book Offline Payment =====
+// Records money received outside Stripe against an outstanding invoice and
+// books it like a completed Checkout payment: amount_paid and balance_due
+// move, the invoice is PAID once nothing is left, the first payment confirms
+// the event and the customer is notified. An installment payment must be the
+// installment's amount in the invoice's currency; other payments may be in
+// any currency with a rate but not more than the balance due. The same
+// reference cannot be booked twice for a method. Runs in the caller's
+// transaction; `data` must already be validated.
+export const bookOfflinePayment = async (tx, invoiceId, data, user = null) => {
+  const invoice = await tx.invoice.findUnique({
+    where: { invoice_id: Number(invoiceId) },
+    include: {
+      event: {
+        select: { event_id: true, status: true, event_name: true },
+      },
+      installments: {
+        where: { status: { in: PAYABLE_INSTALLMENT_STATUSES } },
+        orderBy: { sequence: 'asc' },
+      },
+    },
+  });
+  if (!invoice) return createValidationResult(false, ['Invoice not found']);
+  if (!OUTSTANDING_INVOICE_STATUSES.includes(invoice.status)) {
+    return createValidationResult(false, [
+      `Invoice is ${invoice.status} and has nothing left to pay`,
+    ]);
+  }
+
+  const reference = data.reference_number?.trim() || null;
+  if (reference) {
+    const duplicate = await tx.payment.findFirst({
+      where: {
+        payment_method: data.payment_method,
+        reference_number: reference,
+        payment_status: 'COMPLETED',
+        original_payment_id: null,
+      },
+      select: { payment_id: true },
+    });
+    if (duplicate) {
+      return createValidationResult(false, [
+        `Reference ${reference} is already recorded on payment #${duplicate.payment_id}`,
+      ]);
+    }
+  }
+
+  const balance = getBalanceDue(invoice);
+  const currency = normalizeCurrency(data.currency) || invoice.currency;
+  const paidAt = data.paid_at ? new Date(data.paid_at) : new Date();
+
+  let installment = null;
+  if (data.installment_id) {
+    installment = invoice.installments.find(
+      (i) => i.installment_id === Number(data.installment_id)
+    );
+    if (!installment) {
+      return createValidationResult(false, [
+        'Installment not found or already paid',
+      ]);
+    }
+    if (currency !== invoice.currency) {
+      return createValidationResult(false, [
+        `Installments are paid in the invoice's currency (${invoice.currency})`,
+      ]);
+    }
+  }
+
+  const hasAmount =
+    data.amount !== undefined && data.amount !== null && data.amount !== '';
+  const expected = installment ? Number(installment.amount) : balance;
+  if (!hasAmount && currency !== invoice.currency) {
+    return createValidationResult(false, [
+      'Amount is required for a payment in another currency',
+    ]);
+  }
+  const amount = roundToCurrency(hasAmount ? data.amount : expected, currency);
+  if (amount <= 0) {
+    return createValidationResult(false, ['Amount must be greater than 0']);
+  }
+
+  const currencyFields = await getPaymentCurrencyFields(
+    amount,
+    currency,
+    invoice.currency,
+    { at: paidAt, tx }
+  );
+  const baseAmount = roundAmount(currencyFields.base_amount);
+  if (installment && baseAmount !== roundAmount(expected)) {
+    return createValidationResult(false, [
+      `Amount must match the installment amount of ${formatCurrency(expected, invoice.currency)}`,
+    ]);
+  }
+  if (baseAmount > balance) {
+    return createValidationResult(false, [
+      `Amount exceeds the balance due of ${formatCurrency(balance, invoice.currency)}`,
+    ]);
+  }
+
+  const payment = await tx.payment.create({
+    data: {
+      amount,
+      ...currencyFields,
+      base_amount: baseAmount,
+      payment_method: data.payment_method,
+      payment_status: 'COMPLETED',
+      payment_date: paidAt,
+      reference_number: reference,
+      transaction_id: reference,
+      proof_url: data.proof_url || null,
+      proof_public_id: data.proof_public_id || null,
+      notes: data.notes?.trim() || null,
+      processed_by: user?.account_id ?? null,
+      account_id: invoice.account_id,
+      invoice_id: invoice.invoice_id,
+      event_id: invoice.event_id,
+      installment_id: installment?.installment_id ?? null,
+    },
+  });
+
+  const invoiceUpdate = await recordInvoicePayment(tx, invoice.invoice_id, {
+    installment_id: installment?.installment_id,
+    amount: baseAmount,
+    paid_at: paidAt,
+  });
+  if (!invoiceUpdate.isValid) {
+    throw new Error(invoiceUpdate.errors.join(', '));
+  }
+
+  if (invoice.event) {
+    const settled = await confirmEventPayment(
+      tx,
+      { ...payment, event: invoice.event },
+      {
+        amount,
+        reason: `${data.payment_method === 'CASH' ? 'Cash' : 'Bank transfer'} payment recorded`,
+      }
+    );
+    if (!settled.isValid) throw new Error(settled.errors.join(', '));
+  }
+
+  return createValidationResult(true, [], {
+    payment,
+    invoice: invoiceUpdate.data.invoice,
+    installment: invoiceUpdate.data.installment,
+    fully_paid: invoiceUpdate.data.fully_paid,
+  });
+};
+
+// ===== Record Offline Payment =====
+// POST /api/invoices/:id/payments (admin/staff): a cash or bank transfer
+// payment with its reference and an optional proof (image or PDF, uploaded
+// to Cloudinary before the booking and removed again if it fails)
+export const recordOfflinePayment = async (
+  invoiceId,
+  data = {},
+  file = null,
+  user = null
+) => {
+  let proof = null;
+  try {
+    const validInvoiceId = parseAndValidateId(invoiceId, 'Invoice ID');
+    if (!validInvoiceId) {
+      return createValidationResult(false, ['Invalid invoice ID']);
+    }
+    const errors = validateOfflinePaymentData(data);
+    if (errors.length > 0) return createValidationResult(false, errors);
+
+    if (file) {
+      proof = await uploadDocument(
+        file.buffer,
+        file.mimetype,
+        PROOF_FOLDER,
+        `invoice_${validInvoiceId}_${Date.now()}`
+      );
+    }
+
+    const result = await runSerializable(prisma, (tx) =>
+      bookOfflinePayment(
+        tx,
+        validInvoiceId,
+        {
+          ...data,
+          proof_url: proof?.secure_url,
+          proof_public_id: proof?.public_id,
+        },
+        user
+      )
+    );
+    if (!result.isValid && proof) {
+      await deleteImageFromCloud(proof.public_id).catch(() => {});
+    }
+    return result;
+  } catch (error) {
+    if (proof) await deleteImageFromCloud(proof.public_id).catch(() => {});
+    return handleError('recordOfflinePayment', error);
+  }
+};
@@ -1,6 +1,5 @@
 // Trong PaymentService.js
 import { PrismaClient } from '@prisma/client';
-import Stripe from 'stripe';
 import {
   validateNumber,
   validateString,
@@ -10,9 +9,29 @@ import {
 } from '../utils/validation.js';
 import { createNotification } from '../utils/notification.js';
 import * as invoiceService from './invoice.service.js';
+import {
+  EVENT_STATUS_TRANSITIONS,
+  TRANSITION_ERRORS,
+  transitionEventStatus,
+} from './eventStatus.service.js';
+import {
+  activeHoldFilter,
+  releaseEventHolds,
+  releaseUnheldBooking,
+} from './slotHold.service.js';
+import {
+  recordInvoicePayment,
+  refreshInvoiceBalance,
+} from './paymentPlan.service.js';
+import { getPaymentCurrencyFields } from './exchangeRate.service.js';
+import { getPaymentProvider } from './paymentProvider.service.js';
+import {
+  BASE_CURRENCY,
+  formatCurrency,
+  validateCurrency,
+} from '../utils/currency.js';
 
 const prisma = new PrismaClient();
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 const handleError = (context, error) => {
   console.error(`Error in ${context}:`, error);
@@ -57,55 +76,382 @@ const validatePaymentData = (paymentData) => {
     }
   }
 
+  if (paymentData.currency) {
+    errors.push(...validateCurrency(paymentData.currency));
+  }
+
+  if (paymentData.provider) {
+    try {
+      getPaymentProvider(paymentData.provider);
+    } catch (error) {
+      errors.push('Invalid payment provider');
+    }
+  }
+
   return errors;
 };
 
-// Create Stripe Checkout Session
-export const createStripeCheckoutSession = async (userId, lineItems) => {
-  try {
-    // const lineItems = cartItems.map((item) => ({
-    //   price_data: {
-    //     currency: 'usd',
-    //     product_data: {
-    //       name: item.item_name,
-    //     },
-    //     unit_amount: Math.round(Number(item.unit_price) * 100),
-    //   },
-    //   quantity: Number(item.quantity),
-    // }));
-
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: lineItems,
-      mode: 'payment',
-      success_url: `http://localhost:5173/payment/stripe-pay-callback?status=success&session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `http://localhost:5173/payment/stripe-pay-callback?status=canceled`,
-      metadata: {
-        userId: String(userId),
-      },
+// provider and provider_reference as given; stripe_payment_id is still
+// accepted as the reference of a Stripe Checkout session
+const pickProviderFields = (paymentData) => {
+  if (paymentData.stripe_payment_id !== undefined) {
+    return {
+      provider: paymentData.stripe_payment_id ? 'STRIPE' : null,
+      provider_reference: paymentData.stripe_payment_id?.trim() || null,
+    };
+  }
+  const fields = {};
+  if (paymentData.provider !== undefined) {
+    fields.provider = paymentData.provider
+      ? String(paymentData.provider).toUpperCase()
+      : null;
+  }
+  if (paymentData.provider_reference !== undefined) {
+    fields.provider_reference = paymentData.provider_reference?.trim() || null;
+  }
+  return fields;
+};
+
+// ===== Confirm Event Payment =====
+// The first payment for an event (in full or the deposit) confirms a booking
+// that can still be confirmed and turns its slot holds into the booking;
+// every payment notifies the customer. `payment` needs event_id, account_id, currency and
+// event { status, event_name }. Runs in the caller's transaction; when the
+// event cannot be confirmed the result carries the transition's code and
+// both bookings throw to roll the payment back (a checkout whose slot is gone
+// is flagged instead, see completeCheckoutPayment).
+export const confirmEventPayment = async (tx, payment, { amount, reason }) => {
+  if (EVENT_STATUS_TRANSITIONS[payment.event.status]?.CONFIRMED) {
+    const transition = await transitionEventStatus(
+      payment.event_id,
+      'CONFIRMED',
+      null,
+      { tx, reason }
+    );
+    if (!transition.isValid) {
+      return createValidationResult(
+        false,
+        ['Failed to confirm event', ...transition.errors],
+        transition.data
+      );
+    }
+
+    // Paid: the confirmed event now holds the slot by its status
+    await releaseEventHolds(tx, payment.event_id, 'CONVERTED');
+  }
+
+  const notification = await createNotification(
+    {
+      account_id: payment.account_id,
+      title: 'Payment Successful',
+      message: `Your payment of ${formatCurrency(
+        amount,
+        payment.currency
+      )} for event "${payment.event.event_name}" has been processed successfully.`,
+      type: 'PAYMENT_SUCCESS',
+    },
+    tx
+  );
+
+  if (!notification.isValid) {
+    console.warn(
+      'Failed to send payment success notification:',
+      notification.errors
+    );
+  }
+  return createValidationResult(true);
+};
+
+// A checkout paid for an event that can no longer be booked (cancelled, or
+// its slot taken after the hold lapsed): the payment stays COMPLETED, the
+// event is left as it is and staff are asked to refund or rebook
+const flagUnbookedPayment = async (tx, payment, reason) => {
+  const why =
+    reason === 'EVENT_CANCELLED'
+      ? 'the event was cancelled'
+      : 'the time slot is no longer available';
+  await tx.payment.update({
+    where: { payment_id: payment.payment_id },
+    data: {
+      notes: `Needs review: paid after ${why}; refund or rebook the event`,
+    },
+  });
+
+  const notifications = [
+    {
+      account_id: payment.account_id,
+      title: 'Payment Received',
+      message: `We received your payment for event "${payment.event.event_name}", but ${why}. Our staff will contact you to rebook or refund it.`,
+      type: 'WARNING',
+    },
+    {
+      account_id: null, // System notification
+      title: 'Payment Needs Review',
+      message: `Payment #${payment.payment_id} for event #${payment.event_id} was completed after ${why}. Refund or rebook it.`,
+      type: 'WARNING',
+    },
+  ];
+  for (const data of notifications) {
+    const notification = await createNotification(data, tx);
+    if (!notification.isValid) {
+      console.warn(
+        'Failed to send unbooked payment notification:',
+        notification.errors
+      );
+    }
+  }
+};
+
+// ===== Complete Checkout Payment =====
+// Books a paid provider checkout: the Payment becomes COMPLETED, the amount is
+// recorded on the invoice (installment or balance), the first payment
+// confirms the event and the customer is notified. The redirect callback, the
+// status sync and the webhook all end up here, so a checkout that is already
+// COMPLETED is left alone. The provider took the money, so a payment that was
+// CANCELLED meanwhile (its checkout swept as abandoned) is completed all the
+// same and confirms the event if it still can; when the event was cancelled
+// or its slot is gone the payment is flagged for staff (`unbooked`) instead.
+// Any other failure throws so the caller's transaction rolls back. Runs in
+// the caller's transaction.
+export const completeCheckoutPayment = async (
+  tx,
+  { provider, reference },
+  { transactionId, amount }
+) => {
+  const payment = await tx.payment.findFirst({
+    // Refund records carry the reference of the payment they refund
+    where: {
+      provider,
+      provider_reference: reference,
+      original_payment_id: null,
+    },
+    select: {
+      payment_id: true,
+      invoice_id: true,
+      installment_id: true,
+      payment_status: true,
+      amount: true,
+      currency: true,
+      account_id: true,
+      event_id: true,
+      event: { select: { status: true, event_name: true } },
+    },
+  });
+
+  if (!payment) {
+    return createValidationResult(false, [
+      'Payment not found for this checkout',
+    ]);
+  }
+  if (payment.payment_status === 'COMPLETED') {
+    return createValidationResult(true, [], {
+      payment_id: payment.payment_id,
+      already_completed: true,
     });
+  }
 
-    return session;
-  } catch (error) {
-    throw new Error(
-      `Failed to create Stripe checkout session: ${error.message}`
+  await tx.payment.update({
+    where: { payment_id: payment.payment_id },
+    data: {
+      payment_status: 'COMPLETED',
+      transaction_id: transactionId,
+      ...(amount !== undefined && amount !== null
+        ? { amount: Number(amount) }
+        : {}),
+    },
+  });
+
+  // A cancelled event's invoice is already closed; the money stays on the
+  // payment until staff refund it
+  let unbooked =
+    payment.event?.status === 'CANCELLED' ? 'EVENT_CANCELLED' : null;
+
+  let invoice = null;
+  if (payment.invoice_id && !unbooked) {
+    const invoiceUpdate = await recordInvoicePayment(tx, payment.invoice_id, {
+      installment_id: payment.installment_id,
+    });
+    if (!invoiceUpdate.isValid) {
+      throw new Error(
+        ['Failed to update invoice status', ...invoiceUpdate.errors].join(', ')
+      );
+    }
+    invoice = invoiceUpdate.data.invoice;
+  }
+
+  if (payment.event_id && !unbooked) {
+    const settled = await confirmEventPayment(tx, payment, {
+      amount: amount ?? payment.amount,
+      reason: `Payment completed via ${provider}`,
+    });
+    if (!settled.isValid) {
+      if (settled.data?.code !== TRANSITION_ERRORS.SLOT_UNAVAILABLE) {
+        throw new Error(settled.errors.join(', '));
+      }
+      unbooked = TRANSITION_ERRORS.SLOT_UNAVAILABLE;
+    }
+  }
+  if (unbooked) await flagUnbookedPayment(tx, payment, unbooked);
+
+  return createValidationResult(true, [], {
+    payment_id: payment.payment_id,
+    invoice,
+    already_completed: false,
+    unbooked,
+  });
+};
+
+// A checkout the provider reports EXPIRED or FAILED: cancels (or fails) its
+// PENDING payments, releases the slot holds they placed, lets an event left
+// without holds go (see releaseUnheldBooking) and refreshes the invoice
+// balance, all in the caller's transaction.
+const closeUnpaidCheckout = async (tx, { provider, reference }, status) => {
+  const payments = await tx.payment.findMany({
+    where: {
+      provider,
+      provider_reference: reference,
+      original_payment_id: null,
+      payment_status: 'PENDING',
+    },
+    select: { payment_id: true, event_id: true, invoice_id: true },
+  });
+  if (payments.length === 0) return null;
+
+  const paymentIds = payments.map((p) => p.payment_id);
+  await tx.payment.updateMany({
+    where: { payment_id: { in: paymentIds } },
+    data: {
+      payment_status: status === 'EXPIRED' ? 'CANCELLED' : 'FAILED',
+      notes: `${provider} checkout ${status.toLowerCase()} before payment`,
+    },
+  });
+  // Only the holds this checkout placed; a newer checkout keeps its own
+  const { count: releasedHolds } = await tx.slotHold.updateMany({
+    where: { payment_id: { in: paymentIds }, status: 'ACTIVE' },
+    data: { status: 'EXPIRED', released_at: new Date() },
+  });
+
+  const eventIds = [
+    ...new Set(payments.map((p) => p.event_id).filter(Boolean)),
+  ];
+  for (const eventId of eventIds) {
+    const stillHeld = await tx.slotHold.count({
+      where: { event_id: eventId, ...activeHoldFilter() },
+    });
+    if (stillHeld > 0) continue;
+    await releaseUnheldBooking(
+      tx,
+      eventId,
+      status === 'EXPIRED' ? 'Checkout expired' : 'Checkout failed',
+      { provider, reference, payments: paymentIds }
     );
   }
+
+  const invoiceIds = [
+    ...new Set(payments.map((p) => p.invoice_id).filter(Boolean)),
+  ];
+  for (const invoiceId of invoiceIds) {
+    await refreshInvoiceBalance(tx, invoiceId);
+  }
+
+  return { payment_ids: paymentIds, released_holds: releasedHolds };
 };
 
-// Stripe Callback Handler
-export const stripeCallbackHandler = async (sessionId) => {
+// ===== Sync Checkout Payment =====
+// Asks the payment's provider how its checkout stands and applies it: PAID
+// completes the payment; EXPIRED cancels it and FAILED marks it failed while
+// it is still PENDING, releasing its holds and event along with it (see
+// closeUnpaidCheckout). Works the same for every provider, so it backs the
+// redirect callback and the status checks.
+export const syncCheckoutPayment = async ({ provider, reference }) => {
   try {
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
-    return {
-      orderId: session.metadata.orderData
-        ? JSON.parse(session.metadata.orderData).orderId
-        : session.id,
-      paymentIntentId: session.payment_intent,
-      amount: session.amount_total / 100,
-    };
+    const checkout =
+      await getPaymentProvider(provider).getCheckoutStatus(reference);
+
+    if (checkout.status === 'PAID') {
+      const completion = await prisma.$transaction((tx) =>
+        completeCheckoutPayment(
+          tx,
+          { provider, reference },
+          { transactionId: checkout.transaction_id, amount: checkout.amount }
+        )
+      );
+      if (!completion.isValid) return completion;
+      return createValidationResult(true, [], {
+        ...checkout,
+        ...completion.data,
+      });
+    }
+
+    if (['EXPIRED', 'FAILED'].includes(checkout.status)) {
+      const closed = await prisma.$transaction((tx) =>
+        closeUnpaidCheckout(tx, { provider, reference }, checkout.status)
+      );
+      return createValidationResult(true, [], {
+        ...checkout,
+        released_holds: closed?.released_holds ?? 0,
+      });
+    }
+    return createValidationResult(true, [], checkout);
   } catch (error) {
-    throw new Error(`Failed to handle Stripe callback: ${error.message}`);
+    return handleError('syncCheckoutPayment', error);
+  }
+};
+
+// ===== Sync Payment =====
+// POST /api/payments/:id/sync: the payment's owner or admin/staff refreshes a
+// provider payment from its provider
+export const syncPayment = async (paymentId, user = null) => {
+  try {
+    const validPaymentId = parseAndValidateId(paymentId, 'Payment ID');
+    if (!validPaymentId) {
+      return createValidationResult(false, ['Invalid payment ID']);
+    }
+
+    const payment = await prisma.payment.findUnique({
+      where: { payment_id: validPaymentId },
+      select: {
+        payment_id: true,
+        account_id: true,
+        provider: true,
+        provider_reference: true,
+        original_payment_id: true,
+      },
+    });
+    if (!payment) return createValidationResult(false, ['Payment not found']);
+    if (
+      !['ADMIN', 'STAFF'].includes(user?.role) &&
+      payment.account_id !== user?.account_id
+    ) {
+      return createValidationResult(false, [
+        'You do not have access to this payment',
+      ]);
+    }
+    if (
+      !payment.provider ||
+      !payment.provider_reference ||
+      payment.original_payment_id
+    ) {
+      return createValidationResult(false, [
+        'Payment was not taken through a payment provider',
+      ]);
+    }
+
+    const result = await syncCheckoutPayment({
+      provider: payment.provider,
+      reference: payment.provider_reference,
+    });
+    if (!result.isValid) return result;
+
+    const updated = await prisma.payment.findUnique({
+      where: { payment_id: payment.payment_id },
+    });
+    return createValidationResult(true, [], {
+      payment: updated,
+      provider_status: result.data.status,
+    });
+  } catch (error) {
+    return handleError('syncPayment', error);
   }
 };
 
@@ -121,7 +467,7 @@ export const createPayment = async (paymentData) => {
       transaction_id,
       payment_date,
       invoice_id,
-      stripe_payment_id,
+      currency,
     } = paymentData;
 
     const validationErrors = validatePaymentData(paymentData);
@@ -145,10 +491,11 @@ export const createPayment = async (paymentData) => {
       return createValidationResult(false, ['Account does not match event']);
     }
 
+    let invoiceCurrency = BASE_CURRENCY;
     if (invoice_id) {
       const invoice = await prisma.invoice.findUnique({
         where: { invoice_id: Number(invoice_id) },
-        select: { invoice_id: true, status: true },
+        select: { invoice_id: true, status: true, currency: true },
       });
       if (!invoice) {
         return createValidationResult(false, ['Invoice not found']);
@@ -156,18 +503,27 @@ export const createPayment = async (paymentData) => {
       if (invoice.status === 'PAID') {
         return createValidationResult(false, ['Invoice already paid']);
       }
+      invoiceCurrency = invoice.currency;
     }
 
+    // Paid in the invoice's currency unless another one is given
+    const currencyFields = await getPaymentCurrencyFields(
+      amount,
+      currency || invoiceCurrency,
+      invoiceCurrency
+    );
+
     const newPayment = await prisma.$transaction(async (tx) => {
       const payment = await tx.payment.create({
         data: {
           event_id: Number(event_id),
           account_id: Number(account_id),
           amount: Number(amount),
+          ...currencyFields,
           payment_method,
           payment_status: status,
           transaction_id: transaction_id?.trim(),
-          stripe_payment_id,
+          ...pickProviderFields(paymentData),
           payment_date: payment_date ? new Date(payment_date) : new Date(),
           invoice_id: invoice_id ? Number(invoice_id) : null,
         },
@@ -253,7 +609,7 @@ export const updatePayment = async (paymentId, updateData) => {
       transaction_id,
       payment_date,
       invoice_id,
-      stripe_payment_id,
+      currency,
     } = updateData;
 
     if (event_id && event_id !== existingPayment.event_id) {
@@ -293,11 +649,30 @@ export const updatePayment = async (paymentId, updateData) => {
       updateFields.transaction_id = transaction_id?.trim();
     if (payment_date !== undefined)
       updateFields.payment_date = payment_date ? new Date(payment_date) : null;
-    if (stripe_payment_id !== undefined)
-      updateFields.stripe_payment_id = stripe_payment_id?.trim();
+    Object.assign(updateFields, pickProviderFields(updateData));
     if (invoice_id !== undefined)
       updateFields.invoice_id = invoice_id ? Number(invoice_id) : null;
 
+    // Keep base_amount in step, at the rate in effect when it was paid
+    if (amount !== undefined || currency !== undefined) {
+      const invoiceId = updateFields.invoice_id ?? existingPayment.invoice_id;
+      const invoice = invoiceId
+        ? await prisma.invoice.findUnique({
+            where: { invoice_id: invoiceId },
+            select: { currency: true },
+          })
+        : null;
+      Object.assign(
+        updateFields,
+        await getPaymentCurrencyFields(
+          amount ?? existingPayment.amount,
+          currency || existingPayment.currency,
+          invoice?.currency || BASE_CURRENCY,
+          { at: existingPayment.payment_date }
+        )
+      );
+    }
+
     const updatedPayment = await prisma.$transaction(async (tx) => {
       const payment = await tx.payment.update({
         where: { payment_id: validPaymentId },
@@ -492,7 +867,8 @@ export const getPaymentStats = async (filter = {}) => {
     const where = {};
     if (filter.account_id) where.account_id = filter.account_id;
 
-    // Aggregate stats
+    // Aggregate stats; amounts are summed in the base currency since
+    // payments may be charged in different currencies
     const [
       totalPayments,
       totalAmount,
@@ -505,7 +881,7 @@ export const getPaymentStats = async (filter = {}) => {
       totalRefundedAmount,
     ] = await Promise.all([
       prisma.payment.count({ where }),
-      prisma.payment.aggregate({ _sum: { amount: true }, where }),
+      prisma.payment.aggregate({ _sum: { base_amount: true }, where }),
       prisma.payment.count({
         where: { ...where, payment_status: 'COMPLETED' },
       }),
@@ -516,25 +892,25 @@ export const getPaymentStats = async (filter = {}) => {
         where: { ...where, payment_status: 'CANCELLED' },
       }),
       prisma.payment.aggregate({
-        _sum: { amount: true },
+        _sum: { base_amount: true },
         where: { ...where, payment_status: 'COMPLETED' },
       }),
       prisma.payment.aggregate({
-        _sum: { amount: true },
+        _sum: { base_amount: true },
         where: { ...where, payment_status: 'REFUNDED' },
       }),
     ]);
 
     return {
       totalPayments,
-      totalAmount: totalAmount._sum.amount || 0,
+      totalAmount: totalAmount._sum.base_amount || 0,
       completedPayments,
       pendingPayments,
       failedPayments,
       refundedPayments,
       cancelledPayments,
-      totalCompletedAmount: totalCompletedAmount._sum.amount || 0,
-      totalRefundedAmount: totalRefundedAmount._sum.amount || 0,
+      totalCompletedAmount: totalCompletedAmount._sum.base_amount || 0,
+      totalRefundedAmount: totalRefundedAmount._sum.base_amount || 0,
     };
   } catch (error) {
     console.error('Error in getPaymentStats:', error);
@@ -0,0 +1,779 @@
+import { prisma } from '../prisma/prisma.js';
+import {
+  validateNumber,
+  validateString,
+  validateDate,
+  parseAndValidateId,
+  createValidationResult,
+} from '../utils/validation.js';
+import { createNotification } from '../utils/notification.js';
+import { roundAmount } from './pricing.service.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DEPOSIT_PERCENT = 30;
+const DEFAULT_BALANCE_DAYS_BEFORE = 14;
+const DEFAULT_REMINDER_DAYS = 3;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// Days from issue an invoice without a plan is due in
+const INVOICE_DUE_DAYS = 7;
+
+// Installments that can still be charged
+export const PAYABLE_INSTALLMENT_STATUSES = ['PENDING', 'OVERDUE'];
+// Invoices with money still owed on them
+export const OUTSTANDING_INVOICE_STATUSES = [
+  'PENDING',
+  'PARTIALLY_PAID',
+  'OVERDUE',
+];
+
+const isOperator = (user) => ['ADMIN', 'STAFF'].includes(user?.role);
+
+const readNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number)
+    ? number
+    : fallback;
+};
+
+/**
+ * Default plan settings from PAYMENT_PLAN_DEPOSIT_PERCENT,
+ * PAYMENT_PLAN_BALANCE_DAYS_BEFORE and INSTALLMENT_REMINDER_DAYS
+ * @returns {{ deposit_percent: number, balance_days_before: number, reminder_days: number }}
+ */
+export const getPaymentPlanConfig = () => ({
+  deposit_percent: readNumber(
+    process.env.PAYMENT_PLAN_DEPOSIT_PERCENT,
+    DEFAULT_DEPOSIT_PERCENT
+  ),
+  balance_days_before: readNumber(
+    process.env.PAYMENT_PLAN_BALANCE_DAYS_BEFORE,
+    DEFAULT_BALANCE_DAYS_BEFORE
+  ),
+  reminder_days: readNumber(
+    process.env.INSTALLMENT_REMINDER_DAYS,
+    DEFAULT_REMINDER_DAYS
+  ),
+});
+
+// Split an amount by weights; rounding leftovers go on the last part
+const splitAmount = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const parts = weights.map((w) =>
+    totalWeight > 0 ? roundAmount((amount * w) / totalWeight) : 0
+  );
+  if (parts.length > 0) {
+    const allocated = parts.slice(0, -1).reduce((sum, part) => sum + part, 0);
+    parts[parts.length - 1] = roundAmount(amount - allocated);
+  }
+  return parts;
+};
+
+// Deposit now, balance balance_days_before the event
+const buildDefaultSchedule = (invoice, eventDate, options) => {
+  const depositDue = new Date(
+    Math.min(
+      new Date(invoice.due_date || Date.now()).getTime(),
+      new Date(eventDate).getTime()
+    )
+  );
+  const balanceDue = new Date(
+    new Date(eventDate).getTime() - options.balance_days_before * DAY_MS
+  );
+  const [deposit, balance] = splitAmount(Number(invoice.total_amount), [
+    options.deposit_percent,
+    100 - options.deposit_percent,
+  ]);
+  return [
+    {
+      label: `Deposit (${options.deposit_percent}%)`,
+      amount: deposit,
+      due_date: depositDue,
+    },
+    { label: 'Balance', amount: balance, due_date: balanceDue },
+  ];
+};
+
+// Staff-defined schedule: each entry has a due_date and either a percent of
+// the total or an amount; the parts must add up to the invoice total
+const buildCustomSchedule = (invoice, installments) => {
+  const errors = [];
+  if (!Array.isArray(installments) || installments.length < 2) {
+    return { errors: ['A payment plan needs at least two installments'] };
+  }
+  const usesPercent = installments.every((i) => i.percent !== undefined);
+  installments.forEach((installment, index) => {
+    const label = `Installment ${index + 1}`;
+    errors.push(
+      ...validateDate(installment.due_date, `${label} due date`, {
+        required: true,
+      }).errors
+    );
+    errors.push(
+      ...validateNumber(
+        usesPercent ? installment.percent : installment.amount,
+        `${label} ${usesPercent ? 'percent' : 'amount'}`,
+        { required: true, min: 0.01 }
+      ).errors
+    );
+    if (installment.label !== undefined) {
+      errors.push(
+        ...validateString(installment.label, `${label} label`, {
+          maxLength: 100,
+          sanitize: true,
+        }).errors
+      );
+    }
+  });
+  if (errors.length > 0) return { errors };
+
+  const total = Number(invoice.total_amount);
+  const amounts = usesPercent
+    ? splitAmount(
+        total,
+        installments.map((i) => Number(i.percent))
+      )
+    : installments.map((i) => roundAmount(i.amount));
+  const sum = usesPercent
+    ? installments.reduce((s, i) => s + Number(i.percent), 0)
+    : roundAmount(amounts.reduce((s, a) => s + a, 0));
+  if (usesPercent ? Math.abs(sum - 100) > 0.001 : sum !== roundAmount(total)) {
+    return {
+      errors: [
+        usesPercent
+          ? 'Installment percentages must add up to 100'
+          : `Installment amounts must add up to the invoice total (${roundAmount(
+              total
+            )})`,
+      ],
+    };
+  }
+
+  return {
+    schedule: installments.map((installment, index) => ({
+      label: installment.label?.trim() || `Installment ${index + 1}`,
+      amount: amounts[index],
+      due_date: new Date(installment.due_date),
+    })),
+  };
+};
+
+// Invoice with its event date and live installments, after the access check
+const loadInvoiceForPlan = async (tx, invoiceId, user) => {
+  const invoice = await tx.invoice.findUnique({
+    where: { invoice_id: invoiceId },
+    include: {
+      event: {
+        select: {
+          event_id: true,
+          event_name: true,
+          event_date: true,
+          start_time: true,
+        },
+      },
+      installments: {
+        where: { status: { not: 'CANCELLED' } },
+        orderBy: { sequence: 'asc' },
+      },
+    },
+  });
+  if (!invoice) return { errors: ['Invoice not found'] };
+  if (!isOperator(user) && invoice.account_id !== user?.account_id) {
+    return {
+      errors: ['You can only manage payment plans on your own invoices'],
+    };
+  }
+  return { invoice };
+};
+
+const toPlanSummary = (invoice, installments) => {
+  const nextInstallment =
+    installments.find((i) => PAYABLE_INSTALLMENT_STATUSES.includes(i.status)) ||
+    null;
+  return {
+    invoice_id: invoice.invoice_id,
+    invoice_number: invoice.invoice_number,
+    status: invoice.status,
+    total_amount: invoice.total_amount,
+    amount_paid: invoice.amount_paid,
+    balance_due: getBalanceDue(invoice),
+    installments,
+    next_installment: nextInstallment,
+  };
+};
+
+/**
+ * What is still owed on an invoice
+ * @param {Object} invoice - Invoice with total_amount and amount_paid
+ * @returns {number}
+ */
+export const getBalanceDue = (invoice) =>
+  Math.max(
+    0,
+    roundAmount(Number(invoice.total_amount) - Number(invoice.amount_paid || 0))
+  );
+
+// ===== Create Payment Plan =====
+// Customers get the default deposit + balance plan (deposit_percent and
+// balance_days_before may be passed); admin/staff may pass their own
+// installments. Only unpaid standard invoices can be put on a plan.
+export const createPaymentPlan = async (invoiceId, data = {}, user = null) => {
+  try {
+    const validInvoiceId = parseAndValidateId(invoiceId, 'Invoice ID');
+    if (!validInvoiceId) {
+      return createValidationResult(false, ['Invalid invoice ID']);
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const { invoice, errors } = await loadInvoiceForPlan(
+        tx,
+        validInvoiceId,
+        user
+      );
+      if (errors) return createValidationResult(false, errors);
+
+      if (invoice.invoice_type !== 'STANDARD') {
+        return createValidationResult(false, [
+          'Only booking invoices can be paid in installments',
+        ]);
+      }
+      if (
+        !['PENDING', 'OVERDUE'].includes(invoice.status) ||
+        Number(invoice.amount_paid) > 0
+      ) {
+        return createValidationResult(false, [
+          'Payment plans can only be set up before anything is paid',
+        ]);
+      }
+      if (invoice.installments.length > 0) {
+        return createValidationResult(false, [
+          'Invoice already has a payment plan',
+        ]);
+      }
+
+      let schedule;
+      if (data.installments !== undefined) {
+        if (!isOperator(user)) {
+          return createValidationResult(false, [
+            'Only staff or admin can set a custom payment schedule',
+          ]);
+        }
+        const custom = buildCustomSchedule(invoice, data.installments);
+        if (custom.errors) return createValidationResult(false, custom.errors);
+        schedule = custom.schedule;
+      } else {
+        const defaults = getPaymentPlanConfig();
+        const options = {
+          deposit_percent: readNumber(
+            data.deposit_percent,
+            defaults.deposit_percent
+          ),
+          balance_days_before: readNumber(
+            data.balance_days_before,
+            defaults.balance_days_before
+          ),
+        };
+        const optionErrors = [
+          ...validateNumber(options.deposit_percent, 'Deposit percent', {
+            min: 1,
+            max: 99,
+          }).errors,
+          ...validateNumber(
+            options.balance_days_before,
+            'Balance days before',
+            {
+              min: 0,
+              max: 365,
+              integer: true,
+            }
+          ).errors,
+        ];
+        if (optionErrors.length > 0) {
+          return createValidationResult(false, optionErrors);
+        }
+        const eventDate =
+          invoice.event?.event_date || invoice.event?.start_time;
+        if (!eventDate) {
+          return createValidationResult(false, [
+            'The event has no date to schedule the balance against',
+          ]);
+        }
+        schedule = buildDefaultSchedule(invoice, eventDate, options);
+      }
+
+      const now = new Date();
+      for (let i = 0; i < schedule.length; i++) {
+        if (i > 0 && schedule[i].due_date < schedule[i - 1].due_date) {
+          return createValidationResult(false, [
+            'Installment due dates must be in order',
+          ]);
+        }
+      }
+      if (schedule[schedule.length - 1].due_date <= now) {
+        return createValidationResult(false, [
+          'The event is too close for a payment plan; pay the invoice in full',
+        ]);
+      }
+
+      await tx.invoiceInstallment.createMany({
+        data: schedule.map((installment, index) => ({
+          ...installment,
+          sequence: index + 1,
+          invoice_id: invoice.invoice_id,
+        })),
+      });
+      const updatedInvoice = await tx.invoice.update({
+        where: { invoice_id: invoice.invoice_id },
+        data: {
+          due_date: schedule[schedule.length - 1].due_date,
+          balance_due: getBalanceDue(invoice),
+        },
+      });
+      const installments = await tx.invoiceInstallment.findMany({
+        where: { invoice_id: invoice.invoice_id },
+        orderBy: { sequence: 'asc' },
+      });
+
+      return createValidationResult(
+        true,
+        [],
+        toPlanSummary(updatedInvoice, installments)
+      );
+    });
+  } catch (error) {
+    return handleError('createPaymentPlan', error);
+  }
+};
+
+// ===== Get Payment Plan =====
+export const getPaymentPlan = async (invoiceId, user = null) => {
+  try {
+    const validInvoiceId = parseAndValidateId(invoiceId, 'Invoice ID');
+    if (!validInvoiceId) {
+      return createValidationResult(false, ['Invalid invoice ID']);
+    }
+
+    const { invoice, errors } = await loadInvoiceForPlan(
+      prisma,
+      validInvoiceId,
+      user
+    );
+    if (errors) return createValidationResult(false, errors);
+
+    return createValidationResult(
+      true,
+      [],
+      toPlanSummary(invoice, invoice.installments)
+    );
+  } catch (error) {
+    return handleError('getPaymentPlan', error);
+  }
+};
+
+// ===== Delete Payment Plan =====
+// Back to a single payment; not possible once an installment is paid. The
+// invoice's due date, status and balance are recomputed without the plan.
+export const deletePaymentPlan = async (invoiceId, user = null) => {
+  try {
+    const validInvoiceId = parseAndValidateId(invoiceId, 'Invoice ID');
+    if (!validInvoiceId) {
+      return createValidationResult(false, ['Invalid invoice ID']);
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const { invoice, errors } = await loadInvoiceForPlan(
+        tx,
+        validInvoiceId,
+        user
+      );
+      if (errors) return createValidationResult(false, errors);
+      if (invoice.installments.length === 0) {
+        return createValidationResult(false, ['Invoice has no payment plan']);
+      }
+      if (invoice.installments.some((i) => i.status === 'PAID')) {
+        return createValidationResult(false, [
+          'Cannot remove a payment plan once an installment is paid',
+        ]);
+      }
+
+      await tx.invoiceInstallment.deleteMany({
+        where: { invoice_id: invoice.invoice_id },
+      });
+      // The invoice is due on its standard terms again and its status follows
+      // what has been paid; missed installments no longer apply
+      const dueDate = new Date(
+        new Date(invoice.issue_date).getTime() + INVOICE_DUE_DAYS * DAY_MS
+      );
+      let status = invoice.status;
+      if (OUTSTANDING_INVOICE_STATUSES.includes(invoice.status)) {
+        status = Number(invoice.amount_paid) > 0 ? 'PARTIALLY_PAID' : 'PENDING';
+        if (dueDate < new Date()) status = 'OVERDUE';
+      }
+      await tx.invoice.update({
+        where: { invoice_id: invoice.invoice_id },
+        data: { status, due_date: dueDate },
+      });
+      const updatedInvoice = await refreshInvoiceBalance(
+        tx,
+        invoice.invoice_id
+      );
+
+      return createValidationResult(
+        true,
+        [],
+        toPlanSummary(updatedInvoice, [])
+      );
+    });
+  } catch (error) {
+    return handleError('deletePaymentPlan', error);
+  }
+};
+
+// The installment a checkout should charge next, or null without a plan
+export const getNextInstallment = async (invoiceId, tx = prisma) =>
+  tx.invoiceInstallment.findFirst({
+    where: {
+      invoice_id: Number(invoiceId),
+      status: { in: PAYABLE_INSTALLMENT_STATUSES },
+    },
+    orderBy: { sequence: 'asc' },
+  });
+
+// ===== Refresh Invoice Balance =====
+// After the invoice total changed: recompute balance_due and spread what is
+// still owed over the unpaid installments in proportion to their amounts.
+// An invoice whose payments now cover the total becomes PAID.
+export const refreshInvoiceBalance = async (tx, invoiceId) => {
+  const invoice = await tx.invoice.findUnique({
+    where: { invoice_id: Number(invoiceId) },
+    include: {
+      installments: {
+        where: { status: { in: PAYABLE_INSTALLMENT_STATUSES } },
+        orderBy: { sequence: 'asc' },
+      },
+    },
+  });
+  if (!invoice) return null;
+
+  const balance = getBalanceDue(invoice);
+  const unpaid = invoice.installments;
+  if (unpaid.length > 0) {
+    const weights = unpaid.map((i) => Number(i.amount));
+    const amounts = splitAmount(
+      balance,
+      weights.some((w) => w > 0) ? weights : weights.map(() => 1)
+    );
+    for (const [index, installment] of unpaid.entries()) {
+      if (roundAmount(installment.amount) === amounts[index]) continue;
+      await tx.invoiceInstallment.update({
+        where: { installment_id: installment.installment_id },
+        data: { amount: amounts[index] },
+      });
+    }
+  }
+
+  const settled =
+    balance === 0 &&
+    Number(invoice.amount_paid) > 0 &&
+    OUTSTANDING_INVOICE_STATUSES.includes(invoice.status);
+  if (settled && unpaid.length > 0) {
+    await tx.invoiceInstallment.updateMany({
+      where: {
+        installment_id: { in: unpaid.map((i) => i.installment_id) },
+      },
+      data: { status: 'PAID', paid_at: new Date() },
+    });
+  }
+  return tx.invoice.update({
+    where: { invoice_id: invoice.invoice_id },
+    data: {
+      balance_due: balance,
+      ...(settled ? { status: 'PAID', paid_date: new Date() } : {}),
+    },
+  });
+};
+
+// ===== Record Invoice Payment =====
+// Books a completed payment against an invoice: the installment it paid for,
+// or the whole balance when there is no installment. Updates amount_paid,
+// balance_due and the status (PARTIALLY_PAID until the balance is cleared,
+// OVERDUE while another installment is still overdue). Runs in the caller's
+// transaction.
+export const recordInvoicePayment = async (
+  tx,
+  invoiceId,
+  { installment_id = null, amount, paid_at = new Date() } = {}
+) => {
+  const invoice = await tx.invoice.findUnique({
+    where: { invoice_id: Number(invoiceId) },
+    include: {
+      installments: {
+        where: { status: { in: PAYABLE_INSTALLMENT_STATUSES } },
+        orderBy: { sequence: 'asc' },
+      },
+    },
+  });
+  if (!invoice) {
+    return createValidationResult(false, ['Invoice not found']);
+  }
+
+  let installment = null;
+  let paidAmount;
+  if (installment_id) {
+    installment = invoice.installments.find(
+      (i) => i.installment_id === Number(installment_id)
+    );
+    if (!installment) {
+      return createValidationResult(false, [
+        'Installment not found or already paid',
+      ]);
+    }
+    paidAmount = Number(installment.amount);
+    await tx.invoiceInstallment.update({
+      where: { installment_id: installment.installment_id },
+      data: { status: 'PAID', paid_at },
+    });
+  } else {
+    paidAmount =
+      amount !== undefined ? roundAmount(amount) : getBalanceDue(invoice);
+  }
+
+  const amountPaid = roundAmount(Number(invoice.amount_paid) + paidAmount);
+  const balance = Math.max(
+    0,
+    roundAmount(Number(invoice.total_amount) - amountPaid)
+  );
+  const remaining = invoice.installments.filter(
+    (i) => i.installment_id !== installment?.installment_id
+  );
+  if (balance === 0 && remaining.length > 0) {
+    await tx.invoiceInstallment.updateMany({
+      where: {
+        installment_id: { in: remaining.map((i) => i.installment_id) },
+      },
+      data: { status: 'PAID', paid_at },
+    });
+  }
+
+  let status = 'PARTIALLY_PAID';
+  if (balance === 0) status = 'PAID';
+  else if (remaining.some((i) => i.status === 'OVERDUE')) status = 'OVERDUE';
+
+  const updatedInvoice = await tx.invoice.update({
+    where: { invoice_id: invoice.invoice_id },
+    data: {
+      amount_paid: amountPaid,
+      balance_due: balance,
+      status,
+      ...(status === 'PAID' ? { paid_date: paid_at } : {}),
+    },
+  });
+
+  return createValidationResult(true, [], {
+    invoice: updatedInvoice,
+    installment,
+    amount: paidAmount,
+    fully_paid: status === 'PAID',
+  });
+};
+
+// ===== Record Invoice Refund =====
+// Takes a refund (in the invoice's currency) off amount_paid. Once nothing
+// paid is left the invoice is REFUNDED with nothing more due; a partial
+// refund leaves the status and balance as they are. Runs in the caller's
+// transaction.
+export const recordInvoiceRefund = async (tx, invoiceId, amount) => {
+  const invoice = await tx.invoice.findUnique({
+    where: { invoice_id: Number(invoiceId) },
+    select: { invoice_id: true, amount_paid: true, status: true },
+  });
+  if (!invoice) return null;
+
+  const amountPaid = Math.max(
+    0,
+    roundAmount(Number(invoice.amount_paid) - Number(amount))
+  );
+  return tx.invoice.update({
+    where: { invoice_id: invoice.invoice_id },
+    data: {
+      amount_paid: amountPaid,
+      ...(amountPaid === 0 && invoice.status !== 'CANCELLED'
+        ? { status: 'REFUNDED', balance_due: 0 }
+        : {}),
+    },
+    select: {
+      invoice_id: true,
+      invoice_number: true,
+      status: true,
+      amount_paid: true,
+      balance_due: true,
+    },
+  });
+};
+
+const notifyInstallment = async (tx, invoice, title, message) => {
+  if (!invoice.account_id) return;
+  const notification = await createNotification(
+    { account_id: invoice.account_id, title, message, type: 'REMINDER' },
+    tx
+  );
+  if (!notification.isValid) {
+    console.warn(
+      'Failed to send installment notification:',
+      notification.errors
+    );
+  }
+};
+
+const describeInstallment = (installment, invoice) =>
+  `${installment.label} of ${roundAmount(installment.amount)} for invoice ${
+    invoice.invoice_number
+  }${invoice.event ? ` ("${invoice.event.event_name}")` : ''}`;
+
+// ===== Sweep Installments =====
+// Marks missed installments OVERDUE (and their invoice with them) and sends
+// a reminder for installments due within reminder_days. Each installment is
+// reminded once and told once that it is overdue.
+export const sweepInstallments = async (now = new Date()) => {
+  try {
+    const { reminder_days } = getPaymentPlanConfig();
+    const invoiceSelect = {
+      invoice_id: true,
+      invoice_number: true,
+      account_id: true,
+      status: true,
+      event: { select: { event_name: true } },
+    };
+
+    const missed = await prisma.invoiceInstallment.findMany({
+      where: {
+        status: 'PENDING',
+        due_date: { lt: now },
+        invoice: { status: { in: OUTSTANDING_INVOICE_STATUSES } },
+      },
+      include: { invoice: { select: invoiceSelect } },
+      orderBy: { due_date: 'asc' },
+    });
+
+    let overdue = 0;
+    for (const installment of missed) {
+      try {
+        await prisma.$transaction(async (tx) => {
+          const { count } = await tx.invoiceInstallment.updateMany({
+            where: {
+              installment_id: installment.installment_id,
+              status: 'PENDING',
+            },
+            data: { status: 'OVERDUE' },
+          });
+          // Paid in the meantime
+          if (count === 0) return;
+
+          await tx.invoice.update({
+            where: { invoice_id: installment.invoice_id },
+            data: { status: 'OVERDUE' },
+          });
+          await notifyInstallment(
+            tx,
+            installment.invoice,
+            'Payment Overdue',
+            `Your ${describeInstallment(
+              installment,
+              installment.invoice
+            )} was due on ${installment.due_date.toLocaleDateString(
+              'vi-VN'
+            )} and is now overdue.`
+          );
+          overdue++;
+        });
+      } catch (error) {
+        console.error(
+          `Failed to mark installment ${installment.installment_id} overdue:`,
+          error
+        );
+      }
+    }
+
+    const upcoming = await prisma.invoiceInstallment.findMany({
+      where: {
+        status: 'PENDING',
+        reminder_sent_at: null,
+        due_date: {
+          gte: now,
+          lte: new Date(now.getTime() + reminder_days * DAY_MS),
+        },
+        invoice: { status: { in: OUTSTANDING_INVOICE_STATUSES } },
+      },
+      include: { invoice: { select: invoiceSelect } },
+    });
+
+    let reminded = 0;
+    for (const installment of upcoming) {
+      try {
+        await prisma.$transaction(async (tx) => {
+          const { count } = await tx.invoiceInstallment.updateMany({
+            where: {
+              installment_id: installment.installment_id,
+              reminder_sent_at: null,
+            },
+            data: { reminder_sent_at: now },
+          });
+          if (count === 0) return;
+
+          await notifyInstallment(
+            tx,
+            installment.invoice,
+            'Payment Reminder',
+            `Your ${describeInstallment(
+              installment,
+              installment.invoice
+            )} is due on ${installment.due_date.toLocaleDateString('vi-VN')}.`
+          );
+          reminded++;
+        });
+      } catch (error) {
+        console.error(
+          `Failed to send reminder for installment ${installment.installment_id}:`,
+          error
+        );
+      }
+    }
+
+    return createValidationResult(true, [], { overdue, reminded });
+  } catch (error) {
+    return handleError('sweepInstallments', error);
+  }
+};
+
+// ===== Installment Sweeper =====
+// Runs sweepInstallments on an interval (INSTALLMENT_SWEEP_INTERVAL_MS,
+// hourly by default). Returns the timer; it does not keep the process up.
+export const startInstallmentSweeper = (
+  intervalMs = Number(process.env.INSTALLMENT_SWEEP_INTERVAL_MS) ||
+    DEFAULT_SWEEP_INTERVAL_MS
+) => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await sweepInstallments();
+      if (!result.isValid) {
+        console.error('Failed to sweep installments:', result.errors);
+      } else if (result.data.overdue > 0 || result.data.reminded > 0) {
+        console.log(
+          `Marked ${result.data.overdue} installment(s) overdue, sent ${result.data.reminded} reminder(s)`
+        );
+      }
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+  return timer;
+};
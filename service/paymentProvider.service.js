@@ -0,0 +1,78 @@
+import { createValidationResult } from '../utils/validation.js';
+import { stripeProvider } from '../utils/stripe.js';
+import { fakePaymentProvider } from '../utils/fakePaymentProvider.js';
+
+// ===== Payment Providers =====
+// A payment provider is a gateway that takes card (or wallet) payments:
+//
+//   name               stored on Payment.provider, e.g. 'STRIPE'
+//   payment_method     PaymentMethod recorded on its payments
+//   createCheckout({ lines: [{ name, unit_amount, quantity }], currency,
+//                    discount: { amount, name, metadata }, metadata })
+//                      -> { reference, url, expires_at, session }
+//   getCheckoutStatus(reference)
+//                      -> { status: 'PAID'|'PENDING'|'FAILED'|'EXPIRED',
+//                           transaction_id, amount, currency }
+//   refund({ reference, transaction_id, amount, currency, metadata })
+//                      -> { id }
+//   cancelCheckout(reference)       stop accepting payment (best effort)
+//   verifyWebhook(rawBody, headers) optional; the verified event or throws
+//
+// Amounts are in the currency's major unit. `reference` is what the
+// provider calls the checkout (a Stripe Checkout session id) and is stored
+// on Payment.provider_reference, so a payment can be synced, refunded or
+// cancelled without knowing which provider took it. A regional gateway is
+// one more object registered with registerPaymentProvider.
+
+const providers = new Map();
+
+/**
+ * Add or replace a payment provider (e.g. a stub in tests)
+ * @param {Object} provider - Object implementing the interface above
+ */
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.name.toUpperCase(), provider);
+};
+
+registerPaymentProvider(stripeProvider);
+registerPaymentProvider(fakePaymentProvider);
+
+/**
+ * Providers customers may check out with, from PAYMENT_PROVIDERS
+ * ("STRIPE,FAKE"; STRIPE by default)
+ * @returns {string[]}
+ */
+export const getEnabledPaymentProviders = () =>
+  (process.env.PAYMENT_PROVIDERS || 'STRIPE')
+    .split(',')
+    .map((name) => name.trim().toUpperCase())
+    .filter((name) => providers.has(name));
+
+/**
+ * The registered provider with this name. Payments keep the provider they
+ * were taken with, so a provider that is no longer enabled still syncs and
+ * refunds them.
+ * @param {string} name
+ * @returns {Object}
+ */
+export const getPaymentProvider = (name) => {
+  const provider = providers.get(String(name || '').toUpperCase());
+  if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+  return provider;
+};
+
+// ===== Resolve Checkout Provider =====
+// The provider asked for, else PAYMENT_PROVIDER, else the first enabled one;
+// it must be enabled
+export const resolveCheckoutProvider = (name) => {
+  const enabled = getEnabledPaymentProviders();
+  const requested = String(
+    name || process.env.PAYMENT_PROVIDER || enabled[0] || ''
+  ).toUpperCase();
+  if (!enabled.includes(requested)) {
+    return createValidationResult(false, [
+      `Payment provider must be one of: ${enabled.join(', ')}`,
+    ]);
+  }
+  return createValidationResult(true, [], getPaymentProvider(requested));
+};
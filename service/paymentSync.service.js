@@ -0,0 +1,300 @@
+import { prisma } from '../prisma/prisma.js';
+import {
+  validateNumber,
+  validatePagination,
+  parseAndValidateId,
+  createValidationResult,
+} from '../utils/validation.js';
+import { syncCheckoutPayment } from './payment.service.js';
+import { getPaymentProvider } from './paymentProvider.service.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const DEFAULT_STALE_AFTER_MINUTES = 60;
+const DEFAULT_ABANDON_AFTER_HOURS = 24;
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_SYNC_INTERVAL_MS = 15 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+// PENDING_PAYMENT_STALE_MINUTES: how old a PENDING payment must be before the
+// job asks its provider about it
+const getStaleAfterMinutes = () =>
+  Number(process.env.PENDING_PAYMENT_STALE_MINUTES) ||
+  DEFAULT_STALE_AFTER_MINUTES;
+
+// PENDING_PAYMENT_ABANDON_HOURS: a checkout the provider still reports as
+// open after this long is cancelled there
+const getAbandonAfterHours = () =>
+  Number(process.env.PENDING_PAYMENT_ABANDON_HOURS) ||
+  DEFAULT_ABANDON_AFTER_HOURS;
+
+const runSelect = {
+  run_id: true,
+  trigger: true,
+  stale_after_minutes: true,
+  checked: true,
+  completed: true,
+  failed: true,
+  cancelled: true,
+  still_pending: true,
+  errored: true,
+  started_at: true,
+  finished_at: true,
+  account: { select: { account_id: true, account_name: true } },
+};
+
+const STATUS_COUNTERS = {
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  PENDING: 'still_pending',
+};
+
+// Syncs one payment with its provider; when the checkout has stayed open past
+// abandonBefore it is cancelled there first so it settles as EXPIRED
+const syncStalePayment = async (payment, abandonBefore) => {
+  const checkout = {
+    provider: payment.provider,
+    reference: payment.provider_reference,
+  };
+  let result = await syncCheckoutPayment(checkout);
+  if (
+    result.isValid &&
+    result.data.status === 'PENDING' &&
+    payment.payment_date <= abandonBefore
+  ) {
+    try {
+      await getPaymentProvider(payment.provider).cancelCheckout(
+        payment.provider_reference
+      );
+    } catch (error) {
+      // Paid or closed in the meantime; the second sync says which
+      console.warn(
+        `Could not cancel ${payment.provider} checkout ${payment.provider_reference}:`,
+        error.message
+      );
+    }
+    result = await syncCheckoutPayment(checkout);
+  }
+  if (!result.isValid) throw new Error(result.errors.join(', '));
+
+  const updated = await prisma.payment.findUnique({
+    where: { payment_id: payment.payment_id },
+    select: { payment_status: true },
+  });
+  return {
+    provider_status: result.data.status,
+    status: updated?.payment_status ?? null,
+  };
+};
+
+// ===== Sync Stale Payments =====
+// Asks the provider about every checkout payment that has been PENDING for
+// longer than the threshold (oldest first, a batch per run) and applies the
+// answer through syncCheckoutPayment: a paid checkout completes the payment,
+// its invoice and installment and confirms the event; an expired or failed
+// one cancels or fails it, releases its slot holds and event and refreshes
+// the invoice balance. Refund rows and payments without a provider are not
+// checked. Every run is stored as a PaymentSyncRun report.
+export const syncStalePayments = async (options = {}) => {
+  try {
+    const {
+      now = new Date(),
+      trigger = 'SCHEDULED',
+      user = null,
+      batchSize = Number(process.env.PENDING_PAYMENT_SYNC_BATCH_SIZE) ||
+        DEFAULT_BATCH_SIZE,
+    } = options;
+
+    let staleAfterMinutes = getStaleAfterMinutes();
+    if (
+      options.stale_after_minutes !== undefined &&
+      options.stale_after_minutes !== null &&
+      options.stale_after_minutes !== ''
+    ) {
+      const validation = validateNumber(
+        options.stale_after_minutes,
+        'Stale after minutes',
+        { min: 1, integer: true }
+      );
+      if (!validation.isValid) {
+        return createValidationResult(false, validation.errors);
+      }
+      staleAfterMinutes = validation.sanitizedValue;
+    }
+
+    const staleBefore = new Date(now.getTime() - staleAfterMinutes * MINUTE_MS);
+    const abandonBefore = new Date(
+      now.getTime() - getAbandonAfterHours() * 60 * MINUTE_MS
+    );
+
+    const payments = await prisma.payment.findMany({
+      where: {
+        payment_status: 'PENDING',
+        original_payment_id: null,
+        provider: { not: null },
+        provider_reference: { not: null },
+        payment_date: { lte: staleBefore },
+      },
+      select: {
+        payment_id: true,
+        provider: true,
+        provider_reference: true,
+        amount: true,
+        currency: true,
+        payment_date: true,
+        invoice_id: true,
+        event_id: true,
+      },
+      orderBy: [{ payment_date: 'asc' }, { payment_id: 'asc' }],
+      take: batchSize,
+    });
+
+    const counts = {
+      checked: payments.length,
+      completed: 0,
+      failed: 0,
+      cancelled: 0,
+      still_pending: 0,
+      errored: 0,
+    };
+    const results = [];
+    for (const payment of payments) {
+      const entry = {
+        payment_id: payment.payment_id,
+        provider: payment.provider,
+        provider_reference: payment.provider_reference,
+        amount: Number(payment.amount),
+        currency: payment.currency,
+        invoice_id: payment.invoice_id,
+        event_id: payment.event_id,
+        pending_since: payment.payment_date,
+      };
+      try {
+        Object.assign(entry, await syncStalePayment(payment, abandonBefore));
+        const counter = STATUS_COUNTERS[entry.status];
+        if (counter) counts[counter]++;
+      } catch (error) {
+        console.error(`Failed to sync payment ${payment.payment_id}:`, error);
+        entry.error = error.message;
+        counts.errored++;
+      }
+      results.push(entry);
+    }
+
+    const run = await prisma.paymentSyncRun.create({
+      data: {
+        trigger,
+        stale_after_minutes: staleAfterMinutes,
+        ...counts,
+        results,
+        triggered_by: user?.account_id ?? null,
+        started_at: now,
+        finished_at: new Date(),
+      },
+      select: { ...runSelect, results: true },
+    });
+
+    return createValidationResult(true, [], run);
+  } catch (error) {
+    return handleError('syncStalePayments', error);
+  }
+};
+
+// ===== Get Payment Sync Runs =====
+// Reports of past runs, newest first, without their per-payment results.
+// Filters: trigger, page, limit.
+export const getPaymentSyncRuns = async (filters = {}) => {
+  try {
+    const { page, limit, errors } = validatePagination(
+      filters.page,
+      filters.limit
+    );
+    if (errors.length > 0) return createValidationResult(false, errors);
+
+    const where = {};
+    if (filters.trigger) {
+      if (!['SCHEDULED', 'MANUAL'].includes(filters.trigger)) {
+        return createValidationResult(false, [
+          'Trigger must be one of: SCHEDULED, MANUAL',
+        ]);
+      }
+      where.trigger = filters.trigger;
+    }
+
+    const [runs, total] = await Promise.all([
+      prisma.paymentSyncRun.findMany({
+        where,
+        select: runSelect,
+        orderBy: [{ started_at: 'desc' }, { run_id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.paymentSyncRun.count({ where }),
+    ]);
+
+    return createValidationResult(true, [], {
+      runs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    return handleError('getPaymentSyncRuns', error);
+  }
+};
+
+// ===== Get Payment Sync Run =====
+export const getPaymentSyncRun = async (runId) => {
+  try {
+    const validRunId = parseAndValidateId(runId, 'Run ID');
+    if (!validRunId) return createValidationResult(false, ['Invalid run ID']);
+
+    const run = await prisma.paymentSyncRun.findUnique({
+      where: { run_id: validRunId },
+      select: { ...runSelect, results: true },
+    });
+    if (!run) return createValidationResult(false, ['Sync run not found']);
+
+    return createValidationResult(true, [], run);
+  } catch (error) {
+    return handleError('getPaymentSyncRun', error);
+  }
+};
+
+// ===== Payment Sync Job =====
+// Runs syncStalePayments on an interval (PENDING_PAYMENT_SYNC_INTERVAL_MS,
+// every 15 minutes by default). Returns the timer; it does not keep the
+// process up.
+export const startPaymentSyncJob = (
+  intervalMs = Number(process.env.PENDING_PAYMENT_SYNC_INTERVAL_MS) ||
+    DEFAULT_SYNC_INTERVAL_MS
+) => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await syncStalePayments();
+      if (!result.isValid) {
+        console.error('Failed to sync stale payments:', result.errors);
+      } else if (result.data.checked > 0) {
+        console.log(
+          `Synced ${result.data.checked} stale payment(s): ${result.data.completed} completed, ${result.data.failed} failed, ${result.data.cancelled} cancelled, ${result.data.still_pending} still pending`
+        );
+      }
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+  return timer;
+};
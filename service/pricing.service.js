@@ -0,0 +1,273 @@
+import { prisma } from '../prisma/prisma.js';
+import {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  roundToCurrency,
+} from '../utils/currency.js';
+import { findExchangeRate } from './exchangeRate.service.js';
+
+// ===== Helper Functions =====
+export const roundAmount = (amount) =>
+  Math.round(Number(amount || 0) * 100) / 100;
+
+// Pricing tiers are stored as @db.Date (UTC midnight), so compare on the
+// calendar day only. Dates are taken as the local day, like event_date;
+// a bare YYYY-MM-DD string is already that day.
+export const toPricingDate = (date) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return new Date(`${date}T00:00:00.000Z`);
+  }
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+};
+
+const formatPricingDate = (date) =>
+  toPricingDate(date).toISOString().slice(0, 10);
+
+// ===== Room Charge =====
+// Base price plus the hourly rate for the booked duration
+export const priceRoom = (room, durationHours) => {
+  const basePrice = roundAmount(room?.base_price);
+  const hourlyRate = roundAmount(room?.hourly_rate);
+  const hours = durationHours ? Number(durationHours) : 0;
+  const hourlyCharge = roundAmount(hourlyRate * hours);
+  return {
+    room_id: room?.room_id ?? null,
+    base_price: basePrice,
+    hourly_rate: hourlyRate,
+    hours,
+    hourly_charge: hourlyCharge,
+    total: roundAmount(basePrice + hourlyCharge),
+  };
+};
+
+export const calculateRoomCharge = (room, durationHours) =>
+  priceRoom(room, durationHours).total;
+
+// ===== Pricing Tier Lookup =====
+// Active tier covering the given day. When tiers overlap the one that started
+// most recently wins, then the most recently created (highest tier_id), so
+// the same inputs always resolve to the same tier.
+export const findApplicablePricingTier = async (
+  variationId,
+  date,
+  tx = prisma
+) => {
+  if (!variationId || !date) return null;
+  const day = toPricingDate(date);
+  return tx.pricingTier.findFirst({
+    where: {
+      variation_id: Number(variationId),
+      is_active: true,
+      valid_from: { lte: day },
+      valid_to: { gte: day },
+    },
+    orderBy: [{ valid_from: 'desc' }, { tier_id: 'desc' }],
+  });
+};
+
+// ===== Variation Price =====
+// Effective unit price of a variation on a day. price_modifier is a
+// multiplier on the variation base price (1.2 = +20%). The breakdown says
+// which tier, if any, was applied.
+export const resolveVariationUnitPrice = async (
+  variation,
+  date,
+  tx = prisma
+) => {
+  const basePrice = roundAmount(variation?.base_price);
+  const tier = date
+    ? await findApplicablePricingTier(variation?.variation_id, date, tx)
+    : null;
+  const modifier = tier ? Number(tier.price_modifier) : 1;
+  const unitPrice = roundAmount(basePrice * modifier);
+  return {
+    unit_price: unitPrice,
+    tier,
+    breakdown: {
+      variation_id: variation?.variation_id ?? null,
+      pricing_date: date ? formatPricingDate(date) : null,
+      base_price: basePrice,
+      price_modifier: modifier,
+      tier_id: tier?.tier_id ?? null,
+      tier_valid_from: tier?.valid_from ?? null,
+      tier_valid_to: tier?.valid_to ?? null,
+      tier_adjustment: roundAmount(unitPrice - basePrice),
+      unit_price: unitPrice,
+    },
+  };
+};
+
+// ===== Price Currency =====
+// Rooms and variations are priced in their own currency (the base currency
+// when not selected). Returns a converter into the pricing currency, caching
+// one rate per source currency; the breakdown records the rate used.
+const createPriceConverter = (currency, tx) => {
+  const rates = new Map();
+  return async (amount, priceCurrency) => {
+    const from = normalizeCurrency(priceCurrency) || currency;
+    if (from === currency) return { amount, conversion: null };
+    if (!rates.has(from)) {
+      const rate = await findExchangeRate(from, currency, new Date(), tx);
+      if (!rate) {
+        throw new Error(`No exchange rate from ${from} to ${currency}`);
+      }
+      rates.set(from, rate);
+    }
+    const rate = rates.get(from);
+    return {
+      amount: roundToCurrency(amount * rate.rate, currency),
+      conversion: {
+        price_currency: from,
+        price_amount: amount,
+        exchange_rate: rate.rate,
+        exchange_rate_id: rate.exchange_rate_id,
+      },
+    };
+  };
+};
+
+// ===== Event Lines =====
+// Invoice lines for an event: one ROOM line and one SERVICE line per
+// non-cancelled EventService, in `currency` (the invoice's). custom_price is
+// already in that currency and overrides tier pricing. Each line carries a
+// breakdown; use toInvoiceDetailData to persist it.
+export const priceEventLines = async (
+  {
+    room,
+    eventServices = [],
+    durationHours,
+    eventDate,
+    currency = BASE_CURRENCY,
+  },
+  tx = prisma
+) => {
+  const lines = [];
+  const convert = createPriceConverter(
+    normalizeCurrency(currency) || BASE_CURRENCY,
+    tx
+  );
+
+  if (room) {
+    const roomPrice = priceRoom(room, durationHours);
+    const { amount, conversion } = await convert(
+      roomPrice.total,
+      room.currency
+    );
+    lines.push({
+      item_name: room.room_name,
+      quantity: 1,
+      unit_price: amount,
+      subtotal: amount,
+      item_type: 'ROOM',
+      service_id: null,
+      variation_id: null,
+      breakdown: conversion
+        ? { ...roomPrice, ...conversion, total: amount }
+        : roomPrice,
+    });
+  }
+
+  for (const eventService of eventServices) {
+    if (eventService.status === 'CANCELLED') continue;
+    const quantity = Number(eventService.quantity || 1);
+    const variationPrice = await resolveVariationUnitPrice(
+      eventService.variation,
+      eventDate,
+      tx
+    );
+    const hasCustomPrice =
+      eventService.custom_price !== null &&
+      eventService.custom_price !== undefined;
+    const { amount: tierPrice, conversion } = hasCustomPrice
+      ? { amount: null, conversion: null }
+      : await convert(
+          variationPrice.unit_price,
+          eventService.variation?.currency
+        );
+    const unitPrice = hasCustomPrice
+      ? roundAmount(eventService.custom_price)
+      : tierPrice;
+    lines.push({
+      item_name:
+        eventService.variation?.variation_name ||
+        eventService.service?.service_name ||
+        'Service',
+      quantity,
+      unit_price: unitPrice,
+      subtotal: roundAmount(unitPrice * quantity),
+      item_type: 'SERVICE',
+      service_id: eventService.service_id,
+      variation_id: eventService.variation_id,
+      service_type_id: eventService.service?.service_type_id ?? null,
+      breakdown: {
+        ...variationPrice.breakdown,
+        ...conversion,
+        custom_price: hasCustomPrice ? unitPrice : null,
+        unit_price: unitPrice,
+        quantity,
+      },
+    });
+  }
+
+  const total = roundAmount(
+    lines.reduce((sum, line) => sum + line.subtotal, 0)
+  );
+  return { lines, total };
+};
+
+// ===== Promotion Discount =====
+// Discount a promotion gives on a set of priced lines. With service_type_ids
+// only SERVICE lines of those types count towards min_spend and the discount;
+// otherwise every line does. The discount never exceeds the eligible amount.
+export const calculatePromotionDiscount = (promotion, lines) => {
+  const serviceTypeIds = promotion.service_type_ids || [];
+  const eligibleLines =
+    serviceTypeIds.length > 0
+      ? lines.filter(
+          (line) =>
+            line.item_type === 'SERVICE' &&
+            serviceTypeIds.includes(line.service_type_id)
+        )
+      : lines;
+  const eligibleSubtotal = roundAmount(
+    eligibleLines.reduce((sum, line) => sum + Number(line.subtotal), 0)
+  );
+  const minSpendMet =
+    promotion.min_spend === null ||
+    promotion.min_spend === undefined ||
+    eligibleSubtotal >= Number(promotion.min_spend);
+
+  let discount = 0;
+  if (minSpendMet) {
+    discount =
+      promotion.discount_type === 'PERCENTAGE'
+        ? (eligibleSubtotal * Number(promotion.discount_value)) / 100
+        : Number(promotion.discount_value);
+    if (
+      promotion.max_discount !== null &&
+      promotion.max_discount !== undefined
+    ) {
+      discount = Math.min(discount, Number(promotion.max_discount));
+    }
+    discount = Math.min(discount, eligibleSubtotal);
+  }
+
+  return {
+    eligible_subtotal: eligibleSubtotal,
+    min_spend_met: minSpendMet,
+    discount_amount: roundAmount(discount),
+  };
+};
+
+// InvoiceDetail columns of a priced line (drops the breakdown)
+export const toInvoiceDetailData = (line, invoiceId) => ({
+  invoice_id: Number(invoiceId),
+  item_name: line.item_name,
+  quantity: line.quantity,
+  unit_price: line.unit_price,
+  subtotal: line.subtotal,
+  item_type: line.item_type,
+  service_id: line.service_id,
+  variation_id: line.variation_id,
+});
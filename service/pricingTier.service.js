@@ -1,16 +1,16 @@
 import { PrismaClient } from "@prisma/client";
-import { 
-  validateString, 
-  validateNumber, 
-  validatePrice, 
-  validateBoolean, 
+import {
+  validateNumber,
+  validateBoolean,
   validatePagination,
-  validateDateRange,
+  validateDate,
   parseAndValidateId,
-  VALIDATION_CONFIG,
-  VALIDATION_ERRORS,
-  createValidationResult 
+  createValidationResult
 } from "../utils/validation.js";
+import {
+  resolveVariationUnitPrice,
+  toPricingDate
+} from "./pricing.service.js";
 
 const prisma = new PrismaClient();
 
@@ -20,154 +20,128 @@ const handleError = (context, error) => {
   return createValidationResult(false, [error.message]);
 };
 
-const validatePricingTierData = (tierData) => {
+// price_modifier multiplies the variation base price (0.8 = -20%, 1.5 = +50%)
+const MODIFIER_MIN = 0.01;
+const MODIFIER_MAX = 100;
+
+const parseBoolean = (value) =>
+  value === undefined ? undefined : value === true || value === "true";
+
+// partial=true validates only the fields present (updates)
+const validatePricingTierData = (tierData, partial = false) => {
   const errors = [];
-  
-  // Required fields validation
-  const nameValidation = validateString(tierData.tier_name, "Tier name", {
-    required: true,
-    minLength: 1,
-    maxLength: 255,
-    sanitize: true
-  });
-  
-  const priceValidation = validatePrice(tierData.price, "Price", true);
-  
-  errors.push(...nameValidation.errors, ...priceValidation.errors);
-  
-  // Guest count validation
-  if (tierData.guest_count !== undefined) {
-    const guestCountValidation = validateNumber(tierData.guest_count, "Guest count", {
-      min: VALIDATION_CONFIG.GUEST_COUNT.MIN,
-      max: VALIDATION_CONFIG.GUEST_COUNT.MAX,
-      integer: true
-    });
-    errors.push(...guestCountValidation.errors);
+
+  if (!partial || tierData.variation_id !== undefined) {
+    if (!parseAndValidateId(tierData.variation_id, "Variation ID")) {
+      errors.push("Variation ID is required");
+    }
   }
-  
-  // Description validation
-  if (tierData.description) {
-    const descValidation = validateString(tierData.description, "Description", {
-      maxLength: VALIDATION_CONFIG.DESCRIPTION.MAX_LENGTH,
-      sanitize: true
+
+  if (!partial || tierData.price_modifier !== undefined) {
+    const modifierValidation = validateNumber(tierData.price_modifier, "Price modifier", {
+      required: true,
+      min: MODIFIER_MIN,
+      max: MODIFIER_MAX
     });
-    errors.push(...descValidation.errors);
+    errors.push(...modifierValidation.errors);
   }
-  
-  // Duration validation
-  if (tierData.duration_hours !== undefined) {
-    const durationValidation = validateNumber(tierData.duration_hours, "Duration hours", {
-      min: 0.5,
-      max: 168, // 7 days
-      allowDecimals: true
-    });
-    errors.push(...durationValidation.errors);
+
+  if (!partial || tierData.valid_from !== undefined) {
+    errors.push(...validateDate(tierData.valid_from, "Valid from", { required: true }).errors);
   }
-  
-  // Active status validation
-  if (tierData.is_active !== undefined) {
-    const activeValidation = validateBoolean(tierData.is_active, "Active status");
-    errors.push(...activeValidation.errors);
+  if (!partial || tierData.valid_to !== undefined) {
+    errors.push(...validateDate(tierData.valid_to, "Valid to", { required: true }).errors);
   }
-  
-  // Features validation (assuming it's a JSON array)
-  if (tierData.features) {
-    if (!Array.isArray(tierData.features)) {
-      errors.push("Features must be an array");
-    } else {
-      tierData.features.forEach((feature, index) => {
-        const featureValidation = validateString(feature, `Feature ${index + 1}`, {
-          required: true,
-          minLength: 1,
-          maxLength: 255,
-          sanitize: true
-        });
-        errors.push(...featureValidation.errors);
-      });
-    }
+
+  if (tierData.is_active !== undefined) {
+    errors.push(...validateBoolean(tierData.is_active, "Active status").errors);
   }
-  
+
   return createValidationResult(errors.length === 0, errors);
 };
 
+const validateValidityRange = (validFrom, validTo) => {
+  if (toPricingDate(validFrom) > toPricingDate(validTo)) {
+    return ["Valid from must be on or before valid to"];
+  }
+  return [];
+};
+
 const buildPricingTierQuery = (filters = {}) => {
   const where = {};
-  
-  // Filter by active status
-  if (filters.is_active !== undefined) {
-    where.is_active = filters.is_active;
+
+  if (filters.variation_id !== undefined) {
+    where.variation_id = Number(filters.variation_id);
   }
-  
-  // Filter by price range
-  if (filters.min_price !== undefined || filters.max_price !== undefined) {
-    where.price = {};
-    if (filters.min_price !== undefined) {
-      where.price.gte = filters.min_price;
-    }
-    if (filters.max_price !== undefined) {
-      where.price.lte = filters.max_price;
-    }
+
+  const isActive = parseBoolean(filters.is_active);
+  if (isActive !== undefined) {
+    where.is_active = isActive;
   }
-  
-  // Filter by guest count range
-  if (filters.min_guests !== undefined || filters.max_guests !== undefined) {
-    where.guest_count = {};
-    if (filters.min_guests !== undefined) {
-      where.guest_count.gte = filters.min_guests;
+
+  // Filter by modifier range
+  if (filters.min_modifier !== undefined || filters.max_modifier !== undefined) {
+    where.price_modifier = {};
+    if (filters.min_modifier !== undefined) {
+      where.price_modifier.gte = Number(filters.min_modifier);
     }
-    if (filters.max_guests !== undefined) {
-      where.guest_count.lte = filters.max_guests;
+    if (filters.max_modifier !== undefined) {
+      where.price_modifier.lte = Number(filters.max_modifier);
     }
   }
-  
-  // Search by name
-  if (filters.search) {
-    where.tier_name = {
-      contains: filters.search,
-      mode: 'insensitive'
-    };
+
+  // Tiers covering a given day
+  if (filters.date) {
+    const day = toPricingDate(filters.date);
+    where.valid_from = { lte: day };
+    where.valid_to = { gte: day };
   }
-  
+
   return where;
 };
 
+const TIER_INCLUDE = {
+  variation: {
+    select: { variation_id: true, variation_name: true, base_price: true }
+  }
+};
+
 // ===== CRUD Operations =====
 
 /**
- * Create a new pricing tier
+ * Create a new pricing tier for a variation. Tiers may overlap; the pricing
+ * engine picks the one with the latest valid_from (then highest tier_id).
  */
 export const createPricingTier = async (tierData) => {
   try {
-    // Validate input data
     const validation = validatePricingTierData(tierData);
     if (!validation.isValid) {
       return createValidationResult(false, validation.errors);
     }
-    
-    // Check if tier name already exists
-    const existingTier = await prisma.pricingTier.findFirst({
-      where: { tier_name: tierData.tier_name }
+    const rangeErrors = validateValidityRange(tierData.valid_from, tierData.valid_to);
+    if (rangeErrors.length > 0) {
+      return createValidationResult(false, rangeErrors);
+    }
+
+    const variation = await prisma.variation.findUnique({
+      where: { variation_id: Number(tierData.variation_id) },
+      select: { variation_id: true }
     });
-    
-    if (existingTier) {
-      return createValidationResult(false, [VALIDATION_ERRORS.DUPLICATE_ENTRY]);
+    if (!variation) {
+      return createValidationResult(false, ["Variation not found"]);
     }
-    
-    // Create new pricing tier
+
     const newTier = await prisma.pricingTier.create({
       data: {
-        tier_name: tierData.tier_name,
-        price: tierData.price,
-        guest_count: tierData.guest_count || null,
-        description: tierData.description || null,
-        duration_hours: tierData.duration_hours || null,
-        features: tierData.features || [],
-        is_active: tierData.is_active !== undefined ? tierData.is_active : true,
-        created_at: new Date(),
-        updated_at: new Date()
-      }
+        variation_id: variation.variation_id,
+        price_modifier: Number(tierData.price_modifier),
+        valid_from: toPricingDate(tierData.valid_from),
+        valid_to: toPricingDate(tierData.valid_to),
+        is_active: tierData.is_active !== undefined ? parseBoolean(tierData.is_active) : true
+      },
+      include: TIER_INCLUDE
     });
-    
+
     return createValidationResult(true, [], newTier);
   } catch (error) {
     return handleError('createPricingTier', error);
@@ -179,19 +153,20 @@ export const createPricingTier = async (tierData) => {
  */
 export const getPricingTierById = async (id) => {
   try {
-    const idValidation = parseAndValidateId(id);
-    if (!idValidation.isValid) {
-      return createValidationResult(false, idValidation.errors);
+    const tierId = parseAndValidateId(id, "Pricing tier ID");
+    if (!tierId) {
+      return createValidationResult(false, ["Invalid pricing tier ID"]);
     }
-    
+
     const tier = await prisma.pricingTier.findUnique({
-      where: { id: idValidation.data }
+      where: { tier_id: tierId },
+      include: TIER_INCLUDE
     });
-    
+
     if (!tier) {
-      return createValidationResult(false, [VALIDATION_ERRORS.NOT_FOUND]);
+      return createValidationResult(false, ["Pricing tier not found"]);
     }
-    
+
     return createValidationResult(true, [], tier);
   } catch (error) {
     return handleError('getPricingTierById', error);
@@ -199,96 +174,96 @@ export const getPricingTierById = async (id) => {
 };
 
 /**
- * Get all pricing tiers with optional filtering and pagination
+ * Get all pricing tiers with optional filtering (variation_id, is_active,
+ * min_modifier, max_modifier, date) and pagination
  */
-export const getAllPricingTiers = async (options = {}) => {
+export const getAllPricingTiers = async (query = {}) => {
   try {
-    const { filters = {}, pagination = {} } = options;
-    
-    // Validate pagination
-    const paginationValidation = validatePagination(pagination);
-    if (!paginationValidation.isValid) {
-      return createValidationResult(false, paginationValidation.errors);
+    const { page, limit, errors } = validatePagination(query.page, query.limit);
+    if (errors.length > 0) {
+      return createValidationResult(false, errors);
     }
-    
-    // Build query
-    const where = buildPricingTierQuery(filters);
-    
-    // Get total count
-    const totalCount = await prisma.pricingTier.count({ where });
-    
-    // Get paginated results
-    const tiers = await prisma.pricingTier.findMany({
-      where,
-      orderBy: { created_at: 'desc' },
-      skip: paginationValidation.data.skip,
-      take: paginationValidation.data.take
-    });
-    
-    const result = {
+
+    const where = buildPricingTierQuery(query);
+
+    const [totalCount, tiers] = await Promise.all([
+      prisma.pricingTier.count({ where }),
+      prisma.pricingTier.findMany({
+        where,
+        include: TIER_INCLUDE,
+        orderBy: [{ variation_id: 'asc' }, { valid_from: 'desc' }, { tier_id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      })
+    ]);
+
+    return createValidationResult(true, [], {
       data: tiers,
       pagination: {
-        page: paginationValidation.data.page,
-        limit: paginationValidation.data.limit,
+        page,
+        limit,
         total: totalCount,
-        totalPages: Math.ceil(totalCount / paginationValidation.data.limit)
+        totalPages: Math.ceil(totalCount / limit)
       }
-    };
-    
-    return createValidationResult(true, [], result);
+    });
   } catch (error) {
     return handleError('getAllPricingTiers', error);
   }
 };
 
 /**
- * Update an existing pricing tier
+ * Update an existing pricing tier (partial)
  */
 export const updatePricingTier = async (id, tierData) => {
   try {
-    const idValidation = parseAndValidateId(id);
-    if (!idValidation.isValid) {
-      return createValidationResult(false, idValidation.errors);
+    const tierId = parseAndValidateId(id, "Pricing tier ID");
+    if (!tierId) {
+      return createValidationResult(false, ["Invalid pricing tier ID"]);
     }
-    
-    // Validate input data
-    const validation = validatePricingTierData(tierData);
+
+    const validation = validatePricingTierData(tierData, true);
     if (!validation.isValid) {
       return createValidationResult(false, validation.errors);
     }
-    
-    // Check if tier exists
+
     const existingTier = await prisma.pricingTier.findUnique({
-      where: { id: idValidation.data }
+      where: { tier_id: tierId }
     });
-    
     if (!existingTier) {
-      return createValidationResult(false, [VALIDATION_ERRORS.NOT_FOUND]);
+      return createValidationResult(false, ["Pricing tier not found"]);
     }
-    
-    // Check if new name conflicts with existing tier (if name is being changed)
-    if (tierData.tier_name && tierData.tier_name !== existingTier.tier_name) {
-      const nameConflict = await prisma.pricingTier.findFirst({
-        where: { 
-          tier_name: tierData.tier_name,
-          id: { not: idValidation.data }
-        }
+
+    const rangeErrors = validateValidityRange(
+      tierData.valid_from ?? existingTier.valid_from,
+      tierData.valid_to ?? existingTier.valid_to
+    );
+    if (rangeErrors.length > 0) {
+      return createValidationResult(false, rangeErrors);
+    }
+
+    if (tierData.variation_id !== undefined) {
+      const variation = await prisma.variation.findUnique({
+        where: { variation_id: Number(tierData.variation_id) },
+        select: { variation_id: true }
       });
-      
-      if (nameConflict) {
-        return createValidationResult(false, [VALIDATION_ERRORS.DUPLICATE_ENTRY]);
+      if (!variation) {
+        return createValidationResult(false, ["Variation not found"]);
       }
     }
-    
-    // Update tier
+
+    const data = {};
+    if (tierData.variation_id !== undefined) data.variation_id = Number(tierData.variation_id);
+    if (tierData.price_modifier !== undefined) data.price_modifier = Number(tierData.price_modifier);
+    if (tierData.valid_from !== undefined) data.valid_from = toPricingDate(tierData.valid_from);
+    if (tierData.valid_to !== undefined) data.valid_to = toPricingDate(tierData.valid_to);
+    if (tierData.is_active !== undefined) data.is_active = parseBoolean(tierData.is_active);
+
     const updatedTier = await prisma.pricingTier.update({
-      where: { id: idValidation.data },
-      data: {
-        ...tierData,
-        updated_at: new Date()
-      }
+      where: { tier_id: tierId },
+      data,
+      include: TIER_INCLUDE
     });
-    
+
     return createValidationResult(true, [], updatedTier);
   } catch (error) {
     return handleError('updatePricingTier', error);
@@ -296,38 +271,26 @@ export const updatePricingTier = async (id, tierData) => {
 };
 
 /**
- * Delete a pricing tier
+ * Delete a pricing tier. Invoices keep the prices they were issued with.
  */
 export const deletePricingTier = async (id) => {
   try {
-    const idValidation = parseAndValidateId(id);
-    if (!idValidation.isValid) {
-      return createValidationResult(false, idValidation.errors);
+    const tierId = parseAndValidateId(id, "Pricing tier ID");
+    if (!tierId) {
+      return createValidationResult(false, ["Invalid pricing tier ID"]);
     }
-    
-    // Check if tier exists
+
     const existingTier = await prisma.pricingTier.findUnique({
-      where: { id: idValidation.data }
+      where: { tier_id: tierId }
     });
-    
     if (!existingTier) {
-      return createValidationResult(false, [VALIDATION_ERRORS.NOT_FOUND]);
-    }
-    
-    // Check if tier is in use (assuming there's a bookings table)
-    const tierInUse = await prisma.booking.findFirst({
-      where: { pricing_tier_id: idValidation.data }
-    });
-    
-    if (tierInUse) {
-      return createValidationResult(false, ["Cannot delete pricing tier that is in use"]);
+      return createValidationResult(false, ["Pricing tier not found"]);
     }
-    
-    // Delete tier
+
     await prisma.pricingTier.delete({
-      where: { id: idValidation.data }
+      where: { tier_id: tierId }
     });
-    
+
     return createValidationResult(true, [], { message: "Pricing tier deleted successfully" });
   } catch (error) {
     return handleError('deletePricingTier', error);
@@ -339,29 +302,24 @@ export const deletePricingTier = async (id) => {
  */
 export const togglePricingTierStatus = async (id) => {
   try {
-    const idValidation = parseAndValidateId(id);
-    if (!idValidation.isValid) {
-      return createValidationResult(false, idValidation.errors);
+    const tierId = parseAndValidateId(id, "Pricing tier ID");
+    if (!tierId) {
+      return createValidationResult(false, ["Invalid pricing tier ID"]);
     }
-    
-    // Check if tier exists
+
     const existingTier = await prisma.pricingTier.findUnique({
-      where: { id: idValidation.data }
+      where: { tier_id: tierId }
     });
-    
     if (!existingTier) {
-      return createValidationResult(false, [VALIDATION_ERRORS.NOT_FOUND]);
+      return createValidationResult(false, ["Pricing tier not found"]);
     }
-    
-    // Toggle status
+
     const updatedTier = await prisma.pricingTier.update({
-      where: { id: idValidation.data },
-      data: { 
-        is_active: !existingTier.is_active,
-        updated_at: new Date()
-      }
+      where: { tier_id: tierId },
+      data: { is_active: !existingTier.is_active },
+      include: TIER_INCLUDE
     });
-    
+
     return createValidationResult(true, [], updatedTier);
   } catch (error) {
     return handleError('togglePricingTierStatus', error);
@@ -369,15 +327,19 @@ export const togglePricingTierStatus = async (id) => {
 };
 
 /**
- * Get active pricing tiers only
+ * Get active pricing tiers that have not ended yet
  */
 export const getActivePricingTiers = async () => {
   try {
     const tiers = await prisma.pricingTier.findMany({
-      where: { is_active: true },
-      orderBy: { price: 'asc' }
+      where: {
+        is_active: true,
+        valid_to: { gte: toPricingDate(new Date()) }
+      },
+      include: TIER_INCLUDE,
+      orderBy: [{ valid_from: 'asc' }, { tier_id: 'asc' }]
     });
-    
+
     return createValidationResult(true, [], tiers);
   } catch (error) {
     return handleError('getActivePricingTiers', error);
@@ -385,40 +347,76 @@ export const getActivePricingTiers = async () => {
 };
 
 /**
- * Get pricing tiers by price range
+ * Get active pricing tiers by price modifier range
  */
-export const getPricingTiersByPriceRange = async (minPrice, maxPrice) => {
+export const getPricingTiersByPriceRange = async (minModifier, maxModifier) => {
   try {
-    const minPriceValidation = validatePrice(minPrice, "Minimum price", true);
-    const maxPriceValidation = validatePrice(maxPrice, "Maximum price", true);
-    
-    const errors = [...minPriceValidation.errors, ...maxPriceValidation.errors];
-    
-    if (minPrice >= maxPrice) {
-      errors.push("Minimum price must be less than maximum price");
+    const errors = [
+      ...validateNumber(minModifier, "Minimum modifier", { required: true, min: 0 }).errors,
+      ...validateNumber(maxModifier, "Maximum modifier", { required: true, min: 0 }).errors
+    ];
+
+    if (Number(minModifier) > Number(maxModifier)) {
+      errors.push("Minimum modifier cannot be greater than maximum modifier");
     }
-    
+
     if (errors.length > 0) {
       return createValidationResult(false, errors);
     }
-    
+
     const tiers = await prisma.pricingTier.findMany({
       where: {
-        price: {
-          gte: minPrice,
-          lte: maxPrice
+        price_modifier: {
+          gte: Number(minModifier),
+          lte: Number(maxModifier)
         },
         is_active: true
       },
-      orderBy: { price: 'asc' }
+      include: TIER_INCLUDE,
+      orderBy: { price_modifier: 'asc' }
     });
-    
+
     return createValidationResult(true, [], tiers);
   } catch (error) {
     return handleError('getPricingTiersByPriceRange', error);
   }
 };
 
+/**
+ * Effective price of a variation on a date (defaults to today) with the
+ * breakdown from the pricing engine
+ */
+export const getVariationPrice = async (variationId, date) => {
+  try {
+    const validVariationId = parseAndValidateId(variationId, "Variation ID");
+    if (!validVariationId) {
+      return createValidationResult(false, ["Invalid variation ID"]);
+    }
+    const dateValidation = validateDate(date, "Date");
+    if (!dateValidation.isValid) {
+      return createValidationResult(false, dateValidation.errors);
+    }
+
+    const variation = await prisma.variation.findUnique({
+      where: { variation_id: validVariationId },
+      select: { variation_id: true, variation_name: true, base_price: true, is_active: true }
+    });
+    if (!variation) {
+      return createValidationResult(false, ["Variation not found"]);
+    }
+
+    const { breakdown } = await resolveVariationUnitPrice(variation, date || new Date(), prisma);
+
+    return createValidationResult(true, [], {
+      variation_name: variation.variation_name,
+      is_active: variation.is_active,
+      ...breakdown
+    });
+  } catch (error) {
+    return handleError('getVariationPrice', error);
+  }
+};
+
 /**
  * Close Prisma connection
  */
@@ -436,5 +434,6 @@ export default {
   togglePricingTierStatus,
   getActivePricingTiers,
   getPricingTiersByPriceRange,
+  getVariationPrice,
   closePrismaConnection
-};
\ No newline at end of file
+};
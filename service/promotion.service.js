@@ -0,0 +1,720 @@
+import { prisma } from '../prisma/prisma.js';
+import {
+  validateNumber,
+  validateString,
+  validateDate,
+  validateEnum,
+  validateBoolean,
+  validateDateRange,
+  validatePagination,
+  parseAndValidateId,
+  createValidationResult,
+} from '../utils/validation.js';
+import { runSerializable } from '../utils/transaction.js';
+import { roundAmount } from './pricing.service.js';
+import { syncEventInvoice } from './invoiceSync.service.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+export const DISCOUNT_TYPES = ['PERCENTAGE', 'FIXED'];
+const CODE_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Codes are matched case-insensitively and stored upper case
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+const parseBoolean = (value) =>
+  value === undefined ? undefined : value === true || value === 'true';
+
+const parseIdList = (value) =>
+  (Array.isArray(value) ? value : [value]).map((id) => Number(id));
+
+const validateIdList = (value, fieldName) => {
+  if (value === undefined || value === null) return [];
+  const ids = parseIdList(value);
+  return ids.every((id) => Number.isInteger(id) && id > 0)
+    ? []
+    : [`${fieldName} must be a list of IDs`];
+};
+
+// partial=true validates only the fields present (updates)
+const validatePromotionData = (data, partial = false) => {
+  const errors = [];
+
+  if (!partial || data.code !== undefined) {
+    errors.push(
+      ...validateString(data.code, 'Code', {
+        required: true,
+        minLength: 3,
+        maxLength: 50,
+        pattern: CODE_PATTERN,
+      }).errors
+    );
+  }
+  if (data.description !== undefined && data.description !== null) {
+    errors.push(
+      ...validateString(data.description, 'Description', {
+        maxLength: 1000,
+        sanitize: true,
+      }).errors
+    );
+  }
+  if (!partial || data.discount_type !== undefined) {
+    errors.push(
+      ...validateEnum(data.discount_type, 'Discount type', DISCOUNT_TYPES, true)
+        .errors
+    );
+  }
+  if (!partial || data.discount_value !== undefined) {
+    errors.push(
+      ...validateNumber(data.discount_value, 'Discount value', {
+        required: true,
+        min: 0.01,
+        ...(data.discount_type === 'PERCENTAGE' ? { max: 100 } : {}),
+      }).errors
+    );
+  }
+  for (const [field, label] of [
+    ['max_discount', 'Maximum discount'],
+    ['min_spend', 'Minimum spend'],
+  ]) {
+    if (data[field] !== undefined && data[field] !== null) {
+      errors.push(...validateNumber(data[field], label, { min: 0 }).errors);
+    }
+  }
+  for (const [field, label] of [
+    ['max_redemptions', 'Maximum redemptions'],
+    ['max_redemptions_per_account', 'Maximum redemptions per account'],
+  ]) {
+    if (data[field] !== undefined && data[field] !== null) {
+      errors.push(
+        ...validateNumber(data[field], label, { min: 1, integer: true }).errors
+      );
+    }
+  }
+  if (!partial || data.valid_from !== undefined) {
+    errors.push(
+      ...validateDate(data.valid_from, 'Valid from', { required: true }).errors
+    );
+  }
+  if (data.valid_to) {
+    errors.push(...validateDate(data.valid_to, 'Valid to').errors);
+  }
+  errors.push(...validateIdList(data.service_type_ids, 'Service type IDs'));
+  errors.push(...validateIdList(data.event_type_ids, 'Event type IDs'));
+  if (data.is_active !== undefined) {
+    errors.push(...validateBoolean(data.is_active, 'Active status').errors);
+  }
+
+  return errors;
+};
+
+const toPromotionFields = (data) => {
+  const fields = {};
+  if (data.code !== undefined) fields.code = normalizeCode(data.code);
+  if (data.description !== undefined) {
+    fields.description = data.description ? data.description.trim() : null;
+  }
+  if (data.discount_type !== undefined) {
+    fields.discount_type = data.discount_type;
+  }
+  if (data.discount_value !== undefined) {
+    fields.discount_value = Number(data.discount_value);
+  }
+  for (const field of [
+    'max_discount',
+    'min_spend',
+    'max_redemptions',
+    'max_redemptions_per_account',
+  ]) {
+    if (data[field] !== undefined) {
+      fields[field] =
+        data[field] === null || data[field] === '' ? null : Number(data[field]);
+    }
+  }
+  if (data.valid_from !== undefined) {
+    fields.valid_from = new Date(data.valid_from);
+  }
+  if (data.valid_to !== undefined) {
+    fields.valid_to = data.valid_to ? new Date(data.valid_to) : null;
+  }
+  for (const field of ['service_type_ids', 'event_type_ids']) {
+    if (data[field] !== undefined) {
+      fields[field] = data[field] === null ? [] : parseIdList(data[field]);
+    }
+  }
+  if (data.is_active !== undefined) {
+    fields.is_active = parseBoolean(data.is_active);
+  }
+  return fields;
+};
+
+// Cross-field rules, checked on the merged record for updates
+const validatePromotionRules = async (fields) => {
+  const errors = [];
+  if (fields.valid_to && fields.valid_from > fields.valid_to) {
+    errors.push('Valid from must be before valid to');
+  }
+  if (
+    fields.discount_type === 'PERCENTAGE' &&
+    Number(fields.discount_value) > 100
+  ) {
+    errors.push('Percentage discount cannot exceed 100');
+  }
+
+  const serviceTypeIds = fields.service_type_ids || [];
+  if (serviceTypeIds.length > 0) {
+    const found = await prisma.serviceType.count({
+      where: { service_type_id: { in: serviceTypeIds } },
+    });
+    if (found !== new Set(serviceTypeIds).size) {
+      errors.push('One or more service types not found');
+    }
+  }
+  const eventTypeIds = fields.event_type_ids || [];
+  if (eventTypeIds.length > 0) {
+    const found = await prisma.eventType.count({
+      where: { type_id: { in: eventTypeIds } },
+    });
+    if (found !== new Set(eventTypeIds).size) {
+      errors.push('One or more event types not found');
+    }
+  }
+  return errors;
+};
+
+const isUniqueViolation = (error) => error?.code === 'P2002';
+
+// ===== Create Promotion =====
+export const createPromotion = async (data) => {
+  try {
+    const errors = validatePromotionData(data);
+    if (errors.length > 0) return createValidationResult(false, errors);
+
+    const fields = toPromotionFields(data);
+    const ruleErrors = await validatePromotionRules(fields);
+    if (ruleErrors.length > 0) {
+      return createValidationResult(false, ruleErrors);
+    }
+
+    const promotion = await prisma.promotion.create({ data: fields });
+    return createValidationResult(true, [], promotion);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return createValidationResult(false, ['Promotion code already exists']);
+    }
+    return handleError('createPromotion', error);
+  }
+};
+
+// ===== Get Promotions =====
+// Filters: code (partial match), discount_type, is_active,
+// current=true (active and inside the validity window now)
+export const getPromotions = async (filters = {}) => {
+  try {
+    const { page, limit, errors } = validatePagination(
+      filters.page,
+      filters.limit
+    );
+    if (errors.length > 0) return createValidationResult(false, errors);
+
+    const where = {};
+    if (filters.code) {
+      where.code = { contains: normalizeCode(filters.code) };
+    }
+    if (filters.discount_type) where.discount_type = filters.discount_type;
+    const isActive = parseBoolean(filters.is_active);
+    if (isActive !== undefined) where.is_active = isActive;
+    if (parseBoolean(filters.current)) {
+      const now = new Date();
+      where.is_active = true;
+      where.valid_from = { lte: now };
+      where.OR = [{ valid_to: null }, { valid_to: { gte: now } }];
+    }
+
+    const [promotions, total] = await Promise.all([
+      prisma.promotion.findMany({
+        where,
+        include: {
+          _count: {
+            select: { redemptions: { where: { status: 'APPLIED' } } },
+          },
+        },
+        orderBy: [{ created_at: 'desc' }, { promotion_id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.promotion.count({ where }),
+    ]);
+
+    return createValidationResult(true, [], {
+      promotions: promotions.map(({ _count, ...promotion }) => ({
+        ...promotion,
+        redemption_count: _count.redemptions,
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    return handleError('getPromotions', error);
+  }
+};
+
+// ===== Get Promotion by ID =====
+export const getPromotionById = async (promotionId) => {
+  try {
+    const validId = parseAndValidateId(promotionId, 'Promotion ID');
+    if (!validId) {
+      return createValidationResult(false, ['Invalid promotion ID']);
+    }
+
+    const promotion = await prisma.promotion.findUnique({
+      where: { promotion_id: validId },
+    });
+    if (!promotion) {
+      return createValidationResult(false, ['Promotion not found']);
+    }
+    return createValidationResult(true, [], promotion);
+  } catch (error) {
+    return handleError('getPromotionById', error);
+  }
+};
+
+// ===== Update Promotion =====
+// Events that already applied the code keep it; open invoices pick up the
+// new terms the next time they are repriced
+export const updatePromotion = async (promotionId, data) => {
+  try {
+    const existing = await getPromotionById(promotionId);
+    if (!existing.isValid) return existing;
+
+    const errors = validatePromotionData(data, true);
+    if (errors.length > 0) return createValidationResult(false, errors);
+
+    const fields = toPromotionFields(data);
+    const ruleErrors = await validatePromotionRules({
+      ...existing.data,
+      ...fields,
+    });
+    if (ruleErrors.length > 0) {
+      return createValidationResult(false, ruleErrors);
+    }
+
+    const promotion = await prisma.promotion.update({
+      where: { promotion_id: existing.data.promotion_id },
+      data: fields,
+    });
+    return createValidationResult(true, [], promotion);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return createValidationResult(false, ['Promotion code already exists']);
+    }
+    return handleError('updatePromotion', error);
+  }
+};
+
+// ===== Delete Promotion =====
+// Promotions that were ever redeemed are deactivated to keep the analytics
+export const deletePromotion = async (promotionId) => {
+  try {
+    const existing = await getPromotionById(promotionId);
+    if (!existing.isValid) return existing;
+
+    const where = { promotion_id: existing.data.promotion_id };
+    const usage = await prisma.promotionRedemption.count({ where });
+    if (usage > 0) {
+      const promotion = await prisma.promotion.update({
+        where,
+        data: { is_active: false },
+      });
+      return createValidationResult(true, [], {
+        ...promotion,
+        deactivated: true,
+      });
+    }
+
+    await prisma.promotion.delete({ where });
+    return createValidationResult(true, [], {
+      promotion_id: existing.data.promotion_id,
+      deleted: true,
+    });
+  } catch (error) {
+    return handleError('deletePromotion', error);
+  }
+};
+
+// Reasons a promotion cannot be applied to an event right now
+const checkPromotionEligibility = async (tx, promotion, event) => {
+  const now = new Date();
+  if (!promotion.is_active) return ['Promotion code is not active'];
+  if (promotion.valid_from > now) return ['Promotion code is not valid yet'];
+  if (promotion.valid_to && promotion.valid_to < now) {
+    return ['Promotion code has expired'];
+  }
+  if (
+    promotion.event_type_ids.length > 0 &&
+    !promotion.event_type_ids.includes(event.event_type_id)
+  ) {
+    return ['Promotion code does not apply to this event type'];
+  }
+
+  const applied = {
+    promotion_id: promotion.promotion_id,
+    status: 'APPLIED',
+    event_id: { not: event.event_id },
+  };
+  if (promotion.max_redemptions !== null) {
+    const used = await tx.promotionRedemption.count({ where: applied });
+    if (used >= promotion.max_redemptions) {
+      return ['Promotion code has reached its usage limit'];
+    }
+  }
+  if (promotion.max_redemptions_per_account !== null && event.account_id) {
+    const used = await tx.promotionRedemption.count({
+      where: { ...applied, account_id: event.account_id },
+    });
+    if (used >= promotion.max_redemptions_per_account) {
+      return [
+        'You have already used this promotion code the maximum number of times',
+      ];
+    }
+  }
+  return [];
+};
+
+// Event with its invoice status and applied code, after the ownership check
+const loadEventForPromotion = async (tx, eventId, user) => {
+  const event = await tx.event.findUnique({
+    where: { event_id: eventId },
+    select: {
+      event_id: true,
+      account_id: true,
+      event_type_id: true,
+      status: true,
+      invoice: { select: { invoice_id: true, status: true } },
+      promotion_redemptions: {
+        where: { status: 'APPLIED' },
+        include: { promotion: { select: { code: true } } },
+      },
+    },
+  });
+  if (!event) return { errors: ['Event not found'] };
+  if (user?.role === 'CUSTOMER' && event.account_id !== user.account_id) {
+    return { errors: ['You can only change promotions on your own events.'] };
+  }
+  if (['CANCELLED', 'COMPLETED'].includes(event.status)) {
+    return {
+      errors: [
+        `Cannot change promotions on a ${event.status.toLowerCase()} event`,
+      ],
+    };
+  }
+  if (event.invoice && !['PENDING', 'OVERDUE'].includes(event.invoice.status)) {
+    return {
+      errors: [
+        'Promotion codes can only be changed before the invoice is paid',
+      ],
+    };
+  }
+  return { event };
+};
+
+// Mark the event's applied codes VOID so they no longer count towards caps
+export const voidEventRedemptions = async (tx, eventId) =>
+  tx.promotionRedemption.updateMany({
+    where: { event_id: Number(eventId), status: 'APPLIED' },
+    data: { status: 'VOID', voided_at: new Date() },
+  });
+
+// ===== Apply Promotion to Event =====
+// One code per event: applying a code replaces the one already applied. The
+// caps are counted in a serializable transaction so two bookings cannot both
+// take the last use.
+export const applyPromotionToEvent = async (eventId, code, user = null) => {
+  try {
+    const validEventId = parseAndValidateId(eventId, 'Event ID');
+    if (!validEventId) {
+      return createValidationResult(false, ['Invalid event ID']);
+    }
+    const codeValidation = validateString(code, 'Code', {
+      required: true,
+      maxLength: 50,
+    });
+    if (!codeValidation.isValid) {
+      return createValidationResult(false, codeValidation.errors);
+    }
+
+    return await runSerializable(prisma, async (tx) => {
+      const { event, errors } = await loadEventForPromotion(
+        tx,
+        validEventId,
+        user
+      );
+      if (errors) return createValidationResult(false, errors);
+
+      const promotion = await tx.promotion.findUnique({
+        where: { code: normalizeCode(code) },
+      });
+      if (!promotion) {
+        return createValidationResult(false, ['Promotion code not found']);
+      }
+      if (
+        event.promotion_redemptions.some(
+          (r) => r.promotion_id === promotion.promotion_id
+        )
+      ) {
+        return createValidationResult(false, [
+          'Promotion code is already applied to this event',
+        ]);
+      }
+      const eligibilityErrors = await checkPromotionEligibility(
+        tx,
+        promotion,
+        event
+      );
+      if (eligibilityErrors.length > 0) {
+        return createValidationResult(false, eligibilityErrors);
+      }
+
+      const replaced = event.promotion_redemptions[0]?.promotion.code || null;
+      await voidEventRedemptions(tx, event.event_id);
+      const redemption = await tx.promotionRedemption.create({
+        data: {
+          promotion_id: promotion.promotion_id,
+          event_id: event.event_id,
+          account_id: event.account_id,
+          invoice_id: event.invoice?.invoice_id ?? null,
+          discount_amount: 0,
+        },
+      });
+
+      const invoiceSync = await syncEventInvoice(tx, event.event_id);
+      if (!invoiceSync.promotion.min_spend_met) {
+        // Roll back the redemption and the repricing
+        throw new Error(
+          `Minimum spend of ${roundAmount(
+            promotion.min_spend
+          )} not met for this promotion code`
+        );
+      }
+      if (invoiceSync.promotion.discount_amount <= 0) {
+        throw new Error('Promotion code does not apply to any booked item');
+      }
+
+      return createValidationResult(true, [], {
+        redemption: {
+          ...redemption,
+          discount_amount: invoiceSync.promotion.discount_amount,
+          invoice_id: invoiceSync.invoice?.invoice_id ?? null,
+        },
+        promotion: {
+          promotion_id: promotion.promotion_id,
+          code: promotion.code,
+          description: promotion.description,
+          discount_type: promotion.discount_type,
+          discount_value: promotion.discount_value,
+        },
+        replaced_code: replaced,
+        eligible_subtotal: invoiceSync.promotion.eligible_subtotal,
+        discount_amount: invoiceSync.promotion.discount_amount,
+        estimated_cost: invoiceSync.estimated_cost,
+        invoice: invoiceSync.invoice,
+        taxes: invoiceSync.totals.taxes,
+      });
+    });
+  } catch (error) {
+    return handleError('applyPromotionToEvent', error);
+  }
+};
+
+// ===== Remove Promotion from Event =====
+export const removePromotionFromEvent = async (eventId, user = null) => {
+  try {
+    const validEventId = parseAndValidateId(eventId, 'Event ID');
+    if (!validEventId) {
+      return createValidationResult(false, ['Invalid event ID']);
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const { event, errors } = await loadEventForPromotion(
+        tx,
+        validEventId,
+        user
+      );
+      if (errors) return createValidationResult(false, errors);
+      if (event.promotion_redemptions.length === 0) {
+        return createValidationResult(false, [
+          'No promotion code applied to this event',
+        ]);
+      }
+
+      await voidEventRedemptions(tx, event.event_id);
+      if (event.invoice) {
+        await tx.invoice.update({
+          where: { invoice_id: event.invoice.invoice_id },
+          data: { discount_amount: 0 },
+        });
+      }
+      const invoiceSync = await syncEventInvoice(tx, event.event_id);
+
+      return createValidationResult(true, [], {
+        removed_code: event.promotion_redemptions[0].promotion.code,
+        estimated_cost: invoiceSync?.estimated_cost ?? null,
+        invoice: invoiceSync?.invoice ?? null,
+      });
+    });
+  } catch (error) {
+    return handleError('removePromotionFromEvent', error);
+  }
+};
+
+// ===== Get Promotion Redemptions =====
+// Filters: status, dateMin/dateMax (redemption date)
+export const getPromotionRedemptions = async (promotionId, filters = {}) => {
+  try {
+    const existing = await getPromotionById(promotionId);
+    if (!existing.isValid) return existing;
+
+    const { page, limit, errors } = validatePagination(
+      filters.page,
+      filters.limit
+    );
+    const dateRange = validateDateRange(filters.dateMin, filters.dateMax);
+    errors.push(...dateRange.errors);
+    if (filters.status) {
+      errors.push(
+        ...validateEnum(filters.status, 'Status', ['APPLIED', 'VOID']).errors
+      );
+    }
+    if (errors.length > 0) return createValidationResult(false, errors);
+
+    const where = { promotion_id: existing.data.promotion_id };
+    if (filters.status) where.status = filters.status;
+    if (dateRange.startDate || dateRange.endDate) {
+      where.created_at = {
+        ...(dateRange.startDate ? { gte: dateRange.startDate } : {}),
+        ...(dateRange.endDate ? { lte: dateRange.endDate } : {}),
+      };
+    }
+
+    const [redemptions, total] = await Promise.all([
+      prisma.promotionRedemption.findMany({
+        where,
+        include: {
+          event: { select: { event_id: true, event_name: true, status: true } },
+          account: { select: { account_id: true, account_name: true } },
+          invoice: {
+            select: { invoice_id: true, invoice_number: true, status: true },
+          },
+        },
+        orderBy: { created_at: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.promotionRedemption.count({ where }),
+    ]);
+
+    return createValidationResult(true, [], {
+      redemptions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    return handleError('getPromotionRedemptions', error);
+  }
+};
+
+// ===== Promotion Stats =====
+// Applied redemptions per promotion in the date range. paid_* only counts
+// redemptions whose invoice has been paid, i.e. discount actually given.
+export const getPromotionStats = async (filters = {}) => {
+  try {
+    const dateRange = validateDateRange(filters.dateMin, filters.dateMax);
+    if (!dateRange.isValid) {
+      return createValidationResult(false, dateRange.errors);
+    }
+
+    const where = { status: 'APPLIED' };
+    if (dateRange.startDate || dateRange.endDate) {
+      where.created_at = {
+        ...(dateRange.startDate ? { gte: dateRange.startDate } : {}),
+        ...(dateRange.endDate ? { lte: dateRange.endDate } : {}),
+      };
+    }
+    const paidWhere = { ...where, invoice: { status: 'PAID' } };
+
+    const [applied, paid, voided, promotions] = await Promise.all([
+      prisma.promotionRedemption.groupBy({
+        by: ['promotion_id'],
+        where,
+        _count: { redemption_id: true },
+        _sum: { discount_amount: true },
+      }),
+      prisma.promotionRedemption.groupBy({
+        by: ['promotion_id'],
+        where: paidWhere,
+        _count: { redemption_id: true },
+        _sum: { discount_amount: true },
+      }),
+      prisma.promotionRedemption.count({
+        where: { ...where, status: 'VOID' },
+      }),
+      prisma.promotion.findMany({
+        select: {
+          promotion_id: true,
+          code: true,
+          discount_type: true,
+          discount_value: true,
+          is_active: true,
+        },
+      }),
+    ]);
+
+    const paidByPromotion = new Map(paid.map((row) => [row.promotion_id, row]));
+    const byPromotion = applied
+      .map((row) => {
+        const promotion = promotions.find(
+          (p) => p.promotion_id === row.promotion_id
+        );
+        const paidRow = paidByPromotion.get(row.promotion_id);
+        return {
+          ...promotion,
+          redemptions: row._count.redemption_id,
+          total_discount: roundAmount(row._sum.discount_amount || 0),
+          paid_redemptions: paidRow?._count.redemption_id || 0,
+          paid_discount: roundAmount(paidRow?._sum.discount_amount || 0),
+        };
+      })
+      .sort((a, b) => b.redemptions - a.redemptions);
+
+    const sum = (key) =>
+      roundAmount(byPromotion.reduce((total, row) => total + row[key], 0));
+
+    return createValidationResult(true, [], {
+      total_promotions: promotions.length,
+      active_promotions: promotions.filter((p) => p.is_active).length,
+      total_redemptions: byPromotion.reduce((n, row) => n + row.redemptions, 0),
+      paid_redemptions: byPromotion.reduce(
+        (n, row) => n + row.paid_redemptions,
+        0
+      ),
+      voided_redemptions: voided,
+      total_discount: sum('total_discount'),
+      paid_discount: sum('paid_discount'),
+      by_promotion: byPromotion,
+    });
+  } catch (error) {
+    return handleError('getPromotionStats', error);
+  }
+};
@@ -0,0 +1,643 @@
+import crypto from 'crypto';
+import { prisma } from '../prisma/prisma.js';
+import {
+  validateString,
+  parseAndValidateId,
+  createValidationResult,
+  validatePagination,
+} from '../utils/validation.js';
+import { parseCsv } from '../utils/csv.js';
+import {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  validateCurrency,
+  roundToCurrency,
+} from '../utils/currency.js';
+import { runSerializable } from '../utils/transaction.js';
+import { roundAmount } from './pricing.service.js';
+import {
+  OUTSTANDING_INVOICE_STATUSES,
+  PAYABLE_INSTALLMENT_STATUSES,
+  getBalanceDue,
+} from './paymentPlan.service.js';
+import { bookOfflinePayment } from './offlinePayment.service.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+export const STATEMENT_LINE_STATUSES = ['UNMATCHED', 'MATCHED', 'IGNORED'];
+
+// How a suggested invoice matches a line, strongest first
+export const MATCH_TYPES = {
+  EXACT: 'EXACT',
+  REFERENCE: 'REFERENCE',
+  AMOUNT: 'AMOUNT',
+};
+
+const MATCH_RANK = [
+  MATCH_TYPES.EXACT,
+  MATCH_TYPES.REFERENCE,
+  MATCH_TYPES.AMOUNT,
+];
+const MAX_AMOUNT_SUGGESTIONS = 5;
+
+// Statement headers we understand, compared lower-case with single spaces
+const HEADER_ALIASES = {
+  transaction_date: [
+    'date',
+    'transaction date',
+    'posting date',
+    'booking date',
+    'value date',
+  ],
+  amount: ['amount', 'credit', 'credit amount', 'deposit', 'paid in'],
+  reference: [
+    'reference',
+    'ref',
+    'reference number',
+    'transaction reference',
+    'transaction id',
+  ],
+  description: [
+    'description',
+    'details',
+    'payment details',
+    'memo',
+    'narrative',
+    'remarks',
+  ],
+  currency: ['currency', 'ccy'],
+};
+
+const normalizeHeader = (header) =>
+  header
+    .toLowerCase()
+    .replace(/[_\s]+/g, ' ')
+    .trim();
+
+// Column index per field found in the header row
+const mapColumns = (header) => {
+  const names = header.map(normalizeHeader);
+  const columns = {};
+  for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+    const index = names.findIndex((name) => aliases.includes(name));
+    if (index !== -1) columns[field] = index;
+  }
+  return columns;
+};
+
+// "2026-10-19", "19/10/2026", "19-10-2026" or "19.10.2026" (day first, as
+// local banks export them)
+const parseStatementDate = (value) => {
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(value);
+  const dayFirst = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+  const [year, month, day] = iso
+    ? [iso[1], iso[2], iso[3]]
+    : dayFirst
+      ? [dayFirst[3], dayFirst[2], dayFirst[1]]
+      : [];
+  if (!year) return null;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return date.getUTCDate() === Number(day) ? date : null;
+};
+
+// "1,250,000", "1.250.000,50", "54.30", "(120.00)" or "-120". With both
+// separators the last one is the decimal point; a lone separator followed by
+// exactly three digits groups thousands.
+const parseStatementAmount = (value) => {
+  const negative = /^\s*(-|\()/.test(value);
+  let digits = value.replace(/[^\d.,]/g, '');
+  if (!/\d/.test(digits)) return null;
+
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+  if (lastComma !== -1 && lastDot !== -1) {
+    const decimal = lastComma > lastDot ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    digits = digits.split(thousands).join('').replace(decimal, '.');
+  } else if (lastComma !== -1 || lastDot !== -1) {
+    const separator = lastComma !== -1 ? ',' : '.';
+    const parts = digits.split(separator);
+    digits =
+      parts.length > 2 || parts[parts.length - 1].length === 3
+        ? parts.join('')
+        : parts.join('.');
+  }
+
+  const amount = Number(digits);
+  if (!Number.isFinite(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+// Identical rows in one file are told apart by how often they occurred, so a
+// re-import skips them all and a second genuine transfer is still kept
+const fingerprintLine = (line, occurrence) =>
+  crypto
+    .createHash('sha256')
+    .update(
+      [
+        line.transaction_date.toISOString().slice(0, 10),
+        line.amount,
+        line.currency,
+        line.reference || '',
+        line.description || '',
+        occurrence,
+      ].join('|')
+    )
+    .digest('hex');
+
+const compactText = (value) =>
+  String(value || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+
+const lineSelect = {
+  line_id: true,
+  import_id: true,
+  file_name: true,
+  row_number: true,
+  transaction_date: true,
+  amount: true,
+  currency: true,
+  reference: true,
+  description: true,
+  status: true,
+  payment_id: true,
+  matched_at: true,
+  created_at: true,
+  matcher: { select: { account_id: true, account_name: true } },
+  payment: {
+    select: {
+      payment_id: true,
+      invoice_id: true,
+      amount: true,
+      currency: true,
+      payment_status: true,
+    },
+  },
+};
+
+// ===== Import Bank Statement =====
+// Reads a statement CSV with a header row (date and amount columns required;
+// reference, description and currency optional). Only credits are kept:
+// debits, blank amounts and rows that cannot be read are skipped and
+// reported by row number. Lines already imported are skipped as duplicates.
+// Amounts are in the file's currency column, else options.currency, else
+// the base currency.
+export const importBankStatement = async (file, options = {}, user = null) => {
+  try {
+    if (!file?.buffer) {
+      return createValidationResult(false, ['Statement file is required']);
+    }
+    if (options.currency) {
+      const currencyErrors = validateCurrency(options.currency);
+      if (currencyErrors.length > 0) {
+        return createValidationResult(false, currencyErrors);
+      }
+    }
+    const defaultCurrency =
+      normalizeCurrency(options.currency) || BASE_CURRENCY;
+
+    const [header, ...rows] = parseCsv(file.buffer.toString('utf8'));
+    if (!header || rows.length === 0) {
+      return createValidationResult(false, [
+        'Statement must have a header row and at least one transaction',
+      ]);
+    }
+    const columns = mapColumns(header);
+    if (
+      columns.transaction_date === undefined ||
+      columns.amount === undefined
+    ) {
+      return createValidationResult(false, [
+        'Statement must have a date and an amount (or credit) column',
+      ]);
+    }
+
+    const importId = crypto.randomUUID();
+    const fileName = file.originalname?.slice(0, 255) || null;
+    const lines = [];
+    const rowErrors = [];
+    const occurrences = new Map();
+    let skipped = 0;
+
+    rows.forEach((row, index) => {
+      // Row 1 is the header
+      const rowNumber = index + 2;
+      const cell = (field) =>
+        columns[field] === undefined ? '' : row[columns[field]] || '';
+
+      if (!cell('amount')) {
+        skipped += 1;
+        return;
+      }
+      const transactionDate = parseStatementDate(cell('transaction_date'));
+      const amount = parseStatementAmount(cell('amount'));
+      const currency = cell('currency')
+        ? normalizeCurrency(cell('currency'))
+        : defaultCurrency;
+      if (!transactionDate || amount === null || !currency) {
+        rowErrors.push(
+          `Row ${rowNumber}: ${
+            !transactionDate
+              ? 'unreadable date'
+              : amount === null
+                ? 'unreadable amount'
+                : 'unsupported currency'
+          }`
+        );
+        return;
+      }
+      if (amount <= 0) {
+        skipped += 1;
+        return;
+      }
+
+      const line = {
+        import_id: importId,
+        file_name: fileName,
+        row_number: rowNumber,
+        transaction_date: transactionDate,
+        amount: roundToCurrency(amount, currency),
+        currency,
+        reference: cell('reference').slice(0, 255) || null,
+        description: cell('description') || null,
+        imported_by: user?.account_id ?? null,
+      };
+      const key = fingerprintLine(line, 0);
+      const occurrence = occurrences.get(key) || 0;
+      occurrences.set(key, occurrence + 1);
+      lines.push({ ...line, fingerprint: fingerprintLine(line, occurrence) });
+    });
+
+    if (lines.length === 0 && rowErrors.length > 0) {
+      return createValidationResult(false, rowErrors);
+    }
+
+    const { count } = await prisma.bankStatementLine.createMany({
+      data: lines,
+      skipDuplicates: true,
+    });
+
+    return createValidationResult(true, [], {
+      import_id: importId,
+      file_name: fileName,
+      imported: count,
+      duplicates: lines.length - count,
+      skipped,
+      errors: rowErrors,
+    });
+  } catch (error) {
+    return handleError('importBankStatement', error);
+  }
+};
+
+// ===== Match Suggestions =====
+// Outstanding invoices (not credit notes) in the lines' currencies, with
+// their balance and next installment
+const loadOpenInvoices = (tx, currencies) =>
+  tx.invoice.findMany({
+    where: {
+      status: { in: OUTSTANDING_INVOICE_STATUSES },
+      invoice_type: { not: 'CREDIT_NOTE' },
+      currency: { in: currencies },
+    },
+    select: {
+      invoice_id: true,
+      invoice_number: true,
+      account_id: true,
+      currency: true,
+      status: true,
+      total_amount: true,
+      amount_paid: true,
+      installments: {
+        where: { status: { in: PAYABLE_INSTALLMENT_STATUSES } },
+        orderBy: { sequence: 'asc' },
+        take: 1,
+        select: { installment_id: true, amount: true },
+      },
+    },
+  });
+
+// A line matches an invoice by reference when the invoice number appears in
+// its reference or description, and by amount when it pays the balance or
+// the next installment exactly
+const suggestMatches = (line, invoices) => {
+  const text = compactText(`${line.reference || ''} ${line.description || ''}`);
+  const amount = roundAmount(line.amount);
+  const suggestions = [];
+
+  for (const invoice of invoices) {
+    if (invoice.currency !== line.currency) continue;
+    const balance = getBalanceDue(invoice);
+    const [nextInstallment] = invoice.installments;
+    const byReference =
+      Boolean(invoice.invoice_number) &&
+      text.includes(compactText(invoice.invoice_number));
+    const paysInstallment =
+      nextInstallment && roundAmount(nextInstallment.amount) === amount;
+    const byAmount = balance === amount || paysInstallment;
+    if (!byReference && !byAmount) continue;
+
+    suggestions.push({
+      invoice_id: invoice.invoice_id,
+      invoice_number: invoice.invoice_number,
+      account_id: invoice.account_id,
+      status: invoice.status,
+      currency: invoice.currency,
+      balance_due: balance,
+      installment_id:
+        balance !== amount && paysInstallment
+          ? nextInstallment.installment_id
+          : null,
+      match: byReference
+        ? byAmount
+          ? MATCH_TYPES.EXACT
+          : MATCH_TYPES.REFERENCE
+        : MATCH_TYPES.AMOUNT,
+    });
+  }
+
+  suggestions.sort(
+    (a, b) => MATCH_RANK.indexOf(a.match) - MATCH_RANK.indexOf(b.match)
+  );
+  const strong = suggestions.filter((s) => s.match !== MATCH_TYPES.AMOUNT);
+  const byAmountOnly = suggestions.filter(
+    (s) => s.match === MATCH_TYPES.AMOUNT
+  );
+  return [...strong, ...byAmountOnly.slice(0, MAX_AMOUNT_SUGGESTIONS)];
+};
+
+const withSuggestions = async (tx, lines) => {
+  const unmatched = lines.filter((line) => line.status === 'UNMATCHED');
+  if (unmatched.length === 0) return lines;
+
+  const invoices = await loadOpenInvoices(tx, [
+    ...new Set(unmatched.map((line) => line.currency)),
+  ]);
+  return lines.map((line) =>
+    line.status === 'UNMATCHED'
+      ? { ...line, suggestions: suggestMatches(line, invoices) }
+      : line
+  );
+};
+
+// ===== Get Reconciliation =====
+// Statement lines (default: UNMATCHED) newest first; unmatched lines carry
+// the invoices they could pay. Filters: status, import_id, page, limit.
+export const getReconciliation = async (filters = {}) => {
+  try {
+    const { page, limit, errors } = validatePagination(
+      filters.page,
+      filters.limit
+    );
+    if (errors.length > 0) return createValidationResult(false, errors);
+
+    const status = filters.status || 'UNMATCHED';
+    if (!STATEMENT_LINE_STATUSES.includes(status)) {
+      return createValidationResult(false, [
+        `Status must be one of: ${STATEMENT_LINE_STATUSES.join(', ')}`,
+      ]);
+    }
+    const where = { status };
+    if (filters.import_id) where.import_id = String(filters.import_id);
+
+    const [lines, total, counts] = await Promise.all([
+      prisma.bankStatementLine.findMany({
+        where,
+        select: lineSelect,
+        orderBy: [{ transaction_date: 'desc' }, { line_id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.bankStatementLine.count({ where }),
+      prisma.bankStatementLine.groupBy({
+        by: ['status'],
+        where: filters.import_id ? { import_id: where.import_id } : {},
+        _count: { _all: true },
+      }),
+    ]);
+
+    return createValidationResult(true, [], {
+      lines: await withSuggestions(prisma, lines),
+      summary: Object.fromEntries(
+        STATEMENT_LINE_STATUSES.map((s) => [
+          s,
+          counts.find((c) => c.status === s)?._count._all || 0,
+        ])
+      ),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    return handleError('getReconciliation', error);
+  }
+};
+
+// Books an unmatched line as a BANK_TRANSFER payment on an invoice and marks
+// it MATCHED. Runs in the caller's transaction.
+const matchLine = async (tx, line, invoiceId, installmentId, user) => {
+  const booking = await bookOfflinePayment(
+    tx,
+    invoiceId,
+    {
+      payment_method: 'BANK_TRANSFER',
+      amount: Number(line.amount),
+      currency: line.currency,
+      // Lines without a reference still need one that stays unique
+      reference_number:
+        line.reference?.slice(0, 100) || `STATEMENT-${line.line_id}`,
+      paid_at: line.transaction_date,
+      installment_id: installmentId,
+      notes: `Matched from bank statement line #${line.line_id}${
+        line.description ? `: ${line.description}` : ''
+      }`.slice(0, 1000),
+    },
+    user
+  );
+  if (!booking.isValid) return booking;
+
+  const matched = await tx.bankStatementLine.update({
+    where: { line_id: line.line_id },
+    data: {
+      status: 'MATCHED',
+      payment_id: booking.data.payment.payment_id,
+      matched_by: user?.account_id ?? null,
+      matched_at: new Date(),
+    },
+    select: lineSelect,
+  });
+  return createValidationResult(true, [], { line: matched, ...booking.data });
+};
+
+const findUnmatchedLine = async (tx, lineId) => {
+  const validLineId = parseAndValidateId(lineId, 'Statement line ID');
+  if (!validLineId) {
+    return createValidationResult(false, ['Invalid statement line ID']);
+  }
+  const line = await tx.bankStatementLine.findUnique({
+    where: { line_id: validLineId },
+  });
+  if (!line) return createValidationResult(false, ['Statement line not found']);
+  if (line.status !== 'UNMATCHED') {
+    return createValidationResult(false, [
+      `Statement line is already ${line.status}`,
+    ]);
+  }
+  return createValidationResult(true, [], line);
+};
+
+// ===== Match Statement Line =====
+// Confirms a line against an invoice (and optionally the installment it
+// pays). Without invoice_id the line's only EXACT suggestion is used.
+export const matchStatementLine = async (lineId, data = {}, user = null) => {
+  try {
+    if (data.invoice_id && !parseAndValidateId(data.invoice_id, 'Invoice ID')) {
+      return createValidationResult(false, ['Invalid invoice ID']);
+    }
+    if (
+      data.installment_id &&
+      !parseAndValidateId(data.installment_id, 'Installment ID')
+    ) {
+      return createValidationResult(false, ['Invalid installment ID']);
+    }
+
+    return await runSerializable(prisma, async (tx) => {
+      const found = await findUnmatchedLine(tx, lineId);
+      if (!found.isValid) return found;
+      const line = found.data;
+
+      let invoiceId = data.invoice_id ? Number(data.invoice_id) : null;
+      let installmentId = data.installment_id
+        ? Number(data.installment_id)
+        : null;
+      if (!invoiceId) {
+        const [{ suggestions }] = await withSuggestions(tx, [line]);
+        const exact = suggestions.filter((s) => s.match === MATCH_TYPES.EXACT);
+        if (exact.length !== 1) {
+          return createValidationResult(false, [
+            'No single exact match for this line; choose an invoice_id',
+          ]);
+        }
+        invoiceId = exact[0].invoice_id;
+        installmentId = exact[0].installment_id;
+      }
+
+      return matchLine(tx, line, invoiceId, installmentId, user);
+    });
+  } catch (error) {
+    return handleError('matchStatementLine', error);
+  }
+};
+
+// ===== Ignore Statement Line =====
+// For credits that are not invoice payments (interest, transfers between own
+// accounts, ...)
+export const ignoreStatementLine = async (lineId, data = {}, user = null) => {
+  try {
+    const noteValidation = validateString(data.note, 'Note', {
+      maxLength: 1000,
+      sanitize: true,
+    });
+    if (!noteValidation.isValid) {
+      return createValidationResult(false, noteValidation.errors);
+    }
+
+    const found = await findUnmatchedLine(prisma, lineId);
+    if (!found.isValid) return found;
+
+    const line = await prisma.bankStatementLine.update({
+      where: { line_id: found.data.line_id },
+      data: {
+        status: 'IGNORED',
+        matched_by: user?.account_id ?? null,
+        matched_at: new Date(),
+        ...(data.note?.trim()
+          ? {
+              description: [
+                found.data.description,
+                `Ignored: ${data.note.trim()}`,
+              ]
+                .filter(Boolean)
+                .join('\n'),
+            }
+          : {}),
+      },
+      select: lineSelect,
+    });
+    return createValidationResult(true, [], line);
+  } catch (error) {
+    return handleError('ignoreStatementLine', error);
+  }
+};
+
+// ===== Auto Match =====
+// Books every unmatched line (optionally of one import) that has exactly one
+// EXACT suggestion, one line at a time so a failure only skips that line.
+// An invoice is only paid by one line per run; the rest stay for review.
+export const autoMatchStatementLines = async (options = {}, user = null) => {
+  try {
+    const where = { status: 'UNMATCHED' };
+    if (options.import_id) where.import_id = String(options.import_id);
+
+    const lines = await withSuggestions(
+      prisma,
+      await prisma.bankStatementLine.findMany({
+        where,
+        orderBy: [{ transaction_date: 'asc' }, { line_id: 'asc' }],
+      })
+    );
+
+    const matched = [];
+    const failed = [];
+    const usedInvoices = new Set();
+    for (const line of lines) {
+      const exact = line.suggestions.filter(
+        (s) => s.match === MATCH_TYPES.EXACT
+      );
+      if (exact.length !== 1 || usedInvoices.has(exact[0].invoice_id)) {
+        continue;
+      }
+      const [suggestion] = exact;
+      usedInvoices.add(suggestion.invoice_id);
+
+      const result = await runSerializable(prisma, async (tx) => {
+        const found = await findUnmatchedLine(tx, line.line_id);
+        if (!found.isValid) return found;
+        return matchLine(
+          tx,
+          found.data,
+          suggestion.invoice_id,
+          suggestion.installment_id,
+          user
+        );
+      }).catch((error) => createValidationResult(false, [error.message]));
+
+      if (result.isValid) {
+        matched.push({
+          line_id: line.line_id,
+          invoice_id: suggestion.invoice_id,
+          payment_id: result.data.payment.payment_id,
+          fully_paid: result.data.fully_paid,
+        });
+      } else {
+        failed.push({ line_id: line.line_id, errors: result.errors });
+      }
+    }
+
+    return createValidationResult(true, [], {
+      matched,
+      failed,
+      unmatched: lines.length - matched.length,
+    });
+  } catch (error) {
+    return handleError('autoMatchStatementLines', error);
+  }
+};
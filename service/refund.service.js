@@ -0,0 +1,340 @@
+import { prisma } from '../prisma/prisma.js';
+import {
+  validateNumber,
+  validateString,
+  parseAndValidateId,
+  createValidationResult,
+} from '../utils/validation.js';
+import { createNotification } from '../utils/notification.js';
+import { formatCurrency, roundToCurrency } from '../utils/currency.js';
+import { runSerializable } from '../utils/transaction.js';
+import { roundAmount } from './pricing.service.js';
+import { recordInvoiceRefund } from './paymentPlan.service.js';
+import { getPaymentProvider } from './paymentProvider.service.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+export const REFUND_ERRORS = {
+  PROVIDER_FAILED: 'PROVIDER_FAILED',
+};
+
+// Refunds paid back outside the system and only recorded here
+export const MANUAL_REFUND_METHODS = ['CASH', 'BANK_TRANSFER'];
+
+const isOperator = (user) => ['ADMIN', 'STAFF'].includes(user?.role);
+
+const getRefundable = (payment) =>
+  roundToCurrency(
+    Number(payment.amount) - Number(payment.amount_refunded),
+    payment.currency
+  );
+
+// Same share of the payment in the invoice's currency
+const toBaseAmount = (payment, amount) =>
+  Number(payment.amount) > 0
+    ? roundAmount(
+        (Number(payment.base_amount ?? payment.amount) * amount) /
+          Number(payment.amount)
+      )
+    : 0;
+
+const paymentSelect = {
+  payment_id: true,
+  amount: true,
+  amount_refunded: true,
+  currency: true,
+  base_amount: true,
+  exchange_rate: true,
+  exchange_rate_id: true,
+  payment_method: true,
+  payment_status: true,
+  transaction_id: true,
+  provider: true,
+  provider_reference: true,
+  original_payment_id: true,
+  account_id: true,
+  invoice_id: true,
+  event_id: true,
+  event: { select: { event_name: true } },
+};
+
+const validateRefundData = (data) => {
+  const errors = [];
+  if (data.amount !== undefined && data.amount !== null) {
+    const amountValidation = validateNumber(data.amount, 'Refund amount');
+    errors.push(...amountValidation.errors);
+    if (amountValidation.isValid && Number(data.amount) <= 0) {
+      errors.push('Refund amount must be greater than 0');
+    }
+  }
+  errors.push(
+    ...validateString(data.reason, 'Reason', {
+      required: true,
+      maxLength: 1000,
+      sanitize: true,
+    }).errors
+  );
+  return errors;
+};
+
+// Takes the refund off the invoice and tells the customer; runs in the
+// transaction that marks the refund REFUNDED
+const settleRefund = async (tx, payment, refund) => {
+  const invoice = payment.invoice_id
+    ? await recordInvoiceRefund(tx, payment.invoice_id, refund.base_amount)
+    : null;
+
+  if (payment.account_id) {
+    const notification = await createNotification(
+      {
+        account_id: payment.account_id,
+        title: 'Refund Issued',
+        message: `A refund of ${formatCurrency(
+          refund.amount,
+          payment.currency
+        )} has been issued for your payment${
+          payment.event ? ` for event "${payment.event.event_name}"` : ''
+        }. Reason: ${refund.refund_reason}`,
+        type: 'CONFIRMATION',
+      },
+      tx
+    );
+    if (!notification.isValid) {
+      console.warn('Failed to send refund notification:', notification.errors);
+    }
+  }
+
+  return invoice;
+};
+
+// ===== Refund Payment =====
+// Refunds a completed payment in full (no amount) or in part, in the
+// currency it was charged in, never beyond what is left unrefunded. The
+// refund is reserved first (a refund row plus amount_refunded) so two
+// operators cannot over-refund the same payment. Payments taken through a
+// payment provider are then refunded there (the FAKE provider in tests); a
+// failure releases the reservation and marks the row FAILED. CASH and
+// BANK_TRANSFER refunds are paid back outside and only recorded.
+export const refundPayment = async (paymentId, data = {}, user = null) => {
+  try {
+    const validPaymentId = parseAndValidateId(paymentId, 'Payment ID');
+    if (!validPaymentId) {
+      return createValidationResult(false, ['Invalid payment ID']);
+    }
+    const errors = validateRefundData(data);
+    if (errors.length > 0) return createValidationResult(false, errors);
+
+    const reason = data.reason.trim();
+
+    const reservation = await runSerializable(prisma, async (tx) => {
+      const payment = await tx.payment.findUnique({
+        where: { payment_id: validPaymentId },
+        select: paymentSelect,
+      });
+      if (!payment) {
+        return createValidationResult(false, ['Payment not found']);
+      }
+      if (payment.original_payment_id) {
+        return createValidationResult(false, [
+          'Payment is itself a refund and cannot be refunded',
+        ]);
+      }
+      if (payment.payment_status !== 'COMPLETED') {
+        return createValidationResult(false, [
+          'Only completed payments can be refunded',
+        ]);
+      }
+      const viaProvider = Boolean(payment.provider);
+      if (
+        !viaProvider &&
+        !MANUAL_REFUND_METHODS.includes(payment.payment_method)
+      ) {
+        return createValidationResult(false, [
+          `Refunds are not supported for ${payment.payment_method} payments`,
+        ]);
+      }
+
+      const refundable = getRefundable(payment);
+      const amount = roundToCurrency(
+        data.amount ?? refundable,
+        payment.currency
+      );
+      if (amount <= 0 || refundable <= 0) {
+        return createValidationResult(false, [
+          'Payment has already been fully refunded',
+        ]);
+      }
+      if (amount > refundable) {
+        return createValidationResult(false, [
+          `Refund amount exceeds the refundable ${formatCurrency(
+            refundable,
+            payment.currency
+          )}`,
+        ]);
+      }
+
+      await tx.payment.update({
+        where: { payment_id: payment.payment_id },
+        data: { amount_refunded: { increment: amount } },
+      });
+      const refund = await tx.payment.create({
+        data: {
+          amount,
+          currency: payment.currency,
+          base_amount: toBaseAmount(payment, amount),
+          exchange_rate: payment.exchange_rate,
+          exchange_rate_id: payment.exchange_rate_id,
+          payment_method: payment.payment_method,
+          // A provider refund stays PENDING until the provider has accepted it
+          payment_status: viaProvider ? 'PENDING' : 'REFUNDED',
+          provider: payment.provider,
+          provider_reference: payment.provider_reference,
+          payment_date: new Date(),
+          notes: `Refund for payment #${payment.payment_id}`,
+          refund_reason: reason,
+          processed_by: user?.account_id ?? null,
+          account_id: payment.account_id,
+          invoice_id: payment.invoice_id,
+          event_id: payment.event_id,
+          original_payment_id: payment.payment_id,
+        },
+      });
+
+      const invoice = viaProvider
+        ? null
+        : await settleRefund(tx, payment, refund);
+      return createValidationResult(true, [], { payment, refund, invoice });
+    });
+    if (!reservation.isValid) return reservation;
+
+    let { payment, refund, invoice } = reservation.data;
+    if (payment.provider) {
+      let providerRefund;
+      try {
+        providerRefund = await getPaymentProvider(payment.provider).refund({
+          reference: payment.provider_reference,
+          transaction_id: payment.transaction_id,
+          amount: Number(refund.amount),
+          currency: payment.currency,
+          metadata: {
+            payment_id: String(payment.payment_id),
+            refund_payment_id: String(refund.payment_id),
+          },
+        });
+      } catch (error) {
+        console.error(`${payment.provider} refund failed:`, error);
+        await prisma.$transaction([
+          prisma.payment.update({
+            where: { payment_id: payment.payment_id },
+            data: { amount_refunded: { decrement: Number(refund.amount) } },
+          }),
+          prisma.payment.update({
+            where: { payment_id: refund.payment_id },
+            data: {
+              payment_status: 'FAILED',
+              notes: `${payment.provider} refund failed: ${error.message}`,
+            },
+          }),
+        ]);
+        return createValidationResult(
+          false,
+          [`${payment.provider} refund failed: ${error.message}`],
+          { code: REFUND_ERRORS.PROVIDER_FAILED, refund_id: refund.payment_id }
+        );
+      }
+
+      ({ refund, invoice } = await prisma.$transaction(async (tx) => {
+        const settled = await tx.payment.update({
+          where: { payment_id: refund.payment_id },
+          data: {
+            payment_status: 'REFUNDED',
+            transaction_id: providerRefund.id,
+          },
+        });
+        return {
+          refund: settled,
+          invoice: await settleRefund(tx, payment, settled),
+        };
+      }));
+    }
+
+    const amountRefunded = roundToCurrency(
+      Number(payment.amount_refunded) + Number(refund.amount),
+      payment.currency
+    );
+    return createValidationResult(true, [], {
+      refund,
+      invoice,
+      payment: {
+        payment_id: payment.payment_id,
+        amount: payment.amount,
+        currency: payment.currency,
+        amount_refunded: amountRefunded,
+        refundable: roundToCurrency(
+          Number(payment.amount) - amountRefunded,
+          payment.currency
+        ),
+      },
+    });
+  } catch (error) {
+    return handleError('refundPayment', error);
+  }
+};
+
+// ===== Get Payment Refunds =====
+// Refund history of a payment, newest first, with who issued each and why.
+// Customers only see their own payments.
+export const getPaymentRefunds = async (paymentId, user = null) => {
+  try {
+    const validPaymentId = parseAndValidateId(paymentId, 'Payment ID');
+    if (!validPaymentId) {
+      return createValidationResult(false, ['Invalid payment ID']);
+    }
+
+    const payment = await prisma.payment.findUnique({
+      where: { payment_id: validPaymentId },
+      select: {
+        payment_id: true,
+        amount: true,
+        amount_refunded: true,
+        currency: true,
+        payment_method: true,
+        payment_status: true,
+        account_id: true,
+        refunds: {
+          orderBy: { payment_date: 'desc' },
+          select: {
+            payment_id: true,
+            amount: true,
+            currency: true,
+            base_amount: true,
+            payment_status: true,
+            transaction_id: true,
+            payment_date: true,
+            refund_reason: true,
+            notes: true,
+            processor: { select: { account_id: true, account_name: true } },
+          },
+        },
+      },
+    });
+    if (!payment) return createValidationResult(false, ['Payment not found']);
+    if (!isOperator(user) && payment.account_id !== user?.account_id) {
+      return createValidationResult(false, [
+        'You do not have access to this payment',
+      ]);
+    }
+
+    const { refunds, ...summary } = payment;
+    return createValidationResult(true, [], {
+      payment: { ...summary, refundable: getRefundable(payment) },
+      refunds,
+    });
+  } catch (error) {
+    return handleError('getPaymentRefunds', error);
+  }
+};
@@ -3,9 +3,31 @@ import {
   validateNumber,
   validateObject,
   validateString,
+  validateDateRange,
+  validateEnum,
 } from '../utils/validation.js';
 import { prisma } from '../prisma/prisma.js';
 import { uploadImage, deleteImageFromCloud } from '../utils/cloudinary.js';
+import { activeHoldFilter, findConflictingHolds } from './slotHold.service.js';
+import { calculateRoomCharge } from './pricing.service.js';
+import { findOverlappingBlackouts } from './roomBlackout.service.js';
+import { findExchangeRate } from './exchangeRate.service.js';
+import {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  roundToCurrency,
+  validateCurrency,
+} from '../utils/currency.js';
+import { isSerializationFailure } from '../utils/transaction.js';
+
+// Maintenance is scheduled as dated blackouts (POST /api/rooms/:id/blackouts);
+// the MAINTENANCE room status no longer blocks bookings, so it is not accepted
+const MAINTENANCE_STATUS_ERROR =
+  'Room status MAINTENANCE is not supported; schedule a maintenance blackout instead';
+
+function isMaintenanceStatus(data) {
+  return String(data?.status ?? '').toUpperCase() === 'MAINTENANCE';
+}
 
 // CREATE ROOM with images
 export async function createRoom(data, imageFiles = []) {
@@ -19,6 +41,17 @@ export async function createRoom(data, imageFiles = []) {
       data.hourly_rate = Number(data.hourly_rate);
     if (data.is_active !== undefined)
       data.is_active = data.is_active === 'true' || data.is_active === true;
+    if (isMaintenanceStatus(data)) {
+      return { isValid: false, data: null, errors: [MAINTENANCE_STATUS_ERROR] };
+    }
+    // Prices are in the room's currency
+    if (data.currency !== undefined) {
+      const currencyErrors = validateCurrency(data.currency);
+      if (currencyErrors.length > 0) {
+        return { isValid: false, data: null, errors: currencyErrors };
+      }
+      data.currency = normalizeCurrency(data.currency);
+    }
 
     validateObject(data, ['room_name']);
     // 1. Create the room
@@ -176,6 +209,17 @@ export async function updateRoom(
       data.hourly_rate = Number(data.hourly_rate);
     if (data.is_active !== undefined)
       data.is_active = data.is_active === 'true' || data.is_active === true;
+    if (isMaintenanceStatus(data)) {
+      return { isValid: false, data: null, errors: [MAINTENANCE_STATUS_ERROR] };
+    }
+    // Prices are in the room's currency
+    if (data.currency !== undefined) {
+      const currencyErrors = validateCurrency(data.currency);
+      if (currencyErrors.length > 0) {
+        return { isValid: false, data: null, errors: currencyErrors };
+      }
+      data.currency = normalizeCurrency(data.currency);
+    }
 
     const roomIdNum = Number(room_id);
     validateNumber(roomIdNum);
@@ -261,17 +305,56 @@ export async function restoreRoom(room_id) {
   }
 }
 
+// SLOT HOLDING STATUSES
+// Events in these statuses occupy their room for start_time..end_time. An
+// unpaid PENDING booking blocks its slot only while it has an active SlotHold
+// (placed with the event in the same serializable transaction, so two PENDING
+// bookings still never share a slot); once the sweeper expires the hold the
+// slot is free again. Override with a comma-separated
+// ROOM_SLOT_HOLDING_STATUSES, e.g. "PENDING,CONFIRMED,IN_PROGRESS,RESCHEDULED"
+// to make unpaid bookings hold their slot indefinitely.
+export const DEFAULT_SLOT_HOLDING_STATUSES = [
+  'CONFIRMED',
+  'IN_PROGRESS',
+  'RESCHEDULED',
+];
+
+export function getSlotHoldingStatuses() {
+  const configured = process.env.ROOM_SLOT_HOLDING_STATUSES;
+  if (!configured) return DEFAULT_SLOT_HOLDING_STATUSES;
+  const statuses = configured
+    .split(',')
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean);
+  return statuses.length > 0 ? statuses : DEFAULT_SLOT_HOLDING_STATUSES;
+}
+
 // CHECK ROOM AVAILABILITY
+// end_time may be omitted when duration_hours is given. Pass exclude_event_id
+// when moving an existing event so it does not conflict with itself, and tx
+// to run the check inside a caller's transaction. The check only guarantees
+// the slot when that transaction is SERIALIZABLE (see runSerializable), since
+// a concurrent booking could otherwise insert between the check and the write.
 export async function checkRoomAvailability(
   room_id,
   start_time,
   end_time,
-  duration_hours
+  duration_hours,
+  exclude_event_id = null,
+  tx = prisma
 ) {
   try {
     const roomIdNum = Number(room_id);
     validateNumber(room_id);
-    if (!start_time || !end_time) {
+    const effectiveEndTime =
+      end_time ||
+      (start_time && duration_hours
+        ? new Date(
+            new Date(start_time).getTime() +
+              Number(duration_hours) * 60 * 60 * 1000
+          )
+        : null);
+    if (!start_time || !effectiveEndTime) {
       return {
         isValid: false,
         data: null,
@@ -279,14 +362,17 @@ export async function checkRoomAvailability(
       };
     }
 
-    const conflicting = await prisma.event.findFirst({
+    const conflicting = await tx.event.findFirst({
       where: {
         room_id: Number(room_id),
-        status: { in: ['CONFIRMED', 'IN_PROGRESS'] },
+        status: { in: getSlotHoldingStatuses() },
+        ...(exclude_event_id
+          ? { event_id: { not: Number(exclude_event_id) } }
+          : {}),
         OR: [
           {
             start_time: {
-              lt: new Date(end_time),
+              lt: new Date(effectiveEndTime),
             },
             end_time: {
               gt: new Date(start_time),
@@ -296,9 +382,367 @@ export async function checkRoomAvailability(
       },
     });
 
+    // Time-limited holds placed by other bookings still in checkout
+    const holds = await findConflictingHolds(
+      {
+        room_id: roomIdNum,
+        start_time,
+        end_time: effectiveEndTime,
+        exclude_event_id,
+      },
+      tx
+    );
+
+    // Dated maintenance / blackout windows
+    const blackouts = await findOverlappingBlackouts(
+      roomIdNum,
+      start_time,
+      effectiveEndTime,
+      null,
+      tx
+    );
+
+    let reason = null;
+    if (conflicting) {
+      reason = `Room is already booked by event #${conflicting.event_id} (${conflicting.status})`;
+    } else if (blackouts.length > 0) {
+      reason = `Room is unavailable (${blackouts[0].type.toLowerCase()}) during this time`;
+    } else if (holds.length > 0) {
+      reason = 'Slot is temporarily held by another booking';
+    }
+
     return {
       isValid: true,
-      data: { isAvailable: !conflicting, reason: 'Conflict' },
+      data: {
+        isAvailable:
+          !conflicting && holds.length === 0 && blackouts.length === 0,
+        reason,
+        conflicting_event_id: conflicting?.event_id ?? null,
+        holds,
+        blackouts,
+      },
+      errors: [],
+    };
+  } catch (error) {
+    // Left to the caller's runSerializable to retry
+    if (isSerializationFailure(error)) throw error;
+    return { isValid: false, data: null, errors: [error.message] };
+  }
+}
+
+// CALENDAR HELPERS
+const CALENDAR_GRANULARITIES = ['exact', 'hour', 'day'];
+const MAX_CALENDAR_RANGE_DAYS = 93;
+const HOUR_MS = 60 * 60 * 1000;
+
+function parseCalendarRange(from, to) {
+  const errors = [];
+  const range = validateDateRange(from, to, 'Calendar ');
+  errors.push(...range.errors);
+  if (!from || !to) errors.push('from and to are required');
+  if (errors.length > 0) return { errors };
+
+  const start = new Date(from);
+  const end = new Date(to);
+  if (end <= start) {
+    return { errors: ['to must be after from'] };
+  }
+  if ((end - start) / (24 * HOUR_MS) > MAX_CALENDAR_RANGE_DAYS) {
+    return {
+      errors: [`Range cannot exceed ${MAX_CALENDAR_RANGE_DAYS} days`],
+    };
+  }
+  return { errors: [], start, end };
+}
+
+// Round inward to the granularity: starts go up, ends go down
+function snapToGranularity(date, granularity, direction) {
+  const snapped = new Date(date);
+  if (granularity === 'hour') {
+    if (direction === 'up' && snapped.getTime() % HOUR_MS !== 0) {
+      snapped.setMinutes(60, 0, 0);
+    } else {
+      snapped.setMinutes(0, 0, 0);
+    }
+  } else if (granularity === 'day') {
+    const startOfDay = new Date(snapped);
+    startOfDay.setHours(0, 0, 0, 0);
+    if (direction === 'up' && startOfDay.getTime() !== snapped.getTime()) {
+      startOfDay.setDate(startOfDay.getDate() + 1);
+    }
+    return startOfDay;
+  }
+  return snapped;
+}
+
+// Gaps between busy blocks inside [start, end), snapped to the granularity
+function computeFreeWindows(busy, start, end, granularity) {
+  const intervals = busy
+    .map((b) => ({
+      start: Math.max(new Date(b.start_time).getTime(), start.getTime()),
+      end: Math.min(new Date(b.end_time).getTime(), end.getTime()),
+    }))
+    .filter((i) => i.end > i.start)
+    .sort((a, b) => a.start - b.start);
+
+  const gaps = [];
+  let cursor = start.getTime();
+  for (const interval of intervals) {
+    if (interval.start > cursor) gaps.push([cursor, interval.start]);
+    cursor = Math.max(cursor, interval.end);
+  }
+  if (cursor < end.getTime()) gaps.push([cursor, end.getTime()]);
+
+  return gaps
+    .map(([gapStart, gapEnd]) => ({
+      start_time: snapToGranularity(gapStart, granularity, 'up'),
+      end_time: snapToGranularity(gapEnd, granularity, 'down'),
+    }))
+    .filter((w) => w.end_time > w.start_time)
+    .map((w) => ({
+      ...w,
+      duration_hours:
+        Math.round(((w.end_time - w.start_time) / HOUR_MS) * 100) / 100,
+    }));
+}
+
+// Busy blocks per room: slot-holding events, active holds and maintenance /
+// blackout windows.
+async function loadBusyBlocks(rooms, start, end) {
+  const roomIds = rooms.map((r) => r.room_id);
+  const [events, holds, blackouts] = await Promise.all([
+    prisma.event.findMany({
+      where: {
+        room_id: { in: roomIds },
+        status: { in: getSlotHoldingStatuses() },
+        start_time: { lt: end },
+        end_time: { gt: start },
+      },
+      select: {
+        event_id: true,
+        event_name: true,
+        status: true,
+        room_id: true,
+        start_time: true,
+        end_time: true,
+      },
+      orderBy: { start_time: 'asc' },
+    }),
+    prisma.slotHold.findMany({
+      where: {
+        ...activeHoldFilter(),
+        room_id: { in: roomIds },
+        start_time: { lt: end },
+        end_time: { gt: start },
+      },
+      select: {
+        hold_id: true,
+        event_id: true,
+        room_id: true,
+        start_time: true,
+        end_time: true,
+        expires_at: true,
+      },
+      orderBy: { start_time: 'asc' },
+    }),
+    prisma.roomBlackout.findMany({
+      where: {
+        room_id: { in: roomIds },
+        start_time: { lt: end },
+        end_time: { gt: start },
+      },
+      select: {
+        blackout_id: true,
+        room_id: true,
+        type: true,
+        reason: true,
+        start_time: true,
+        end_time: true,
+      },
+      orderBy: { start_time: 'asc' },
+    }),
+  ]);
+
+  const blocks = new Map(roomIds.map((id) => [id, []]));
+  for (const blackout of blackouts) {
+    blocks.get(blackout.room_id).push({
+      type: blackout.type,
+      event_id: null,
+      blackout_id: blackout.blackout_id,
+      status: blackout.type,
+      reason: blackout.reason,
+      is_hold: false,
+      is_maintenance: true,
+      start_time: blackout.start_time,
+      end_time: blackout.end_time,
+    });
+  }
+  for (const event of events) {
+    blocks.get(event.room_id).push({
+      type: 'EVENT',
+      event_id: event.event_id,
+      event_name: event.event_name,
+      status: event.status,
+      is_hold: false,
+      is_maintenance: false,
+      start_time: event.start_time,
+      end_time: event.end_time,
+    });
+  }
+  for (const hold of holds) {
+    blocks.get(hold.room_id).push({
+      type: 'HOLD',
+      event_id: hold.event_id,
+      hold_id: hold.hold_id,
+      status: 'HOLD',
+      is_hold: true,
+      is_maintenance: false,
+      start_time: hold.start_time,
+      end_time: hold.end_time,
+      expires_at: hold.expires_at,
+    });
+  }
+  for (const list of blocks.values()) {
+    list.sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+  }
+  return blocks;
+}
+
+// ROOM CALENDAR
+export async function getRoomCalendar(room_id, query = {}) {
+  try {
+    const roomIdNum = Number(room_id);
+    validateNumber(room_id);
+    const { from, to, granularity = 'exact' } = query;
+
+    const { errors, start, end } = parseCalendarRange(from, to);
+    const granularityCheck = validateEnum(
+      granularity,
+      'Granularity',
+      CALENDAR_GRANULARITIES
+    );
+    errors.push(...granularityCheck.errors);
+    if (errors.length > 0) {
+      return { isValid: false, data: null, errors };
+    }
+
+    const room = await prisma.room.findUnique({
+      where: { room_id: roomIdNum },
+      select: {
+        room_id: true,
+        room_name: true,
+        status: true,
+        is_active: true,
+        guest_capacity: true,
+      },
+    });
+    if (!room) {
+      return { isValid: false, data: null, errors: ['Room not found'] };
+    }
+
+    const blocks = await loadBusyBlocks([room], start, end);
+    const busy = blocks.get(room.room_id);
+
+    return {
+      isValid: true,
+      data: {
+        room,
+        from: start,
+        to: end,
+        granularity,
+        busy,
+        free: room.is_active
+          ? computeFreeWindows(busy, start, end, granularity)
+          : [],
+      },
+      errors: [],
+    };
+  } catch (error) {
+    return { isValid: false, data: null, errors: [error.message] };
+  }
+}
+
+// AVAILABLE ROOMS
+// Active rooms with enough guest_capacity that are free for the whole window,
+// cheapest first (base price plus hourly rate for the window). Each room's
+// price is in its own currency and is converted into `currency` (the base
+// currency by default) to compare them; rooms without a rate to it go last.
+export async function findAvailableRooms(query = {}) {
+  try {
+    const { from, to, guests } = query;
+
+    const { errors, start, end } = parseCalendarRange(from, to);
+    if (guests !== undefined && guests !== '') {
+      errors.push(
+        ...validateNumber(guests, 'Guests', { min: 1, integer: true }).errors
+      );
+    }
+    if (query.currency) errors.push(...validateCurrency(query.currency));
+    if (errors.length > 0) {
+      return { isValid: false, data: null, errors };
+    }
+
+    const rooms = await prisma.room.findMany({
+      where: {
+        is_active: true,
+        ...(guests ? { guest_capacity: { gte: Number(guests) } } : {}),
+      },
+      select: {
+        room_id: true,
+        room_name: true,
+        status: true,
+        guest_capacity: true,
+        base_price: true,
+        hourly_rate: true,
+        currency: true,
+        description: true,
+        amenities: true,
+      },
+    });
+
+    const blocks = await loadBusyBlocks(rooms, start, end);
+    const durationHours = (end - start) / HOUR_MS;
+    const currency = normalizeCurrency(query.currency) || BASE_CURRENCY;
+
+    // One rate per room currency
+    const rates = new Map();
+    const available = [];
+    for (const room of rooms) {
+      if (blocks.get(room.room_id).length > 0) continue;
+      const roomCurrency = normalizeCurrency(room.currency) || BASE_CURRENCY;
+      if (!rates.has(roomCurrency)) {
+        rates.set(
+          roomCurrency,
+          await findExchangeRate(roomCurrency, currency, start)
+        );
+      }
+      const rate = rates.get(roomCurrency);
+      const price = calculateRoomCharge(room, durationHours);
+      available.push({
+        ...room,
+        currency: roomCurrency,
+        price,
+        converted_price: rate
+          ? roundToCurrency(price * rate.rate, currency)
+          : null,
+      });
+    }
+    available.sort(
+      (a, b) =>
+        (a.converted_price ?? Infinity) - (b.converted_price ?? Infinity) ||
+        a.room_id - b.room_id
+    );
+
+    return {
+      isValid: true,
+      data: {
+        from: start,
+        to: end,
+        guests: guests ? Number(guests) : null,
+        currency,
+        duration_hours: Math.round(durationHours * 100) / 100,
+        rooms: available,
+      },
       errors: [],
     };
   } catch (error) {
@@ -307,14 +751,26 @@ export async function checkRoomAvailability(
 }
 
 // ROOM STATISTICS
+// maintenance counts rooms inside a maintenance blackout right now
 export async function getRoomStatistics() {
   try {
+    const now = new Date();
     const [total, available, occupied, maintenance, reserved] =
       await Promise.all([
         prisma.room.count(),
         prisma.room.count({ where: { status: 'AVAILABLE' } }),
         prisma.room.count({ where: { status: 'OCCUPIED' } }),
-        prisma.room.count({ where: { status: 'MAINTENANCE' } }),
+        prisma.room.count({
+          where: {
+            blackouts: {
+              some: {
+                type: 'MAINTENANCE',
+                start_time: { lte: now },
+                end_time: { gt: now },
+              },
+            },
+          },
+        }),
         prisma.room.count({ where: { status: 'RESERVED' } }),
       ]);
 
@@ -340,6 +796,9 @@ export async function bulkUpdateRooms(roomIds, data) {
     if (!Array.isArray(roomIds) || roomIds.length === 0) {
       throw new Error('Invalid roomIds array');
     }
+    if (isMaintenanceStatus(data)) {
+      return { isValid: false, data: null, errors: [MAINTENANCE_STATUS_ERROR] };
+    }
     const updated = await prisma.room.updateMany({
       where: {
         room_id: { in: roomIds },
@@ -0,0 +1,260 @@
+import {
+  validateNumber,
+  validateString,
+  validateDateRange,
+  validateEnum,
+} from '../utils/validation.js';
+import { prisma } from '../prisma/prisma.js';
+import { getSlotHoldingStatuses } from './room.service.js';
+
+export const BLACKOUT_TYPES = ['MAINTENANCE', 'BLACKOUT'];
+
+// FIND OVERLAPPING BLACKOUTS
+// Blackouts on a room overlapping [start_time, end_time). exclude_blackout_id
+// skips the blackout being edited.
+export async function findOverlappingBlackouts(
+  room_id,
+  start_time,
+  end_time,
+  exclude_blackout_id = null,
+  tx = prisma
+) {
+  return tx.roomBlackout.findMany({
+    where: {
+      room_id: Number(room_id),
+      ...(exclude_blackout_id
+        ? { blackout_id: { not: Number(exclude_blackout_id) } }
+        : {}),
+      start_time: { lt: new Date(end_time) },
+      end_time: { gt: new Date(start_time) },
+    },
+    orderBy: { start_time: 'asc' },
+  });
+}
+
+// Events already holding the room during the window; a blackout over them
+// needs force=true.
+async function findAffectedEvents(room_id, start_time, end_time, tx) {
+  return tx.event.findMany({
+    where: {
+      room_id: Number(room_id),
+      status: { in: getSlotHoldingStatuses() },
+      start_time: { lt: new Date(end_time) },
+      end_time: { gt: new Date(start_time) },
+    },
+    select: {
+      event_id: true,
+      event_name: true,
+      status: true,
+      start_time: true,
+      end_time: true,
+      account_id: true,
+    },
+    orderBy: { start_time: 'asc' },
+  });
+}
+
+function validateBlackoutData(data, partial = false) {
+  const errors = [];
+  const { start_time, end_time, type, reason } = data;
+
+  if (!partial || start_time !== undefined || end_time !== undefined) {
+    if (!start_time || !end_time) {
+      errors.push('start_time and end_time are required');
+    } else {
+      const range = validateDateRange(start_time, end_time, 'Blackout ');
+      errors.push(...range.errors);
+      if (range.isValid && new Date(end_time) <= new Date(start_time)) {
+        errors.push('end_time must be after start_time');
+      }
+    }
+  }
+  errors.push(...validateEnum(type, 'Blackout type', BLACKOUT_TYPES).errors);
+  if (reason !== undefined && reason !== null) {
+    errors.push(
+      ...validateString(reason, 'Reason', { maxLength: 1000, sanitize: true })
+        .errors
+    );
+  }
+  return errors;
+}
+
+const isForced = (force) => force === true || force === 'true';
+
+// LIST ROOM BLACKOUTS
+export async function getRoomBlackouts(room_id, query = {}) {
+  try {
+    validateNumber(room_id);
+    const { from, to } = query;
+
+    const room = await prisma.room.findUnique({
+      where: { room_id: Number(room_id) },
+      select: { room_id: true },
+    });
+    if (!room) {
+      return { isValid: false, data: null, errors: ['Room not found'] };
+    }
+
+    const blackouts = await prisma.roomBlackout.findMany({
+      where: {
+        room_id: Number(room_id),
+        ...(to ? { start_time: { lt: new Date(to) } } : {}),
+        ...(from ? { end_time: { gt: new Date(from) } } : {}),
+      },
+      include: {
+        account: { select: { account_id: true, account_name: true } },
+      },
+      orderBy: { start_time: 'asc' },
+    });
+
+    return { isValid: true, data: blackouts, errors: [] };
+  } catch (error) {
+    return { isValid: false, data: null, errors: [error.message] };
+  }
+}
+
+// CREATE ROOM BLACKOUT
+// Refused with affected_events when confirmed bookings overlap, unless force
+export async function createRoomBlackout(room_id, data, user = null) {
+  try {
+    validateNumber(room_id);
+    const errors = validateBlackoutData(data);
+    if (errors.length > 0) {
+      return { isValid: false, data: null, errors };
+    }
+
+    const { start_time, end_time, type = 'MAINTENANCE', reason, force } = data;
+
+    return await prisma.$transaction(async (tx) => {
+      const room = await tx.room.findUnique({
+        where: { room_id: Number(room_id) },
+        select: { room_id: true },
+      });
+      if (!room) {
+        return { isValid: false, data: null, errors: ['Room not found'] };
+      }
+
+      const affectedEvents = await findAffectedEvents(
+        room_id,
+        start_time,
+        end_time,
+        tx
+      );
+      if (affectedEvents.length > 0 && !isForced(force)) {
+        return {
+          isValid: false,
+          data: { code: 'BLACKOUT_CONFLICT', affected_events: affectedEvents },
+          errors: [
+            `Blackout overlaps ${affectedEvents.length} booked event(s); pass force=true to create it anyway`,
+          ],
+        };
+      }
+
+      const blackout = await tx.roomBlackout.create({
+        data: {
+          room_id: Number(room_id),
+          start_time: new Date(start_time),
+          end_time: new Date(end_time),
+          type,
+          reason: reason?.trim() || null,
+          forced: affectedEvents.length > 0,
+          created_by: user?.account_id ? Number(user.account_id) : null,
+        },
+      });
+
+      return {
+        isValid: true,
+        data: { blackout, affected_events: affectedEvents },
+        errors: [],
+      };
+    });
+  } catch (error) {
+    return { isValid: false, data: null, errors: [error.message] };
+  }
+}
+
+// UPDATE ROOM BLACKOUT
+export async function updateRoomBlackout(room_id, blackout_id, data) {
+  try {
+    validateNumber(room_id);
+    validateNumber(blackout_id);
+    const errors = validateBlackoutData(data, true);
+    if (errors.length > 0) {
+      return { isValid: false, data: null, errors };
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const existing = await tx.roomBlackout.findFirst({
+        where: {
+          blackout_id: Number(blackout_id),
+          room_id: Number(room_id),
+        },
+      });
+      if (!existing) {
+        return { isValid: false, data: null, errors: ['Blackout not found'] };
+      }
+
+      const start_time = data.start_time ?? existing.start_time;
+      const end_time = data.end_time ?? existing.end_time;
+
+      const affectedEvents = await findAffectedEvents(
+        room_id,
+        start_time,
+        end_time,
+        tx
+      );
+      if (affectedEvents.length > 0 && !isForced(data.force)) {
+        return {
+          isValid: false,
+          data: { code: 'BLACKOUT_CONFLICT', affected_events: affectedEvents },
+          errors: [
+            `Blackout overlaps ${affectedEvents.length} booked event(s); pass force=true to update it anyway`,
+          ],
+        };
+      }
+
+      const blackout = await tx.roomBlackout.update({
+        where: { blackout_id: existing.blackout_id },
+        data: {
+          start_time: new Date(start_time),
+          end_time: new Date(end_time),
+          ...(data.type !== undefined ? { type: data.type } : {}),
+          ...(data.reason !== undefined
+            ? { reason: data.reason?.trim() || null }
+            : {}),
+          forced: affectedEvents.length > 0,
+        },
+      });
+
+      return {
+        isValid: true,
+        data: { blackout, affected_events: affectedEvents },
+        errors: [],
+      };
+    });
+  } catch (error) {
+    return { isValid: false, data: null, errors: [error.message] };
+  }
+}
+
+// DELETE ROOM BLACKOUT
+export async function deleteRoomBlackout(room_id, blackout_id) {
+  try {
+    validateNumber(room_id);
+    validateNumber(blackout_id);
+
+    const { count } = await prisma.roomBlackout.deleteMany({
+      where: {
+        blackout_id: Number(blackout_id),
+        room_id: Number(room_id),
+      },
+    });
+    if (count === 0) {
+      return { isValid: false, data: null, errors: ['Blackout not found'] };
+    }
+
+    return { isValid: true, data: null, errors: [] };
+  } catch (error) {
+    return { isValid: false, data: null, errors: [error.message] };
+  }
+}
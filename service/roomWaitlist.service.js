@@ -0,0 +1,496 @@
+import {
+  validateNumber,
+  validateString,
+  validateDateRange,
+} from '../utils/validation.js';
+import { prisma } from '../prisma/prisma.js';
+import { runSerializable } from '../utils/transaction.js';
+import { createNotification } from '../utils/notification.js';
+import { checkRoomAvailability } from './room.service.js';
+
+export const WAITLIST_STATUSES = [
+  'WAITING',
+  'OFFERED',
+  'FULFILLED',
+  'EXPIRED',
+  'CANCELLED',
+];
+// Entries still in the queue
+const OPEN_STATUSES = ['WAITING', 'OFFERED'];
+
+const DEFAULT_OFFER_TTL_MINUTES = 60;
+
+// How long a waitlisted customer has to book an offered slot
+export function getWaitlistOfferTtlMinutes() {
+  const ttl = Number(process.env.WAITLIST_OFFER_TTL_MINUTES);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_OFFER_TTL_MINUTES;
+}
+
+const isOperator = (user) => ['ADMIN', 'STAFF'].includes(user?.role);
+
+const formatSlot = (start_time, end_time) =>
+  `${new Date(start_time).toLocaleString('vi-VN')} - ${new Date(
+    end_time
+  ).toLocaleString('vi-VN')}`;
+
+function validateWaitlistData(data) {
+  const errors = [];
+  const { start_time, end_time, guests, notes } = data;
+
+  if (!start_time || !end_time) {
+    errors.push('start_time and end_time are required');
+  } else {
+    const range = validateDateRange(start_time, end_time, 'Waitlist ');
+    errors.push(...range.errors);
+    if (range.isValid) {
+      if (new Date(end_time) <= new Date(start_time)) {
+        errors.push('end_time must be after start_time');
+      }
+      if (new Date(start_time) <= new Date()) {
+        errors.push('start_time must be in the future');
+      }
+    }
+  }
+  if (
+    guests !== undefined &&
+    guests !== null &&
+    (!Number.isInteger(Number(guests)) || Number(guests) < 1)
+  ) {
+    errors.push('guests must be a positive integer');
+  }
+  if (notes !== undefined && notes !== null) {
+    errors.push(
+      ...validateString(notes, 'Notes', { maxLength: 1000, sanitize: true })
+        .errors
+    );
+  }
+  return errors;
+}
+
+// 1-based place in the room's queue among open entries wanting an
+// overlapping window
+async function getQueuePosition(entry, tx = prisma) {
+  const ahead = await tx.waitlistEntry.count({
+    where: {
+      room_id: entry.room_id,
+      status: 'WAITING',
+      entry_id: { lt: entry.entry_id },
+      start_time: { lt: entry.end_time },
+      end_time: { gt: entry.start_time },
+    },
+  });
+  return ahead + 1;
+}
+
+// JOIN WAITLIST
+// Only for windows that are currently unavailable; free slots should be
+// booked directly.
+export async function joinWaitlist(room_id, data, user) {
+  try {
+    validateNumber(room_id);
+    const errors = validateWaitlistData(data);
+    if (errors.length > 0) {
+      return { isValid: false, data: null, errors };
+    }
+
+    const { start_time, end_time, guests, notes } = data;
+    const account_id = Number(user.account_id);
+
+    const room = await prisma.room.findUnique({
+      where: { room_id: Number(room_id) },
+      select: { room_id: true, is_active: true, guest_capacity: true },
+    });
+    if (!room || !room.is_active) {
+      return { isValid: false, data: null, errors: ['Room not found'] };
+    }
+    if (guests && room.guest_capacity && Number(guests) > room.guest_capacity) {
+      return {
+        isValid: false,
+        data: null,
+        errors: [`Room capacity is ${room.guest_capacity} guests`],
+      };
+    }
+
+    const availability = await checkRoomAvailability(
+      room_id,
+      start_time,
+      end_time,
+      null
+    );
+    if (!availability.isValid) {
+      return { isValid: false, data: null, errors: availability.errors };
+    }
+    if (availability.data.isAvailable) {
+      return {
+        isValid: false,
+        data: { code: 'SLOT_AVAILABLE' },
+        errors: ['Room is available for this time; book it directly'],
+      };
+    }
+
+    const duplicate = await prisma.waitlistEntry.findFirst({
+      where: {
+        room_id: Number(room_id),
+        account_id,
+        status: { in: OPEN_STATUSES },
+        start_time: { lt: new Date(end_time) },
+        end_time: { gt: new Date(start_time) },
+      },
+      select: { entry_id: true },
+    });
+    if (duplicate) {
+      return {
+        isValid: false,
+        data: { code: 'ALREADY_WAITLISTED', entry_id: duplicate.entry_id },
+        errors: ['You are already on the waitlist for this time'],
+      };
+    }
+
+    const entry = await prisma.waitlistEntry.create({
+      data: {
+        room_id: Number(room_id),
+        account_id,
+        start_time: new Date(start_time),
+        end_time: new Date(end_time),
+        guests: guests ? Number(guests) : null,
+        notes: notes?.trim() || null,
+      },
+    });
+
+    return {
+      isValid: true,
+      data: {
+        ...entry,
+        position: await getQueuePosition(entry),
+        reason: availability.data.reason,
+      },
+      errors: [],
+    };
+  } catch (error) {
+    return { isValid: false, data: null, errors: [error.message] };
+  }
+}
+
+// LIST ROOM WAITLIST
+// Admin/staff see the whole queue; customers only their own entries
+export async function getRoomWaitlist(room_id, query = {}, user = null) {
+  try {
+    validateNumber(room_id);
+    const statuses = query.status
+      ? String(query.status)
+          .split(',')
+          .map((s) => s.trim().toUpperCase())
+      : OPEN_STATUSES;
+    if (statuses.some((s) => !WAITLIST_STATUSES.includes(s))) {
+      return {
+        isValid: false,
+        data: null,
+        errors: [`status must be one of: ${WAITLIST_STATUSES.join(', ')}`],
+      };
+    }
+
+    const entries = await prisma.waitlistEntry.findMany({
+      where: {
+        room_id: Number(room_id),
+        status: { in: statuses },
+        ...(isOperator(user) ? {} : { account_id: Number(user.account_id) }),
+      },
+      include: {
+        account: {
+          select: { account_id: true, account_name: true, email: true },
+        },
+      },
+      orderBy: { entry_id: 'asc' },
+    });
+
+    const data = [];
+    for (const entry of entries) {
+      data.push({
+        ...entry,
+        position:
+          entry.status === 'WAITING' ? await getQueuePosition(entry) : null,
+      });
+    }
+    return { isValid: true, data, errors: [] };
+  } catch (error) {
+    return { isValid: false, data: null, errors: [error.message] };
+  }
+}
+
+// CANCEL WAITLIST ENTRY
+// Owner or admin/staff. Cancelling an outstanding offer passes the slot on.
+export async function cancelWaitlistEntry(room_id, entry_id, user) {
+  try {
+    validateNumber(room_id);
+    validateNumber(entry_id);
+
+    const entry = await prisma.waitlistEntry.findFirst({
+      where: { entry_id: Number(entry_id), room_id: Number(room_id) },
+    });
+    if (!entry) {
+      return {
+        isValid: false,
+        data: null,
+        errors: ['Waitlist entry not found'],
+      };
+    }
+    if (!isOperator(user) && entry.account_id !== Number(user.account_id)) {
+      return {
+        isValid: false,
+        data: null,
+        errors: ['You can only cancel your own waitlist entries'],
+      };
+    }
+    if (!OPEN_STATUSES.includes(entry.status)) {
+      return {
+        isValid: false,
+        data: null,
+        errors: [`Waitlist entry is already ${entry.status.toLowerCase()}`],
+      };
+    }
+
+    const cancelled = await prisma.$transaction(async (tx) => {
+      await tx.slotHold.updateMany({
+        where: { waitlist_entry_id: entry.entry_id, status: 'ACTIVE' },
+        data: { status: 'RELEASED', released_at: new Date() },
+      });
+      return tx.waitlistEntry.update({
+        where: { entry_id: entry.entry_id },
+        data: { status: 'CANCELLED' },
+      });
+    });
+
+    if (entry.status === 'OFFERED') {
+      await processRoomWaitlist(entry.room_id, {
+        start_time: entry.start_time,
+        end_time: entry.end_time,
+      });
+    }
+
+    return { isValid: true, data: cancelled, errors: [] };
+  } catch (error) {
+    return { isValid: false, data: null, errors: [error.message] };
+  }
+}
+
+// Offer one entry its slot if the room is free: place a time-boxed hold,
+// mark it OFFERED and notify the customer. Returns the offered entry or null.
+async function offerWaitlistEntry(entry_id, now = new Date()) {
+  return runSerializable(prisma, async (tx) => {
+    const entry = await tx.waitlistEntry.findUnique({
+      where: { entry_id },
+    });
+    if (!entry || entry.status !== 'WAITING') return null;
+
+    const availability = await checkRoomAvailability(
+      entry.room_id,
+      entry.start_time,
+      entry.end_time,
+      null,
+      null,
+      tx
+    );
+    if (!availability.isValid || !availability.data.isAvailable) return null;
+
+    const expiresAt = new Date(
+      now.getTime() + getWaitlistOfferTtlMinutes() * 60 * 1000
+    );
+    await tx.slotHold.create({
+      data: {
+        waitlist_entry_id: entry.entry_id,
+        room_id: entry.room_id,
+        start_time: entry.start_time,
+        end_time: entry.end_time,
+        expires_at: expiresAt,
+      },
+    });
+    const offered = await tx.waitlistEntry.update({
+      where: { entry_id: entry.entry_id },
+      data: {
+        status: 'OFFERED',
+        offered_at: now,
+        offer_expires_at: expiresAt,
+      },
+      include: { room: { select: { room_name: true } } },
+    });
+
+    const notification = await createNotification(
+      {
+        account_id: entry.account_id,
+        title: 'Waitlisted slot available',
+        message: `${offered.room.room_name} is now available for ${formatSlot(
+          entry.start_time,
+          entry.end_time
+        )}. It is held for you until ${expiresAt.toLocaleString(
+          'vi-VN'
+        )}; book it before then to keep it.`,
+        type: 'REMINDER',
+      },
+      tx
+    );
+    if (!notification.isValid) {
+      console.warn(
+        'Failed to send waitlist notification:',
+        notification.errors
+      );
+    }
+
+    return offered;
+  });
+}
+
+// PROCESS ROOM WAITLIST
+// Walks the room's WAITING entries in queue order (optionally only those
+// overlapping a freed window) and offers each one whose slot is now free.
+// Entries whose window has started are expired instead.
+export async function processRoomWaitlist(room_id, window = {}) {
+  try {
+    validateNumber(room_id);
+    const now = new Date();
+    const { start_time, end_time } = window;
+
+    const entries = await prisma.waitlistEntry.findMany({
+      where: {
+        room_id: Number(room_id),
+        status: 'WAITING',
+        ...(start_time && end_time
+          ? {
+              start_time: { lt: new Date(end_time) },
+              end_time: { gt: new Date(start_time) },
+            }
+          : {}),
+      },
+      select: { entry_id: true, start_time: true },
+      orderBy: { entry_id: 'asc' },
+    });
+
+    const offered = [];
+    let expired = 0;
+    for (const entry of entries) {
+      if (entry.start_time <= now) {
+        await prisma.waitlistEntry.updateMany({
+          where: { entry_id: entry.entry_id, status: 'WAITING' },
+          data: { status: 'EXPIRED' },
+        });
+        expired++;
+        continue;
+      }
+      try {
+        const result = await offerWaitlistEntry(entry.entry_id, now);
+        if (result) offered.push(result);
+      } catch (error) {
+        console.error(
+          `Failed to offer waitlist entry ${entry.entry_id}:`,
+          error
+        );
+      }
+    }
+
+    return { isValid: true, data: { offered, expired }, errors: [] };
+  } catch (error) {
+    return { isValid: false, data: null, errors: [error.message] };
+  }
+}
+
+// Best effort, for callers that free a slot (cancel / reschedule); never
+// fails the caller.
+export async function notifyWaitlistSlotFreed(room_id, start_time, end_time) {
+  if (!room_id || !start_time || !end_time) return;
+  const result = await processRoomWaitlist(room_id, { start_time, end_time });
+  if (!result.isValid) {
+    console.error('Failed to process room waitlist:', result.errors);
+  }
+}
+
+// SWEEP WAITLIST
+// Expires lapsed offers and then re-evaluates every room with waiting
+// entries, which also picks up slots freed by expired checkout holds.
+export async function sweepWaitlist(now = new Date()) {
+  try {
+    const lapsed = await prisma.waitlistEntry.findMany({
+      where: { status: 'OFFERED', offer_expires_at: { lte: now } },
+      select: { entry_id: true },
+    });
+    for (const { entry_id } of lapsed) {
+      await prisma.$transaction(async (tx) => {
+        const { count } = await tx.waitlistEntry.updateMany({
+          where: { entry_id, status: 'OFFERED' },
+          data: { status: 'EXPIRED' },
+        });
+        if (count === 0) return;
+        await tx.slotHold.updateMany({
+          where: { waitlist_entry_id: entry_id, status: 'ACTIVE' },
+          data: { status: 'EXPIRED', released_at: now },
+        });
+      });
+    }
+
+    const rooms = await prisma.waitlistEntry.findMany({
+      where: { status: 'WAITING' },
+      distinct: ['room_id'],
+      select: { room_id: true },
+    });
+    let offered = 0;
+    let expired = 0;
+    for (const { room_id } of rooms) {
+      const result = await processRoomWaitlist(room_id);
+      if (result.isValid) {
+        offered += result.data.offered.length;
+        expired += result.data.expired;
+      }
+    }
+
+    return {
+      isValid: true,
+      data: { lapsed_offers: lapsed.length, offered, expired },
+      errors: [],
+    };
+  } catch (error) {
+    return { isValid: false, data: null, errors: [error.message] };
+  }
+}
+
+// FIND WAITLIST OFFER
+// The account's live offer on this room covering the requested window, so
+// booking it is not blocked by the offer's own hold.
+export async function findWaitlistOffer(
+  { account_id, room_id, start_time, end_time },
+  tx = prisma
+) {
+  if (!account_id || !room_id || !start_time || !end_time) return null;
+  return tx.waitlistEntry.findFirst({
+    where: {
+      account_id: Number(account_id),
+      room_id: Number(room_id),
+      status: 'OFFERED',
+      offer_expires_at: { gt: new Date() },
+      start_time: { lte: new Date(start_time) },
+      end_time: { gte: new Date(end_time) },
+    },
+    orderBy: { entry_id: 'asc' },
+  });
+}
+
+// True when the only thing blocking the slot is the offer's own hold
+export function isHeldOnlyByOffer(availability, offer) {
+  if (!offer || !availability?.isValid) return false;
+  const { conflicting_event_id, blackouts, holds } = availability.data;
+  return (
+    !conflicting_event_id &&
+    blackouts.length === 0 &&
+    holds.length > 0 &&
+    holds.every((h) => h.waitlist_entry_id === offer.entry_id)
+  );
+}
+
+// Marks the offer FULFILLED by event_id and converts its hold
+export async function fulfillWaitlistOffer(tx, offer, event_id) {
+  await tx.slotHold.updateMany({
+    where: { waitlist_entry_id: offer.entry_id, status: 'ACTIVE' },
+    data: { status: 'CONVERTED', released_at: new Date() },
+  });
+  return tx.waitlistEntry.update({
+    where: { entry_id: offer.entry_id },
+    data: { status: 'FULFILLED', event_id: Number(event_id) },
+  });
+}
@@ -0,0 +1,363 @@
+import { prisma } from '../prisma/prisma.js';
+import {
+  parseAndValidateId,
+  createValidationResult,
+} from '../utils/validation.js';
+import {
+  recordStatusChange,
+  transitionEventStatus,
+} from './eventStatus.service.js';
+import { sweepWaitlist } from './roomWaitlist.service.js';
+import { getPaymentProvider } from './paymentProvider.service.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const DEFAULT_HOLD_TTL_MINUTES = 15;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+
+export const getHoldTtlMinutes = () => {
+  const ttl = Number(process.env.SLOT_HOLD_TTL_MINUTES);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_HOLD_TTL_MINUTES;
+};
+
+// Holds that still block their slot: ACTIVE and not yet past expires_at,
+// even if the sweeper has not run since.
+export const activeHoldFilter = (now = new Date()) => ({
+  status: 'ACTIVE',
+  expires_at: { gt: now },
+});
+
+// ===== Find Conflicting Holds =====
+// Active holds on a room or variation overlapping [start_time, end_time),
+// ignoring holds that belong to exclude_event_id. Waitlist offer holds have
+// no event and are always included.
+export const findConflictingHolds = async (
+  { room_id, variation_id, start_time, end_time, exclude_event_id = null },
+  tx = prisma
+) => {
+  if ((!room_id && !variation_id) || !start_time || !end_time) return [];
+  return tx.slotHold.findMany({
+    where: {
+      ...activeHoldFilter(),
+      ...(room_id ? { room_id: Number(room_id) } : {}),
+      ...(variation_id ? { variation_id: Number(variation_id) } : {}),
+      ...(exclude_event_id
+        ? {
+            OR: [
+              { event_id: null },
+              { event_id: { not: Number(exclude_event_id) } },
+            ],
+          }
+        : {}),
+      start_time: { lt: new Date(end_time) },
+      end_time: { gt: new Date(start_time) },
+    },
+    select: {
+      hold_id: true,
+      event_id: true,
+      room_id: true,
+      variation_id: true,
+      waitlist_entry_id: true,
+      start_time: true,
+      end_time: true,
+      expires_at: true,
+    },
+    orderBy: { start_time: 'asc' },
+  });
+};
+
+// ===== Place Event Holds =====
+// Replaces the event's active holds with fresh ones covering its room slot
+// and every scheduled variation. Pass expires_at to keep an existing expiry
+// (e.g. when a service is added) instead of starting a new TTL.
+export const placeEventHolds = async (tx, eventId, options = {}) => {
+  const { payment_id = null, ttlMinutes = getHoldTtlMinutes() } = options;
+  const expiresAt = options.expires_at
+    ? new Date(options.expires_at)
+    : new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  const event = await tx.event.findUnique({
+    where: { event_id: Number(eventId) },
+    select: {
+      event_id: true,
+      room_id: true,
+      start_time: true,
+      end_time: true,
+      event_services: {
+        where: { status: { not: 'CANCELLED' } },
+        select: {
+          variation_id: true,
+          scheduled_time: true,
+          duration_hours: true,
+        },
+      },
+    },
+  });
+  if (!event || !event.start_time || !event.end_time) {
+    return { holds: [], expires_at: null };
+  }
+
+  await tx.slotHold.updateMany({
+    where: { event_id: event.event_id, status: 'ACTIVE' },
+    data: { status: 'RELEASED', released_at: new Date() },
+  });
+
+  const data = [];
+  if (event.room_id) {
+    data.push({
+      event_id: event.event_id,
+      room_id: event.room_id,
+      start_time: event.start_time,
+      end_time: event.end_time,
+      expires_at: expiresAt,
+      payment_id,
+    });
+  }
+  for (const eventService of event.event_services) {
+    if (!eventService.variation_id || !eventService.scheduled_time) continue;
+    const start = new Date(eventService.scheduled_time);
+    const end = eventService.duration_hours
+      ? new Date(start.getTime() + eventService.duration_hours * 3600 * 1000)
+      : event.end_time;
+    data.push({
+      event_id: event.event_id,
+      variation_id: eventService.variation_id,
+      start_time: start,
+      end_time: end,
+      expires_at: expiresAt,
+      payment_id,
+    });
+  }
+
+  if (data.length > 0) {
+    await tx.slotHold.createMany({ data });
+  }
+
+  const holds = await tx.slotHold.findMany({
+    where: { event_id: event.event_id, status: 'ACTIVE' },
+    orderBy: { hold_id: 'asc' },
+  });
+  return { holds, expires_at: expiresAt };
+};
+
+// Re-place holds after the event's services changed, keeping the current
+// expiry. Does nothing when the event holds nothing (already paid or expired).
+export const refreshEventHolds = async (tx, eventId) => {
+  const current = await tx.slotHold.findFirst({
+    where: { event_id: Number(eventId), ...activeHoldFilter() },
+    orderBy: { expires_at: 'desc' },
+    select: { expires_at: true, payment_id: true },
+  });
+  if (!current) return { holds: [], expires_at: null };
+  return placeEventHolds(tx, eventId, {
+    expires_at: current.expires_at,
+    payment_id: current.payment_id,
+  });
+};
+
+// ===== Release Event Holds =====
+// status: RELEASED (cancelled / moved), CONVERTED (paid) or EXPIRED (sweeper)
+export const releaseEventHolds = async (tx, eventId, status = 'RELEASED') => {
+  const { count } = await tx.slotHold.updateMany({
+    where: { event_id: Number(eventId), status: 'ACTIVE' },
+    data: { status, released_at: new Date() },
+  });
+  return count;
+};
+
+// ===== Get Event Holds =====
+export const getEventHolds = async (eventId) => {
+  try {
+    const validEventId = parseAndValidateId(eventId, 'Event ID');
+    if (!validEventId) {
+      return createValidationResult(false, ['Invalid event ID']);
+    }
+    const holds = await prisma.slotHold.findMany({
+      where: { event_id: validEventId },
+      orderBy: [{ created_at: 'desc' }, { hold_id: 'desc' }],
+    });
+    return createValidationResult(true, [], holds);
+  } catch (error) {
+    return handleError('getEventHolds', error);
+  }
+};
+
+// Best effort: stop the provider from accepting payment for a checkout whose
+// hold has lapsed. Checkouts that are already complete or expired are left
+// alone.
+const cancelProviderCheckout = async ({ provider, provider_reference }) => {
+  try {
+    await getPaymentProvider(provider).cancelCheckout(provider_reference);
+  } catch (error) {
+    console.warn(
+      `Could not cancel ${provider} checkout ${provider_reference}:`,
+      error.message
+    );
+  }
+};
+
+// ===== Release Unheld Booking =====
+// For an event whose holds have all lapsed or been released before payment:
+// a RESCHEDULED event goes back to PENDING, and a PENDING one gets a history
+// row, since without a hold it no longer blocks its slot. Runs in the
+// caller's transaction.
+export const releaseUnheldBooking = async (tx, eventId, reason, metadata) => {
+  const event = await tx.event.findUnique({
+    where: { event_id: Number(eventId) },
+    select: { status: true },
+  });
+  if (event?.status === 'RESCHEDULED') {
+    const transition = await transitionEventStatus(eventId, 'PENDING', null, {
+      tx,
+      reason,
+      metadata,
+    });
+    if (!transition.isValid) {
+      throw new Error(transition.errors.join(', '));
+    }
+  } else if (event?.status === 'PENDING') {
+    await recordStatusChange(tx, {
+      event_id: Number(eventId),
+      from_status: 'PENDING',
+      to_status: 'PENDING',
+      reason: `${reason}; slot released`,
+      metadata,
+    });
+  }
+  return event?.status ?? null;
+};
+
+// ===== Sweep Expired Holds =====
+// Marks lapsed holds EXPIRED, cancels the event's pending payments and moves a
+// RESCHEDULED event back to PENDING. A PENDING event without an active hold
+// no longer blocks its slot (see getSlotHoldingStatuses), so the slot is free
+// for other bookings and for the waitlist.
+export const sweepExpiredHolds = async (now = new Date()) => {
+  try {
+    const expired = await prisma.slotHold.findMany({
+      // Waitlist offer holds are expired by sweepWaitlist
+      where: {
+        status: 'ACTIVE',
+        expires_at: { lte: now },
+        event_id: { not: null },
+      },
+      select: { hold_id: true, event_id: true },
+    });
+    const eventIds = [...new Set(expired.map((h) => h.event_id))];
+
+    const swept = [];
+    for (const eventId of eventIds) {
+      try {
+        const result = await prisma.$transaction(async (tx) => {
+          const { count } = await tx.slotHold.updateMany({
+            where: {
+              event_id: eventId,
+              status: 'ACTIVE',
+              expires_at: { lte: now },
+            },
+            data: { status: 'EXPIRED', released_at: now },
+          });
+          // Another request renewed or converted the holds in the meantime
+          if (count === 0) return null;
+
+          const stillHeld = await tx.slotHold.count({
+            where: { event_id: eventId, ...activeHoldFilter(now) },
+          });
+          if (stillHeld > 0) {
+            return { event_id: eventId, expired: count, checkouts: [] };
+          }
+
+          const pendingPayments = await tx.payment.findMany({
+            where: { event_id: eventId, payment_status: 'PENDING' },
+            select: {
+              payment_id: true,
+              provider: true,
+              provider_reference: true,
+            },
+          });
+          if (pendingPayments.length > 0) {
+            await tx.payment.updateMany({
+              where: {
+                payment_id: { in: pendingPayments.map((p) => p.payment_id) },
+              },
+              data: {
+                payment_status: 'CANCELLED',
+                notes: 'Cancelled: slot hold expired before payment',
+              },
+            });
+          }
+
+          await releaseUnheldBooking(tx, eventId, 'Slot hold expired', {
+            expired_holds: count,
+            cancelled_payments: pendingPayments.map((p) => p.payment_id),
+          });
+
+          return {
+            event_id: eventId,
+            expired: count,
+            cancelled_payments: pendingPayments.length,
+            checkouts: pendingPayments.filter(
+              (p) => p.provider && p.provider_reference
+            ),
+          };
+        });
+        if (!result) continue;
+
+        for (const checkout of result.checkouts) {
+          await cancelProviderCheckout(checkout);
+        }
+        const { checkouts, ...summary } = result;
+        swept.push(summary);
+      } catch (error) {
+        console.error(`Failed to sweep holds for event ${eventId}:`, error);
+      }
+    }
+
+    return createValidationResult(true, [], {
+      swept_events: swept.length,
+      expired_holds: swept.reduce((sum, s) => sum + s.expired, 0),
+      events: swept,
+    });
+  } catch (error) {
+    return handleError('sweepExpiredHolds', error);
+  }
+};
+
+// ===== Hold Sweeper =====
+// Runs sweepExpiredHolds and then sweepWaitlist, so slots freed by lapsed
+// holds reach the waitlist, on an interval (SLOT_HOLD_SWEEP_INTERVAL_MS). Returns
+// the timer so callers can clearInterval it; it does not keep the process up.
+export const startSlotHoldSweeper = (
+  intervalMs = Number(process.env.SLOT_HOLD_SWEEP_INTERVAL_MS) ||
+    DEFAULT_SWEEP_INTERVAL_MS
+) => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await sweepExpiredHolds();
+      if (result.isValid && result.data.swept_events > 0) {
+        console.log(
+          `Released ${result.data.expired_holds} expired slot hold(s) for ${result.data.swept_events} event(s)`
+        );
+      }
+      const waitlist = await sweepWaitlist();
+      if (!waitlist.isValid) {
+        console.error('Failed to sweep room waitlist:', waitlist.errors);
+      } else if (waitlist.data.offered > 0) {
+        console.log(
+          `Offered ${waitlist.data.offered} waitlisted slot(s) to customers`
+        );
+      }
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+  return timer;
+};
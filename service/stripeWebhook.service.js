@@ -0,0 +1,322 @@
+import { prisma } from '../prisma/prisma.js';
+import { createValidationResult } from '../utils/validation.js';
+import { getStripeClient } from '../utils/stripe.js';
+import { fromMinorUnit } from '../utils/currency.js';
+import { completeCheckoutPayment } from './payment.service.js';
+import { roundAmount } from './pricing.service.js';
+import { recordInvoiceRefund } from './paymentPlan.service.js';
+import { getPaymentProvider } from './paymentProvider.service.js';
+
+export const WEBHOOK_ERRORS = {
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  PROCESSING_FAILED: 'PROCESSING_FAILED',
+};
+
+const PROVIDER = 'STRIPE';
+
+const isUniqueViolation = (error) => error?.code === 'P2002';
+
+// The Checkout payment row for a session (not its refund records)
+const findCheckoutPayment = (tx, where) =>
+  tx.payment.findFirst({
+    where: { ...where, provider: PROVIDER, original_payment_id: null },
+    select: {
+      payment_id: true,
+      amount: true,
+      currency: true,
+      base_amount: true,
+      exchange_rate: true,
+      exchange_rate_id: true,
+      payment_status: true,
+      account_id: true,
+      invoice_id: true,
+      event_id: true,
+      provider_reference: true,
+    },
+  });
+
+// ===== Event Handlers =====
+// Each runs inside the transaction that records the event and returns a
+// summary stored with it. Throwing rolls everything back so Stripe retries.
+
+const handleSessionCompleted = async (tx, session) => {
+  // Delayed payment methods complete the session before the money arrives
+  if (!['paid', 'no_payment_required'].includes(session.payment_status)) {
+    return { outcome: 'awaiting_payment', session_id: session.id };
+  }
+
+  const completion = await completeCheckoutPayment(
+    tx,
+    { provider: PROVIDER, reference: session.id },
+    {
+      transactionId: session.payment_intent,
+      amount: fromMinorUnit(session.amount_total, session.currency),
+    }
+  );
+  if (!completion.isValid) {
+    return { outcome: 'payment_not_found', session_id: session.id };
+  }
+  if (completion.data.unbooked) {
+    // Paid, but the event could not be confirmed; staff have been asked to
+    // refund or rebook, so a retry would not change anything
+    return {
+      outcome: 'completed_unbooked',
+      reason: completion.data.unbooked,
+      payment_id: completion.data.payment_id,
+    };
+  }
+  return {
+    outcome: completion.data.already_completed
+      ? 'already_completed'
+      : 'completed',
+    payment_id: completion.data.payment_id,
+  };
+};
+
+const handleSessionExpired = async (tx, session) => {
+  const payments = await tx.payment.findMany({
+    where: {
+      provider: PROVIDER,
+      provider_reference: session.id,
+      original_payment_id: null,
+      payment_status: { in: ['PENDING', 'FAILED'] },
+    },
+    select: { payment_id: true },
+  });
+  if (payments.length === 0) {
+    return { outcome: 'nothing_to_expire', session_id: session.id };
+  }
+
+  const paymentIds = payments.map((p) => p.payment_id);
+  await tx.payment.updateMany({
+    where: { payment_id: { in: paymentIds } },
+    data: {
+      payment_status: 'CANCELLED',
+      notes: 'Cancelled: Stripe checkout session expired',
+    },
+  });
+  // Only the holds this checkout placed; a newer checkout keeps its own
+  const { count } = await tx.slotHold.updateMany({
+    where: { payment_id: { in: paymentIds }, status: 'ACTIVE' },
+    data: { status: 'EXPIRED', released_at: new Date() },
+  });
+  return {
+    outcome: 'expired',
+    cancelled_payments: paymentIds,
+    released_holds: count,
+  };
+};
+
+// The customer can retry inside the same Checkout page, so a failure only
+// marks the payment FAILED; a later checkout.session.completed still wins
+const handlePaymentFailed = async (tx, paymentIntent, sessionId) => {
+  const payment = await findCheckoutPayment(tx, {
+    OR: [
+      { transaction_id: paymentIntent.id },
+      ...(sessionId ? [{ provider_reference: sessionId }] : []),
+    ],
+  });
+  if (!payment) {
+    return { outcome: 'payment_not_found', payment_intent: paymentIntent.id };
+  }
+  if (payment.payment_status !== 'PENDING') {
+    return { outcome: 'ignored', payment_id: payment.payment_id };
+  }
+
+  const reason = paymentIntent.last_payment_error?.message;
+  await tx.payment.update({
+    where: { payment_id: payment.payment_id },
+    data: {
+      payment_status: 'FAILED',
+      transaction_id: paymentIntent.id,
+      notes: `Stripe payment failed${reason ? `: ${reason}` : ''}`,
+    },
+  });
+  return { outcome: 'failed', payment_id: payment.payment_id };
+};
+
+// Refunds we issue ourselves are already recorded; anything Stripe reports
+// beyond that (e.g. refunded from the dashboard) gets its own REFUNDED row,
+// counts towards the payment's amount_refunded, and the invoice's amount_paid
+// goes down by the same share of the payment's base_amount
+const handleChargeRefunded = async (tx, charge) => {
+  const payment = await findCheckoutPayment(tx, {
+    transaction_id: charge.payment_intent,
+  });
+  if (!payment) {
+    return { outcome: 'payment_not_found', charge_id: charge.id };
+  }
+
+  const recorded = await tx.payment.aggregate({
+    where: {
+      original_payment_id: payment.payment_id,
+      // A refund we are still issuing is counted so it is not recorded twice
+      payment_status: { in: ['REFUNDED', 'PENDING'] },
+    },
+    _sum: { amount: true },
+  });
+  const refundedInStripe = fromMinorUnit(
+    charge.amount_refunded,
+    charge.currency
+  );
+  const missing = roundAmount(
+    refundedInStripe - Number(recorded._sum.amount || 0)
+  );
+  if (missing <= 0) {
+    return { outcome: 'already_recorded', payment_id: payment.payment_id };
+  }
+
+  // Share of the payment in the invoice's currency
+  const baseAmount =
+    Number(payment.amount) > 0
+      ? roundAmount(
+          (Number(payment.base_amount ?? payment.amount) * missing) /
+            Number(payment.amount)
+        )
+      : 0;
+
+  const refund = await tx.payment.create({
+    data: {
+      amount: missing,
+      currency: payment.currency,
+      base_amount: baseAmount,
+      exchange_rate: payment.exchange_rate,
+      exchange_rate_id: payment.exchange_rate_id,
+      payment_method: 'STRIPE',
+      payment_status: 'REFUNDED',
+      transaction_id: charge.refunds?.data?.[0]?.id || charge.id,
+      provider: PROVIDER,
+      provider_reference: payment.provider_reference,
+      payment_date: new Date(),
+      notes: `Refund issued in Stripe for payment #${payment.payment_id}`,
+      refund_reason: 'Refunded in Stripe',
+      account_id: payment.account_id,
+      invoice_id: payment.invoice_id,
+      event_id: payment.event_id,
+      original_payment_id: payment.payment_id,
+    },
+  });
+
+  await tx.payment.update({
+    where: { payment_id: payment.payment_id },
+    data: { amount_refunded: { increment: missing } },
+  });
+  const invoice =
+    payment.invoice_id && baseAmount > 0
+      ? await recordInvoiceRefund(tx, payment.invoice_id, baseAmount)
+      : null;
+
+  return {
+    outcome: 'refund_recorded',
+    payment_id: payment.payment_id,
+    refund_payment_id: refund.payment_id,
+    amount: missing,
+    invoice,
+  };
+};
+
+const HANDLERS = {
+  'checkout.session.completed': handleSessionCompleted,
+  'checkout.session.expired': handleSessionExpired,
+  'payment_intent.payment_failed': handlePaymentFailed,
+  'charge.refunded': handleChargeRefunded,
+};
+
+export const HANDLED_WEBHOOK_EVENTS = Object.keys(HANDLERS);
+
+// payment_intent events do not name the Checkout session; ask Stripe
+const findSessionForPaymentIntent = async (paymentIntentId) => {
+  try {
+    const sessions = await getStripeClient().checkout.sessions.list({
+      payment_intent: paymentIntentId,
+      limit: 1,
+    });
+    return sessions.data[0]?.id || null;
+  } catch (error) {
+    console.warn('Could not look up Checkout session for', paymentIntentId);
+    return null;
+  }
+};
+
+// ===== Handle Stripe Webhook =====
+// Verifies the signature against the raw body, then applies the event once:
+// its id is stored in stripe_webhook_events in the same transaction, so a
+// redelivery (or two deliveries racing) is acknowledged without effect.
+// Unhandled event types are acknowledged and not stored.
+export const handleStripeWebhook = async (rawBody, signature) => {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    return createValidationResult(
+      false,
+      ['Stripe webhook secret is not configured'],
+      { code: WEBHOOK_ERRORS.NOT_CONFIGURED }
+    );
+  }
+
+  let event;
+  try {
+    event = getPaymentProvider(PROVIDER).verifyWebhook(rawBody, {
+      'stripe-signature': signature,
+    });
+  } catch (error) {
+    return createValidationResult(
+      false,
+      [`Invalid Stripe signature: ${error.message}`],
+      { code: WEBHOOK_ERRORS.INVALID_SIGNATURE }
+    );
+  }
+
+  const summary = { event_id: event.id, type: event.type };
+  const handler = HANDLERS[event.type];
+  if (!handler) {
+    return createValidationResult(true, [], { ...summary, ignored: true });
+  }
+
+  try {
+    const seen = await prisma.stripeWebhookEvent.findUnique({
+      where: { event_id: event.id },
+      select: { event_id: true },
+    });
+    if (seen) {
+      return createValidationResult(true, [], { ...summary, duplicate: true });
+    }
+
+    const object = event.data.object;
+    const sessionId =
+      event.type === 'payment_intent.payment_failed'
+        ? await findSessionForPaymentIntent(object.id)
+        : null;
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Claim the event first: a concurrent delivery blocks here and then
+      // fails on the primary key
+      await tx.stripeWebhookEvent.create({
+        data: {
+          event_id: event.id,
+          type: event.type,
+          livemode: Boolean(event.livemode),
+          stripe_created_at: event.created
+            ? new Date(event.created * 1000)
+            : null,
+        },
+      });
+      const outcome = await handler(tx, object, sessionId);
+      await tx.stripeWebhookEvent.update({
+        where: { event_id: event.id },
+        data: { result: outcome },
+      });
+      return outcome;
+    });
+
+    return createValidationResult(true, [], { ...summary, result });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return createValidationResult(true, [], { ...summary, duplicate: true });
+    }
+    console.error(`Error processing Stripe webhook ${event.id}:`, error);
+    return createValidationResult(false, [error.message], {
+      ...summary,
+      code: WEBHOOK_ERRORS.PROCESSING_FAILED,
+    });
+  }
+};
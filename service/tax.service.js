@@ -0,0 +1,310 @@
+import { prisma } from '../prisma/prisma.js';
+import {
+  validateNumber,
+  validateString,
+  validateDate,
+  validateEnum,
+  validateBoolean,
+  parseAndValidateId,
+  createValidationResult,
+} from '../utils/validation.js';
+import { roundAmount, toPricingDate } from './pricing.service.js';
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+export const TAX_MODES = ['INCLUSIVE', 'EXCLUSIVE'];
+export const TAX_ITEM_TYPES = ['ROOM', 'SERVICE'];
+
+const parseBoolean = (value) =>
+  value === undefined ? undefined : value === true || value === 'true';
+
+// partial=true validates only the fields present (updates)
+const validateTaxRateData = (data, partial = false) => {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    errors.push(
+      ...validateString(data.name, 'Name', {
+        required: true,
+        maxLength: 100,
+        sanitize: true,
+      }).errors
+    );
+  }
+  if (!partial || data.rate !== undefined) {
+    errors.push(
+      ...validateNumber(data.rate, 'Rate', { required: true, min: 0, max: 100 })
+        .errors
+    );
+  }
+  if (data.item_type !== undefined && data.item_type !== null) {
+    errors.push(
+      ...validateEnum(data.item_type, 'Item type', TAX_ITEM_TYPES).errors
+    );
+  }
+  if (data.mode !== undefined) {
+    errors.push(...validateEnum(data.mode, 'Mode', TAX_MODES).errors);
+  }
+  if (!partial || data.valid_from !== undefined) {
+    errors.push(
+      ...validateDate(data.valid_from, 'Valid from', { required: true }).errors
+    );
+  }
+  if (data.valid_to) {
+    errors.push(...validateDate(data.valid_to, 'Valid to').errors);
+  }
+  if (data.is_active !== undefined) {
+    errors.push(...validateBoolean(data.is_active, 'Active status').errors);
+  }
+
+  return errors;
+};
+
+const toTaxRateFields = (data) => {
+  const fields = {};
+  if (data.name !== undefined) fields.name = data.name.trim();
+  if (data.rate !== undefined) fields.rate = Number(data.rate);
+  if (data.item_type !== undefined) fields.item_type = data.item_type || null;
+  if (data.mode !== undefined) fields.mode = data.mode;
+  if (data.valid_from !== undefined) {
+    fields.valid_from = toPricingDate(data.valid_from);
+  }
+  if (data.valid_to !== undefined) {
+    fields.valid_to = data.valid_to ? toPricingDate(data.valid_to) : null;
+  }
+  if (data.is_active !== undefined) {
+    fields.is_active = parseBoolean(data.is_active);
+  }
+  return fields;
+};
+
+const validateValidityRange = ({ valid_from, valid_to }) =>
+  valid_from && valid_to && valid_from > valid_to
+    ? ['Valid from must be on or before valid to']
+    : [];
+
+// ===== Create Tax Rate =====
+export const createTaxRate = async (data) => {
+  try {
+    const errors = validateTaxRateData(data);
+    if (errors.length > 0) return createValidationResult(false, errors);
+
+    const fields = toTaxRateFields(data);
+    const rangeErrors = validateValidityRange(fields);
+    if (rangeErrors.length > 0) {
+      return createValidationResult(false, rangeErrors);
+    }
+
+    const taxRate = await prisma.taxRate.create({ data: fields });
+    return createValidationResult(true, [], taxRate);
+  } catch (error) {
+    return handleError('createTaxRate', error);
+  }
+};
+
+// ===== Get Tax Rates =====
+// Filters: item_type, mode, is_active, date (rates in effect on that day)
+export const getTaxRates = async (filters = {}) => {
+  try {
+    const where = {};
+    if (filters.item_type) where.item_type = filters.item_type;
+    if (filters.mode) where.mode = filters.mode;
+    const isActive = parseBoolean(filters.is_active);
+    if (isActive !== undefined) where.is_active = isActive;
+    if (filters.date) {
+      const dateValidation = validateDate(filters.date, 'Date');
+      if (!dateValidation.isValid) {
+        return createValidationResult(false, dateValidation.errors);
+      }
+      const day = toPricingDate(filters.date);
+      where.valid_from = { lte: day };
+      where.OR = [{ valid_to: null }, { valid_to: { gte: day } }];
+    }
+
+    const taxRates = await prisma.taxRate.findMany({
+      where,
+      orderBy: [{ valid_from: 'desc' }, { tax_rate_id: 'desc' }],
+    });
+    return createValidationResult(true, [], taxRates);
+  } catch (error) {
+    return handleError('getTaxRates', error);
+  }
+};
+
+// ===== Get Tax Rate by ID =====
+export const getTaxRateById = async (taxRateId) => {
+  try {
+    const validId = parseAndValidateId(taxRateId, 'Tax rate ID');
+    if (!validId) return createValidationResult(false, ['Invalid tax rate ID']);
+
+    const taxRate = await prisma.taxRate.findUnique({
+      where: { tax_rate_id: validId },
+    });
+    if (!taxRate) return createValidationResult(false, ['Tax rate not found']);
+    return createValidationResult(true, [], taxRate);
+  } catch (error) {
+    return handleError('getTaxRateById', error);
+  }
+};
+
+// ===== Update Tax Rate =====
+// Invoices keep a copy of the rate they were taxed at, so edits only affect
+// invoices priced from now on
+export const updateTaxRate = async (taxRateId, data) => {
+  try {
+    const existing = await getTaxRateById(taxRateId);
+    if (!existing.isValid) return existing;
+
+    const errors = validateTaxRateData(data, true);
+    if (errors.length > 0) return createValidationResult(false, errors);
+
+    const fields = toTaxRateFields(data);
+    const rangeErrors = validateValidityRange({
+      valid_from: fields.valid_from ?? existing.data.valid_from,
+      valid_to:
+        fields.valid_to !== undefined
+          ? fields.valid_to
+          : existing.data.valid_to,
+    });
+    if (rangeErrors.length > 0) {
+      return createValidationResult(false, rangeErrors);
+    }
+
+    const taxRate = await prisma.taxRate.update({
+      where: { tax_rate_id: existing.data.tax_rate_id },
+      data: fields,
+    });
+    return createValidationResult(true, [], taxRate);
+  } catch (error) {
+    return handleError('updateTaxRate', error);
+  }
+};
+
+// ===== Delete Tax Rate =====
+// Rates already used on invoices are deactivated instead of deleted
+export const deleteTaxRate = async (taxRateId) => {
+  try {
+    const existing = await getTaxRateById(taxRateId);
+    if (!existing.isValid) return existing;
+
+    const where = { tax_rate_id: existing.data.tax_rate_id };
+    const usage = await prisma.invoiceTax.count({ where });
+    if (usage > 0) {
+      const taxRate = await prisma.taxRate.update({
+        where,
+        data: { is_active: false },
+      });
+      return createValidationResult(true, [], {
+        ...taxRate,
+        deactivated: true,
+      });
+    }
+
+    await prisma.taxRate.delete({ where });
+    return createValidationResult(true, [], {
+      tax_rate_id: existing.data.tax_rate_id,
+      deleted: true,
+    });
+  } catch (error) {
+    return handleError('deleteTaxRate', error);
+  }
+};
+
+// ===== Applicable Rates =====
+// Active rates in effect on the given day (the event date, like pricing tiers)
+export const findApplicableTaxRates = async (date, tx = prisma) => {
+  const day = toPricingDate(date || new Date());
+  return tx.taxRate.findMany({
+    where: {
+      is_active: true,
+      valid_from: { lte: day },
+      OR: [{ valid_to: null }, { valid_to: { gte: day } }],
+    },
+    orderBy: { tax_rate_id: 'asc' },
+  });
+};
+
+// ===== Calculate Taxes =====
+// Taxes for a set of priced lines ({ item_type, subtotal }). An invoice
+// discount is spread over the lines in proportion to their subtotal before
+// tax. Inclusive rates are backed out of the line price; exclusive rates are
+// added on top. Returns one entry per rate plus the invoice totals:
+// total_amount = subtotal - discount + exclusive tax.
+export const calculateTaxes = async (
+  lines,
+  { date, discount_amount = 0 } = {},
+  tx = prisma
+) => {
+  const rates = await findApplicableTaxRates(date, tx);
+  const subtotal = roundAmount(
+    lines.reduce((sum, line) => sum + Number(line.subtotal), 0)
+  );
+  const discount = Math.min(roundAmount(discount_amount), subtotal);
+
+  const byRate = new Map();
+  for (const line of lines) {
+    const lineRates = rates.filter(
+      (r) => !r.item_type || r.item_type === line.item_type
+    );
+    if (lineRates.length === 0) continue;
+
+    const share =
+      subtotal > 0 ? (Number(line.subtotal) / subtotal) * discount : 0;
+    const gross = Number(line.subtotal) - share;
+    const inclusivePercent = lineRates
+      .filter((r) => r.mode === 'INCLUSIVE')
+      .reduce((sum, r) => sum + Number(r.rate), 0);
+    const net = gross / (1 + inclusivePercent / 100);
+
+    for (const rate of lineRates) {
+      const entry = byRate.get(rate.tax_rate_id) || {
+        tax_rate_id: rate.tax_rate_id,
+        name: rate.name,
+        rate: Number(rate.rate),
+        mode: rate.mode,
+        taxable_amount: 0,
+        tax_amount: 0,
+      };
+      entry.taxable_amount += net;
+      entry.tax_amount += (net * Number(rate.rate)) / 100;
+      byRate.set(rate.tax_rate_id, entry);
+    }
+  }
+
+  const taxes = [...byRate.values()].map((entry) => ({
+    ...entry,
+    taxable_amount: roundAmount(entry.taxable_amount),
+    tax_amount: roundAmount(entry.tax_amount),
+  }));
+  const sumTaxes = (mode) =>
+    roundAmount(
+      taxes
+        .filter((t) => t.mode === mode)
+        .reduce((sum, t) => sum + t.tax_amount, 0)
+    );
+  const inclusiveTax = sumTaxes('INCLUSIVE');
+  const exclusiveTax = sumTaxes('EXCLUSIVE');
+
+  return {
+    subtotal,
+    discount_amount: discount,
+    taxes,
+    inclusive_tax: inclusiveTax,
+    exclusive_tax: exclusiveTax,
+    tax_amount: roundAmount(inclusiveTax + exclusiveTax),
+    total_amount: roundAmount(subtotal - discount + exclusiveTax),
+  };
+};
+
+// Replace an invoice's tax lines with the output of calculateTaxes
+export const saveInvoiceTaxes = async (tx, invoiceId, taxes) => {
+  await tx.invoiceTax.deleteMany({ where: { invoice_id: Number(invoiceId) } });
+  if (taxes.length === 0) return;
+  await tx.invoiceTax.createMany({
+    data: taxes.map((tax) => ({ ...tax, invoice_id: Number(invoiceId) })),
+  });
+};
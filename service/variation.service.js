@@ -9,6 +9,7 @@ import {
   createValidationResult
 } from "../utils/validation.js";
 import { uploadImage, deleteImageFromCloud, getTransformedImageUrl } from "../utils/cloudinary.js";
+import { BASE_CURRENCY, normalizeCurrency, validateCurrency } from "../utils/currency.js";
 
 const prisma = new PrismaClient();
 
@@ -33,6 +34,11 @@ const validateVariationData = (variationData) => {
 
   errors.push(...nameValidation.errors, ...priceValidation.errors);
 
+  // base_price is in this currency
+  if (variationData.currency !== undefined) {
+    errors.push(...validateCurrency(variationData.currency));
+  }
+
   if (variationData.duration_hours) {
     const durationValidation = validateNumber(variationData.duration_hours, "Duration hours", {
       min: VALIDATION_CONFIG.DURATION.MIN,
@@ -68,6 +74,7 @@ export const createServiceVariation = async (variationData, imageFile = null) =>
       service_id,
       variation_name,
       base_price,
+      currency,
       duration_hours,
       is_active = true
     } = variationData;
@@ -135,6 +142,7 @@ export const createServiceVariation = async (variationData, imageFile = null) =>
           service_id: Number(service_id),
           variation_name: variation_name.trim(),
           base_price: Number(base_price),
+          currency: normalizeCurrency(currency) || BASE_CURRENCY,
           duration_hours: duration_hours ? Number(duration_hours) : null,
           is_active: Boolean(is_active),
           image_public_id: cloudinaryPublicId,
@@ -406,6 +414,7 @@ export const updateServiceVariation = async (variationId, updateData, imageFile
     const {
       variation_name,
       base_price,
+      currency,
       duration_hours,
       is_active
     } = updateData;
@@ -459,6 +468,7 @@ export const updateServiceVariation = async (variationId, updateData, imageFile
     const updateFields = {};
     if (variation_name !== undefined) updateFields.variation_name = variation_name.trim();
     if (base_price !== undefined) updateFields.base_price = Number(base_price);
+    if (currency !== undefined) updateFields.currency = normalizeCurrency(currency);
     if (duration_hours !== undefined) updateFields.duration_hours = duration_hours ? Number(duration_hours) : null;
     if (is_active !== undefined) updateFields.is_active = Boolean(is_active);
     if (cloudinaryPublicId !== undefined) updateFields.image_public_id = cloudinaryPublicId;
@@ -0,0 +1,249 @@
+import { describe, it, before, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// completeCheckoutPayment with the invoice, event status, hold and
+// notification services stubbed; `tx` records what would be written
+
+const TRANSITION_ERRORS = {
+  INVALID_STATUS: 'INVALID_STATUS',
+  INVALID_TRANSITION: 'INVALID_TRANSITION',
+  FORBIDDEN_TRANSITION: 'FORBIDDEN_TRANSITION',
+  NOT_OWNER: 'NOT_OWNER',
+  EVENT_NOT_FOUND: 'EVENT_NOT_FOUND',
+  SLOT_UNAVAILABLE: 'SLOT_UNAVAILABLE',
+};
+
+const transitionEventStatus = mock.fn();
+const releaseEventHolds = mock.fn(async () => ({ count: 1 }));
+const recordInvoicePayment = mock.fn();
+const createNotification = mock.fn(async (data) => ({
+  isValid: true,
+  errors: [],
+  data,
+}));
+
+// Modules that open their own client must not reach a database
+class PrismaClient {}
+mock.module('@prisma/client', {
+  namedExports: {
+    PrismaClient,
+    Prisma: {
+      PrismaClientKnownRequestError: class extends Error {},
+      TransactionIsolationLevel: { Serializable: 'Serializable' },
+    },
+  },
+});
+mock.module(
+  new URL('../service/eventStatus.service.js', import.meta.url).href,
+  {
+    namedExports: {
+      TRANSITION_ERRORS,
+      EVENT_STATUS_TRANSITIONS: {
+        PENDING: { CONFIRMED: ['ADMIN', 'STAFF'], CANCELLED: true },
+        CONFIRMED: { IN_PROGRESS: true, CANCELLED: true },
+        RESCHEDULED: { CONFIRMED: ['ADMIN', 'STAFF'], CANCELLED: true },
+        CANCELLED: {},
+      },
+      transitionEventStatus,
+    },
+  }
+);
+mock.module(new URL('../service/slotHold.service.js', import.meta.url).href, {
+  namedExports: {
+    activeHoldFilter: () => ({}),
+    releaseEventHolds,
+    releaseUnheldBooking: mock.fn(),
+  },
+});
+mock.module(
+  new URL('../service/paymentPlan.service.js', import.meta.url).href,
+  { namedExports: { recordInvoicePayment, refreshInvoiceBalance: mock.fn() } }
+);
+mock.module(new URL('../utils/notification.js', import.meta.url).href, {
+  namedExports: { createNotification },
+});
+
+let completeCheckoutPayment;
+
+before(async () => {
+  ({ completeCheckoutPayment } = await import('../service/payment.service.js'));
+});
+
+const CHECKOUT = { provider: 'FAKE', reference: 'fake_cs_1' };
+const PAID = { transactionId: 'fake_tx_1', amount: 250 };
+
+const checkoutPayment = (overrides = {}) => ({
+  payment_id: 1,
+  invoice_id: 5,
+  installment_id: null,
+  payment_status: 'PENDING',
+  amount: 250,
+  currency: 'USD',
+  account_id: 3,
+  event_id: 9,
+  event: { status: 'PENDING', event_name: 'Launch party' },
+  ...overrides,
+});
+
+const createTx = (payment) => {
+  const updates = [];
+  return {
+    updates,
+    payment: {
+      findFirst: async () => payment,
+      update: async ({ where, data }) => {
+        updates.push({ where, data });
+        return { ...payment, ...data };
+      },
+    },
+  };
+};
+
+const ok = (data) => ({ isValid: true, errors: [], data });
+
+describe('completeCheckoutPayment', () => {
+  beforeEach(() => {
+    for (const fn of [
+      transitionEventStatus,
+      releaseEventHolds,
+      recordInvoicePayment,
+      createNotification,
+    ]) {
+      fn.mock.resetCalls();
+    }
+    recordInvoicePayment.mock.mockImplementation(async () =>
+      ok({ invoice: { invoice_id: 5, status: 'PAID' } })
+    );
+    transitionEventStatus.mock.mockImplementation(async () =>
+      ok({ event: { event_id: 9, status: 'CONFIRMED' } })
+    );
+  });
+
+  it('completes the payment, records it and confirms the event', async () => {
+    const tx = createTx(checkoutPayment());
+
+    const result = await completeCheckoutPayment(tx, CHECKOUT, PAID);
+
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.data, {
+      payment_id: 1,
+      invoice: { invoice_id: 5, status: 'PAID' },
+      already_completed: false,
+      unbooked: null,
+    });
+    assert.deepEqual(tx.updates[0].data, {
+      payment_status: 'COMPLETED',
+      transaction_id: 'fake_tx_1',
+      amount: 250,
+    });
+    assert.equal(recordInvoicePayment.mock.calls[0].arguments[1], 5);
+    assert.deepEqual(
+      transitionEventStatus.mock.calls[0].arguments.slice(0, 2),
+      [9, 'CONFIRMED']
+    );
+    assert.deepEqual(releaseEventHolds.mock.calls[0].arguments.slice(1), [
+      9,
+      'CONVERTED',
+    ]);
+    assert.equal(createNotification.mock.callCount(), 1);
+  });
+
+  it('leaves an already completed payment alone', async () => {
+    const tx = createTx(checkoutPayment({ payment_status: 'COMPLETED' }));
+
+    const result = await completeCheckoutPayment(tx, CHECKOUT, PAID);
+
+    assert.equal(result.data.already_completed, true);
+    assert.equal(tx.updates.length, 0);
+    assert.equal(recordInvoicePayment.mock.callCount(), 0);
+  });
+
+  it('reports a checkout it has no payment for', async () => {
+    const result = await completeCheckoutPayment(
+      createTx(null),
+      CHECKOUT,
+      PAID
+    );
+
+    assert.equal(result.isValid, false);
+    assert.match(result.errors[0], /not found/);
+  });
+
+  it('throws when the invoice cannot record the payment', async () => {
+    recordInvoicePayment.mock.mockImplementation(async () => ({
+      isValid: false,
+      errors: ['Installment not found or already paid'],
+      data: null,
+    }));
+
+    await assert.rejects(
+      completeCheckoutPayment(createTx(checkoutPayment()), CHECKOUT, PAID),
+      /Failed to update invoice status, Installment not found/
+    );
+    assert.equal(transitionEventStatus.mock.callCount(), 0);
+  });
+
+  it('throws when the event cannot be confirmed for another reason', async () => {
+    transitionEventStatus.mock.mockImplementation(async () => ({
+      isValid: false,
+      errors: ['Event status was changed by another request, please retry'],
+      data: { code: TRANSITION_ERRORS.INVALID_TRANSITION },
+    }));
+
+    await assert.rejects(
+      completeCheckoutPayment(createTx(checkoutPayment()), CHECKOUT, PAID),
+      /Failed to confirm event/
+    );
+  });
+
+  it('keeps the money and flags the payment when the slot is gone', async () => {
+    transitionEventStatus.mock.mockImplementation(async () => ({
+      isValid: false,
+      errors: ['Room is already booked for this time slot'],
+      data: { code: TRANSITION_ERRORS.SLOT_UNAVAILABLE },
+    }));
+    const tx = createTx(checkoutPayment());
+
+    const result = await completeCheckoutPayment(tx, CHECKOUT, PAID);
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.data.unbooked, 'SLOT_UNAVAILABLE');
+    assert.equal(tx.updates[0].data.payment_status, 'COMPLETED');
+    assert.match(
+      tx.updates[1].data.notes,
+      /^Needs review: paid after the time slot/
+    );
+    assert.equal(releaseEventHolds.mock.callCount(), 0);
+    assert.deepEqual(
+      createNotification.mock.calls.map((c) => c.arguments[0].account_id),
+      [3, null]
+    );
+  });
+
+  it('completes a payment swept as abandoned and confirms its event', async () => {
+    const tx = createTx(checkoutPayment({ payment_status: 'CANCELLED' }));
+
+    const result = await completeCheckoutPayment(tx, CHECKOUT, PAID);
+
+    assert.equal(result.data.unbooked, null);
+    assert.equal(tx.updates[0].data.payment_status, 'COMPLETED');
+    assert.equal(transitionEventStatus.mock.callCount(), 1);
+  });
+
+  it('does not reopen the invoice of a cancelled event', async () => {
+    const tx = createTx(
+      checkoutPayment({
+        payment_status: 'CANCELLED',
+        event: { status: 'CANCELLED', event_name: 'Launch party' },
+      })
+    );
+
+    const result = await completeCheckoutPayment(tx, CHECKOUT, PAID);
+
+    assert.equal(result.data.unbooked, 'EVENT_CANCELLED');
+    assert.equal(result.data.invoice, null);
+    assert.equal(recordInvoicePayment.mock.callCount(), 0);
+    assert.equal(transitionEventStatus.mock.callCount(), 0);
+    assert.match(tx.updates[1].data.notes, /the event was cancelled/);
+  });
+});
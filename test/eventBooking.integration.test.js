@@ -0,0 +1,111 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Parallel bookings of one room and slot against a real database: the
+// serializable transaction in createEvent must let exactly one through.
+// Needs TEST_DATABASE_URL pointing at a migrated, disposable database (the CI
+// workflow starts one); without it the suite is skipped.
+
+const { TEST_DATABASE_URL } = process.env;
+if (TEST_DATABASE_URL) process.env.DATABASE_URL = TEST_DATABASE_URL;
+
+const PARALLEL_BOOKINGS = 5;
+
+describe(
+  'concurrent event bookings',
+  { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set' },
+  () => {
+    let prisma;
+    let createEvent;
+    let room;
+
+    before(async () => {
+      ({ prisma } = await import('../prisma/prisma.js'));
+      ({ createEvent } = await import('../service/event.service.js'));
+      const { BASE_CURRENCY } = await import('../utils/currency.js');
+      // Priced in the base currency, so no exchange rate is needed
+      room = await prisma.room.create({
+        data: {
+          room_name: `Concurrency test room ${Date.now()}`,
+          base_price: 100,
+          hourly_rate: 20,
+          currency: BASE_CURRENCY,
+        },
+      });
+    });
+
+    // Everything a booking writes, children before their parents
+    after(async () => {
+      if (!prisma) return;
+      try {
+        if (room) {
+          const events = await prisma.event.findMany({
+            where: { room_id: room.room_id },
+            select: { event_id: true },
+          });
+          const eventIds = events.map((e) => e.event_id);
+          const invoices = await prisma.invoice.findMany({
+            where: { event_id: { in: eventIds } },
+            select: { invoice_id: true },
+          });
+          const invoiceIds = invoices.map((i) => i.invoice_id);
+          await prisma.$transaction([
+            prisma.slotHold.deleteMany({ where: { room_id: room.room_id } }),
+            prisma.slotHold.deleteMany({
+              where: { event_id: { in: eventIds } },
+            }),
+            prisma.eventStatusHistory.deleteMany({
+              where: { event_id: { in: eventIds } },
+            }),
+            prisma.invoiceTax.deleteMany({
+              where: { invoice_id: { in: invoiceIds } },
+            }),
+            prisma.invoiceDetail.deleteMany({
+              where: { invoice_id: { in: invoiceIds } },
+            }),
+            prisma.invoice.deleteMany({
+              where: { invoice_id: { in: invoiceIds } },
+            }),
+            prisma.event.deleteMany({ where: { event_id: { in: eventIds } } }),
+            prisma.room.delete({ where: { room_id: room.room_id } }),
+          ]);
+        }
+      } finally {
+        await prisma.$disconnect();
+      }
+    });
+
+    it('books the slot for only one of the requests', async () => {
+      const start = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+      start.setUTCHours(10, 0, 0, 0);
+      const end = new Date(start.getTime() + 2 * 60 * 60 * 1000);
+
+      const results = await Promise.all(
+        Array.from({ length: PARALLEL_BOOKINGS }, (_, i) =>
+          createEvent({
+            event_name: `Concurrent booking ${i + 1}`,
+            room_id: room.room_id,
+            start_time: start.toISOString(),
+            end_time: end.toISOString(),
+          })
+        )
+      );
+
+      const booked = results.filter((r) => r.isValid);
+      assert.equal(
+        booked.length,
+        1,
+        JSON.stringify(results.map((r) => r.errors))
+      );
+      for (const rejected of results.filter((r) => !r.isValid)) {
+        assert.equal(rejected.data?.code, 'SLOT_UNAVAILABLE');
+      }
+
+      const events = await prisma.event.findMany({
+        where: { room_id: room.room_id },
+      });
+      assert.equal(events.length, 1);
+      assert.equal(events[0].event_id, booked[0].data.event_id);
+    });
+  }
+);
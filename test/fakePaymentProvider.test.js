@@ -0,0 +1,155 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  fakePaymentProvider,
+  settleFakeCheckout,
+  resetFakePaymentProvider,
+  getFakeRefunds,
+} from '../utils/fakePaymentProvider.js';
+import {
+  getPaymentProvider,
+  resolveCheckoutProvider,
+} from '../service/paymentProvider.service.js';
+
+const checkout = (overrides = {}) =>
+  fakePaymentProvider.createCheckout({
+    lines: [
+      { name: 'Room', unit_amount: 100, quantity: 2 },
+      { name: 'Catering', unit_amount: 50.5, quantity: 1 },
+    ],
+    currency: 'USD',
+    metadata: { payment_id: '1' },
+    ...overrides,
+  });
+
+describe('fakePaymentProvider', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    resetFakePaymentProvider();
+    delete process.env.FAKE_PAYMENT_OUTCOME;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('charges the lines less the discount and pays by default', async () => {
+    const session = await checkout({ discount: { amount: 20.5 } });
+
+    assert.match(session.reference, /^fake_cs_/);
+    assert.ok(session.url.endsWith(`?reference=${session.reference}`));
+
+    const status = await fakePaymentProvider.getCheckoutStatus(
+      session.reference
+    );
+    assert.equal(status.status, 'PAID');
+    assert.equal(status.amount, 230);
+    assert.equal(status.currency, 'USD');
+    assert.match(status.transaction_id, /^fake_tx_/);
+  });
+
+  it('starts checkouts in FAKE_PAYMENT_OUTCOME', async () => {
+    process.env.FAKE_PAYMENT_OUTCOME = 'pending';
+    const session = await checkout();
+
+    const status = await fakePaymentProvider.getCheckoutStatus(
+      session.reference
+    );
+    assert.equal(status.status, 'PENDING');
+    assert.equal(status.transaction_id, null);
+  });
+
+  it('reports the status a checkout was settled to', async () => {
+    const session = await checkout();
+    settleFakeCheckout(session.reference, 'FAILED');
+
+    const status = await fakePaymentProvider.getCheckoutStatus(
+      session.reference
+    );
+    assert.equal(status.status, 'FAILED');
+    assert.throws(
+      () => settleFakeCheckout(session.reference, 'REFUNDED'),
+      /Status must be one of/
+    );
+  });
+
+  it('expires a pending checkout when it is cancelled', async () => {
+    process.env.FAKE_PAYMENT_OUTCOME = 'PENDING';
+    const pending = await checkout();
+    const paid = await checkout();
+    settleFakeCheckout(paid.reference, 'PAID');
+
+    await fakePaymentProvider.cancelCheckout(pending.reference);
+    await fakePaymentProvider.cancelCheckout(paid.reference);
+
+    const [pendingStatus, paidStatus] = await Promise.all([
+      fakePaymentProvider.getCheckoutStatus(pending.reference),
+      fakePaymentProvider.getCheckoutStatus(paid.reference),
+    ]);
+    assert.equal(pendingStatus.status, 'EXPIRED');
+    assert.equal(paidStatus.status, 'PAID');
+  });
+
+  it('refunds paid checkouts only and records each refund', async () => {
+    const paid = await checkout();
+    const refund = await fakePaymentProvider.refund({
+      reference: paid.reference,
+      amount: 50,
+      currency: 'USD',
+      metadata: { reason: 'test' },
+    });
+
+    assert.match(refund.id, /^fake_re_/);
+    assert.deepEqual(getFakeRefunds(), [
+      {
+        id: refund.id,
+        reference: paid.reference,
+        amount: 50,
+        currency: 'USD',
+        metadata: { reason: 'test' },
+      },
+    ]);
+
+    settleFakeCheckout(paid.reference, 'EXPIRED');
+    await assert.rejects(
+      fakePaymentProvider.refund({
+        reference: paid.reference,
+        amount: 10,
+        currency: 'USD',
+      }),
+      /was not paid/
+    );
+    assert.equal(getFakeRefunds().length, 1);
+  });
+
+  it('rejects references it does not know', async () => {
+    await assert.rejects(
+      fakePaymentProvider.getCheckoutStatus('fake_cs_missing'),
+      /not found/
+    );
+  });
+});
+
+describe('payment provider registry', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('looks providers up by name whatever the case', () => {
+    assert.equal(getPaymentProvider('fake'), fakePaymentProvider);
+    assert.throws(() => getPaymentProvider('PAYPAL'), /Unknown payment/);
+  });
+
+  it('only resolves enabled providers for a checkout', () => {
+    delete process.env.PAYMENT_PROVIDER;
+    process.env.PAYMENT_PROVIDERS = 'STRIPE';
+    assert.equal(resolveCheckoutProvider('FAKE').isValid, false);
+    assert.equal(resolveCheckoutProvider().data.name, 'STRIPE');
+
+    process.env.PAYMENT_PROVIDERS = 'STRIPE,FAKE';
+    assert.equal(resolveCheckoutProvider('fake').data, fakePaymentProvider);
+  });
+});
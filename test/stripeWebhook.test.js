@@ -0,0 +1,358 @@
+import { describe, it, before, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+// Signed fixture events go through handleStripeWebhook against an in-memory
+// database; checkout completion is stubbed (see checkoutCompletion.test.js)
+
+const SECRET = 'whsec_test_secret';
+process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+
+const fixture = (name) =>
+  readFileSync(
+    new URL(`./fixtures/stripe/${name}.json`, import.meta.url),
+    'utf8'
+  );
+
+// ----- In-memory database -----
+let state;
+const resetState = () => {
+  state = { webhookEvents: [], payments: [], slotHolds: [], nextId: 100 };
+};
+
+const matches = (record, where = {}) =>
+  Object.entries(where).every(([key, condition]) => {
+    if (key === 'OR') return condition.some((w) => matches(record, w));
+    if (
+      condition &&
+      typeof condition === 'object' &&
+      !Array.isArray(condition)
+    ) {
+      if ('in' in condition) return condition.in.includes(record[key]);
+      if ('not' in condition) return record[key] !== condition.not;
+    }
+    return record[key] === condition;
+  });
+
+const applyData = (record, data) => {
+  for (const [key, value] of Object.entries(data)) {
+    record[key] =
+      value && typeof value === 'object' && 'increment' in value
+        ? Number(record[key] || 0) + value.increment
+        : value;
+  }
+  return record;
+};
+
+const uniqueViolation = () =>
+  Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+
+const db = {
+  stripeWebhookEvent: {
+    findUnique: async ({ where }) =>
+      state.webhookEvents.find((e) => e.event_id === where.event_id) ?? null,
+    create: async ({ data }) => {
+      if (state.webhookEvents.some((e) => e.event_id === data.event_id)) {
+        throw uniqueViolation();
+      }
+      state.webhookEvents.push({ ...data });
+      return data;
+    },
+    update: async ({ where, data }) =>
+      applyData(
+        state.webhookEvents.find((e) => e.event_id === where.event_id),
+        data
+      ),
+  },
+  payment: {
+    findFirst: async ({ where }) =>
+      state.payments.find((p) => matches(p, where)) ?? null,
+    findMany: async ({ where }) =>
+      state.payments.filter((p) => matches(p, where)),
+    create: async ({ data }) => {
+      const payment = { payment_id: state.nextId++, ...data };
+      state.payments.push(payment);
+      return payment;
+    },
+    update: async ({ where, data }) =>
+      applyData(
+        state.payments.find((p) => p.payment_id === where.payment_id),
+        data
+      ),
+    updateMany: async ({ where, data }) => {
+      const rows = state.payments.filter((p) => matches(p, where));
+      rows.forEach((p) => applyData(p, data));
+      return { count: rows.length };
+    },
+    aggregate: async ({ where }) => ({
+      _sum: {
+        amount: state.payments
+          .filter((p) => matches(p, where))
+          .reduce((sum, p) => sum + Number(p.amount), 0),
+      },
+    }),
+  },
+  slotHold: {
+    updateMany: async ({ where, data }) => {
+      const rows = state.slotHolds.filter((h) => matches(h, where));
+      rows.forEach((h) => applyData(h, data));
+      return { count: rows.length };
+    },
+  },
+  // Interactive transaction: throwing restores the state it started from
+  $transaction: async (fn) => {
+    const snapshot = structuredClone(state);
+    try {
+      return await fn(db);
+    } catch (error) {
+      state = snapshot;
+      throw error;
+    }
+  },
+};
+
+const completeCheckoutPayment = mock.fn();
+const recordInvoiceRefund = mock.fn(async (tx, invoiceId, amount) => ({
+  invoice_id: invoiceId,
+  refunded: amount,
+}));
+
+mock.module(new URL('../prisma/prisma.js', import.meta.url).href, {
+  namedExports: { prisma: db },
+});
+mock.module(new URL('../service/payment.service.js', import.meta.url).href, {
+  namedExports: { completeCheckoutPayment },
+});
+mock.module(
+  new URL('../service/paymentPlan.service.js', import.meta.url).href,
+  {
+    namedExports: { recordInvoiceRefund },
+  }
+);
+
+let handleStripeWebhook;
+let WEBHOOK_ERRORS;
+let signStripeWebhookPayload;
+
+before(async () => {
+  ({ handleStripeWebhook, WEBHOOK_ERRORS } =
+    await import('../service/stripeWebhook.service.js'));
+  ({ signStripeWebhookPayload } = await import('../utils/stripe.js'));
+});
+
+// Delivers a payload the way Stripe does: raw body plus its signature
+const deliver = (payload, secret = SECRET) =>
+  handleStripeWebhook(
+    Buffer.from(payload),
+    signStripeWebhookPayload(payload, secret)
+  );
+
+const paidPayment = (overrides = {}) => ({
+  payment_id: 1,
+  amount: 123.45,
+  currency: 'USD',
+  base_amount: 3000000,
+  exchange_rate: 0.00004115,
+  exchange_rate_id: 7,
+  payment_status: 'COMPLETED',
+  amount_refunded: 0,
+  account_id: 3,
+  invoice_id: 5,
+  event_id: 9,
+  provider: 'STRIPE',
+  provider_reference: 'cs_test_paid',
+  transaction_id: 'pi_test_paid',
+  original_payment_id: null,
+  ...overrides,
+});
+
+describe('handleStripeWebhook', () => {
+  beforeEach(() => {
+    resetState();
+    completeCheckoutPayment.mock.resetCalls();
+    recordInvoiceRefund.mock.resetCalls();
+    completeCheckoutPayment.mock.mockImplementation(async () => ({
+      isValid: true,
+      errors: [],
+      data: { payment_id: 1, already_completed: false, unbooked: null },
+    }));
+  });
+
+  it('rejects a payload whose signature does not match', async () => {
+    const result = await deliver(
+      fixture('checkout.session.completed'),
+      'whsec_someone_else'
+    );
+
+    assert.equal(result.isValid, false);
+    assert.equal(result.data.code, WEBHOOK_ERRORS.INVALID_SIGNATURE);
+    assert.equal(completeCheckoutPayment.mock.callCount(), 0);
+    assert.equal(state.webhookEvents.length, 0);
+  });
+
+  it('rejects a body changed after it was signed', async () => {
+    const payload = fixture('checkout.session.completed');
+    const result = await handleStripeWebhook(
+      Buffer.from(payload.replace('12345', '1')),
+      signStripeWebhookPayload(payload, SECRET)
+    );
+
+    assert.equal(result.data.code, WEBHOOK_ERRORS.INVALID_SIGNATURE);
+  });
+
+  it('completes the checkout of a paid session once', async () => {
+    const payload = fixture('checkout.session.completed');
+    const result = await deliver(payload);
+
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.data.result, {
+      outcome: 'completed',
+      payment_id: 1,
+    });
+    const [call] = completeCheckoutPayment.mock.calls;
+    assert.deepEqual(call.arguments.slice(1), [
+      { provider: 'STRIPE', reference: 'cs_test_paid' },
+      { transactionId: 'pi_test_paid', amount: 123.45 },
+    ]);
+    assert.equal(state.webhookEvents.length, 1);
+    assert.equal(state.webhookEvents[0].event_id, 'evt_test_session_completed');
+
+    const redelivery = await deliver(payload);
+    assert.equal(redelivery.isValid, true);
+    assert.equal(redelivery.data.duplicate, true);
+    assert.equal(completeCheckoutPayment.mock.callCount(), 1);
+  });
+
+  it('acknowledges a paid session whose event could not be booked', async () => {
+    completeCheckoutPayment.mock.mockImplementation(async () => ({
+      isValid: true,
+      errors: [],
+      data: {
+        payment_id: 1,
+        already_completed: false,
+        unbooked: 'SLOT_UNAVAILABLE',
+      },
+    }));
+
+    const result = await deliver(fixture('checkout.session.completed'));
+
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.data.result, {
+      outcome: 'completed_unbooked',
+      reason: 'SLOT_UNAVAILABLE',
+      payment_id: 1,
+    });
+  });
+
+  it('rolls back and fails so Stripe retries when completion throws', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    completeCheckoutPayment.mock.mockImplementation(async () => {
+      throw new Error('Failed to update invoice status');
+    });
+    const payload = fixture('checkout.session.completed');
+
+    const result = await deliver(payload);
+    assert.equal(result.isValid, false);
+    assert.equal(result.data.code, WEBHOOK_ERRORS.PROCESSING_FAILED);
+    // Not stored, so the retry is processed
+    assert.equal(state.webhookEvents.length, 0);
+
+    completeCheckoutPayment.mock.mockImplementation(async () => ({
+      isValid: true,
+      errors: [],
+      data: { payment_id: 1, already_completed: false, unbooked: null },
+    }));
+    const retry = await deliver(payload);
+    assert.equal(retry.data.result.outcome, 'completed');
+    assert.equal(state.webhookEvents.length, 1);
+  });
+
+  it('waits for delayed payment methods', async () => {
+    const payload = fixture('checkout.session.completed').replace(
+      '"payment_status": "paid"',
+      '"payment_status": "unpaid"'
+    );
+
+    const result = await deliver(payload);
+
+    assert.equal(result.data.result.outcome, 'awaiting_payment');
+    assert.equal(completeCheckoutPayment.mock.callCount(), 0);
+  });
+
+  it('cancels the payment and releases the holds of an expired session', async () => {
+    state.payments.push(
+      paidPayment({
+        payment_id: 2,
+        payment_status: 'PENDING',
+        provider_reference: 'cs_test_expired',
+        transaction_id: null,
+      })
+    );
+    state.slotHolds.push(
+      { hold_id: 1, payment_id: 2, status: 'ACTIVE' },
+      { hold_id: 2, payment_id: 3, status: 'ACTIVE' }
+    );
+
+    const result = await deliver(fixture('checkout.session.expired'));
+
+    assert.deepEqual(result.data.result, {
+      outcome: 'expired',
+      cancelled_payments: [2],
+      released_holds: 1,
+    });
+    assert.equal(state.payments[0].payment_status, 'CANCELLED');
+    assert.deepEqual(
+      state.slotHolds.map((h) => h.status),
+      ['EXPIRED', 'ACTIVE']
+    );
+  });
+
+  it('records a refund made in the Stripe dashboard', async () => {
+    state.payments.push(paidPayment());
+
+    const result = await deliver(fixture('charge.refunded'));
+
+    assert.equal(result.data.result.outcome, 'refund_recorded');
+    assert.equal(result.data.result.amount, 40);
+    const refund = state.payments.find((p) => p.original_payment_id === 1);
+    assert.equal(refund.payment_status, 'REFUNDED');
+    assert.equal(refund.transaction_id, 're_test_dashboard');
+    assert.equal(state.payments[0].amount_refunded, 40);
+    assert.equal(recordInvoiceRefund.mock.callCount(), 1);
+    assert.equal(recordInvoiceRefund.mock.calls[0].arguments[1], 5);
+  });
+
+  it('does not count a refund we are still issuing twice', async () => {
+    state.payments.push(
+      paidPayment({ amount_refunded: 40 }),
+      paidPayment({
+        payment_id: 2,
+        amount: 40,
+        payment_status: 'PENDING',
+        transaction_id: null,
+        original_payment_id: 1,
+      })
+    );
+
+    const result = await deliver(fixture('charge.refunded'));
+
+    assert.equal(result.data.result.outcome, 'already_recorded');
+    assert.equal(state.payments.length, 2);
+    assert.equal(recordInvoiceRefund.mock.callCount(), 0);
+  });
+
+  it('acknowledges event types it does not handle without storing them', async () => {
+    const payload = JSON.stringify({
+      id: 'evt_test_customer',
+      object: 'event',
+      type: 'customer.created',
+      data: { object: { id: 'cus_test' } },
+    });
+
+    const result = await deliver(payload);
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.data.ignored, true);
+    assert.equal(state.webhookEvents.length, 0);
+  });
+});
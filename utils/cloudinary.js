@@ -37,6 +37,33 @@ export const uploadImage = async (fileBuffer, folder, filename, options = {}) =>
   }
 };
 
+/**
+ * Upload a document (image or PDF, e.g. a payment receipt) to Cloudinary
+ * @param {Buffer} fileBuffer - File buffer
+ * @param {string} mimetype - MIME type of the file
+ * @param {string} folder - Folder to store the file in
+ * @param {string} filename - Filename to use (without extension)
+ * @param {Object} options - Additional Cloudinary upload options
+ * @returns {Promise<Object>} Cloudinary upload result
+ */
+export const uploadDocument = async (fileBuffer, mimetype, folder, filename, options = {}) => {
+  try {
+    const dataUri = `data:${mimetype};base64,${fileBuffer.toString('base64')}`;
+
+    const uploadResult = await cloudinary.v2.uploader.upload(dataUri, {
+      folder,
+      public_id: filename.split('.')[0],
+      resource_type: 'auto',
+      ...options
+    });
+
+    return uploadResult;
+  } catch (error) {
+    console.error('Error uploading to Cloudinary:', error);
+    throw new Error(`Cloudinary upload failed: ${error.message}`);
+  }
+};
+
 /**
  * Delete an image from Cloudinary
  * @param {string} publicId - Cloudinary public ID of the image
@@ -0,0 +1,66 @@
+// Minimal RFC 4180 reader for uploaded CSV files (bank statements)
+
+/**
+ * Guess the delimiter from the header line: ';' or a tab when the file has
+ * more of those than commas (common in European bank exports)
+ * @param {string} text
+ * @returns {string}
+ */
+export const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0] || '';
+  const count = (char) => header.split(char).length - 1;
+  return [';', '\t'].reduce(
+    (best, char) => (count(char) > count(best) ? char : best),
+    ','
+  );
+};
+
+/**
+ * Parse CSV text into rows of trimmed cells. Quoted cells may contain the
+ * delimiter, newlines and doubled quotes; blank lines are dropped.
+ * @param {string} text
+ * @param {string} [delimiter] - Detected from the header when omitted
+ * @returns {string[][]}
+ */
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some((value) => value !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
@@ -0,0 +1,119 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Currency prices, invoices and reports are kept in
+ * @type {string}
+ */
+export const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'VND').toUpperCase();
+
+// Currencies without a minor unit (ISO 4217 exponent 0), as Stripe expects
+// them; every other supported currency has two decimals
+const ZERO_DECIMAL_CURRENCIES = [
+  'BIF',
+  'CLP',
+  'DJF',
+  'GNF',
+  'JPY',
+  'KMF',
+  'KRW',
+  'MGA',
+  'PYG',
+  'RWF',
+  'UGX',
+  'VND',
+  'VUV',
+  'XAF',
+  'XOF',
+  'XPF',
+];
+
+/**
+ * Currencies that can be priced, invoiced or charged in
+ * @type {string[]}
+ */
+export const SUPPORTED_CURRENCIES = (
+  process.env.SUPPORTED_CURRENCIES || 'VND,USD,EUR,JPY,SGD,AUD,GBP'
+)
+  .split(',')
+  .map((code) => code.trim().toUpperCase())
+  .filter(Boolean);
+
+/**
+ * Upper-case a currency code, or null when it is not a supported currency
+ * @param {string} currency
+ * @returns {string|null}
+ */
+export const normalizeCurrency = (currency) => {
+  if (typeof currency !== 'string') return null;
+  const code = currency.trim().toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(code) ? code : null;
+};
+
+/**
+ * Validate a currency code
+ * @param {string} currency
+ * @param {string} [fieldName]
+ * @returns {string[]} Errors
+ */
+export const validateCurrency = (currency, fieldName = 'Currency') =>
+  normalizeCurrency(currency)
+    ? []
+    : [`${fieldName} must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`];
+
+/**
+ * Number of decimals of a currency's minor unit (VND 0, USD 2)
+ * @param {string} currency
+ * @returns {number}
+ */
+export const getCurrencyDecimals = (currency) =>
+  ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase()) ? 0 : 2;
+
+/**
+ * Round an amount to what the currency can express
+ * @param {number|string|Decimal} amount
+ * @param {string} currency
+ * @returns {number}
+ */
+export const roundToCurrency = (amount, currency) => {
+  const factor = 10 ** getCurrencyDecimals(currency);
+  return Math.round(Number(amount || 0) * factor) / factor;
+};
+
+/**
+ * Amount in the currency's minor unit, e.g. for Stripe (12.5 USD -> 1250,
+ * 50000 VND -> 50000)
+ * @param {number|string|Decimal} amount - Amount in the major unit
+ * @param {string} currency
+ * @returns {number} Integer amount
+ */
+export const toMinorUnit = (amount, currency) =>
+  Math.round(Number(amount || 0) * 10 ** getCurrencyDecimals(currency));
+
+/**
+ * Amount in the major unit from one in the currency's minor unit
+ * @param {number} amount - Integer amount in the minor unit
+ * @param {string} currency
+ * @returns {number}
+ */
+export const fromMinorUnit = (amount, currency) =>
+  roundToCurrency(
+    Number(amount || 0) / 10 ** getCurrencyDecimals(currency),
+    currency
+  );
+
+/**
+ * Format an amount with its currency code, e.g. "1,250,000 VND" or
+ * "54.35 USD" (no symbol: not every font has ₫)
+ * @param {number|string|Decimal} amount
+ * @param {string} [currency]
+ * @returns {string}
+ */
+export const formatCurrency = (amount, currency = BASE_CURRENCY) => {
+  const decimals = getCurrencyDecimals(currency);
+  return `${roundToCurrency(amount, currency).toLocaleString('en-US', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  })} ${String(currency).toUpperCase()}`;
+};
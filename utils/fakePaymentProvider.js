@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { roundToCurrency } from './currency.js';
+
+dotenv.config();
+
+// Checkouts live in memory only; a restarted server has forgotten them
+const checkouts = new Map();
+const refunds = [];
+
+const FAKE_STATUSES = ['PAID', 'PENDING', 'FAILED', 'EXPIRED'];
+
+// Status a new checkout reports until settleFakeCheckout says otherwise:
+// FAKE_PAYMENT_OUTCOME, PAID by default so local checkouts go through
+const defaultOutcome = () => {
+  const outcome = (process.env.FAKE_PAYMENT_OUTCOME || 'PAID').toUpperCase();
+  return FAKE_STATUSES.includes(outcome) ? outcome : 'PAID';
+};
+
+const findCheckout = (reference) => {
+  const checkout = checkouts.get(reference);
+  if (!checkout) throw new Error(`Fake checkout ${reference} not found`);
+  return checkout;
+};
+
+/**
+ * Set the status a fake checkout reports (tests and local development)
+ * @param {string} reference - Reference returned by createCheckout
+ * @param {string} status - PAID, PENDING, FAILED or EXPIRED
+ * @returns {Object} The checkout
+ */
+export const settleFakeCheckout = (reference, status) => {
+  if (!FAKE_STATUSES.includes(status)) {
+    throw new Error(`Status must be one of: ${FAKE_STATUSES.join(', ')}`);
+  }
+  const checkout = findCheckout(reference);
+  checkout.status = status;
+  return checkout;
+};
+
+/**
+ * Forget every fake checkout and refund
+ */
+export const resetFakePaymentProvider = () => {
+  checkouts.clear();
+  refunds.length = 0;
+};
+
+/**
+ * Refunds issued through the fake provider, oldest first
+ * @returns {Object[]}
+ */
+export const getFakeRefunds = () => [...refunds];
+
+/**
+ * In-memory payment provider for tests and local development: checkouts
+ * settle to FAKE_PAYMENT_OUTCOME and refunds always succeed. Enable it with
+ * PAYMENT_PROVIDERS=STRIPE,FAKE.
+ * @type {Object}
+ */
+export const fakePaymentProvider = {
+  name: 'FAKE',
+  payment_method: 'CREDIT_CARD',
+
+  createCheckout: async ({ lines, currency, discount, metadata = {} }) => {
+    const reference = `fake_cs_${crypto.randomUUID()}`;
+    const total = lines.reduce(
+      (sum, line) => sum + Number(line.unit_amount) * line.quantity,
+      0
+    );
+    checkouts.set(reference, {
+      reference,
+      status: defaultOutcome(),
+      amount: roundToCurrency(
+        Math.max(0, total - Number(discount?.amount || 0)),
+        currency
+      ),
+      currency,
+      metadata,
+      transaction_id: `fake_tx_${crypto.randomUUID()}`,
+    });
+
+    return {
+      reference,
+      url: `${
+        process.env.FAKE_CHECKOUT_URL ||
+        'http://localhost:5173/payment/fake-checkout'
+      }?reference=${reference}`,
+      expires_at: null,
+      session: checkouts.get(reference),
+    };
+  },
+
+  getCheckoutStatus: async (reference) => {
+    const checkout = findCheckout(reference);
+    return {
+      status: checkout.status,
+      transaction_id:
+        checkout.status === 'PAID' ? checkout.transaction_id : null,
+      amount: checkout.amount,
+      currency: checkout.currency,
+    };
+  },
+
+  refund: async ({ reference, amount, currency, metadata = {} }) => {
+    const checkout = findCheckout(reference);
+    if (checkout.status !== 'PAID') {
+      throw new Error(`Fake checkout ${reference} was not paid`);
+    }
+    const refund = {
+      id: `fake_re_${crypto.randomUUID()}`,
+      reference,
+      amount,
+      currency,
+      metadata,
+    };
+    refunds.push(refund);
+    return { id: refund.id };
+  },
+
+  cancelCheckout: async (reference) => {
+    const checkout = findCheckout(reference);
+    if (checkout.status === 'PENDING') checkout.status = 'EXPIRED';
+  },
+};
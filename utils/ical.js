@@ -0,0 +1,113 @@
+// Minimal RFC 5545 writer for the calendar feeds
+
+const PRODID = '-//EventPlanner//Event Calendar//EN';
+const CRLF = '\r\n';
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a date as a UTC DATE-TIME (20261019T090000Z)
+ * @param {Date|string} date
+ * @returns {string}
+ */
+export const formatDateTime = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+/**
+ * Build a VEVENT block
+ * @param {Object} vevent
+ * @param {string} vevent.uid - Globally unique id
+ * @param {Date} vevent.start
+ * @param {Date} vevent.end
+ * @param {string} vevent.summary
+ * @param {string} [vevent.description]
+ * @param {string} [vevent.location]
+ * @param {string} [vevent.status] - TENTATIVE, CONFIRMED or CANCELLED
+ * @param {string} [vevent.relatedTo] - UID of the parent VEVENT
+ * @param {Date} [vevent.lastModified]
+ * @returns {string[]} Unfolded content lines
+ */
+export const buildVEvent = ({
+  uid,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  status,
+  relatedTo,
+  lastModified,
+}) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (status) lines.push(`STATUS:${status}`);
+  if (relatedTo) lines.push(`RELATED-TO:${relatedTo}`);
+  if (lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(lastModified)}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by clients
+ * @param {Array<Object>} options.events - VEVENT definitions for buildVEvent
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const buildCalendar = ({ name, events = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(buildVEvent),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
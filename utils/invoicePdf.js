@@ -0,0 +1,384 @@
+// Invoice PDF rendering with pdfkit. Branding comes from INVOICE_* env vars;
+// the built-in Helvetica has no Vietnamese glyphs, so set INVOICE_PDF_FONT
+// (and INVOICE_PDF_FONT_BOLD) to a TTF that has them.
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+import { formatCurrency } from './currency.js';
+
+const PAGE_MARGIN = 50;
+const ROW_HEIGHT = 18;
+const ACCENT_COLOR = '#1f4e79';
+const MUTED_COLOR = '#666666';
+
+const DOCUMENT_TITLES = {
+  STANDARD: 'INVOICE',
+  SUPPLEMENTARY: 'SUPPLEMENTARY INVOICE',
+  CREDIT_NOTE: 'CREDIT NOTE',
+};
+
+// Item, quantity, unit price, amount
+const COLUMNS = [
+  { key: 'item', label: 'Item', x: 50, width: 245, align: 'left' },
+  { key: 'quantity', label: 'Qty', x: 295, width: 50, align: 'right' },
+  {
+    key: 'unit_price',
+    label: 'Unit price',
+    x: 345,
+    width: 100,
+    align: 'right',
+  },
+  { key: 'amount', label: 'Amount', x: 445, width: 100, align: 'right' },
+];
+
+const getBranding = () => ({
+  name: process.env.INVOICE_COMPANY_NAME || 'EventPlanner',
+  address: process.env.INVOICE_COMPANY_ADDRESS || '',
+  email: process.env.INVOICE_COMPANY_EMAIL || process.env.SMTP_FROM || '',
+  logoPath: process.env.INVOICE_LOGO_PATH || '',
+});
+
+/**
+ * Format an amount for the PDF in its currency's minor unit (no currency
+ * symbol: not every font has ₫)
+ * @param {number|string|Decimal} amount
+ * @param {string} [currency] - Defaults to the base currency
+ * @returns {string}
+ */
+export const formatMoney = (amount, currency) =>
+  formatCurrency(amount, currency);
+
+const formatDate = (date) =>
+  date ? new Date(date).toISOString().slice(0, 10) : '-';
+
+const registerFonts = (doc) => {
+  const regular = process.env.INVOICE_PDF_FONT;
+  const bold = process.env.INVOICE_PDF_FONT_BOLD || regular;
+  if (regular && fs.existsSync(regular) && fs.existsSync(bold)) {
+    doc.registerFont('Body', regular);
+    doc.registerFont('Body-Bold', bold);
+    return { regular: 'Body', bold: 'Body-Bold' };
+  }
+  return { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+};
+
+// Start a new page when the next block would run into the bottom margin
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+};
+
+const drawRule = (doc, y) => {
+  doc
+    .moveTo(PAGE_MARGIN, y)
+    .lineTo(doc.page.width - PAGE_MARGIN, y)
+    .lineWidth(0.5)
+    .strokeColor('#cccccc')
+    .stroke();
+};
+
+const drawRow = (doc, values, font) => {
+  ensureSpace(doc, ROW_HEIGHT);
+  const y = doc.y;
+  doc.font(font).fontSize(9).fillColor('black');
+  let height = ROW_HEIGHT;
+  for (const column of COLUMNS) {
+    const text = String(values[column.key] ?? '');
+    height = Math.max(
+      height,
+      doc.heightOfString(text, { width: column.width }) + 6
+    );
+    doc.text(text, column.x, y + 3, {
+      width: column.width,
+      align: column.align,
+    });
+  }
+  doc.y = y + height;
+  drawRule(doc, doc.y);
+};
+
+const drawSummaryLine = (doc, label, value, font) => {
+  ensureSpace(doc, ROW_HEIGHT);
+  const y = doc.y;
+  doc.font(font).fontSize(10).fillColor('black');
+  doc.text(label, 295, y, { width: 150, align: 'right' });
+  doc.text(value, 445, y, { width: 100, align: 'right' });
+  doc.y = y + ROW_HEIGHT - 4;
+};
+
+const drawHeader = (doc, invoice, fonts) => {
+  const branding = getBranding();
+  const top = PAGE_MARGIN;
+
+  let textX = PAGE_MARGIN;
+  if (branding.logoPath && fs.existsSync(branding.logoPath)) {
+    doc.image(branding.logoPath, PAGE_MARGIN, top, { fit: [60, 60] });
+    textX += 70;
+  }
+  doc
+    .font(fonts.bold)
+    .fontSize(18)
+    .fillColor(ACCENT_COLOR)
+    .text(branding.name, textX, top, { width: 250 });
+  doc.font(fonts.regular).fontSize(9).fillColor(MUTED_COLOR);
+  for (const line of [branding.address, branding.email].filter(Boolean)) {
+    doc.text(line, textX, doc.y, { width: 250 });
+  }
+
+  doc
+    .font(fonts.bold)
+    .fontSize(16)
+    .fillColor(ACCENT_COLOR)
+    .text(
+      DOCUMENT_TITLES[invoice.invoice_type] || DOCUMENT_TITLES.STANDARD,
+      320,
+      top,
+      { width: 225, align: 'right' }
+    );
+  doc.font(fonts.regular).fontSize(9).fillColor('black');
+  const meta = [
+    `No. ${invoice.invoice_number}`,
+    `Issued: ${formatDate(invoice.issue_date)}`,
+    `Due: ${formatDate(invoice.due_date)}`,
+    `Status: ${invoice.status}`,
+  ];
+  if (invoice.parent_invoice) {
+    meta.push(`Adjusts: ${invoice.parent_invoice.invoice_number}`);
+  }
+  for (const line of meta) {
+    doc.text(line, 320, doc.y, { width: 225, align: 'right' });
+  }
+
+  doc.y = Math.max(doc.y, top + 70) + 10;
+  drawRule(doc, doc.y);
+  doc.y += 10;
+};
+
+const drawParties = (doc, invoice, fonts) => {
+  const y = doc.y;
+  const event = invoice.event || invoice.parent_invoice?.event;
+
+  doc.font(fonts.bold).fontSize(10).fillColor(ACCENT_COLOR);
+  doc.text('Bill to', PAGE_MARGIN, y);
+  doc.font(fonts.regular).fontSize(9).fillColor('black');
+  doc.text(invoice.account?.account_name || '-', PAGE_MARGIN, doc.y);
+  if (invoice.account?.email) doc.text(invoice.account.email);
+  if (invoice.account?.phone) doc.text(invoice.account.phone);
+  const leftBottom = doc.y;
+
+  if (event) {
+    doc.font(fonts.bold).fontSize(10).fillColor(ACCENT_COLOR);
+    doc.text('Event', 320, y, { width: 225 });
+    doc.font(fonts.regular).fontSize(9).fillColor('black');
+    doc.text(event.event_name, 320, doc.y, { width: 225 });
+    doc.text(`Date: ${formatDate(event.event_date || event.start_time)}`, {
+      width: 225,
+    });
+    if (event.room?.room_name) {
+      doc.text(`Room: ${event.room.room_name}`, { width: 225 });
+    }
+  }
+
+  doc.y = Math.max(doc.y, leftBottom) + 15;
+};
+
+const drawLineItems = (doc, invoice, fonts) => {
+  drawRule(doc, doc.y);
+  drawRow(
+    doc,
+    Object.fromEntries(COLUMNS.map((column) => [column.key, column.label])),
+    fonts.bold
+  );
+  for (const detail of invoice.details) {
+    drawRow(
+      doc,
+      {
+        item:
+          detail.item_type && detail.item_type !== 'SERVICE'
+            ? `${detail.item_name} (${detail.item_type.toLowerCase()})`
+            : detail.item_name,
+        quantity: detail.quantity,
+        unit_price: formatMoney(detail.unit_price, invoice.currency),
+        amount: formatMoney(detail.subtotal, invoice.currency),
+      },
+      fonts.regular
+    );
+  }
+  doc.y += 8;
+};
+
+const drawTotals = (doc, invoice, summary, fonts) => {
+  drawSummaryLine(
+    doc,
+    'Subtotal',
+    formatMoney(summary.subtotal, invoice.currency),
+    fonts.regular
+  );
+  if (Number(invoice.discount_amount) > 0) {
+    drawSummaryLine(
+      doc,
+      'Discount',
+      `-${formatMoney(invoice.discount_amount, invoice.currency)}`,
+      fonts.regular
+    );
+  }
+  // Inclusive taxes are already in the line prices and are shown for reference
+  const taxes = invoice.taxes || [];
+  for (const tax of taxes) {
+    const included = tax.mode === 'INCLUSIVE';
+    drawSummaryLine(
+      doc,
+      `${tax.name} ${Number(tax.rate)}%${included ? ' (included)' : ''}`,
+      formatMoney(tax.tax_amount, invoice.currency),
+      fonts.regular
+    );
+  }
+  if (taxes.length === 0) {
+    drawSummaryLine(
+      doc,
+      'Tax',
+      formatMoney(invoice.tax_amount, invoice.currency),
+      fonts.regular
+    );
+  }
+  drawSummaryLine(
+    doc,
+    invoice.invoice_type === 'CREDIT_NOTE' ? 'Total credit' : 'Total',
+    formatMoney(invoice.total_amount, invoice.currency),
+    fonts.bold
+  );
+  doc.y += 10;
+};
+
+// Deposit/balance plan with due dates; only drawn for invoices on a plan
+const drawSchedule = (doc, invoice, fonts) => {
+  const installments = invoice.installments || [];
+  if (installments.length === 0) return;
+
+  ensureSpace(doc, ROW_HEIGHT * 3);
+  doc
+    .font(fonts.bold)
+    .fontSize(11)
+    .fillColor(ACCENT_COLOR)
+    .text('Payment schedule', PAGE_MARGIN, doc.y);
+  doc.y += 4;
+  drawRule(doc, doc.y);
+  for (const installment of installments) {
+    drawRow(
+      doc,
+      {
+        item: `${installment.label} (${installment.status.toLowerCase()})`,
+        quantity: '',
+        unit_price: `Due ${formatDate(installment.due_date)}`,
+        amount: formatMoney(installment.amount, invoice.currency),
+      },
+      fonts.regular
+    );
+  }
+  doc.y += 18;
+};
+
+const drawPayments = (doc, invoice, summary, fonts) => {
+  ensureSpace(doc, ROW_HEIGHT * 3);
+  doc
+    .font(fonts.bold)
+    .fontSize(11)
+    .fillColor(ACCENT_COLOR)
+    .text('Payment history', PAGE_MARGIN, doc.y);
+  doc.y += 4;
+
+  if (invoice.payments.length === 0) {
+    doc
+      .font(fonts.regular)
+      .fontSize(9)
+      .fillColor(MUTED_COLOR)
+      .text('No payments recorded.', PAGE_MARGIN, doc.y);
+    doc.y += 8;
+  } else {
+    drawRule(doc, doc.y);
+    for (const payment of invoice.payments) {
+      const isRefund = payment.payment_status === 'REFUNDED';
+      drawRow(
+        doc,
+        {
+          item: `${formatDate(payment.payment_date)}  ${
+            isRefund ? 'Refund' : 'Payment'
+          } #${payment.payment_id} (${payment.payment_method})`,
+          quantity: '',
+          unit_price: payment.payment_status,
+          amount: `${isRefund ? '-' : ''}${formatMoney(payment.amount, payment.currency)}`,
+        },
+        fonts.regular
+      );
+    }
+    doc.y += 8;
+  }
+
+  drawSummaryLine(
+    doc,
+    'Amount paid',
+    formatMoney(summary.amount_paid, invoice.currency),
+    fonts.regular
+  );
+  if (summary.amount_refunded > 0) {
+    drawSummaryLine(
+      doc,
+      'Refunded',
+      `-${formatMoney(summary.amount_refunded, invoice.currency)}`,
+      fonts.regular
+    );
+  }
+  drawSummaryLine(
+    doc,
+    'Balance due',
+    formatMoney(summary.balance_due, invoice.currency),
+    fonts.bold
+  );
+};
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice with details, taxes, installments,
+ *   payments, account, event, parent_invoice (see getInvoiceDocument)
+ * @param {Object} summary - { subtotal, amount_paid, amount_refunded, balance_due }
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = (invoice, summary) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `${DOCUMENT_TITLES[invoice.invoice_type] || 'INVOICE'} ${
+          invoice.invoice_number
+        }`,
+        Author: getBranding().name,
+      },
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const fonts = registerFonts(doc);
+    drawHeader(doc, invoice, fonts);
+    drawParties(doc, invoice, fonts);
+    drawLineItems(doc, invoice, fonts);
+    drawTotals(doc, invoice, summary, fonts);
+    drawSchedule(doc, invoice, fonts);
+    drawPayments(doc, invoice, summary, fonts);
+
+    if (invoice.notes) {
+      ensureSpace(doc, ROW_HEIGHT * 2);
+      doc.y += 15;
+      doc
+        .font(fonts.regular)
+        .fontSize(9)
+        .fillColor(MUTED_COLOR)
+        .text(invoice.notes, PAGE_MARGIN, doc.y, {
+          width: doc.page.width - PAGE_MARGIN * 2,
+        });
+    }
+
+    doc.end();
+  });
@@ -0,0 +1,209 @@
+// RRULE-style recurrence for event series. Supports the subset the booking
+// flow needs: FREQ=WEEKLY|MONTHLY, INTERVAL, COUNT or UNTIL, BYDAY (weekly)
+// plus exception dates (EXDATE equivalent).
+
+export const RECURRENCE_FREQUENCIES = ['WEEKLY', 'MONTHLY'];
+export const MAX_OCCURRENCES = 100;
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Local calendar day, matching how event_date is derived from start_time
+const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+const parseRRuleString = (rrule) => {
+  const parts = {};
+  for (const segment of String(rrule)
+    .replace(/^RRULE:/i, '')
+    .split(';')) {
+    if (!segment.trim()) continue;
+    const [key, value] = segment.split('=');
+    parts[key.trim().toUpperCase()] = value?.trim();
+  }
+  return {
+    frequency: parts.FREQ,
+    interval: parts.INTERVAL,
+    count: parts.COUNT,
+    until: parts.UNTIL
+      ? parts.UNTIL.replace(
+          /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/,
+          (m, y, mo, d, h = '23', mi = '59', s = '59', z = '') =>
+            `${y}-${mo}-${d}T${h}:${mi}:${s}${z}`
+        )
+      : undefined,
+    by_day: parts.BYDAY ? parts.BYDAY.split(',') : undefined,
+  };
+};
+
+/**
+ * Normalize a recurrence given as an RRULE string or an object
+ * ({ frequency, interval, count, until, by_day, exceptions })
+ * @param {string|Object} input
+ * @param {Array<string>} [exceptions] - Dates to skip (YYYY-MM-DD or ISO)
+ * @returns {{ errors: string[], rule: Object|null }}
+ */
+export const parseRecurrence = (input, exceptions = []) => {
+  const errors = [];
+  if (!input) {
+    return { errors: ['Recurrence is required'], rule: null };
+  }
+
+  const raw = typeof input === 'string' ? parseRRuleString(input) : input;
+  const frequency = String(raw.frequency || '').toUpperCase();
+  const interval = raw.interval === undefined ? 1 : Number(raw.interval);
+  const count = raw.count === undefined ? null : Number(raw.count);
+  let until = raw.until ? new Date(raw.until) : null;
+  // A bare date means "through the end of that day"
+  if (until && /^\d{4}-\d{2}-\d{2}$/.test(String(raw.until))) {
+    until = new Date(`${raw.until}T23:59:59.999`);
+  }
+  const byDay = (raw.by_day || []).map((d) => String(d).toUpperCase());
+  const exceptionList = [...(raw.exceptions || []), ...(exceptions || [])];
+
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    errors.push(
+      `Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`
+    );
+  }
+  if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+    errors.push('Recurrence interval must be an integer between 1 and 12');
+  }
+  if (count === null && !until) {
+    errors.push('Recurrence needs either count or until');
+  }
+  if (count !== null && until) {
+    errors.push('Recurrence cannot have both count and until');
+  }
+  if (
+    count !== null &&
+    (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)
+  ) {
+    errors.push(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`);
+  }
+  if (until && isNaN(until.getTime())) {
+    errors.push('Recurrence until is not a valid date');
+  }
+  if (byDay.some((d) => !WEEKDAYS.includes(d))) {
+    errors.push(`Recurrence by_day values must be in: ${WEEKDAYS.join(', ')}`);
+  }
+  if (byDay.length > 0 && frequency !== 'WEEKLY') {
+    errors.push('Recurrence by_day is only supported for WEEKLY');
+  }
+  if (exceptionList.some((d) => isNaN(new Date(d).getTime()))) {
+    errors.push('Recurrence exceptions must be valid dates');
+  }
+
+  if (errors.length > 0) return { errors, rule: null };
+
+  return {
+    errors: [],
+    rule: {
+      frequency,
+      interval,
+      count,
+      until,
+      by_day: [...new Set(byDay)].sort(
+        (a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b)
+      ),
+      exceptions: [...new Set(exceptionList.map(toDateKey))].sort(),
+    },
+  };
+};
+
+/**
+ * Serialize a normalized rule back to RRULE text
+ * @param {Object} rule - Output of parseRecurrence
+ * @returns {string}
+ */
+export const toRRule = (rule) => {
+  const parts = [`FREQ=${rule.frequency}`, `INTERVAL=${rule.interval}`];
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) {
+    parts.push(
+      `UNTIL=${rule.until
+        .toISOString()
+        .replace(/[-:]/g, '')
+        .replace(/\.\d{3}/, '')}`
+    );
+  }
+  if (rule.by_day.length > 0) parts.push(`BYDAY=${rule.by_day.join(',')}`);
+  return parts.join(';');
+};
+
+// Candidate starts in chronological order, before COUNT/UNTIL are applied
+function* candidateStarts(start, rule) {
+  if (rule.frequency === 'MONTHLY') {
+    const dayOfMonth = start.getDate();
+    for (let step = 0; ; step++) {
+      const candidate = new Date(start);
+      candidate.setDate(1);
+      candidate.setMonth(start.getMonth() + step * rule.interval);
+      // Months without this day (e.g. the 31st) are skipped, as in RFC 5545
+      const daysInMonth = new Date(
+        candidate.getFullYear(),
+        candidate.getMonth() + 1,
+        0
+      ).getDate();
+      if (dayOfMonth > daysInMonth) continue;
+      candidate.setDate(dayOfMonth);
+      yield candidate;
+    }
+  }
+
+  const days =
+    rule.by_day.length > 0
+      ? rule.by_day.map((d) => WEEKDAYS.indexOf(d))
+      : [start.getDay()];
+  // Weeks start on Monday, like RRULE's default WKST
+  const weekStart = new Date(start);
+  weekStart.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  for (let week = 0; ; week++) {
+    for (const day of [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))) {
+      const candidate = new Date(weekStart);
+      candidate.setDate(
+        weekStart.getDate() + week * 7 * rule.interval + ((day + 6) % 7)
+      );
+      if (candidate >= start) yield candidate;
+    }
+  }
+}
+
+/**
+ * Expand a rule into concrete occurrences. Exceptions are removed after COUNT
+ * is applied, so COUNT=10 with one exception yields nine occurrences.
+ * @param {Date|string} startTime - First occurrence start
+ * @param {Date|string} endTime - First occurrence end
+ * @param {Object} rule - Output of parseRecurrence
+ * @returns {{ occurrences: Array<{ index: number, start_time: Date, end_time: Date }>, truncated: boolean }}
+ *   truncated is true when UNTIL would produce more than MAX_OCCURRENCES
+ */
+export const expandOccurrences = (startTime, endTime, rule) => {
+  const start = new Date(startTime);
+  const durationMs = new Date(endTime) - start;
+  const exceptions = new Set(rule.exceptions);
+
+  const occurrences = [];
+  let generated = 0;
+  let truncated = false;
+  for (const candidate of candidateStarts(start, rule)) {
+    if (rule.count !== null && generated >= rule.count) break;
+    if (rule.until && candidate > rule.until) break;
+    if (generated >= MAX_OCCURRENCES) {
+      truncated = true;
+      break;
+    }
+    generated++;
+
+    if (exceptions.has(toDateKey(candidate))) continue;
+    occurrences.push({
+      index: generated - 1,
+      start_time: candidate,
+      end_time: new Date(candidate.getTime() + durationMs),
+    });
+  }
+  return { occurrences, truncated };
+};
@@ -0,0 +1,210 @@
+import Stripe from 'stripe';
+import dotenv from 'dotenv';
+import { fromMinorUnit, toMinorUnit } from './currency.js';
+
+dotenv.config();
+
+let stripeClient = null;
+
+/**
+ * Get the shared Stripe client, creating it on first use
+ * @returns {Stripe} Stripe API client
+ */
+export const getStripeClient = () => {
+  if (!stripeClient) {
+    stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripeClient;
+};
+
+/**
+ * Replace the shared Stripe client (tests and local development)
+ * @param {Object|null} client - Object exposing the Stripe API surface used here, or null to reset
+ */
+export const setStripeClient = (client) => {
+  stripeClient = client;
+};
+
+/**
+ * Issue a refund for a Stripe payment
+ * @param {Object} options
+ * @param {string} [options.paymentIntentId] - Payment intent (pi_...) to refund
+ * @param {string} [options.sessionId] - Checkout session (cs_...) used when the intent is unknown
+ * @param {number} options.amount - Amount to refund in the charged currency's major unit
+ * @param {string} options.currency - Currency the payment was charged in
+ * @param {Object} [options.metadata] - Metadata stored on the Stripe refund
+ * @returns {Promise<Object>} Stripe refund object
+ */
+export const createStripeRefund = async ({
+  paymentIntentId,
+  sessionId,
+  amount,
+  currency,
+  metadata = {},
+}) => {
+  const stripe = getStripeClient();
+  let paymentIntent = paymentIntentId;
+
+  if (!paymentIntent && sessionId) {
+    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    paymentIntent = session.payment_intent;
+  }
+  if (!paymentIntent) {
+    throw new Error('Stripe payment intent not found for refund');
+  }
+
+  return stripe.refunds.create({
+    payment_intent: paymentIntent,
+    amount: toMinorUnit(amount, currency),
+    metadata,
+  });
+};
+
+/**
+ * Create a single-use amount-off coupon to pass to a Checkout session in
+ * `discounts`
+ * @param {Object} options
+ * @param {number} options.amount - Discount in the currency's major unit
+ * @param {string} options.currency - ISO currency code, e.g. 'usd'
+ * @param {string} [options.name] - Label shown on the Checkout page
+ * @param {Object} [options.metadata] - Metadata stored on the Stripe coupon
+ * @returns {Promise<Object>} Stripe coupon object
+ */
+export const createStripeDiscountCoupon = async ({
+  amount,
+  currency,
+  name,
+  metadata = {},
+}) =>
+  getStripeClient().coupons.create({
+    amount_off: toMinorUnit(amount, currency),
+    currency: currency.toLowerCase(),
+    duration: 'once',
+    max_redemptions: 1,
+    ...(name ? { name } : {}),
+    metadata,
+  });
+
+/**
+ * Verify a webhook request and parse its event. Throws when the signature
+ * does not match the raw body or the timestamp is outside the tolerance.
+ * @param {Buffer|string} rawBody - Request body exactly as Stripe sent it
+ * @param {string} signature - Value of the Stripe-Signature header
+ * @param {string} [secret] - Endpoint secret, defaults to STRIPE_WEBHOOK_SECRET
+ * @returns {Object} Stripe event
+ */
+export const constructStripeWebhookEvent = (
+  rawBody,
+  signature,
+  secret = process.env.STRIPE_WEBHOOK_SECRET
+) => Stripe.webhooks.constructEvent(rawBody, signature, secret);
+
+/**
+ * Stripe-Signature header for a payload, so fixture events can be posted to
+ * the webhook endpoint (tests and local development)
+ * @param {string} payload - JSON body that will be sent
+ * @param {string} [secret] - Endpoint secret, defaults to STRIPE_WEBHOOK_SECRET
+ * @returns {string} Header value
+ */
+export const signStripeWebhookPayload = (
+  payload,
+  secret = process.env.STRIPE_WEBHOOK_SECRET
+) => Stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+// Where Checkout sends the customer back; {CHECKOUT_SESSION_ID} is filled in
+// by Stripe
+const CHECKOUT_RETURN_URL = 'http://localhost:5173/payment/stripe-pay-callback';
+
+/**
+ * Stripe Checkout as a payment provider (see paymentProvider.service)
+ * @type {Object}
+ */
+export const stripeProvider = {
+  name: 'STRIPE',
+  payment_method: 'STRIPE',
+
+  createCheckout: async ({ lines, currency, discount, metadata = {} }) => {
+    const stripeCurrency = currency.toLowerCase();
+
+    // A discount goes on as a one-off coupon so Stripe shows it against the
+    // full prices
+    const discounts = [];
+    if (discount?.amount > 0) {
+      const coupon = await createStripeDiscountCoupon({
+        amount: discount.amount,
+        currency,
+        name: discount.name,
+        metadata: discount.metadata,
+      });
+      discounts.push({ coupon: coupon.id });
+    }
+
+    const session = await getStripeClient().checkout.sessions.create({
+      payment_method_types: ['card'],
+      line_items: lines.map((line) => ({
+        price_data: {
+          currency: stripeCurrency,
+          product_data: { name: line.name },
+          unit_amount: toMinorUnit(line.unit_amount, currency),
+        },
+        quantity: line.quantity,
+      })),
+      ...(discounts.length ? { discounts } : {}),
+      mode: 'payment',
+      success_url: `${CHECKOUT_RETURN_URL}?status=success&session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${CHECKOUT_RETURN_URL}?status=canceled`,
+      metadata,
+    });
+
+    return {
+      reference: session.id,
+      url: session.url,
+      expires_at: session.expires_at
+        ? new Date(session.expires_at * 1000)
+        : null,
+      session,
+    };
+  },
+
+  // Delayed payment methods complete the session before the money arrives,
+  // so only a paid session counts as PAID
+  getCheckoutStatus: async (reference) => {
+    const session =
+      await getStripeClient().checkout.sessions.retrieve(reference);
+    const paid =
+      session.status === 'complete' &&
+      ['paid', 'no_payment_required'].includes(session.payment_status);
+    return {
+      status: paid
+        ? 'PAID'
+        : session.status === 'expired'
+          ? 'EXPIRED'
+          : 'PENDING',
+      transaction_id: session.payment_intent || null,
+      amount: fromMinorUnit(session.amount_total, session.currency),
+      currency: session.currency?.toUpperCase() || null,
+    };
+  },
+
+  refund: async ({ reference, transaction_id, amount, currency, metadata }) => {
+    const refund = await createStripeRefund({
+      paymentIntentId: transaction_id?.startsWith('pi_')
+        ? transaction_id
+        : null,
+      sessionId: reference,
+      amount,
+      currency,
+      metadata,
+    });
+    return { id: refund.id };
+  },
+
+  cancelCheckout: async (reference) => {
+    await getStripeClient().checkout.sessions.expire(reference);
+  },
+
+  verifyWebhook: (rawBody, headers = {}) =>
+    constructStripeWebhookEvent(rawBody, headers['stripe-signature']),
+};
+
+export default getStripeClient;
@@ -0,0 +1,57 @@
+import { Prisma } from '@prisma/client';
+
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_BASE_DELAY_MS = 20;
+
+/**
+ * Whether an error is a serialization failure or deadlock that Postgres
+ * expects the client to retry (SQLSTATE 40001 / 40P01, Prisma P2034)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isSerializationFailure = (error) => {
+  if (
+    error instanceof Prisma.PrismaClientKnownRequestError &&
+    error.code === 'P2034'
+  ) {
+    return true;
+  }
+  const message = String(error?.message || '');
+  return message.includes('40001') || message.includes('40P01');
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run `fn` in a SERIALIZABLE interactive transaction, retrying when Postgres
+ * aborts it because a concurrent transaction touched the same rows. `fn` must
+ * only have database side effects so that it is safe to run again.
+ * @param {PrismaClient} client - Prisma client to open the transaction on
+ * @param {Function} fn - async (tx) => result
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries] - Attempts after the first one
+ * @param {number} [options.baseDelayMs] - Backoff base, doubled per attempt with jitter
+ * @param {number} [options.timeout] - Interactive transaction timeout in ms
+ * @returns {Promise<*>} Whatever `fn` resolves to
+ */
+export const runSerializable = async (client, fn, options = {}) => {
+  const {
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    timeout,
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await client.$transaction(fn, {
+        isolationLevel: Prisma.TransactionIsolationLevel.Serializable,
+        ...(timeout ? { timeout } : {}),
+      });
+    } catch (error) {
+      if (!isSerializationFailure(error) || attempt >= maxRetries) {
+        throw error;
+      }
+      await wait(baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs);
+    }
+  }
+};